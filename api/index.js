@@ -2,6 +2,10 @@
 import 'dotenv/config'; // Load .env FIRST before any other imports
 import {config} from './src/config/env.js';
 import app from './src/app.js';
+import {settlementQueue} from './src/services/settlement-queue.js';
+import {dynamicPricing} from './src/services/dynamic-pricing.js';
+import {facilitatorPool} from './src/services/facilitator-pool.js';
+import {treasury} from './src/services/treasury.js';
 
 /**
  * Engrave Protocol - Server Entry Point
@@ -10,6 +14,15 @@ import app from './src/app.js';
 
 const PORT = config.api.port;
 
+// Resume any settlements left over from a previous run, then keep retrying and reconciling
+settlementQueue.start();
+
+// Sample upstream load for congestion pricing (no-op unless DYNAMIC_PRICING is set)
+dynamicPricing.start();
+
+// Probe facilitator health so failing ones are skipped before a payment hits them
+facilitatorPool.start();
+
 // Start the server
 app.listen(PORT, () => {
 	console.log(`
@@ -18,8 +31,8 @@ app.listen(PORT, () => {
 ╟──────────────────────────────────────────────────────────────╢
 ║  Status: Running                                             ║
 ║  Port: ${PORT.toString().padEnd(54)}║
-║  Network: Solana Devnet                                      ║
-║  Treasury: ${config.treasury.walletAddress.substring(0, 20)}...${' '.repeat(18)}║
+║  Network: ${config.x402.networkName.padEnd(51)}║
+║  Treasury: ${treasury.getActiveAddress().substring(0, 20)}...${' '.repeat(18)}║
 ╚══════════════════════════════════════════════════════════════╝
 	`);
 	console.log(`🔗 API Endpoints:`);
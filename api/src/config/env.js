@@ -1,5 +1,8 @@
 // @ts-check
 import 'dotenv/config';
+import {createRequire} from 'module';
+import {PublicKey} from '@solana/web3.js';
+import {SANDBOX_NETWORK, resolveNetwork} from './networks.js';
 
 /**
  * Validates and exports environment variables
@@ -8,17 +11,63 @@ import 'dotenv/config';
 
 /**
  * @typedef {Object} Config
- * @property {{walletAddress: string}} treasury
+ * @property {{walletAddress: string, rotationsPath: string, gracePeriodSeconds: number}} treasury
  * @property {{baseUrl: string, port: number}} api
  * @property {{
  *   network: string,
- *   facilitatorUrl: string,
- *   usdc: {
- *     address: string,
- *     decimals: number,
+ *   networkName: string,
+ *   cluster: string,
+ *   rpcUrl: string,
+ *   tokens: Record<string, import('./networks.js').TokenDefinition>,
+ *   paymentToken: string,
+ *   acceptedTokens: string[],
+ *   maxTimeoutSeconds: number,
+ *   upto: {
+ *     delegateKeypairPath: string | null,
+ *   },
+ *   sandbox: {
+ *     startingBalance: number,
+ *   },
+ *   facilitators: {
+ *     urls: string[],
+ *     failureThreshold: number,
+ *     cooldownMs: number,
+ *     probeIntervalMs: number,
+ *     timeoutMs: number,
+ *   },
+ *   facilitator: {
+ *     feePayerKeypairPath: string | null,
+ *     payees: string[],
+ *     rateLimitRequests: number,
+ *     rateLimitWindowMs: number,
+ *   },
+ *   settlement: {
+ *     mode: string,
+ *     store: string,
+ *     path: string,
+ *     maxAttempts: number,
+ *     retryBaseMs: number,
+ *     pollIntervalMs: number,
+ *   },
+ *   ledger: {
+ *     store: string,
+ *     path: string,
+ *     ttlSeconds: number,
  *   },
  * }} x402
  * @property {{
+ *   tiersPath: string,
+ *   identityMaxAgeSeconds: number,
+ *   dynamic: {
+ *     source: 'off' | 'queue' | 'mempool',
+ *     floor: number,
+ *     ceiling: number,
+ *     queueTarget: number,
+ *     mempoolTargetVsize: number,
+ *     refreshIntervalMs: number,
+ *   },
+ * }} pricing
+ * @property {{
  *   network: string,
  *   rpcUrl?: string,
  *   walletSeed?: string,
@@ -41,9 +90,70 @@ const requiredEnvVars = {
 };
 
 // Optional environment variables with defaults
-const FACILITATOR_URL = process.env.FACILITATOR_URL || 'https://facilitator.payai.network';
 const X402_NETWORK = process.env.X402_NETWORK || 'solana-devnet';
 
+// Payment tokens: the primary token is listed first in 402 responses
+const PAYMENT_TOKEN = (process.env.PAYMENT_TOKEN || 'USDC').trim().toUpperCase();
+const ACCEPTED_PAYMENT_TOKENS = (process.env.ACCEPTED_PAYMENT_TOKENS || PAYMENT_TOKEN)
+	.split(',')
+	.map((symbol) => symbol.trim().toUpperCase())
+	.filter(Boolean);
+
+// How long a 402 quote stays payable (maxTimeoutSeconds in payment requirements)
+const X402_MAX_TIMEOUT_SECONDS = Number.parseInt(process.env.X402_MAX_TIMEOUT_SECONDS || '300', 10);
+
+// Treasury rotation: file scheduling the addresses that take over from
+// TREASURY_WALLET_ADDRESS, and how long a replaced address keeps being accepted
+const TREASURY_ROTATIONS_PATH = process.env.TREASURY_ROTATIONS_PATH || 'treasury-rotations.json';
+const TREASURY_GRACE_PERIOD_SECONDS = Number.parseInt(process.env.TREASURY_GRACE_PERIOD_SECONDS || '3600', 10);
+
+// Metered "upto" scheme: keypair of the delegate that payers approve and that
+// transfers the metered amount (pays its own fees). Unset disables the scheme.
+const X402_UPTO_DELEGATE_KEYPAIR = process.env.X402_UPTO_DELEGATE_KEYPAIR || null;
+
+// Built-in facilitator: serves /facilitator/{verify,settle,supported} and sponsors
+// transaction fees from this keypair. Unset disables it. It handles payments to
+// this server's treasury; payees lists other servers' addresses it also handles.
+// Each client's verify and settle requests are limited per window.
+const X402_FACILITATOR_KEYPAIR = process.env.X402_FACILITATOR_KEYPAIR || null;
+const X402_FACILITATOR_PAYEES = (process.env.X402_FACILITATOR_PAYEES || '')
+	.split(',')
+	.map((address) => address.trim())
+	.filter(Boolean);
+const X402_FACILITATOR_RATE_LIMIT_REQUESTS = Number.parseInt(process.env.X402_FACILITATOR_RATE_LIMIT_REQUESTS || '30', 10);
+const X402_FACILITATOR_RATE_LIMIT_WINDOW_MS = Number.parseInt(process.env.X402_FACILITATOR_RATE_LIMIT_WINDOW_MS || '60000', 10);
+
+// Settlement mode: 'async' settles after the response is sent, 'sync' settles
+// first and returns the receipt in an X-PAYMENT-RESPONSE header
+const X402_SETTLEMENT_MODE = process.env.X402_SETTLEMENT_MODE || 'async';
+
+// Durable settlement queue (retries with exponential backoff, then dead-letters)
+const SETTLEMENT_QUEUE_STORE = process.env.SETTLEMENT_QUEUE_STORE || 'file';
+const SETTLEMENT_QUEUE_PATH = process.env.SETTLEMENT_QUEUE_PATH || 'settlement-queue.json';
+const SETTLEMENT_MAX_ATTEMPTS = Number.parseInt(process.env.SETTLEMENT_MAX_ATTEMPTS || '5', 10);
+const SETTLEMENT_RETRY_BASE_MS = Number.parseInt(process.env.SETTLEMENT_RETRY_BASE_MS || '2000', 10);
+const SETTLEMENT_POLL_INTERVAL_MS = Number.parseInt(process.env.SETTLEMENT_POLL_INTERVAL_MS || '5000', 10);
+
+// Used-payment ledger (replay protection)
+// Entries only need to outlive the payment's blockhash (~150 slots), after which
+// the transaction can no longer land and a replay fails simulation on its own.
+const PAYMENT_LEDGER_STORE = process.env.PAYMENT_LEDGER_STORE || 'memory';
+const PAYMENT_LEDGER_PATH = process.env.PAYMENT_LEDGER_PATH || 'payment-ledger.json';
+const PAYMENT_LEDGER_TTL_SECONDS = Number.parseInt(process.env.PAYMENT_LEDGER_TTL_SECONDS || '180', 10);
+
+// Wallet pricing tiers: allowlist file mapping payer wallets to tiers, and how
+// long a signed payer identity (x402-Signature) stays valid
+const PRICING_TIERS_PATH = process.env.PRICING_TIERS_PATH || 'pricing-tiers.json';
+const PAYER_IDENTITY_MAX_AGE_SECONDS = Number.parseInt(process.env.PAYER_IDENTITY_MAX_AGE_SECONDS || '300', 10);
+
+// Congestion-based dynamic pricing: scales mempool prices by upstream load
+// 'queue' uses the mempool.space rate limiter depth, 'mempool' the Bitcoin mempool size
+const DYNAMIC_PRICING = process.env.DYNAMIC_PRICING || 'off';
+const DYNAMIC_PRICING_FLOOR = Number.parseFloat(process.env.DYNAMIC_PRICING_FLOOR || '1');
+const DYNAMIC_PRICING_CEILING = Number.parseFloat(process.env.DYNAMIC_PRICING_CEILING || '3');
+const DYNAMIC_PRICING_MEMPOOL_TARGET_VSIZE = Number.parseInt(process.env.DYNAMIC_PRICING_MEMPOOL_TARGET_VSIZE || '10000000', 10);
+const DYNAMIC_PRICING_REFRESH_MS = Number.parseInt(process.env.DYNAMIC_PRICING_REFRESH_MS || '15000', 10);
+
 // Parse PORT first so we can use it to derive BASE_API_URL
 const parsedPort = Number.parseInt(process.env.PORT || '3000', 10);
 if (!Number.isSafeInteger(parsedPort) || parsedPort <= 0 || parsedPort > 65535) {
@@ -54,6 +164,26 @@ if (!Number.isSafeInteger(parsedPort) || parsedPort <= 0 || parsedPort > 65535)
 // BASE_API_URL is optional - defaults to http://localhost:PORT
 const BASE_API_URL = process.env.BASE_API_URL || `http://localhost:${parsedPort}`;
 
+// Sandbox network: payments settle against an in-process mock ledger, where every
+// wallet starts with this many whole units of SOL and of each sandbox token
+const SANDBOX = X402_NETWORK === SANDBOX_NETWORK;
+const SANDBOX_STARTING_BALANCE = Number.parseInt(process.env.SANDBOX_STARTING_BALANCE || '100', 10);
+
+// Facilitators in order of preference (FACILITATOR_URL is a one-entry list)
+// With the built-in facilitator enabled, use it unless others are configured
+const FACILITATOR_URLS_SETTING = process.env.FACILITATOR_URLS || process.env.FACILITATOR_URL;
+const FACILITATOR_URLS = SANDBOX ? [] : (FACILITATOR_URLS_SETTING
+	|| (X402_FACILITATOR_KEYPAIR ? `${BASE_API_URL}/facilitator` : 'https://facilitator.payai.network'))
+	.split(',')
+	.map((url) => url.trim().replace(/\/+$/, ''))
+	.filter(Boolean);
+
+// Per-facilitator circuit breaker and health probes
+const FACILITATOR_FAILURE_THRESHOLD = Number.parseInt(process.env.FACILITATOR_FAILURE_THRESHOLD || '3', 10);
+const FACILITATOR_COOLDOWN_MS = Number.parseInt(process.env.FACILITATOR_COOLDOWN_MS || '30000', 10);
+const FACILITATOR_PROBE_INTERVAL_MS = Number.parseInt(process.env.FACILITATOR_PROBE_INTERVAL_MS || '15000', 10);
+const FACILITATOR_TIMEOUT_MS = Number.parseInt(process.env.FACILITATOR_TIMEOUT_MS || '10000', 10);
+
 // Bitcoin configuration
 const BITCOIN_NETWORK = process.env.BITCOIN_NETWORK || 'testnet';
 const BITCOIN_RPC_URL = process.env.BITCOIN_RPC_URL;
@@ -76,6 +206,154 @@ if (!Number.isSafeInteger(MEMPOOL_RATE_LIMIT_WINDOW_MS) || MEMPOOL_RATE_LIMIT_WI
 	process.exit(1);
 }
 
+// Resolve the payment network: RPC endpoint, mints and decimals all derive from X402_NETWORK
+/** @type {import('./networks.js').ResolvedNetwork} */
+let network;
+try {
+	network = resolveNetwork(X402_NETWORK);
+} catch (error) {
+	console.error(`❌ ${error.message}`);
+	process.exit(1);
+}
+
+// Every payment token must exist on the selected network
+for (const symbol of new Set([PAYMENT_TOKEN, ...ACCEPTED_PAYMENT_TOKENS])) {
+	if (!network.tokens[symbol]) {
+		console.error(
+			`❌ Invalid payment token ${symbol}: not available on ${network.id} `
+			+ `(available: ${Object.keys(network.tokens).join(', ')}; set ${symbol}_MINT to add it)`
+		);
+		process.exit(1);
+	}
+}
+
+// Validate settlement mode
+if (X402_SETTLEMENT_MODE !== 'async' && X402_SETTLEMENT_MODE !== 'sync') {
+	console.error('❌ Invalid X402_SETTLEMENT_MODE: must be "async" or "sync"');
+	process.exit(1);
+}
+
+// Validate settlement queue configuration
+if (!['memory', 'file'].includes(SETTLEMENT_QUEUE_STORE)) {
+	console.error('❌ Invalid SETTLEMENT_QUEUE_STORE: must be "memory" or "file"');
+	process.exit(1);
+}
+
+for (const [key, value] of Object.entries({
+	SETTLEMENT_MAX_ATTEMPTS,
+	SETTLEMENT_RETRY_BASE_MS,
+	SETTLEMENT_POLL_INTERVAL_MS,
+})) {
+	if (!Number.isSafeInteger(value) || value <= 0) {
+		console.error(`❌ Invalid ${key}: must be a positive integer`);
+		process.exit(1);
+	}
+}
+
+// Validate payment ledger configuration
+if (!['memory', 'file', 'sqlite'].includes(PAYMENT_LEDGER_STORE)) {
+	console.error('❌ Invalid PAYMENT_LEDGER_STORE: must be "memory", "file" or "sqlite"');
+	process.exit(1);
+}
+
+// node:sqlite ships with Node 22.5+ and needs --experimental-sqlite before 22.13
+if (PAYMENT_LEDGER_STORE === 'sqlite') {
+	try {
+		createRequire(import.meta.url)('node:sqlite');
+	} catch {
+		console.error(`❌ PAYMENT_LEDGER_STORE=sqlite requires Node 22.5+ (22.5-22.12 with --experimental-sqlite), running ${process.version}`);
+		process.exit(1);
+	}
+}
+
+if (!Number.isSafeInteger(PAYMENT_LEDGER_TTL_SECONDS) || PAYMENT_LEDGER_TTL_SECONDS <= 0) {
+	console.error('❌ Invalid PAYMENT_LEDGER_TTL_SECONDS: must be a positive integer');
+	process.exit(1);
+}
+
+// Validate dynamic pricing configuration
+if (!['off', 'queue', 'mempool'].includes(DYNAMIC_PRICING)) {
+	console.error('❌ Invalid DYNAMIC_PRICING: must be "off", "queue" or "mempool"');
+	process.exit(1);
+}
+
+if (!(DYNAMIC_PRICING_FLOOR > 0) || !(DYNAMIC_PRICING_CEILING >= DYNAMIC_PRICING_FLOOR)) {
+	console.error('❌ Invalid DYNAMIC_PRICING_FLOOR/CEILING: floor must be positive and no greater than ceiling');
+	process.exit(1);
+}
+
+for (const [key, value] of Object.entries({
+	DYNAMIC_PRICING_MEMPOOL_TARGET_VSIZE,
+	DYNAMIC_PRICING_REFRESH_MS,
+	X402_MAX_TIMEOUT_SECONDS,
+})) {
+	if (!Number.isSafeInteger(value) || value <= 0) {
+		console.error(`❌ Invalid ${key}: must be a positive integer`);
+		process.exit(1);
+	}
+}
+
+if (!Number.isSafeInteger(PAYER_IDENTITY_MAX_AGE_SECONDS) || PAYER_IDENTITY_MAX_AGE_SECONDS <= 0) {
+	console.error('❌ Invalid PAYER_IDENTITY_MAX_AGE_SECONDS: must be a positive integer');
+	process.exit(1);
+}
+
+for (const [key, value] of Object.entries({
+	X402_FACILITATOR_RATE_LIMIT_REQUESTS,
+	X402_FACILITATOR_RATE_LIMIT_WINDOW_MS,
+})) {
+	if (!Number.isSafeInteger(value) || value <= 0) {
+		console.error(`❌ Invalid ${key}: must be a positive integer`);
+		process.exit(1);
+	}
+}
+
+for (const address of X402_FACILITATOR_PAYEES) {
+	try {
+		new PublicKey(address);
+	} catch {
+		console.error(`❌ Invalid X402_FACILITATOR_PAYEES entry ${address}: must be a Solana address`);
+		process.exit(1);
+	}
+}
+
+// Validate facilitator configuration
+if (SANDBOX && FACILITATOR_URLS_SETTING) {
+	console.error('❌ Invalid FACILITATOR_URLS: facilitators cannot settle on the sandbox network (payments settle in-process)');
+	process.exit(1);
+}
+
+if (!SANDBOX && FACILITATOR_URLS.length === 0) {
+	console.error('❌ Invalid FACILITATOR_URLS: must list at least one facilitator');
+	process.exit(1);
+}
+
+if (!Number.isSafeInteger(SANDBOX_STARTING_BALANCE) || SANDBOX_STARTING_BALANCE < 0) {
+	console.error('❌ Invalid SANDBOX_STARTING_BALANCE: must be a non-negative integer');
+	process.exit(1);
+}
+
+for (const url of FACILITATOR_URLS) {
+	try {
+		new URL(url);
+	} catch {
+		console.error(`❌ Invalid FACILITATOR_URLS entry ${url}: must be a valid absolute URL`);
+		process.exit(1);
+	}
+}
+
+for (const [key, value] of Object.entries({
+	FACILITATOR_FAILURE_THRESHOLD,
+	FACILITATOR_COOLDOWN_MS,
+	FACILITATOR_PROBE_INTERVAL_MS,
+	FACILITATOR_TIMEOUT_MS,
+})) {
+	if (!Number.isSafeInteger(value) || value <= 0) {
+		console.error(`❌ Invalid ${key}: must be a positive integer`);
+		process.exit(1);
+	}
+}
+
 // Validate all required environment variables
 for (const [key, value] of Object.entries(requiredEnvVars)) {
 	if (!value) {
@@ -91,6 +369,12 @@ if (treasuryWalletAddress.length === 0) {
 	process.exit(1);
 }
 
+// A quote issued just before a rotation must stay payable until it expires
+if (!Number.isSafeInteger(TREASURY_GRACE_PERIOD_SECONDS) || TREASURY_GRACE_PERIOD_SECONDS < X402_MAX_TIMEOUT_SECONDS) {
+	console.error(`❌ Invalid TREASURY_GRACE_PERIOD_SECONDS: must be an integer of at least X402_MAX_TIMEOUT_SECONDS (${X402_MAX_TIMEOUT_SECONDS})`);
+	process.exit(1);
+}
+
 // Validate BASE_API_URL format
 try {
 	new URL(BASE_API_URL);
@@ -110,18 +394,66 @@ if (!['testnet', 'mainnet'].includes(BITCOIN_NETWORK)) {
 export const config = {
 	treasury: {
 		walletAddress: treasuryWalletAddress,
+		rotationsPath: TREASURY_ROTATIONS_PATH,
+		gracePeriodSeconds: TREASURY_GRACE_PERIOD_SECONDS,
 	},
 	api: {
 		baseUrl: BASE_API_URL,
 		port: parsedPort,
 	},
 	x402: {
-		network: X402_NETWORK,
-		facilitatorUrl: FACILITATOR_URL,
-		usdc: {
-			// USDC token address on Solana devnet
-			address: '4zMMC9srt5Ri5X14GAgXhaHii3GnPAEERYPJgZJDncDU',
-			decimals: 6,
+		network: network.id,
+		networkName: network.name,
+		cluster: network.cluster,
+		rpcUrl: network.rpcUrl,
+		tokens: network.tokens,
+		paymentToken: PAYMENT_TOKEN,
+		acceptedTokens: ACCEPTED_PAYMENT_TOKENS,
+		maxTimeoutSeconds: X402_MAX_TIMEOUT_SECONDS,
+		upto: {
+			delegateKeypairPath: X402_UPTO_DELEGATE_KEYPAIR,
+		},
+		sandbox: {
+			startingBalance: SANDBOX_STARTING_BALANCE,
+		},
+		facilitators: {
+			urls: FACILITATOR_URLS,
+			failureThreshold: FACILITATOR_FAILURE_THRESHOLD,
+			cooldownMs: FACILITATOR_COOLDOWN_MS,
+			probeIntervalMs: FACILITATOR_PROBE_INTERVAL_MS,
+			timeoutMs: FACILITATOR_TIMEOUT_MS,
+		},
+		facilitator: {
+			feePayerKeypairPath: X402_FACILITATOR_KEYPAIR,
+			payees: X402_FACILITATOR_PAYEES,
+			rateLimitRequests: X402_FACILITATOR_RATE_LIMIT_REQUESTS,
+			rateLimitWindowMs: X402_FACILITATOR_RATE_LIMIT_WINDOW_MS,
+		},
+		settlement: {
+			mode: X402_SETTLEMENT_MODE,
+			store: SETTLEMENT_QUEUE_STORE,
+			path: SETTLEMENT_QUEUE_PATH,
+			maxAttempts: SETTLEMENT_MAX_ATTEMPTS,
+			retryBaseMs: SETTLEMENT_RETRY_BASE_MS,
+			pollIntervalMs: SETTLEMENT_POLL_INTERVAL_MS,
+		},
+		ledger: {
+			store: PAYMENT_LEDGER_STORE,
+			path: PAYMENT_LEDGER_PATH,
+			ttlSeconds: PAYMENT_LEDGER_TTL_SECONDS,
+		},
+	},
+	pricing: {
+		tiersPath: PRICING_TIERS_PATH,
+		identityMaxAgeSeconds: PAYER_IDENTITY_MAX_AGE_SECONDS,
+		dynamic: {
+			source: /** @type {'off' | 'queue' | 'mempool'} */ (DYNAMIC_PRICING),
+			floor: DYNAMIC_PRICING_FLOOR,
+			ceiling: DYNAMIC_PRICING_CEILING,
+			// Prices start rising once a full rate limit window of requests is queued
+			queueTarget: MEMPOOL_RATE_LIMIT_REQUESTS,
+			mempoolTargetVsize: DYNAMIC_PRICING_MEMPOOL_TARGET_VSIZE,
+			refreshIntervalMs: DYNAMIC_PRICING_REFRESH_MS,
 		},
 	},
 	bitcoin: {
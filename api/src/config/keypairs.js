@@ -0,0 +1,23 @@
+// @ts-check
+import fs from 'fs';
+import { Keypair } from '@solana/web3.js';
+
+/**
+ * Load a server-side Solana keypair from a JSON secret key file
+ * (the format written by `solana-keygen new -o <file>`).
+ *
+ * @param {string | null} filePath - Unset disables the feature the keypair belongs to
+ * @param {string} description - Used in the error message (e.g., 'upto delegate')
+ * @returns {Keypair | null} Null if no file is configured
+ * @throws {Error} If the file cannot be read or is not a secret key
+ */
+export function loadKeypairFile(filePath, description) {
+	if (!filePath) {
+		return null;
+	}
+	try {
+		return Keypair.fromSecretKey(Uint8Array.from(JSON.parse(fs.readFileSync(filePath, 'utf8'))));
+	} catch (error) {
+		throw new Error(`Failed to load ${description} keypair from ${filePath}: ${error.message}`);
+	}
+}
@@ -0,0 +1,152 @@
+// @ts-check
+import {PublicKey} from '@solana/web3.js';
+
+/**
+ * Network & Token Registry
+ * Single source of truth for each X402_NETWORK: RPC endpoint, token mints and decimals.
+ * Switching networks is one setting; everything derived from it is validated at startup.
+ *
+ * The sandbox network has no RPC endpoint: payments settle against an in-process
+ * mock ledger (src/services/sandbox-ledger.js) for offline development and CI.
+ */
+
+/**
+ * @typedef {Object} TokenDefinition
+ * @property {string} mint - Mint address on this network
+ * @property {number} decimals
+ */
+
+/**
+ * @typedef {Object} NetworkDefinition
+ * @property {string} name - Human-readable name
+ * @property {'mainnet-beta' | 'devnet' | 'sandbox'} cluster - Solana cluster
+ * @property {string} rpcUrl - Default public RPC endpoint
+ * @property {Record<string, TokenDefinition>} tokens - Tokens available on this network, by symbol
+ */
+
+/**
+ * @typedef {Object} ResolvedNetwork
+ * @property {string} id - X402_NETWORK identifier
+ * @property {string} name
+ * @property {'mainnet-beta' | 'devnet' | 'sandbox'} cluster
+ * @property {string} rpcUrl - RPC endpoint after overrides
+ * @property {Record<string, TokenDefinition>} tokens - Tokens after mint overrides
+ */
+
+/** Wrapped SOL has the same mint on every cluster */
+const WRAPPED_SOL_MINT = 'So11111111111111111111111111111111111111112';
+
+/** X402_NETWORK value selecting the in-process sandbox ledger */
+export const SANDBOX_NETWORK = 'sandbox';
+
+/** @type {Record<string, NetworkDefinition>} */
+export const networkRegistry = {
+	solana: {
+		name: 'Solana Mainnet',
+		cluster: 'mainnet-beta',
+		rpcUrl: 'https://api.mainnet-beta.solana.com',
+		tokens: {
+			USDC: {mint: 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v', decimals: 6},
+			USDT: {mint: 'Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB', decimals: 6},
+			SOL: {mint: WRAPPED_SOL_MINT, decimals: 9},
+			BONK: {mint: 'DezXAZ8z7PnrnRJjz3wXBoRgixCa6xjnB7YaB1pPB263', decimals: 5},
+		},
+	},
+	'solana-devnet': {
+		name: 'Solana Devnet',
+		cluster: 'devnet',
+		rpcUrl: 'https://api.devnet.solana.com',
+		tokens: {
+			// Circle devnet USDC (https://faucet.circle.com)
+			USDC: {mint: '4zMMC9srt5Ri5X14GAgXhaHii3GnPAEERYPJgZJDncDU', decimals: 6},
+			SOL: {mint: WRAPPED_SOL_MINT, decimals: 9},
+		},
+	},
+	[SANDBOX_NETWORK]: {
+		name: 'Sandbox (offline)',
+		cluster: 'sandbox',
+		rpcUrl: 'sandbox:',
+		tokens: {
+			// Stand-in mint that exists only in the sandbox ledger
+			USDC: {mint: '8rpTTacweWSqh66gHf8ssJBGBQb778PHDNgFPgYayzU5', decimals: 6},
+			SOL: {mint: WRAPPED_SOL_MINT, decimals: 9},
+		},
+	},
+};
+
+/**
+ * Resolve a network from the registry, applying environment overrides
+ *
+ * Overrides:
+ * - SOLANA_RPC_URL: custom RPC endpoint
+ * - <SYMBOL>_MINT (e.g. USDC_MINT): custom mint for a token, or a token the
+ *   registry does not list for this network (with <SYMBOL>_DECIMALS)
+ *
+ * @param {string} networkId - X402_NETWORK value
+ * @param {Record<string, string | undefined>} [env] - Environment to read overrides from
+ * @returns {ResolvedNetwork}
+ * @throws {Error} If the network is unknown or an override is invalid or belongs to another network
+ */
+export function resolveNetwork(networkId, env = process.env) {
+	const definition = networkRegistry[networkId];
+	if (!definition) {
+		throw new Error(
+			`Unknown X402_NETWORK "${networkId}": must be one of ${Object.keys(networkRegistry).join(', ')}`
+		);
+	}
+
+	const rpcUrl = env.SOLANA_RPC_URL || definition.rpcUrl;
+	try {
+		new URL(rpcUrl);
+	} catch {
+		throw new Error(`Invalid SOLANA_RPC_URL: must be a valid absolute URL`);
+	}
+
+	/** @type {Record<string, TokenDefinition>} */
+	const tokens = {...definition.tokens};
+
+	const symbols = new Set(Object.values(networkRegistry).flatMap((network) => Object.keys(network.tokens)));
+	for (const symbol of symbols) {
+		const mintOverride = env[`${symbol}_MINT`];
+		if (!mintOverride) {
+			continue;
+		}
+
+		try {
+			new PublicKey(mintOverride);
+		} catch {
+			throw new Error(`Invalid ${symbol}_MINT: "${mintOverride}" is not a valid Solana address`);
+		}
+
+		// Catch the classic mistake of pointing a mainnet deployment at a devnet mint
+		for (const [otherId, other] of Object.entries(networkRegistry)) {
+			if (otherId !== networkId && other.tokens[symbol]?.mint === mintOverride
+				&& definition.tokens[symbol]?.mint !== mintOverride) {
+				throw new Error(`${symbol}_MINT is the ${otherId} mint, but X402_NETWORK is ${networkId}`);
+			}
+		}
+
+		const decimalsOverride = env[`${symbol}_DECIMALS`];
+		const decimals = decimalsOverride
+			? Number.parseInt(decimalsOverride, 10)
+			: tokens[symbol]?.decimals;
+		if (!Number.isSafeInteger(decimals) || /** @type {number} */ (decimals) < 0 || /** @type {number} */ (decimals) > 18) {
+			throw new Error(`${symbol}_DECIMALS must be set to an integer between 0 and 18 for a custom ${symbol} mint`);
+		}
+
+		tokens[symbol] = {mint: mintOverride, decimals: /** @type {number} */ (decimals)};
+	}
+
+	const mints = Object.values(tokens).map((token) => token.mint);
+	if (new Set(mints).size !== mints.length) {
+		throw new Error(`Two tokens share the same mint on ${networkId}`);
+	}
+
+	return {
+		id: networkId,
+		name: definition.name,
+		cluster: definition.cluster,
+		rpcUrl,
+		tokens,
+	};
+}
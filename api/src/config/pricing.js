@@ -1,83 +1,173 @@
 // @ts-check
 
 import Decimal from 'decimal.js';
+import {config} from './env.js';
 
 /**
  * Pricing Configuration for x402 Endpoints
- * Supports multiple SPL tokens with configurable decimals
+ * Prices are set in a reference currency (USD) and converted to each accepted
+ * SPL token at quote time, using the token's decimals and USD rate.
  *
  * All internal calculations use Decimal.js for arbitrary precision arithmetic
  * to prevent floating-point rounding errors in financial calculations.
  *
- * Token Examples:
- * - USDC (6 decimals): $0.01 = 10000
- * - USDT (6 decimals): $0.01 = 10000
- * - SOL (9 decimals): 0.01 SOL = 10000000
- * - BONK (5 decimals): 1 BONK = 100000
+ * Conversion Examples ($0.01):
+ * - USDC (6 decimals, $1.00): 10000
+ * - USDT (6 decimals, $1.00): 10000
+ * - SOL (9 decimals, $150.00): 66667
+ * - BONK (5 decimals, $0.00002): 50000000
  */
 
 /**
- * Supported SPL Tokens Configuration
+ * @typedef {Object} TokenInfo
+ * @property {number} decimals
+ * @property {string} symbol
+ * @property {string} name
+ * @property {string} mint
+ * @property {string | null} usdRate - USD value of one whole token (null if unknown)
  */
-export const tokenConfig = {
-	// USDC - Circle USD Coin
-	USDC: {
-		decimals: 6,
-		symbol: 'USDC',
-		name: 'USD Coin',
-		// Devnet mint: Gh9ZwEmdLJ8DscKNTkTqPbNwLNNBjuSzaG9Vp2KGtKJr
-		mint: process.env.USDC_MINT || 'Gh9ZwEmdLJ8DscKNTkTqPbNwLNNBjuSzaG9Vp2KGtKJr',
-	},
-	// USDT - Tether USD
-	USDT: {
-		decimals: 6,
-		symbol: 'USDT',
-		name: 'Tether USD',
-		mint: process.env.USDT_MINT || 'Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB',
-	},
-	// SOL - Native Solana
-	SOL: {
-		decimals: 9,
-		symbol: 'SOL',
-		name: 'Solana',
-		mint: 'So11111111111111111111111111111111111111112', // Native SOL wrapped mint
-	},
-	// BONK - Community Meme Coin
-	BONK: {
-		decimals: 5,
-		symbol: 'BONK',
-		name: 'Bonk',
-		mint: process.env.BONK_MINT || 'DezXAZ8z7PnrnRJjz3wXBoRgixCa6xjnB7YaB1pPB263',
-	},
+
+/**
+ * Read a token's USD rate from the environment
+ * Stablecoins default to 1; volatile tokens have no default and stay disabled
+ * until a rate is configured, so a missing rate can never mis-price a quote.
+ *
+ * @param {string} symbol - Token symbol
+ * @param {string | null} defaultRate - Default USD rate
+ * @returns {string | null}
+ */
+function parseRate(symbol, defaultRate) {
+	const value = process.env[`TOKEN_USD_RATE_${symbol}`];
+	if (!value) return defaultRate;
+
+	try {
+		const parsed = new Decimal(value);
+		if (parsed.isNaN() || parsed.lessThanOrEqualTo(0)) {
+			console.warn(`[PRICING] Invalid value for TOKEN_USD_RATE_${symbol}: ${value}, ignoring`);
+			return defaultRate;
+		}
+		return parsed.toString();
+	} catch (error) {
+		console.warn(`[PRICING] Error parsing TOKEN_USD_RATE_${symbol}: ${error.message}, ignoring`);
+		return defaultRate;
+	}
+}
+
+/**
+ * Display names and default USD rates for known token symbols
+ * Mints and decimals come from the network registry (see networks.js).
+ * @type {Record<string, {name: string, defaultRate: string | null}>}
+ */
+const tokenMetadata = {
+	USDC: {name: 'USD Coin', defaultRate: '1'},
+	USDT: {name: 'Tether USD', defaultRate: '1'},
+	SOL: {name: 'Solana', defaultRate: null},
+	BONK: {name: 'Bonk', defaultRate: null},
 };
 
 /**
- * Get active payment token configuration
- * @returns {Object} Token configuration
+ * Describe a network's tokens with display names and USD rates
+ *
+ * @param {Record<string, import('./networks.js').TokenDefinition>} tokens - Resolved network tokens, by symbol
+ * @returns {Record<string, TokenInfo>}
+ */
+export function createTokenTable(tokens) {
+	return Object.fromEntries(
+		Object.entries(tokens).map(([symbol, {mint, decimals}]) => [
+			symbol,
+			{
+				decimals,
+				symbol,
+				name: tokenMetadata[symbol]?.name || symbol,
+				mint,
+				usdRate: parseRate(symbol, tokenMetadata[symbol]?.defaultRate ?? null),
+			},
+		])
+	);
+}
+
+/**
+ * SPL tokens available on the configured network
+ * @type {Record<string, TokenInfo>}
+ */
+export const tokenConfig = createTokenTable(config.x402.tokens);
+
+/**
+ * Get primary payment token configuration
+ * The primary token is listed first in 402 responses.
+ * @returns {TokenInfo} Token configuration
+ * @throws {Error} If the primary token has no USD rate configured
  */
 export function getPaymentToken() {
-	const tokenSymbol = process.env.PAYMENT_TOKEN || 'USDC';
-	const token = tokenConfig[tokenSymbol];
+	const token = tokenConfig[config.x402.paymentToken];
 
-	if (!token) {
-		console.warn(`[PRICING] Unknown token: ${tokenSymbol}, defaulting to USDC`);
-		return tokenConfig.USDC;
+	if (!token.usdRate) {
+		throw new Error(`No TOKEN_USD_RATE_${token.symbol} configured for primary payment token ${token.symbol}`);
 	}
 
 	return token;
 }
 
 /**
- * Parse price from environment variable or use default
- * Uses Decimal.js for precise conversion to token's base units
+ * Get every token accepted for payment, primary token first
+ * Configured with ACCEPTED_PAYMENT_TOKENS (comma-separated symbols, validated
+ * against the network at startup). Tokens without a USD rate are skipped with a warning.
+ *
+ * @returns {TokenInfo[]}
+ */
+export function getAcceptedTokens() {
+	const primary = getPaymentToken();
+
+	/** @type {TokenInfo[]} */
+	const accepted = [primary];
+	for (const symbol of config.x402.acceptedTokens) {
+		const token = tokenConfig[symbol];
+		if (!token.usdRate) {
+			console.warn(`[PRICING] No TOKEN_USD_RATE_${symbol} configured, not accepting ${symbol}`);
+			continue;
+		}
+		if (!accepted.includes(token)) {
+			accepted.push(token);
+		}
+	}
+
+	return accepted;
+}
+
+/**
+ * Convert a reference (USD) price to a token's base units
+ * Rounds up so a conversion never undercharges, with a minimum of one unit.
+ *
+ * @param {number} usdPrice - Price in USD
+ * @param {TokenInfo} token - Token to convert to
+ * @returns {string} Amount in token base units
+ *
+ * @example
+ * convertToTokenUnits(0.01, tokenConfig.USDC) // "10000"
+ */
+export function convertToTokenUnits(usdPrice, token) {
+	if (!token.usdRate) {
+		throw new Error(`No USD rate configured for ${token.symbol}`);
+	}
+
+	const units = new Decimal(usdPrice)
+		.dividedBy(token.usdRate)
+		.times(new Decimal(10).pow(token.decimals))
+		.ceil();
+
+	return Decimal.max(units, 1).toFixed(0);
+}
+
+/**
+ * Parse a USD price from environment variable or use default
+ * Uses Decimal.js for precise parsing
  *
  * @param {string} envVar - Environment variable name
- * @param {number} defaultPrice - Default price in current token's base units
- * @returns {number} Price in base units (converted from Decimal to integer)
+ * @param {number} defaultPrice - Default price in USD
+ * @returns {number} Price in USD
  *
  * @example
- * // USDC with 6 decimals:
- * parsePrice('PRICE_FOO', 100000) // $0.10 = 100000 base units
+ * parsePrice('PRICE_FOO', 0.10) // $0.10
  */
 function parsePrice(envVar, defaultPrice) {
 	const value = process.env[envVar];
@@ -93,14 +183,7 @@ function parsePrice(envVar, defaultPrice) {
 			return defaultPrice;
 		}
 
-		// Convert to token's base units using configured decimals
-		// All arithmetic is done with Decimal for precision
-		const token = getPaymentToken();
-		const multiplier = new Decimal(10).pow(token.decimals);
-		const baseUnits = parsed.times(multiplier).floor();
-
-		// Convert back to number for storage (safe at this point since we're using integers)
-		return baseUnits.toNumber();
+		return parsed.toNumber();
 	} catch (error) {
 		console.warn(`[PRICING] Error parsing ${envVar}: ${error.message}, using default: ${defaultPrice}`);
 		return defaultPrice;
@@ -111,28 +194,32 @@ function parsePrice(envVar, defaultPrice) {
  * Pricing tiers configuration
  */
 export const pricingConfig = {
+	// Currency all prices below are expressed in
+	referenceCurrency: 'USD',
+
 	// Mempool.io Bridge Endpoints
 	mempool: {
 		// Address queries
-		addressInfo: parsePrice('PRICE_MEMPOOL_ADDRESS', 100000), // $0.10
-		addressTxs: parsePrice('PRICE_MEMPOOL_ADDRESS_TXS', 250000), // $0.25
+		addressInfo: parsePrice('PRICE_MEMPOOL_ADDRESS', 0.10),
+		addressTxs: parsePrice('PRICE_MEMPOOL_ADDRESS_TXS', 0.25),
+		addressTxsPerItem: parsePrice('PRICE_MEMPOOL_ADDRESS_TXS_PER_ITEM', 0.005), // metered ("upto"), per transaction
 
 		// Transaction queries
-		transaction: parsePrice('PRICE_MEMPOOL_TX', 100000), // $0.10
-		txStatus: parsePrice('PRICE_MEMPOOL_TX_STATUS', 50000), // $0.05
+		transaction: parsePrice('PRICE_MEMPOOL_TX', 0.10),
+		txStatus: parsePrice('PRICE_MEMPOOL_TX_STATUS', 0.05),
 
 		// Block queries
-		block: parsePrice('PRICE_MEMPOOL_BLOCK', 100000), // $0.10
+		block: parsePrice('PRICE_MEMPOOL_BLOCK', 0.10),
 
 		// Statistics & Fees (popular, should be cheap!)
-		fees: parsePrice('PRICE_MEMPOOL_FEES', 10000), // $0.01 (micropayment!)
-		stats: parsePrice('PRICE_MEMPOOL_STATS', 10000), // $0.01 (micropayment!)
+		fees: parsePrice('PRICE_MEMPOOL_FEES', 0.01), // micropayment!
+		stats: parsePrice('PRICE_MEMPOOL_STATS', 0.01), // micropayment!
 	},
 
 	// Bitcoin Ordinals (keep existing)
 	ordinals: {
-		inscription: parsePrice('PRICE_ORDINALS_INSCRIPTION', 1000000), // $1.00
-		batchInscription: parsePrice('PRICE_ORDINALS_BATCH', 900000), // $0.90 per inscription
+		inscription: parsePrice('PRICE_ORDINALS_INSCRIPTION', 1.00),
+		batchInscription: parsePrice('PRICE_ORDINALS_BATCH', 0.90), // per inscription
 	},
 
 	// Multipliers for different usage tiers (future feature)
@@ -151,7 +238,7 @@ export const pricingConfig = {
  * @param {string} category - Category (e.g., 'mempool', 'ordinals')
  * @param {string} endpoint - Endpoint name (e.g., 'addressInfo', 'fees')
  * @param {string} [tier='basic'] - Pricing tier
- * @returns {number} Price in token base units (converted from Decimal to integer)
+ * @returns {number} Price in the reference currency (USD)
  *
  * @example
  * // Get price for mempool address query with premium tier
@@ -170,75 +257,49 @@ export function getPrice(category, endpoint, tier = 'basic') {
 	// Use Decimal for precise tier multiplier calculations
 	const basePriceDecimal = new Decimal(basePrice);
 	const multiplierDecimal = new Decimal(tierMultiplier);
-	const finalPrice = basePriceDecimal.times(multiplierDecimal).floor();
+	const finalPrice = basePriceDecimal.times(multiplierDecimal);
 
-	// Convert back to number for return (safe since result is integer)
 	return finalPrice.toNumber();
 }
 
 /**
- * Format price for display
- * Uses Decimal.js for precise conversion from base units to display amount
+ * Format a reference (USD) price for display
  *
- * @param {number} priceInTokenUnits - Price in token's base units
- * @returns {string} Formatted price (e.g., "$0.10", "0.01 SOL")
+ * @param {number} usdPrice - Price in USD
+ * @returns {string} Formatted price (e.g., "$0.10")
  *
  * @example
- * // USDC with 6 decimals:
- * formatPrice(100000) // Returns "$0.10"
- * // SOL with 9 decimals:
- * formatPrice(10000000) // Returns "0.01 SOL"
+ * formatPrice(0.1) // Returns "$0.10"
  */
-export function formatPrice(priceInTokenUnits) {
-	const token = getPaymentToken();
-
-	// Use Decimal for precise division from base units
-	const priceDecimal = new Decimal(priceInTokenUnits);
-	const divisor = new Decimal(10).pow(token.decimals);
-	const amount = priceDecimal.dividedBy(divisor);
-
-	// Format to appropriate precision (4 decimals or token decimals, whichever is less)
-	const maxDecimals = Math.min(4, token.decimals);
-	const formatted = amount.toFixed(maxDecimals).replace(/\.?0+$/, '');
-
-	// For USD-pegged tokens, use $ prefix
-	if (token.symbol === 'USDC' || token.symbol === 'USDT') {
-		return `$${formatted}`;
-	}
-
-	return `${formatted} ${token.symbol}`;
+export function formatPrice(usdPrice) {
+	const amount = new Decimal(usdPrice);
+	// At least cents, up to 4 decimals for micropayments
+	const formatted = amount.decimalPlaces() > 2 ? amount.toFixed(Math.min(4, amount.decimalPlaces())) : amount.toFixed(2);
+	return `$${formatted}`;
 }
 
 /**
- * Get all pricing info (for documentation/display)
- * @returns {Object}
+ * Format a token amount in base units for display
+ * Uses Decimal.js for precise conversion from base units to display amount
+ *
+ * @param {string | number} baseUnits - Amount in token's base units
+ * @param {TokenInfo} token - Token the amount is denominated in
+ * @returns {string} Formatted amount (e.g., "0.1 USDC", "0.000066667 SOL")
  */
-export function getAllPricing() {
-	return {
-		mempool: {
-			'GET /api/mempool/address/:address': formatPrice(pricingConfig.mempool.addressInfo),
-			'GET /api/mempool/address/:address/txs': formatPrice(pricingConfig.mempool.addressTxs),
-			'GET /api/mempool/tx/:txid': formatPrice(pricingConfig.mempool.transaction),
-			'GET /api/mempool/tx/:txid/status': formatPrice(pricingConfig.mempool.txStatus),
-			'GET /api/mempool/block/:hash': formatPrice(pricingConfig.mempool.block),
-			'GET /api/mempool/fees': formatPrice(pricingConfig.mempool.fees),
-			'GET /api/mempool/stats': formatPrice(pricingConfig.mempool.stats),
-		},
-		ordinals: {
-			'POST /api/inscribe': formatPrice(pricingConfig.ordinals.inscription),
-			'POST /api/ordinals/batch': `${formatPrice(pricingConfig.ordinals.batchInscription)}/inscription`,
-		},
-	};
+export function formatTokenAmount(baseUnits, token) {
+	const amount = new Decimal(baseUnits).dividedBy(new Decimal(10).pow(token.decimals));
+	return `${amount.toFixed()} ${token.symbol}`;
 }
 
 // Log pricing on module load
-const activeToken = getPaymentToken();
+const acceptedTokens = getAcceptedTokens();
 console.log('[PRICING] Configuration loaded:');
-console.log(`[PRICING] Payment Token: ${activeToken.name} (${activeToken.symbol})`);
-console.log(`[PRICING] Token Decimals: ${activeToken.decimals}`);
+console.log(`[PRICING] Reference currency: ${pricingConfig.referenceCurrency}`);
+console.log(`[PRICING] Network: ${config.x402.networkName}`);
+console.log(`[PRICING] Accepted tokens: ${acceptedTokens.map((token) => token.symbol).join(', ')}`);
 console.log('[PRICING] Mempool endpoints:');
 console.log(`  - Address info: ${formatPrice(pricingConfig.mempool.addressInfo)}`);
-console.log(`  - Address txs: ${formatPrice(pricingConfig.mempool.addressTxs)}`);
+console.log(`  - Address txs: ${formatPrice(pricingConfig.mempool.addressTxs)} (metered: ${formatPrice(pricingConfig.mempool.addressTxsPerItem)}/tx)`);
 console.log(`  - Transaction: ${formatPrice(pricingConfig.mempool.transaction)}`);
 console.log(`  - TX status: ${formatPrice(pricingConfig.mempool.txStatus)}`);
 console.log(`  - Block: ${formatPrice(pricingConfig.mempool.block)}`);
@@ -1,6 +1,6 @@
 // @ts-check
 import swaggerJsdoc from 'swagger-jsdoc';
-import { getAllPricing } from './pricing.js';
+import { config } from './env.js';
 
 /**
  * OpenAPI 3.1 Specification Configuration
@@ -30,7 +30,7 @@ const options = {
 - Mempool.io Bridge for Bitcoin data queries (Production)
 - Bitcoin address generation and validation (Beta)
 - Ordinals query capabilities (Beta)
-- Solana Devnet USDC payments via x402 protocol
+- ${config.x402.networkName} SPL token payments via x402 protocol
 
 ## x402 Payment Protocol
 All marked endpoints require x402 payment header for access. Include payment information in the request header.
@@ -39,6 +39,12 @@ All marked endpoints require x402 payment header for access. Include payment inf
 - Endpoints marked with lock icon (🔐) require x402 payment
 - Free endpoints are available without payment
 - Pricing varies by operation complexity and network demand
+- Current prices for every paid endpoint and accepted token are published at \`GET /api/v1/pricing\`
+- Payments are settled only for successful responses; failed lookups are voided and never charged
+- Self-hosted deployments can serve their own facilitator at \`/facilitator\` (verify, settle, supported), sponsoring transaction fees
+- With \`X402_NETWORK=sandbox\` payments are verified and settled against an in-process ledger for offline development and CI
+- Variable-size endpoints may also accept the \`upto\` scheme: approve the quoted maximum to the listed delegate and only the metered amount is transferred
+- Wallets on a discounted pricing tier prove ownership with \`x402-PublicKey\`, \`x402-Timestamp\` and \`x402-Signature\` (base64 ed25519 signature of \`x402-identity:<wallet>:<timestamp>\`) and must pay from that wallet
 
 ### Beta Notice
 Beta endpoints ([BETA] prefix) are under active development and may change based on feedback. Production endpoints (v1) are stable and ready for integration.`,
@@ -340,6 +346,8 @@ Beta endpoints ([BETA] prefix) are under active development and may change based
 	},
 	apis: [
 		'./src/routes/mempool.routes.js',
+		'./src/routes/pricing.routes.js',
+		'./src/routes/facilitator.routes.js',
 		'./src/routes/bitcoin.routes.js',
 		'./src/routes/inscribe.routes.js',
 		'./src/routes/ordinals.routes.js',
@@ -0,0 +1,96 @@
+// @ts-check
+import { config } from '../config/env.js';
+import { SANDBOX_NETWORK, networkRegistry, resolveNetwork } from '../config/networks.js';
+import { createTokenTable } from '../config/pricing.js';
+import { createConfigurationError } from './errors.js';
+
+/**
+ * Network Settings for the MCP Payment Client
+ * The cluster the agent wallet pays on, independent of the API server's own
+ * X402_NETWORK (which it defaults to). Payments quoted for any other network
+ * are refused.
+ *
+ * - MCP_NETWORK: x402 network identifier (solana | solana-devnet | sandbox)
+ * - MCP_RPC_URL: RPC endpoint (defaults to the network's public endpoint, or
+ *   SOLANA_RPC_URL when MCP_NETWORK is the server's network)
+ * - MCP_FALLBACK_RPC_URLS: comma-separated endpoints tried when the RPC is unreachable
+ * - MCP_COMMITMENT: processed | confirmed | finalized (default: confirmed)
+ */
+
+/** Commitment levels the client can read balances and accounts at */
+export const COMMITMENT_LEVELS = ['processed', 'confirmed', 'finalized'];
+
+/**
+ * @typedef {Object} ClientNetwork
+ * @property {string} id - x402 network identifier payments must name
+ * @property {string} name
+ * @property {string[]} rpcUrls - Primary endpoint first, then fallbacks (empty for the sandbox)
+ * @property {import('@solana/web3.js').Commitment} commitment
+ * @property {Record<string, import('../config/pricing.js').TokenInfo>} tokens - Tokens on this network, by symbol
+ */
+
+/**
+ * @param {string} name - Setting name
+ * @param {string} url
+ */
+function validateRpcUrl(name, url) {
+	try {
+		const { protocol } = new URL(url);
+		if (protocol !== 'https:' && protocol !== 'http:') {
+			throw new Error(protocol);
+		}
+	} catch {
+		throw createConfigurationError(`${name} must be an http(s) URL, got "${url}"`);
+	}
+}
+
+/**
+ * Read the client's network settings from the environment
+ *
+ * @param {NodeJS.ProcessEnv} [env]
+ * @returns {ClientNetwork}
+ * @throws {import('@modelcontextprotocol/sdk/types.js').McpError} If a setting is invalid
+ */
+export function loadClientNetwork(env = process.env) {
+	const id = env.MCP_NETWORK?.trim() || config.x402.network;
+	if (!networkRegistry[id]) {
+		throw createConfigurationError(
+			`Unknown MCP_NETWORK "${id}": must be one of ${Object.keys(networkRegistry).join(', ')}`
+		);
+	}
+
+	const commitment = env.MCP_COMMITMENT?.trim() || 'confirmed';
+	if (!COMMITMENT_LEVELS.includes(commitment)) {
+		throw createConfigurationError(`MCP_COMMITMENT must be one of ${COMMITMENT_LEVELS.join(', ')}, got "${commitment}"`);
+	}
+
+	// The server's RPC override only applies to the server's network
+	const rpcUrl = env.MCP_RPC_URL?.trim() || (id === config.x402.network ? env.SOLANA_RPC_URL : undefined);
+	if (env.MCP_RPC_URL?.trim()) {
+		validateRpcUrl('MCP_RPC_URL', env.MCP_RPC_URL.trim());
+	}
+
+	const fallbackRpcUrls = env.MCP_FALLBACK_RPC_URLS?.split(',').map((url) => url.trim()).filter(Boolean) || [];
+	for (const url of fallbackRpcUrls) {
+		validateRpcUrl('MCP_FALLBACK_RPC_URLS', url);
+	}
+
+	let network;
+	try {
+		network = resolveNetwork(id, { ...env, SOLANA_RPC_URL: rpcUrl });
+	} catch (error) {
+		throw createConfigurationError(error.message);
+	}
+
+	if (id === SANDBOX_NETWORK && (env.MCP_RPC_URL || fallbackRpcUrls.length > 0)) {
+		throw createConfigurationError('MCP_RPC_URL and MCP_FALLBACK_RPC_URLS cannot be used with the sandbox network');
+	}
+
+	return {
+		id: network.id,
+		name: network.name,
+		rpcUrls: id === SANDBOX_NETWORK ? [] : [network.rpcUrl, ...fallbackRpcUrls],
+		commitment: /** @type {import('@solana/web3.js').Commitment} */ (commitment),
+		tokens: createTokenTable(network.tokens),
+	};
+}
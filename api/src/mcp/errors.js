@@ -10,14 +10,22 @@ import { McpError, ErrorCode } from '@modelcontextprotocol/sdk/types.js';
  * Create an MCP error for insufficient funds
  * @param {string} walletAddress - Wallet address that lacks funds
  * @param {string} [requiredAmount] - Required amount in human-readable format
+ * @param {string} [availableAmount] - Current balance in human-readable format
+ * @param {string} [fundingUrl] - Where to get more of the token
  * @returns {McpError} MCP formatted error
  */
-export function createInsufficientFundsError(walletAddress, requiredAmount = '$1.00 USDC') {
+export function createInsufficientFundsError(
+	walletAddress,
+	requiredAmount = '$1.00 USDC',
+	availableAmount = '',
+	fundingUrl = 'https://faucet.circle.com'
+) {
 	return new McpError(
 		ErrorCode.InternalError,
 		`Insufficient funds in wallet ${walletAddress}. ` +
 		`Required: ${requiredAmount}. ` +
-		`Please fund your wallet at https://faucet.circle.com`
+		`${availableAmount ? `Available: ${availableAmount}. ` : ''}` +
+		`Please fund your wallet at ${fundingUrl}`
 	);
 }
 
@@ -76,6 +84,72 @@ export function createConfigurationError(configIssue) {
 	);
 }
 
+/**
+ * Create an MCP error for a payment refused by the client's spending limits
+ * @param {string} reason - Which limit or allowlist refused the payment
+ * @returns {McpError} MCP formatted error
+ */
+export function createSpendingLimitError(reason) {
+	return new McpError(
+		ErrorCode.InvalidRequest,
+		`Payment refused by spending limits: ${reason}. ` +
+		`No payment was made. Adjust the MCP_MAX_PAYMENT_* or MCP_ALLOWED_* settings to allow it.`
+	);
+}
+
+/**
+ * Create an MCP error for a payment quoted on another network
+ * @param {string} quotedNetwork - Network(s) the server asks payment on
+ * @param {string} clientNetwork - Network the client is configured for
+ * @returns {McpError} MCP formatted error
+ */
+export function createNetworkMismatchError(quotedNetwork, clientNetwork) {
+	return new McpError(
+		ErrorCode.InvalidRequest,
+		`Payment network mismatch: the server asks for payment on ${quotedNetwork}, ` +
+		`but this client pays on ${clientNetwork}. No payment was made. ` +
+		`Set MCP_NETWORK to match the API server if this is intended.`
+	);
+}
+
+/**
+ * Create an MCP error for a quote above the caller's max_price
+ * @param {string} quote - Quoted amount in human-readable format
+ * @param {string | number} maxPrice - Caller's ceiling in USD
+ * @returns {McpError} MCP formatted error
+ */
+export function createPriceExceededError(quote, maxPrice) {
+	return new McpError(
+		ErrorCode.InvalidRequest,
+		`Quoted price ${quote} exceeds max_price of $${maxPrice}. ` +
+		`No payment was made. Retry with a higher max_price to accept it.`
+	);
+}
+
+/**
+ * Create an MCP error for a payment that was not approved
+ * @param {string} reason - Why approval was not given
+ * @returns {McpError} MCP formatted error
+ */
+export function createPaymentApprovalError(reason) {
+	return new McpError(
+		ErrorCode.InvalidRequest,
+		`Payment not approved: ${reason}. No payment was made.`
+	);
+}
+
+/**
+ * Create an MCP error for a payment the signing daemon refused to sign
+ * @param {string} reason - Why the signer refused (e.g., its own policy)
+ * @returns {McpError} MCP formatted error
+ */
+export function createSignerRefusedError(reason) {
+	return new McpError(
+		ErrorCode.InvalidRequest,
+		`Payment refused by the signer: ${reason}. No payment was made.`
+	);
+}
+
 /**
  * Parse HTTP error and convert to appropriate MCP error
  * @param {Error} error - Original error from HTTP request
@@ -83,6 +157,11 @@ export function createConfigurationError(configIssue) {
  * @returns {McpError} MCP formatted error
  */
 export function parseHttpError(error, endpoint) {
+	// Already an MCP error (e.g., refused by spending limits)
+	if (error instanceof McpError) {
+		return error;
+	}
+
 	// Check if it's an axios error with response
 	if (error.response) {
 		const status = error.response.status;
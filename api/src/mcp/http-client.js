@@ -2,16 +2,35 @@
 import {
 	Connection,
 	Keypair,
+	LAMPORTS_PER_SOL,
 	PublicKey,
-	SystemProgram,
 	Transaction,
-	clusterApiUrl,
+	TransactionMessage,
+	VersionedTransaction,
 } from '@solana/web3.js';
 import {
-	createTransferInstruction,
+	TOKEN_PROGRAM_ID,
+	TOKEN_2022_PROGRAM_ID,
+	createAssociatedTokenAccountIdempotentInstruction,
+	createTransferCheckedInstruction,
+	getAccountLenForMint,
 	getAssociatedTokenAddress,
+	getMint,
+	unpackAccount,
 } from '@solana/spl-token';
 import { config } from '../config/env.js';
+import { payerIdentityMessage } from '../services/wallet-tiers.js';
+import { createConnection } from '../services/solana-connection.js';
+import { quotePayment } from './spending-limits.js';
+import { loadClientNetwork } from './client-network.js';
+import { createKeypairSigner } from './signers.js';
+import { getWalletBalances, lowBalanceWarnings } from './wallet-balance.js';
+import {
+	createInsufficientFundsError,
+	createNetworkMismatchError,
+	createPaymentApprovalError,
+	createPriceExceededError,
+} from './errors.js';
 
 /**
  * HTTP Client Factory for MCP Server
@@ -22,16 +41,10 @@ import { config } from '../config/env.js';
 /**
  * Create wallet adapter for x402-solana from Keypair
  * @param {Keypair} keypair - Solana keypair
- * @returns {Object} WalletAdapter interface
+ * @returns {import('./signers.js').PaymentSigner} WalletAdapter interface
  */
 export function createWalletAdapter(keypair) {
-	return {
-		publicKey: keypair.publicKey,
-		signTransaction: async (tx) => {
-			tx.sign([keypair]);
-			return tx;
-		},
-	};
+	return createKeypairSigner(keypair);
 }
 
 /**
@@ -44,132 +57,411 @@ export function createSolanaSigner(keypair, connection) {
 	return createWalletAdapter(keypair);
 }
 
+/**
+ * @typedef {Object} PaymentClientOptions
+ * @property {'legacy' | 0} [transactionVersion] - Transaction format to build (default: 'legacy')
+ * @property {string[]} [addressLookupTables] - Lookup table addresses to compile v0 messages against
+ * @property {string[]} [preferredTokens] - Token symbols or mints to pay with, in order of preference
+ * @property {import('./spending-limits.js').SpendingLimits} [spendingLimits] - Limits every payment is checked against (none by default)
+ * @property {(request: import('./payment-approval.js').PaymentApprovalRequest) => Promise<boolean>} [approvePayment] - Asked before paying; false declines the payment
+ * @property {boolean} [createTokenAccounts] - Create the payee's token account when missing, paying its rent
+ *   unless a facilitator sponsors the transaction (default: false)
+ * @property {import('./client-network.js').ClientNetwork} [network] - Network to pay on, with its RPC endpoints (default: from MCP_* settings)
+ * @property {import('./payment-history.js').PaymentHistory} [paymentHistory] - Records the outcome of every payment attempt
+ * @property {import('./wallet-balance.js').LowBalanceThresholds} [lowBalance] - Check balances after each payment and warn below these
+ */
+
+/** Base fee per transaction signature */
+const LAMPORTS_PER_SIGNATURE = 5000;
+
+/**
+ * @typedef {Object} PaymentRequestOptions
+ * @property {string | number} [maxPrice] - Highest USD price this request may pay (valued with this client's token rates)
+ */
+
+/**
+ * Choose which of the server's accepted payment options to pay with
+ * Only the "exact" scheme on the client's network is supported; other options are skipped.
+ * @param {Object[]} accepts - Payment requirements from the 402 response
+ * @param {string} network - Network the client pays on
+ * @param {string[]} [preferredTokens] - Token symbols or mints, in order of preference
+ * @returns {Object | undefined} Chosen requirements (the server's first option by default)
+ */
+function choosePaymentRequirements(accepts, network, preferredTokens = []) {
+	accepts = accepts.filter((requirements) =>
+		(requirements.scheme || 'exact') === 'exact' && requirements.network === network
+	);
+
+	for (const preferred of preferredTokens) {
+		const match = accepts.find(
+			(requirements) => requirements.asset === preferred || requirements.extra?.symbol === preferred.toUpperCase()
+		);
+		if (match) {
+			return match;
+		}
+	}
+	return accepts[0];
+}
+
+/**
+ * Resolve which token program owns a mint (classic Token Program or Token-2022)
+ * @param {Connection} connection - Solana connection
+ * @param {PublicKey} mint - Token mint address
+ * @returns {Promise<PublicKey>} Owning token program ID
+ */
+async function resolveTokenProgram(connection, mint) {
+	const mintAccount = await connection.getAccountInfo(mint);
+	if (!mintAccount) {
+		throw new Error(`Payment asset ${mint.toBase58()} does not exist on this cluster`);
+	}
+
+	if (mintAccount.owner.equals(TOKEN_PROGRAM_ID) || mintAccount.owner.equals(TOKEN_2022_PROGRAM_ID)) {
+		return mintAccount.owner;
+	}
+
+	throw new Error(`Payment asset ${mint.toBase58()} is not an SPL token mint`);
+}
+
 /**
  * Build Solana payment transaction from x402 requirements
  * @param {Object} paymentRequirements - Payment requirements from 402 response
- * @param {Keypair} keypair - Payer keypair
+ * @param {PublicKey} payer - Payer wallet
  * @param {Connection} connection - Solana connection
- * @returns {Promise<Transaction>} Signed transaction
+ * @param {import('./client-network.js').ClientNetwork} network - Network settings (commitment and tokens)
+ * @param {PaymentClientOptions} [options] - Transaction format options
+ * @returns {Promise<Transaction | VersionedTransaction>} Unsigned transaction
  */
 async function buildPaymentTransaction(
 	paymentRequirements,
-	keypair,
-	connection
+	payer,
+	connection,
+	network,
+	options = {}
 ) {
 	const payTo = new PublicKey(paymentRequirements.payTo);
 	const asset = new PublicKey(paymentRequirements.asset);
 	const amount = BigInt(paymentRequirements.maxAmountRequired);
 
+	// A facilitator that names a fee payer sponsors the transaction: it pays the
+	// fees (and any token account rent) and adds the fee payer signature itself
+	const sponsor = paymentRequirements.extra?.feePayer ? new PublicKey(paymentRequirements.extra.feePayer) : null;
+	const feePayer = sponsor || payer;
+
+	// Token-2022 mints use their own program and ATA derivation
+	const tokenProgramId = await resolveTokenProgram(connection, asset);
+	const mint = await getMint(connection, asset, network.commitment, tokenProgramId);
+
 	// Get associated token addresses
-	const fromAta = await getAssociatedTokenAddress(asset, keypair.publicKey);
-	const toAta = await getAssociatedTokenAddress(asset, payTo);
+	const fromAta = await getAssociatedTokenAddress(asset, payer, false, tokenProgramId);
+	const toAta = await getAssociatedTokenAddress(asset, payTo, true, tokenProgramId);
 
-	//Check if destination token account exists
-	try {
-		await connection.getAccountInfo(toAta);
-	} catch (error) {
-		throw new Error(
-			`Treasury token account does not exist. Treasury needs to initialize token account for ${asset.toBase58()}`
+	// One lookup for the payer's SOL and both token accounts (missing accounts are null)
+	const [payerAccount, fromAccount, toAccount] = await connection.getMultipleAccountsInfo(
+		[payer, fromAta, toAta],
+		network.commitment
+	);
+	const wallet = payer.toBase58();
+
+	const required = quotePayment(paymentRequirements, network.tokens).display;
+	const balance = fromAccount ? unpackAccount(fromAta, fromAccount, tokenProgramId).amount : 0n;
+	if (balance < amount) {
+		const available = fromAccount
+			? quotePayment({ asset: paymentRequirements.asset, maxAmountRequired: balance.toString() }, network.tokens).display
+			: `none (no token account for ${asset.toBase58()})`;
+		throw createInsufficientFundsError(wallet, required, available);
+	}
+
+	const instructions = [];
+
+	if (!toAccount) {
+		if (!options.createTokenAccounts) {
+			throw new Error(
+				`Payee ${payTo.toBase58()} has no token account for ${asset.toBase58()}. ` +
+				`Enable token account creation to create it (${sponsor ? 'the sponsoring facilitator' : 'the payer'} pays its rent)`
+			);
+		}
+		instructions.push(createAssociatedTokenAccountIdempotentInstruction(
+			feePayer,
+			toAta,
+			payTo,
+			asset,
+			tokenProgramId
+		));
+	}
+
+	// Unsponsored payers need SOL for the transaction fee and the new account's rent
+	let lamportsRequired = sponsor ? 0 : LAMPORTS_PER_SIGNATURE;
+	if (!sponsor && !toAccount) {
+		lamportsRequired += await connection.getMinimumBalanceForRentExemption(getAccountLenForMint(mint));
+	}
+	const lamports = payerAccount?.lamports ?? 0;
+	if (lamports < lamportsRequired) {
+		throw createInsufficientFundsError(
+			wallet,
+			`${lamportsRequired / LAMPORTS_PER_SOL} SOL for fees${toAccount ? '' : ' and token account rent'}`,
+			`${lamports / LAMPORTS_PER_SOL} SOL`,
+			'https://faucet.solana.com'
 		);
 	}
 
-	// Create transfer instruction
-	const transferIx = createTransferInstruction(
+	// TransferChecked pins mint and decimals; Token-2022 requires it for most extensions
+	const transferIx = createTransferCheckedInstruction(
 		fromAta,
+		asset,
 		toAta,
-		keypair.publicKey,
-		amount
+		payer,
+		amount,
+		mint.decimals,
+		[],
+		tokenProgramId
 	);
 
+	instructions.push(transferIx);
+
 	// Build transaction
 	const { blockhash, lastValidBlockHeight } =
 		await connection.getLatestBlockhash();
+
+	if (options.transactionVersion === 0) {
+		const addressLookupTableAccounts = await Promise.all(
+			(options.addressLookupTables || []).map(async (address) => {
+				const { value } = await connection.getAddressLookupTable(new PublicKey(address));
+				if (!value) {
+					throw new Error(`Address lookup table not found: ${address}`);
+				}
+				return value;
+			})
+		);
+
+		const message = new TransactionMessage({
+			payerKey: feePayer,
+			recentBlockhash: blockhash,
+			instructions,
+		}).compileToV0Message(addressLookupTableAccounts);
+
+		// Don't sign yet - caller will simulate first, then sign
+		return new VersionedTransaction(message);
+	}
+
 	const tx = new Transaction();
 	tx.recentBlockhash = blockhash;
 	tx.lastValidBlockHeight = lastValidBlockHeight;
-	tx.feePayer = keypair.publicKey;
-
-	// Add fee payer instruction if specified
-	if (paymentRequirements.extra?.feePayer) {
-		const feePayer = new PublicKey(paymentRequirements.extra.feePayer);
-		const feePayerIx = SystemProgram.transfer({
-			fromPubkey: keypair.publicKey,
-			toPubkey: feePayer,
-			lamports: 5000, // Minimal SOL for tx fee
-		});
-		tx.add(feePayerIx);
-	}
-
-	tx.add(transferIx);
+	tx.feePayer = feePayer;
+	tx.add(...instructions);
 
 	// Don't sign yet - caller will simulate first, then sign
 	return tx;
 }
 
+/**
+ * @typedef {Object} PaymentResponse
+ * @property {boolean} success
+ * @property {string} transaction - Settlement transaction signature
+ * @property {string} network
+ * @property {string} [payer]
+ */
+
+/**
+ * Decode an X-PAYMENT-RESPONSE header (base64-encoded JSON settlement receipt)
+ * @param {string | null} header - Header value
+ * @returns {PaymentResponse | null} Decoded receipt, or null if absent or malformed
+ */
+export function decodePaymentResponse(header) {
+	if (!header) {
+		return null;
+	}
+
+	try {
+		return JSON.parse(Buffer.from(header, 'base64').toString('utf8'));
+	} catch (error) {
+		console.warn('[HTTP Client] Ignoring malformed X-PAYMENT-RESPONSE header:', error.message);
+		return null;
+	}
+}
+
+/**
+ * Parse a JSON response, attaching the settlement receipt when the server sent one
+ * @param {Response} response - Fetch response
+ * @returns {Promise<Object>} Response data, with `paymentResponse` if settled synchronously
+ */
+async function parseResponse(response) {
+	const data = await response.json();
+	const paymentResponse = decodePaymentResponse(response.headers.get('X-PAYMENT-RESPONSE'));
+
+	if (paymentResponse) {
+		console.log('[HTTP Client] Settlement receipt:', paymentResponse.transaction);
+		data.paymentResponse = paymentResponse;
+	}
+
+	return data;
+}
+
+/**
+ * Attach what a paid request was charged, from the payment requirements it selected
+ * Only "exact" quotes are paid, so the amount quoted is the amount paid.
+ * @param {Object} data - Response data
+ * @param {Object | null} payment - Requirements paid, if any
+ * @param {Record<string, import('./spending-limits.js').ValuedToken>} tokens - Token table of the payment network
+ * @returns {Object} Response data (with `paymentCharge` when a payment was made)
+ */
+function withPaymentCharge(data, payment, tokens) {
+	if (payment) {
+		const quote = quotePayment(payment, tokens);
+		data.paymentCharge = {
+			asset: payment.asset,
+			amount: payment.maxAmountRequired,
+			display: quote.display,
+			usd: quote.usd?.toFixed() ?? null,
+		};
+	}
+	return data;
+}
+
+/**
+ * Sign payer identity headers proving ownership of the wallet
+ * Lets the API quote the wallet's pricing tier in its 402 response.
+ *
+ * @param {import('./signers.js').PaymentSigner} signer - Payer wallet's signer
+ * @returns {Promise<Record<string, string>>} x402-PublicKey, x402-Timestamp and x402-Signature headers
+ */
+async function createPayerIdentityHeaders(signer) {
+	const wallet = signer.publicKey.toBase58();
+	const timestamp = Math.floor(Date.now() / 1000);
+	const signature = await signer.signMessage(Buffer.from(payerIdentityMessage(wallet, timestamp)), 'payer-identity');
+
+	return {
+		'x402-PublicKey': wallet,
+		'x402-Timestamp': timestamp.toString(),
+		'x402-Signature': Buffer.from(signature).toString('base64'),
+	};
+}
+
 /**
  * Create payment-enabled HTTP client for MCP server
- * @param {Keypair} keypair - Solana keypair for payments
+ * Everything is signed through the signer; a keypair is wrapped in a local one.
+ * @param {Keypair | import('./signers.js').PaymentSigner} wallet - Solana keypair or signer for payments
  * @param {string} [baseURL] - Base URL for API (defaults to config)
+ * @param {PaymentClientOptions} [options] - Transaction format options
  * @returns {Object} Payment-enabled client with fetch API
  */
-export function createPaymentEnabledClient(keypair, baseURL) {
+export function createPaymentEnabledClient(wallet, baseURL, options = {}) {
+	const signer = wallet instanceof Keypair ? createKeypairSigner(wallet) : wallet;
 	const apiBaseURL = baseURL || config.api.baseUrl;
-	const connection = new Connection(clusterApiUrl('devnet'), 'confirmed');
+	const network = options.network || loadClientNetwork();
+	const connection = createConnection(network.commitment, { network: network.id, rpcUrls: network.rpcUrls });
 
 	console.log('[HTTP Client] Created payment-enabled client');
 	console.log('[HTTP Client] Base URL:', apiBaseURL);
-	console.log('[HTTP Client] Wallet:', keypair.publicKey.toBase58());
-	console.log('[HTTP Client] Network:', config.x402.network);
+	console.log('[HTTP Client] Wallet:', signer.publicKey.toBase58(), `(${signer.kind} signer)`);
+	console.log('[HTTP Client] Network:', network.id, `(${network.commitment})`);
+	// Hosts only: private RPC URLs often carry API keys
+	if (network.rpcUrls.length > 0) {
+		console.log('[HTTP Client] RPC:', network.rpcUrls.map((url) => new URL(url).host).join(', '));
+	}
+	console.log('[HTTP Client] Transaction version:', options.transactionVersion ?? 'legacy');
 
 	/**
 	 * Make a fetch request with automatic x402 payment handling
 	 * @param {string} url - Full URL
-	 * @param {Object} [options] - Fetch options
-	 * @returns {Promise<Response>} Fetch response
+	 * @param {Object} fetchOptions - Fetch options
+	 * @param {PaymentRequestOptions} paymentOptions - Per-request payment options
+	 * @param {Object} attempt - Filled in with the payment as it progresses, for the history
+	 * @returns {Promise<{response: Response, payment: Object | null}>} Fetch response, and the requirements paid (if any)
 	 */
-	async function paymentFetch(url, options = {}) {
+	async function fetchWithPayment(url, fetchOptions, paymentOptions, attempt) {
+		// Identify the wallet so the quote reflects its pricing tier
+		const identifiedOptions = {
+			...fetchOptions,
+			headers: {
+				...(fetchOptions.headers || {}),
+				...(await createPayerIdentityHeaders(signer)),
+			},
+		};
+
 		// Make initial request
-		let response = await fetch(url, options);
+		let response = await fetch(url, identifiedOptions);
 
 		// If not 402, return as-is
 		if (response.status !== 402) {
-			return response;
+			return { response, payment: null };
 		}
 
 		console.log('[HTTP Client] Received 402, processing payment...');
+		attempt.url = url;
 
 		// Parse payment requirements
 		const x402Response = await response.json();
-		const paymentRequirements = x402Response.accepts?.[0];
+		const accepts = x402Response.accepts || [];
+		const paymentRequirements = choosePaymentRequirements(accepts, network.id, options.preferredTokens);
 
 		if (!paymentRequirements) {
+			// Paying on another cluster would sign a transaction for the wrong chain
+			const networks = [...new Set(accepts.map((requirements) => requirements.network))];
+			if (networks.length > 0 && !networks.includes(network.id)) {
+				throw createNetworkMismatchError(networks.join(', '), network.id);
+			}
 			throw new Error('No payment requirements found in 402 response');
 		}
 
-		// Build payment transaction
-		const tx = await buildPaymentTransaction(
-			paymentRequirements,
-			keypair,
-			connection
-		);
+		// Refuse before anything is built if the quote is above the caller's ceiling
+		const quote = quotePayment(paymentRequirements, network.tokens);
+		Object.assign(attempt, {
+			network: paymentRequirements.network,
+			payTo: paymentRequirements.payTo,
+			asset: paymentRequirements.asset,
+			amount: paymentRequirements.maxAmountRequired,
+			display: quote.display,
+			usd: quote.usd?.toFixed() ?? null,
+		});
+		if (paymentOptions.maxPrice !== undefined && (!quote.usd || quote.usd.greaterThan(paymentOptions.maxPrice))) {
+			throw createPriceExceededError(quote.display, paymentOptions.maxPrice);
+		}
+
+		// ...or breaks a spending limit
+		const charge = options.spendingLimits?.authorize(paymentRequirements);
 
-		// CRITICAL: Simulate transaction before signing (x402 spec requirement)
+		let tx;
 		try {
-			const simulation = await connection.simulateTransaction(tx);
-			if (simulation.value.err) {
-				throw new Error(`Transaction simulation failed: ${JSON.stringify(simulation.value.err)}`);
+			if (options.approvePayment && !(await options.approvePayment({ requirements: paymentRequirements, quote }))) {
+				throw createPaymentApprovalError(`payment of ${quote.display} was declined`);
+			}
+
+			// Build payment transaction
+			tx = await buildPaymentTransaction(
+				paymentRequirements,
+				signer.publicKey,
+				connection,
+				network,
+				options
+			);
+
+			// CRITICAL: Simulate transaction before signing (x402 spec requirement)
+			try {
+				const simulation = tx instanceof VersionedTransaction
+					? await connection.simulateTransaction(tx, { sigVerify: false })
+					: await connection.simulateTransaction(tx);
+				if (simulation.value.err) {
+					throw new Error(`Transaction simulation failed: ${JSON.stringify(simulation.value.err)}`);
+				}
+				console.log('[HTTP Client] Transaction simulation successful');
+			} catch (error) {
+				console.error('[HTTP Client] Transaction simulation failed:', error.message);
+				throw new Error(`Cannot proceed with payment: ${error.message}`);
 			}
-			console.log('[HTTP Client] Transaction simulation successful');
+
+			// Sign transaction after simulation passes, as token authority only;
+			// a sponsoring facilitator adds the fee payer signature
+			tx = await signer.signTransaction(tx, { network: network.id, requirements: paymentRequirements });
 		} catch (error) {
-			console.error('[HTTP Client] Transaction simulation failed:', error.message);
-			throw new Error(`Cannot proceed with payment: ${error.message}`);
+			// Nothing was sent, so nothing was spent
+			charge?.release();
+			throw error;
 		}
 
-		// Sign transaction after simulation passes
-		tx.sign(keypair);
-
 		// Serialize transaction
-		const serializedTx = tx.serialize().toString('base64');
+		const serializedTx = Buffer.from(
+			tx instanceof VersionedTransaction ? tx.serialize() : tx.serialize({ requireAllSignatures: false })
+		).toString('base64');
 
 		// Create payment payload object (x402-solana library structure)
 		// Note: Using library structure for facilitator compatibility
@@ -190,74 +482,146 @@ export function createPaymentEnabledClient(keypair, baseURL) {
 
 		// Retry with payment
 		const newOptions = {
-			...options,
+			...identifiedOptions,
 			headers: {
-				...(options.headers || {}),
+				...identifiedOptions.headers,
 				'X-PAYMENT': paymentHeader,
 				'Access-Control-Expose-Headers': 'X-PAYMENT-RESPONSE',
 			},
 		};
 
+		attempt.sent = true;
 		response = await fetch(url, newOptions);
 
 		if (response.ok) {
 			console.log('[HTTP Client] ✅ Payment successful');
 		}
 
-		return response;
+		return { response, payment: paymentRequirements };
+	}
+
+	/**
+	 * Make a fetch request with automatic x402 payment handling, recording the payment attempt
+	 * @param {string} url - Full URL
+	 * @param {Object} [fetchOptions] - Fetch options
+	 * @param {PaymentRequestOptions} [paymentOptions] - Per-request payment options
+	 * @returns {Promise<{response: Response, payment: Object | null}>} Fetch response, and the requirements paid (if any)
+	 */
+	async function paymentFetch(url, fetchOptions = {}, paymentOptions = {}) {
+		/** @type {any} */
+		const attempt = {};
+		try {
+			const result = await fetchWithPayment(url, fetchOptions, paymentOptions, attempt);
+			if (result.payment) {
+				const { sent, ...details } = attempt;
+				options.paymentHistory?.record({
+					...details,
+					status: result.response.ok ? 'paid' : 'rejected',
+					httpStatus: result.response.status,
+					transaction: decodePaymentResponse(result.response.headers.get('X-PAYMENT-RESPONSE'))?.transaction,
+				});
+			}
+			return result;
+		} catch (error) {
+			// Only payment attempts are recorded, not failures reaching the server at all
+			if (attempt.url) {
+				const { sent, ...details } = attempt;
+				options.paymentHistory?.record({ ...details, status: sent ? 'sent' : 'failed', error: error.message });
+			}
+			throw error;
+		}
+	}
+
+	/**
+	 * Attach low-balance warnings to the response of a paid request
+	 * A failed balance check never fails the request it follows.
+	 * @param {Object} data - Response data
+	 * @param {Object | null} payment - Requirements paid, if any
+	 * @returns {Promise<Object>} Response data (with `balanceWarnings` when balances are low)
+	 */
+	async function withBalanceWarnings(data, payment) {
+		if (!payment || !options.lowBalance) {
+			return data;
+		}
+
+		try {
+			const balances = await getWalletBalances(connection, signer.publicKey, network);
+			const warnings = lowBalanceWarnings(balances, options.lowBalance, {
+				mints: [payment.asset],
+				needsSol: !payment.extra?.feePayer,
+			});
+			if (warnings.length > 0) {
+				warnings.forEach((warning) => console.warn('[HTTP Client] ⚠️ ', warning));
+				data.balanceWarnings = warnings;
+			}
+		} catch (error) {
+			console.warn('[HTTP Client] Could not check balances after payment:', error.message);
+		}
+		return data;
 	}
 
 	// Return client with baseURL for convenience
 	return {
 		baseURL: apiBaseURL,
-		wallet: keypair.publicKey.toBase58(),
+		wallet: signer.publicKey.toBase58(),
+		network,
+
+		/**
+		 * Read the wallet's SOL and payment token balances
+		 * @returns {Promise<import('./wallet-balance.js').WalletBalances>}
+		 */
+		getBalances() {
+			return getWalletBalances(connection, signer.publicKey, network);
+		},
 
 		/**
 		 * Make a GET request with automatic x402 payment handling
 		 * @param {string} endpoint - Endpoint path
-		 * @param {Object} [options] - Fetch options
-		 * @returns {Promise<Object>} Response data
+		 * @param {Object & PaymentRequestOptions} [options] - Fetch options, plus payment options
+		 * @returns {Promise<Object>} Response data (with `paymentCharge`, `paymentResponse` receipt and `balanceWarnings` when available)
 		 */
 		async get(endpoint, options = {}) {
 			const url = `${apiBaseURL}${endpoint}`;
-			const response = await paymentFetch(url, {
+			const { maxPrice, ...fetchOptions } = options;
+			const { response, payment } = await paymentFetch(url, {
 				method: 'GET',
-				...options,
-			});
+				...fetchOptions,
+			}, { maxPrice });
 
 			if (!response.ok) {
 				const error = await response.text();
 				throw new Error(`HTTP ${response.status}: ${error}`);
 			}
 
-			return response.json();
+			return withBalanceWarnings(withPaymentCharge(await parseResponse(response), payment, network.tokens), payment);
 		},
 
 		/**
 		 * Make a POST request with automatic x402 payment handling
 		 * @param {string} endpoint - Endpoint path
 		 * @param {Object} body - Request body
-		 * @param {Object} [options] - Fetch options
-		 * @returns {Promise<Object>} Response data
+		 * @param {Object & PaymentRequestOptions} [options] - Fetch options, plus payment options
+		 * @returns {Promise<Object>} Response data (with `paymentCharge`, `paymentResponse` receipt and `balanceWarnings` when available)
 		 */
 		async post(endpoint, body, options = {}) {
 			const url = `${apiBaseURL}${endpoint}`;
-			const response = await paymentFetch(url, {
+			const { maxPrice, ...fetchOptions } = options;
+			const { response, payment } = await paymentFetch(url, {
 				method: 'POST',
 				headers: {
 					'Content-Type': 'application/json',
-					...options.headers,
+					...fetchOptions.headers,
 				},
 				body: JSON.stringify(body),
-				...options,
-			});
+				...fetchOptions,
+			}, { maxPrice });
 
 			if (!response.ok) {
 				const error = await response.text();
 				throw new Error(`HTTP ${response.status}: ${error}`);
 			}
 
-			return response.json();
+			return withBalanceWarnings(withPaymentCharge(await parseResponse(response), payment, network.tokens), payment);
 		},
 	};
 }
@@ -267,9 +631,10 @@ export function createPaymentEnabledClient(keypair, baseURL) {
  * @param {Object} client - Payment-enabled client from createPaymentEnabledClient
  * @param {string} endpoint - Endpoint path (e.g., '/api/v1/mempool/fees')
  * @param {Object} [params] - Query parameters
+ * @param {PaymentRequestOptions} [paymentOptions] - Per-request payment options (e.g., maxPrice)
  * @returns {Promise<Object>} Response data
  */
-export async function makePaidRequest(client, endpoint, params = {}) {
+export async function makePaidRequest(client, endpoint, params = {}, paymentOptions = {}) {
 	try {
 		console.log('[HTTP Client] Making paid request to:', endpoint);
 		console.log('[HTTP Client] Parameters:', params);
@@ -281,7 +646,7 @@ export async function makePaidRequest(client, endpoint, params = {}) {
 			url += `?${query}`;
 		}
 
-		const data = await client.get(url);
+		const data = await client.get(url, paymentOptions);
 
 		console.log('[HTTP Client] ✅ Request successful');
 		return data;
@@ -0,0 +1,129 @@
+// @ts-check
+import crypto from 'crypto';
+import bs58 from 'bs58';
+import { Keypair } from '@solana/web3.js';
+import { mnemonicToSeedSync, validateMnemonic } from '@scure/bip39';
+import { wordlist } from '@scure/bip39/wordlists/english';
+
+/**
+ * Secret Key Formats
+ * Reads wallet keys in the formats other Solana tools share them in:
+ * - Solana CLI keypair files: JSON array of the 64-byte secret key
+ * - base58 secret keys, as exported by browser wallets
+ * - BIP39 mnemonics, derived along an ed25519 (SLIP-10) path such as
+ *   m/44'/501'/0'/0', the path Solana CLI and most wallets use for account 0
+ */
+
+/** Derivation path of the first Solana account */
+export const DEFAULT_DERIVATION_PATH = "m/44'/501'/0'/0'";
+
+/** Offset marking a hardened derivation index */
+const HARDENED_OFFSET = 0x80000000;
+
+/**
+ * Standard Solana derivation path of an account
+ * @param {number} account - Account index
+ * @returns {string} Path like m/44'/501'/1'/0'
+ */
+export function solanaDerivationPath(account) {
+	if (!Number.isInteger(account) || account < 0 || account >= HARDENED_OFFSET) {
+		throw new Error(`Account index must be a non-negative integer, got ${account}`);
+	}
+	return `m/44'/501'/${account}'/0'`;
+}
+
+/**
+ * Parse a derivation path into hardened child indexes
+ * ed25519 only supports hardened derivation, so every segment must be marked with '
+ * @param {string} path - Path like m/44'/501'/0'/0'
+ * @returns {number[]} Child indexes, hardened offset included
+ */
+export function parseDerivationPath(path) {
+	const [root, ...segments] = path.trim().split('/');
+	if (root !== 'm') {
+		throw new Error(`Derivation path must start with m/, got "${path}"`);
+	}
+
+	return segments.map((segment) => {
+		const match = /^(\d+)['hH]$/.exec(segment);
+		if (!match) {
+			throw new Error(`Derivation path segments must be hardened (e.g. 501'), got "${segment}" in "${path}"`);
+		}
+		const index = Number(match[1]);
+		if (index >= HARDENED_OFFSET) {
+			throw new Error(`Derivation index ${index} is out of range in "${path}"`);
+		}
+		return index + HARDENED_OFFSET;
+	});
+}
+
+/**
+ * Derive an ed25519 private key seed from a BIP39 seed (SLIP-10)
+ * @param {Uint8Array} seed - BIP39 seed
+ * @param {string} path - Derivation path
+ * @returns {Buffer} 32-byte ed25519 seed
+ */
+export function deriveEd25519Seed(seed, path) {
+	let digest = crypto.createHmac('sha512', 'ed25519 seed').update(seed).digest();
+	for (const index of parseDerivationPath(path)) {
+		const data = Buffer.alloc(37);
+		digest.copy(data, 1, 0, 32);
+		data.writeUInt32BE(index, 33);
+		digest = crypto.createHmac('sha512', digest.subarray(32)).update(data).digest();
+	}
+	return digest.subarray(0, 32);
+}
+
+/**
+ * Derive a keypair from a BIP39 mnemonic
+ * @param {string} mnemonic - English BIP39 mnemonic
+ * @param {string} [path] - Derivation path (default: m/44'/501'/0'/0')
+ * @param {string} [bip39Passphrase] - Optional BIP39 passphrase ("25th word")
+ * @returns {Keypair} Solana keypair
+ */
+export function keypairFromMnemonic(mnemonic, path = DEFAULT_DERIVATION_PATH, bip39Passphrase = '') {
+	const normalized = mnemonic.trim().toLowerCase().split(/\s+/).join(' ');
+	if (!validateMnemonic(normalized, wordlist)) {
+		throw new Error('Invalid mnemonic: unknown words or bad checksum');
+	}
+	return Keypair.fromSeed(deriveEd25519Seed(mnemonicToSeedSync(normalized, bip39Passphrase), path));
+}
+
+/**
+ * Parse a secret key in Solana CLI format (JSON array of 64 bytes) or base58
+ * @param {string} text - Secret key
+ * @returns {Keypair} Solana keypair
+ */
+export function parseSecretKey(text) {
+	const trimmed = text.trim();
+	if (trimmed.startsWith('[')) {
+		const bytes = JSON.parse(trimmed);
+		if (!Array.isArray(bytes)) {
+			throw new Error('Secret key must be a JSON array of bytes');
+		}
+		return Keypair.fromSecretKey(Uint8Array.from(bytes));
+	}
+
+	let bytes;
+	try {
+		bytes = bs58.decode(trimmed);
+	} catch {
+		throw new Error('Secret key must be a JSON array of bytes or a base58 string');
+	}
+	if (bytes.length !== 64) {
+		throw new Error(`base58 secret key must decode to 64 bytes, got ${bytes.length}`);
+	}
+	return Keypair.fromSecretKey(Uint8Array.from(bytes));
+}
+
+/**
+ * Encode a secret key for export
+ * @param {Keypair} keypair - Solana keypair
+ * @param {'json' | 'base58'} [format] - Solana CLI JSON array or base58
+ * @returns {string} Encoded secret key
+ */
+export function encodeSecretKey(keypair, format = 'json') {
+	return format === 'base58'
+		? bs58.encode(Buffer.from(keypair.secretKey))
+		: JSON.stringify(Array.from(keypair.secretKey));
+}
@@ -0,0 +1,148 @@
+// @ts-check
+import crypto from 'crypto';
+import fs from 'fs';
+import { Keypair } from '@solana/web3.js';
+
+/**
+ * Encrypted Wallet Keystore
+ * Stores a Solana secret key encrypted with a passphrase:
+ * - scrypt derives a 256-bit key from the passphrase and a random salt
+ * - AES-256-GCM encrypts the 64-byte secret key, authenticating the address
+ *   too, so a wrong passphrase or any tampering fails to decrypt
+ *
+ * Keystore files are JSON, written with owner-only permissions:
+ * {version, address, crypto: {kdf, kdfparams: {n, r, p, dklen, salt}, cipher, iv, tag, ciphertext}}
+ */
+
+export const KEYSTORE_VERSION = 1;
+
+/**
+ * Default scrypt cost: 2^17 iterations with r=8 uses 128 MiB and takes
+ * around a second, once per MCP server start
+ */
+export const DEFAULT_SCRYPT_PARAMS = { n: 2 ** 17, r: 8, p: 1 };
+
+/**
+ * @typedef {Object} Keystore
+ * @property {number} version
+ * @property {string} address - Wallet address (public; also authenticated by the cipher)
+ * @property {{
+ *   kdf: 'scrypt',
+ *   kdfparams: {n: number, r: number, p: number, dklen: number, salt: string},
+ *   cipher: 'aes-256-gcm',
+ *   iv: string,
+ *   tag: string,
+ *   ciphertext: string,
+ * }} crypto - Hex-encoded parameters and ciphertext
+ */
+
+/**
+ * @param {string} passphrase
+ * @param {Buffer} salt
+ * @param {{n: number, r: number, p: number}} params
+ * @returns {Buffer}
+ */
+function deriveKey(passphrase, salt, { n, r, p }) {
+	return crypto.scryptSync(passphrase.normalize('NFKC'), salt, 32, {
+		N: n,
+		r,
+		p,
+		// scrypt needs 128 * N * r bytes, above Node's 32 MiB default at the default cost
+		maxmem: 256 * n * r,
+	});
+}
+
+/**
+ * Whether parsed JSON is a keystore (rather than a plaintext secret key array)
+ *
+ * @param {unknown} value
+ * @returns {value is Keystore}
+ */
+export function isKeystore(value) {
+	return typeof value === 'object' && value !== null && 'crypto' in value && 'version' in value;
+}
+
+/**
+ * Encrypt a keypair into a keystore
+ *
+ * @param {Keypair} keypair
+ * @param {string} passphrase
+ * @param {{n: number, r: number, p: number}} [params] - scrypt cost
+ * @returns {Keystore}
+ */
+export function encryptKeypair(keypair, passphrase, params = DEFAULT_SCRYPT_PARAMS) {
+	if (!passphrase) {
+		throw new Error('A passphrase is required to encrypt the wallet');
+	}
+
+	const address = keypair.publicKey.toBase58();
+	const salt = crypto.randomBytes(32);
+	const iv = crypto.randomBytes(12);
+
+	const cipher = crypto.createCipheriv('aes-256-gcm', deriveKey(passphrase, salt, params), iv);
+	cipher.setAAD(Buffer.from(address));
+	const ciphertext = Buffer.concat([cipher.update(keypair.secretKey), cipher.final()]);
+
+	return {
+		version: KEYSTORE_VERSION,
+		address,
+		crypto: {
+			kdf: 'scrypt',
+			kdfparams: { ...params, dklen: 32, salt: salt.toString('hex') },
+			cipher: 'aes-256-gcm',
+			iv: iv.toString('hex'),
+			tag: cipher.getAuthTag().toString('hex'),
+			ciphertext: ciphertext.toString('hex'),
+		},
+	};
+}
+
+/**
+ * Decrypt a keystore
+ *
+ * @param {Keystore} keystore
+ * @param {string} passphrase
+ * @returns {Keypair}
+ * @throws {Error} If the passphrase is wrong or the keystore was modified
+ */
+export function decryptKeypair(keystore, passphrase) {
+	if (keystore.version !== KEYSTORE_VERSION) {
+		throw new Error(`Unsupported keystore version: ${keystore.version}`);
+	}
+	const { kdf, kdfparams, cipher: cipherName, iv, tag, ciphertext } = keystore.crypto;
+	if (kdf !== 'scrypt' || cipherName !== 'aes-256-gcm') {
+		throw new Error(`Unsupported keystore encryption: ${kdf}/${cipherName}`);
+	}
+
+	const key = deriveKey(passphrase, Buffer.from(kdfparams.salt, 'hex'), kdfparams);
+	const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(iv, 'hex'));
+	decipher.setAAD(Buffer.from(keystore.address));
+	decipher.setAuthTag(Buffer.from(tag, 'hex'));
+
+	let secretKey;
+	try {
+		secretKey = Buffer.concat([decipher.update(Buffer.from(ciphertext, 'hex')), decipher.final()]);
+	} catch {
+		throw new Error('Wrong passphrase or corrupted keystore');
+	}
+
+	const keypair = Keypair.fromSecretKey(secretKey);
+	if (keypair.publicKey.toBase58() !== keystore.address) {
+		throw new Error('Keystore address does not match its secret key');
+	}
+	return keypair;
+}
+
+/**
+ * Write a keystore file readable by its owner only
+ * Written to a temporary file first, so an interrupted write never leaves a
+ * truncated keystore behind.
+ *
+ * @param {string} filePath
+ * @param {Keystore} keystore
+ */
+export function writeKeystoreFile(filePath, keystore) {
+	const tmpPath = `${filePath}.tmp`;
+	fs.writeFileSync(tmpPath, JSON.stringify(keystore, null, 2), { mode: 0o600 });
+	fs.renameSync(tmpPath, filePath);
+}
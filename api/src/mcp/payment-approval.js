@@ -0,0 +1,98 @@
+// @ts-check
+import Decimal from 'decimal.js';
+import { ResultSchema } from '@modelcontextprotocol/sdk/types.js';
+import { createConfigurationError, createPaymentApprovalError } from './errors.js';
+
+/**
+ * Payment Approval for the MCP Server
+ * Payments above MCP_APPROVAL_THRESHOLD (USD) need explicit approval from the
+ * user, asked through MCP elicitation. The agent cannot approve on the user's
+ * behalf, so hosts without elicitation support refuse such payments.
+ *
+ * Elicitation postdates the SDK version in use, so the request is sent as a
+ * raw `elicitation/create` call when the client advertises the capability.
+ */
+
+/** MCP method asking the host to collect input from the user */
+export const ELICITATION_METHOD = 'elicitation/create';
+
+/**
+ * @typedef {Object} PaymentApprovalRequest
+ * @property {Object} requirements - Chosen payment requirements
+ * @property {import('./spending-limits.js').PaymentQuote} quote - Payment value
+ */
+
+/**
+ * Read the approval threshold from the environment
+ *
+ * @param {NodeJS.ProcessEnv} [env]
+ * @returns {Decimal | null} USD threshold, or null if payments never need approval
+ * @throws {import('@modelcontextprotocol/sdk/types.js').McpError} If the threshold is not a non-negative amount
+ */
+export function loadApprovalThreshold(env = process.env) {
+	const value = env.MCP_APPROVAL_THRESHOLD?.trim();
+	if (!value) {
+		return null;
+	}
+
+	let threshold;
+	try {
+		threshold = new Decimal(value);
+	} catch {
+		threshold = null;
+	}
+	if (!threshold || threshold.isNaN() || threshold.isNegative()) {
+		throw createConfigurationError(`MCP_APPROVAL_THRESHOLD must be a USD amount of 0 or more, got "${value}"`);
+	}
+	return threshold;
+}
+
+/**
+ * Create the approval hook for a payment-enabled client
+ *
+ * @param {import('@modelcontextprotocol/sdk/server/index.js').Server} server - MCP server connected to the host
+ * @param {Decimal | null} threshold - USD amount above which payments need approval
+ * @returns {(request: PaymentApprovalRequest) => Promise<boolean>} Resolves true once approved
+ */
+export function createPaymentApprover(server, threshold) {
+	return async ({ requirements, quote }) => {
+		// Payments that cannot be valued always need approval
+		if (!threshold || (quote.usd && quote.usd.lessThanOrEqualTo(threshold))) {
+			return true;
+		}
+
+		const price = quote.usd ? `${quote.display} ($${quote.usd.toFixed()})` : quote.display;
+		if (!server.getClientCapabilities()?.elicitation) {
+			throw createPaymentApprovalError(
+				`${price} is above the approval threshold of $${threshold.toFixed()} and this MCP host cannot ask for approval. ` +
+				`Raise MCP_APPROVAL_THRESHOLD to allow it`
+			);
+		}
+
+		console.log(`[MCP Server] Requesting approval for ${price}`);
+		const result = await server.request(
+			{
+				method: ELICITATION_METHOD,
+				params: {
+					message: `Approve a payment of ${price} to ${requirements.payTo} for ${requirements.resource || 'this request'}?`,
+					requestedSchema: {
+						type: 'object',
+						properties: {
+							approve: {
+								type: 'boolean',
+								title: 'Approve payment',
+								description: `Pay ${price} from the MCP wallet`,
+							},
+						},
+						required: ['approve'],
+					},
+				},
+			},
+			ResultSchema
+		);
+
+		const approved = result.action === 'accept' && /** @type {any} */ (result.content)?.approve === true;
+		console.log(`[MCP Server] Payment ${approved ? 'approved' : 'declined'}`);
+		return approved;
+	};
+}
@@ -0,0 +1,73 @@
+// @ts-check
+
+/**
+ * Payment History for the MCP Payment Client
+ * Keeps the outcome of this session's recent payment attempts, including
+ * ones refused before anything was sent, so the agent can see why a payment
+ * failed. Kept in memory only; the spending log holds what counts against
+ * the budgets.
+ */
+
+/** Attempts kept before the oldest are dropped */
+export const DEFAULT_HISTORY_SIZE = 100;
+
+/**
+ * @typedef {'paid' | 'rejected' | 'sent' | 'failed'} PaymentOutcome
+ * - paid: the server accepted the payment
+ * - rejected: the payment was sent but the server did not accept it
+ * - sent: the payment was sent but no answer came back (it may have settled)
+ * - failed: refused or failed before the payment was sent (nothing was spent)
+ */
+
+/**
+ * @typedef {Object} PaymentAttempt
+ * @property {string} at - ISO timestamp
+ * @property {PaymentOutcome} status
+ * @property {string} url - Requested URL
+ * @property {string} [network]
+ * @property {string} [payTo]
+ * @property {string} [asset] - Token mint
+ * @property {string} [amount] - Amount in token base units
+ * @property {string} [display] - Human-readable amount (e.g., "0.01 USDC")
+ * @property {string | null} [usd] - USD value
+ * @property {string} [transaction] - Settlement transaction signature, when settled synchronously
+ * @property {number} [httpStatus] - Server response to the paid request
+ * @property {string} [error] - Why the attempt failed
+ */
+
+export class PaymentHistory {
+	/**
+	 * @param {number} [maxSize] - Attempts to keep
+	 */
+	constructor(maxSize = DEFAULT_HISTORY_SIZE) {
+		/** @private */
+		this.maxSize = maxSize;
+		/** @private @type {PaymentAttempt[]} */
+		this.attempts = [];
+	}
+
+	/**
+	 * Record an attempt
+	 * @param {Omit<PaymentAttempt, 'at'>} attempt
+	 * @param {number} [now]
+	 */
+	record(attempt, now = Date.now()) {
+		this.attempts.push({ at: new Date(now).toISOString(), ...attempt });
+		if (this.attempts.length > this.maxSize) {
+			this.attempts.shift();
+		}
+	}
+
+	/**
+	 * Most recent attempts, newest first
+	 * @param {number} [limit]
+	 * @param {PaymentOutcome} [status] - Only attempts with this outcome
+	 * @returns {PaymentAttempt[]}
+	 */
+	recent(limit = 10, status) {
+		return this.attempts
+			.filter((attempt) => !status || attempt.status === status)
+			.slice(-limit)
+			.reverse();
+	}
+}
@@ -10,9 +10,15 @@ import {
 // DEPRECATED: Ordinals and Bitcoin address generation services removed
 // import { agentService } from '../services/agent.service.js';
 // import { bitcoinService } from '../services/bitcoin.service.js';
-import { loadWallet, getWalletAddress } from './wallet-utils.js';
+import { loadNamedWallet, listWallets } from './wallet-utils.js';
+import { createKeypairSigner, loadSigner } from './signers.js';
 import { createPaymentEnabledClient, makePaidRequest } from './http-client.js';
 import { parseHttpError } from './errors.js';
+import { loadSpendingLimits } from './spending-limits.js';
+import { loadClientNetwork } from './client-network.js';
+import { createPaymentApprover, loadApprovalThreshold } from './payment-approval.js';
+import { PaymentHistory } from './payment-history.js';
+import { loadLowBalanceThresholds, lowBalanceWarnings } from './wallet-balance.js';
 import { config } from '../config/env.js';
 
 /**
@@ -24,36 +30,42 @@ import { config } from '../config/env.js';
 /**
  * @typedef {Object} QueryMempoolAddressArgs
  * @property {string} address - Bitcoin address to query
+ * @property {number} [max_price] - Highest USD price to pay
  */
 
 /**
  * @typedef {Object} QueryMempoolAddressTxsArgs
  * @property {string} address - Bitcoin address to get transactions for
+ * @property {number} [max_price] - Highest USD price to pay
  */
 
 /**
  * @typedef {Object} QueryMempoolTransactionArgs
  * @property {string} txid - Transaction ID to query
+ * @property {number} [max_price] - Highest USD price to pay
  */
 
 /**
  * @typedef {Object} QueryMempoolTxStatusArgs
  * @property {string} txid - Transaction ID to get status for
+ * @property {number} [max_price] - Highest USD price to pay
  */
 
 /**
  * @typedef {Object} QueryMempoolBlockArgs
  * @property {string} block_hash - Block hash or block height to query
+ * @property {number} [max_price] - Highest USD price to pay
  */
 
 /**
  * @typedef {Object} QueryMempoolFeesArgs
  * @property {string} [time_interval] - Time interval (1h, 24h, default: current)
+ * @property {number} [max_price] - Highest USD price to pay
  */
 
 /**
  * @typedef {Object} QueryMempoolStatsArgs
- * (No parameters - returns current mempool statistics)
+ * @property {number} [max_price] - Highest USD price to pay
  */
 
 /**
@@ -61,6 +73,48 @@ import { config } from '../config/env.js';
  * (No parameters - returns current block height, FREE endpoint)
  */
 
+/**
+ * @typedef {Object} ListRecentPaymentsArgs
+ * @property {number} [limit] - Most recent attempts to return (default: 10)
+ * @property {'paid' | 'rejected' | 'sent' | 'failed'} [status] - Only attempts with this outcome
+ */
+
+/**
+ * @typedef {Object} SelectWalletArgs
+ * @property {string} name - Named wallet to pay from for the rest of the session
+ */
+
+/**
+ * Optional price ceiling accepted by every paid tool
+ */
+const MAX_PRICE_PROPERTY = {
+    type: 'number',
+    description: 'Highest price in USD to pay for this call. If the quote is higher, the call fails without paying',
+};
+
+/**
+ * Paid tools are quoted per call, so their descriptions point at the catalog, not a fixed price
+ */
+const PAID_TOOL_PRICING = 'x402 protected - priced per call, see GET /api/v1/pricing; cap it with max_price';
+
+/**
+ * Payment section of a paid tool result: the amount and asset quoted and paid,
+ * and the settlement receipt when there is one
+ * @param {Object} result - Response data from the payment client
+ * @returns {Object}
+ */
+function describePayment(result) {
+    return {
+        amount: result.paymentCharge?.display,
+        asset: result.paymentCharge?.asset,
+        usd: result.paymentCharge?.usd,
+        method: 'x402',
+        status: result.paymentResponse ? 'settled' : 'accepted',
+        transaction: result.paymentResponse?.transaction,
+        warnings: result.balanceWarnings,
+    };
+}
+
 class EngraveProtocolMCPServer {
     constructor() {
         this.server = new Server(
@@ -76,9 +130,14 @@ class EngraveProtocolMCPServer {
         );
 
         // Initialize wallet and HTTP client for x402 payments
-        this.keypair = null;
+        this.signer = null;
+        this.walletName = null;
         this.httpClient = null;
-        this.initializePaymentClient();
+        this.paymentClientOptions = null;
+        this.paymentClientError = null;
+        this.approvalThreshold = null;
+        this.paymentHistory = new PaymentHistory();
+        this.paymentClientReady = this.initializePaymentClient();
 
         this.setupToolHandlers();
         this.setupErrorHandling();
@@ -88,22 +147,57 @@ class EngraveProtocolMCPServer {
      * Initialize payment-enabled HTTP client for x402
      * @private
      */
-    initializePaymentClient() {
+    async initializePaymentClient() {
         try {
-            // Load Solana wallet for MCP server x402 payments
-            this.keypair = loadWallet();
-            console.log('[MCP Server] Wallet initialized:', getWalletAddress(this.keypair));
+            // Load the wallet's signer: a signing daemon if configured, else a local wallet
+            this.signer = await loadSigner();
+            this.walletName = this.signer.kind === 'keypair' ? process.env.MCP_WALLET_NAME?.trim() || null : null;
+            console.log('[MCP Server] Wallet initialized:', this.signer.publicKey.toBase58(), `(${this.signer.kind} signer)`);
+
+            // Cluster and RPC endpoints the wallet pays on
+            const network = loadClientNetwork();
+            console.log(`[MCP Server] Paying on ${network.name} (${network.id})`);
+
+            // Cap what servers can charge the wallet
+            const spendingLimits = loadSpendingLimits(process.env, network.tokens);
+            const { limits } = spendingLimits.summary();
+            console.log(`[MCP Server] Spending limits (USD): ${limits.perRequest ?? 'none'}/request, ` +
+                `${limits.perSession ?? 'none'}/session, ${limits.perDay ?? 'none'}/day`);
+
+            // Payments above the threshold wait for the user's approval
+            const approvalThreshold = loadApprovalThreshold();
+            if (approvalThreshold) {
+                console.log(`[MCP Server] Payments above $${approvalThreshold.toFixed()} require approval`);
+            }
+            this.approvalThreshold = approvalThreshold;
+
+            // Paid tool results warn when the wallet runs low
+            const lowBalance = loadLowBalanceThresholds();
 
             // Create payment-enabled HTTP client for mempool queries
-            this.httpClient = createPaymentEnabledClient(this.keypair);
+            // Options are kept so select_wallet can rebuild the client; the limits stay shared
+            this.paymentClientOptions = {
+                transactionVersion: process.env.MCP_TRANSACTION_VERSION === '0' ? 0 : 'legacy',
+                addressLookupTables: process.env.MCP_ADDRESS_LOOKUP_TABLES?.split(',').map((a) => a.trim()).filter(Boolean),
+                preferredTokens: process.env.MCP_PAYMENT_TOKENS?.split(',').map((t) => t.trim()).filter(Boolean),
+                createTokenAccounts: process.env.MCP_CREATE_TOKEN_ACCOUNTS === 'true',
+                network,
+                spendingLimits,
+                approvePayment: createPaymentApprover(this.server, approvalThreshold),
+                paymentHistory: this.paymentHistory,
+                lowBalance,
+            };
+            this.httpClient = createPaymentEnabledClient(this.signer, undefined, this.paymentClientOptions);
             console.log('[MCP Server] HTTP client ready for x402 payments (mempool.space queries)');
 
             // Validate API connectivity on startup
             this.validateApiConnectivity();
         } catch (error) {
+            // Reported by get_wallet_info, so the agent can tell why paid tools fail
+            this.paymentClientError = error.message;
             console.error('[MCP Server] Failed to initialize payment client:', error.message);
             console.error('[MCP Server] MCP server will start but paid endpoints will fail');
-            console.error('[MCP Server] Tip: Set MCP_WALLET_SECRET_KEY or MCP_WALLET_FILE environment variable');
+            console.error('[MCP Server] Tip: Create a wallet with `npm run mcp:wallet -- create` and set MCP_WALLET_PASSPHRASE, or set MCP_SIGNER_SOCKET');
         }
     }
 
@@ -156,7 +250,7 @@ class EngraveProtocolMCPServer {
                 tools: [
                     {
                         name: 'query_mempool_address',
-                        description: 'Get detailed information about a Bitcoin address from mempool.space (x402 protected - ~$0.01 USDC)',
+                        description: `Get detailed information about a Bitcoin address from mempool.space (${PAID_TOOL_PRICING})`,
                         inputSchema: {
                             type: 'object',
                             properties: {
@@ -164,13 +258,14 @@ class EngraveProtocolMCPServer {
                                     type: 'string',
                                     description: 'Bitcoin address (P2PKH, P2SH, or Segwit)',
                                 },
+                                max_price: MAX_PRICE_PROPERTY,
                             },
                             required: ['address'],
                         },
                     },
                     {
                         name: 'query_mempool_address_txs',
-                        description: 'Get transaction history for a Bitcoin address (x402 protected - ~$0.01 USDC)',
+                        description: `Get transaction history for a Bitcoin address (${PAID_TOOL_PRICING})`,
                         inputSchema: {
                             type: 'object',
                             properties: {
@@ -178,13 +273,14 @@ class EngraveProtocolMCPServer {
                                     type: 'string',
                                     description: 'Bitcoin address to query transactions for',
                                 },
+                                max_price: MAX_PRICE_PROPERTY,
                             },
                             required: ['address'],
                         },
                     },
                     {
                         name: 'query_mempool_transaction',
-                        description: 'Get detailed transaction information from mempool.space (x402 protected - ~$0.01 USDC)',
+                        description: `Get detailed transaction information from mempool.space (${PAID_TOOL_PRICING})`,
                         inputSchema: {
                             type: 'object',
                             properties: {
@@ -192,13 +288,14 @@ class EngraveProtocolMCPServer {
                                     type: 'string',
                                     description: 'Transaction ID (TXID) to query',
                                 },
+                                max_price: MAX_PRICE_PROPERTY,
                             },
                             required: ['txid'],
                         },
                     },
                     {
                         name: 'query_mempool_tx_status',
-                        description: 'Get transaction status and confirmation info (x402 protected - ~$0.01 USDC)',
+                        description: `Get transaction status and confirmation info (${PAID_TOOL_PRICING})`,
                         inputSchema: {
                             type: 'object',
                             properties: {
@@ -206,13 +303,14 @@ class EngraveProtocolMCPServer {
                                     type: 'string',
                                     description: 'Transaction ID (TXID) to check status',
                                 },
+                                max_price: MAX_PRICE_PROPERTY,
                             },
                             required: ['txid'],
                         },
                     },
                     {
                         name: 'query_mempool_block',
-                        description: 'Get block information and transactions (x402 protected - ~$0.01 USDC)',
+                        description: `Get block information and transactions (${PAID_TOOL_PRICING})`,
                         inputSchema: {
                             type: 'object',
                             properties: {
@@ -220,13 +318,14 @@ class EngraveProtocolMCPServer {
                                     type: 'string',
                                     description: 'Block hash or height to query',
                                 },
+                                max_price: MAX_PRICE_PROPERTY,
                             },
                             required: ['block_hash'],
                         },
                     },
                     {
                         name: 'query_mempool_fees',
-                        description: 'Get Bitcoin fee estimates for next block/1h/24h (x402 protected micropayment - $0.001 USDC)',
+                        description: `Get Bitcoin fee estimates for next block/1h/24h (${PAID_TOOL_PRICING})`,
                         inputSchema: {
                             type: 'object',
                             properties: {
@@ -234,16 +333,19 @@ class EngraveProtocolMCPServer {
                                     type: 'string',
                                     description: 'Time interval: "next" (default), "1h", "24h"',
                                 },
+                                max_price: MAX_PRICE_PROPERTY,
                             },
                             required: [],
                         },
                     },
                     {
                         name: 'query_mempool_stats',
-                        description: 'Get current mempool statistics (x402 protected micropayment - $0.001 USDC)',
+                        description: `Get current mempool statistics (${PAID_TOOL_PRICING})`,
                         inputSchema: {
                             type: 'object',
-                            properties: {},
+                            properties: {
+                                max_price: MAX_PRICE_PROPERTY,
+                            },
                             required: [],
                         },
                     },
@@ -256,6 +358,66 @@ class EngraveProtocolMCPServer {
                             required: [],
                         },
                     },
+                    {
+                        name: 'list_wallets',
+                        description: 'List the named wallets this server can pay from, and the one in use',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {},
+                            required: [],
+                        },
+                    },
+                    {
+                        name: 'select_wallet',
+                        description: 'Pay from a named wallet for the rest of this session. Spending limits apply across all wallets',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                name: {
+                                    type: 'string',
+                                    description: 'Wallet name, as shown by list_wallets',
+                                },
+                            },
+                            required: ['name'],
+                        },
+                    },
+                    {
+                        name: 'get_wallet_info',
+                        description: 'Show the paying wallet: address, network, spending limits and whether payments are set up (FREE)',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {},
+                            required: [],
+                        },
+                    },
+                    {
+                        name: 'get_wallet_balance',
+                        description: 'Get the paying wallet\'s SOL and payment token balances, with low-balance warnings (FREE)',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {},
+                            required: [],
+                        },
+                    },
+                    {
+                        name: 'list_recent_payments',
+                        description: 'List this session\'s recent payment attempts, newest first, including why failed ones failed (FREE)',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                limit: {
+                                    type: 'number',
+                                    description: 'Most recent attempts to return (1-100, default: 10)',
+                                },
+                                status: {
+                                    type: 'string',
+                                    enum: ['paid', 'rejected', 'sent', 'failed'],
+                                    description: 'Only attempts with this outcome',
+                                },
+                            },
+                            required: [],
+                        },
+                    },
                 ],
             };
         });
@@ -265,6 +427,13 @@ class EngraveProtocolMCPServer {
             const { name, arguments: args } = request.params;
 
             try {
+                if (args?.max_price !== undefined && !(typeof args.max_price === 'number' && args.max_price > 0)) {
+                    throw new McpError(
+                        ErrorCode.InvalidParams,
+                        'max_price must be a positive number (USD)'
+                    );
+                }
+
                 switch (name) {
                     case 'query_mempool_address':
                         return await this.handleQueryMempoolAddress(/** @type {QueryMempoolAddressArgs} */ (args));
@@ -290,6 +459,21 @@ class EngraveProtocolMCPServer {
                     case 'query_mempool_height':
                         return await this.handleQueryMempoolHeight(/** @type {QueryMempoolHeightArgs} */ (args));
 
+                    case 'list_wallets':
+                        return await this.handleListWallets();
+
+                    case 'select_wallet':
+                        return await this.handleSelectWallet(/** @type {SelectWalletArgs} */ (args));
+
+                    case 'get_wallet_info':
+                        return await this.handleGetWalletInfo();
+
+                    case 'get_wallet_balance':
+                        return await this.handleGetWalletBalance();
+
+                    case 'list_recent_payments':
+                        return await this.handleListRecentPayments(/** @type {ListRecentPaymentsArgs} */ (args));
+
                     default:
                         throw new McpError(
                             ErrorCode.MethodNotFound,
@@ -384,7 +568,8 @@ class EngraveProtocolMCPServer {
             const result = await makePaidRequest(
                 this.httpClient,
                 `/api/v1/mempool/address/${args.address}`,
-                {}
+                {},
+                { maxPrice: args.max_price }
             );
 
             return {
@@ -395,11 +580,7 @@ class EngraveProtocolMCPServer {
                             success: true,
                             address: args.address,
                             data: result.data,
-                            payment: {
-                                amount: '~$0.01 USDC',
-                                method: 'x402',
-                                status: 'settled',
-                            },
+                            payment: describePayment(result),
                         }, null, 2),
                     },
                 ],
@@ -432,7 +613,8 @@ class EngraveProtocolMCPServer {
             const result = await makePaidRequest(
                 this.httpClient,
                 `/api/v1/mempool/address/${args.address}/txs`,
-                {}
+                {},
+                { maxPrice: args.max_price }
             );
 
             return {
@@ -444,11 +626,7 @@ class EngraveProtocolMCPServer {
                             address: args.address,
                             transactions: result.data,
                             count: Array.isArray(result.data) ? result.data.length : 0,
-                            payment: {
-                                amount: '~$0.01 USDC',
-                                method: 'x402',
-                                status: 'settled',
-                            },
+                            payment: describePayment(result),
                         }, null, 2),
                     },
                 ],
@@ -481,7 +659,8 @@ class EngraveProtocolMCPServer {
             const result = await makePaidRequest(
                 this.httpClient,
                 `/api/v1/mempool/tx/${args.txid}`,
-                {}
+                {},
+                { maxPrice: args.max_price }
             );
 
             return {
@@ -492,11 +671,7 @@ class EngraveProtocolMCPServer {
                             success: true,
                             txid: args.txid,
                             transaction: result.data,
-                            payment: {
-                                amount: '~$0.01 USDC',
-                                method: 'x402',
-                                status: 'settled',
-                            },
+                            payment: describePayment(result),
                         }, null, 2),
                     },
                 ],
@@ -529,7 +704,8 @@ class EngraveProtocolMCPServer {
             const result = await makePaidRequest(
                 this.httpClient,
                 `/api/v1/mempool/tx/${args.txid}/status`,
-                {}
+                {},
+                { maxPrice: args.max_price }
             );
 
             return {
@@ -540,11 +716,7 @@ class EngraveProtocolMCPServer {
                             success: true,
                             txid: args.txid,
                             status: result.data,
-                            payment: {
-                                amount: '~$0.01 USDC',
-                                method: 'x402',
-                                status: 'settled',
-                            },
+                            payment: describePayment(result),
                         }, null, 2),
                     },
                 ],
@@ -577,7 +749,8 @@ class EngraveProtocolMCPServer {
             const result = await makePaidRequest(
                 this.httpClient,
                 `/api/v1/mempool/block/${args.block_hash}`,
-                {}
+                {},
+                { maxPrice: args.max_price }
             );
 
             return {
@@ -588,11 +761,7 @@ class EngraveProtocolMCPServer {
                             success: true,
                             block: args.block_hash,
                             data: result.data,
-                            payment: {
-                                amount: '~$0.01 USDC',
-                                method: 'x402',
-                                status: 'settled',
-                            },
+                            payment: describePayment(result),
                         }, null, 2),
                     },
                 ],
@@ -626,7 +795,8 @@ class EngraveProtocolMCPServer {
             const result = await makePaidRequest(
                 this.httpClient,
                 `/api/v1/mempool/fees/${interval}`,
-                {}
+                {},
+                { maxPrice: args.max_price }
             );
 
             return {
@@ -637,12 +807,7 @@ class EngraveProtocolMCPServer {
                             success: true,
                             interval: interval,
                             fees: result.data,
-                            payment: {
-                                amount: '$0.001 USDC',
-                                method: 'x402',
-                                type: 'micropayment',
-                                status: 'settled',
-                            },
+                            payment: describePayment(result),
                         }, null, 2),
                     },
                 ],
@@ -676,7 +841,8 @@ class EngraveProtocolMCPServer {
             const result = await makePaidRequest(
                 this.httpClient,
                 '/api/v1/mempool/stats',
-                {}
+                {},
+                { maxPrice: args.max_price }
             );
 
             return {
@@ -686,12 +852,7 @@ class EngraveProtocolMCPServer {
                         text: JSON.stringify({
                             success: true,
                             stats: result.data,
-                            payment: {
-                                amount: '$0.001 USDC',
-                                method: 'x402',
-                                type: 'micropayment',
-                                status: 'settled',
-                            },
+                            payment: describePayment(result),
                         }, null, 2),
                     },
                 ],
@@ -745,6 +906,192 @@ class EngraveProtocolMCPServer {
         }
     }
 
+    /**
+     * Handle list_wallets tool
+     * @returns {Promise<Object>}
+     * @private
+     */
+    async handleListWallets() {
+        const wallets = listWallets().map((wallet) => ({
+            name: wallet.name,
+            address: wallet.address,
+            active: wallet.name === this.walletName,
+        }));
+
+        return {
+            content: [
+                {
+                    type: 'text',
+                    text: JSON.stringify({
+                        success: true,
+                        active: {
+                            name: this.walletName,
+                            address: this.signer ? this.signer.publicKey.toBase58() : null,
+                        },
+                        wallets,
+                    }, null, 2),
+                },
+            ],
+        };
+    }
+
+    /**
+     * Handle select_wallet tool
+     * Switches the payment client to another named wallet for this session
+     * @param {SelectWalletArgs} args - Tool arguments
+     * @returns {Promise<Object>}
+     * @private
+     */
+    async handleSelectWallet(args) {
+        if (!this.paymentClientOptions) {
+            throw new McpError(
+                ErrorCode.InternalError,
+                'Payment client not initialized. Check wallet configuration.'
+            );
+        }
+        if (this.signer?.kind !== 'keypair') {
+            throw new McpError(
+                ErrorCode.InvalidRequest,
+                'The wallet is held by the signing daemon and cannot be switched from here'
+            );
+        }
+        if (typeof args?.name !== 'string' || !args.name) {
+            throw new McpError(ErrorCode.InvalidParams, 'name is required');
+        }
+
+        let keypair;
+        try {
+            keypair = loadNamedWallet(args.name);
+        } catch (error) {
+            throw new McpError(ErrorCode.InvalidParams, `Cannot use wallet "${args.name}": ${error.message}`);
+        }
+
+        this.signer = createKeypairSigner(keypair);
+        this.walletName = args.name;
+        this.httpClient = createPaymentEnabledClient(this.signer, undefined, this.paymentClientOptions);
+        console.log(`[MCP Server] Switched to wallet "${args.name}":`, keypair.publicKey.toBase58());
+
+        return {
+            content: [
+                {
+                    type: 'text',
+                    text: JSON.stringify({
+                        success: true,
+                        name: args.name,
+                        address: keypair.publicKey.toBase58(),
+                    }, null, 2),
+                },
+            ],
+        };
+    }
+
+    /**
+     * Handle get_wallet_info tool
+     * Works even when the payment client failed to start, to say why
+     * @returns {Promise<Object>}
+     * @private
+     */
+    async handleGetWalletInfo() {
+        const options = this.paymentClientOptions;
+        const network = options?.network;
+
+        return {
+            content: [
+                {
+                    type: 'text',
+                    text: JSON.stringify({
+                        success: true,
+                        ready: Boolean(this.httpClient),
+                        error: this.paymentClientError ?? undefined,
+                        wallet: this.signer ? {
+                            address: this.signer.publicKey.toBase58(),
+                            signer: this.signer.kind,
+                            name: this.walletName,
+                        } : null,
+                        network: network ? {
+                            id: network.id,
+                            name: network.name,
+                            commitment: network.commitment,
+                            // Hosts only: private RPC URLs often carry API keys
+                            rpc: network.rpcUrls.map((url) => new URL(url).host),
+                            tokens: Object.keys(network.tokens),
+                        } : null,
+                        spending: options?.spendingLimits?.summary() ?? null,
+                        approvalThresholdUsd: this.approvalThreshold?.toFixed() ?? null,
+                        createTokenAccounts: options?.createTokenAccounts ?? false,
+                    }, null, 2),
+                },
+            ],
+        };
+    }
+
+    /**
+     * Handle get_wallet_balance tool
+     * @returns {Promise<Object>}
+     * @private
+     */
+    async handleGetWalletBalance() {
+        if (!this.httpClient || !this.paymentClientOptions) {
+            throw new McpError(
+                ErrorCode.InternalError,
+                'Payment client not initialized. Check wallet configuration.'
+            );
+        }
+
+        try {
+            const balances = await this.httpClient.getBalances();
+            const warnings = lowBalanceWarnings(balances, this.paymentClientOptions.lowBalance);
+
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text: JSON.stringify({
+                            success: true,
+                            address: balances.address,
+                            network: this.httpClient.network.id,
+                            sol: balances.sol,
+                            tokens: balances.tokens,
+                            warnings,
+                        }, null, 2),
+                    },
+                ],
+            };
+        } catch (error) {
+            console.error('[MCP Server] Balance query failed:', error.message);
+            throw new McpError(ErrorCode.InternalError, `Failed to read wallet balance: ${error.message}`);
+        }
+    }
+
+    /**
+     * Handle list_recent_payments tool
+     * @param {ListRecentPaymentsArgs} args - Tool arguments
+     * @returns {Promise<Object>}
+     * @private
+     */
+    async handleListRecentPayments(args) {
+        const limit = args?.limit ?? 10;
+        if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+            throw new McpError(ErrorCode.InvalidParams, 'limit must be a whole number from 1 to 100');
+        }
+        if (args?.status !== undefined && !['paid', 'rejected', 'sent', 'failed'].includes(args.status)) {
+            throw new McpError(ErrorCode.InvalidParams, 'status must be one of paid, rejected, sent, failed');
+        }
+
+        return {
+            content: [
+                {
+                    type: 'text',
+                    text: JSON.stringify({
+                        success: true,
+                        payments: this.paymentHistory.recent(limit, args?.status),
+                        spending: this.paymentClientOptions?.spendingLimits?.summary() ?? null,
+                    }, null, 2),
+                },
+            ],
+        };
+    }
+
     /**
      * Setup error handling
      * @private
@@ -764,6 +1111,9 @@ class EngraveProtocolMCPServer {
      * Start the MCP server
      */
     async start() {
+        // Tools need the payment client, which may wait on the signing daemon
+        await this.paymentClientReady;
+
         const transport = new StdioServerTransport();
         await this.server.connect(transport);
 
@@ -771,14 +1121,16 @@ class EngraveProtocolMCPServer {
         console.log('Production-ready Bitcoin blockchain data via mempool.space');
         console.log('');
         console.log('Available tools (x402 Solana payments):');
-        console.log('  - query_mempool_address: Get address info (~$0.01 USDC)');
-        console.log('  - query_mempool_address_txs: Get address transactions (~$0.01 USDC)');
-        console.log('  - query_mempool_transaction: Get transaction details (~$0.01 USDC)');
-        console.log('  - query_mempool_tx_status: Get transaction status (~$0.01 USDC)');
-        console.log('  - query_mempool_block: Get block information (~$0.01 USDC)');
-        console.log('  - query_mempool_fees: Get fee estimates ($0.001 USDC micropayment)');
-        console.log('  - query_mempool_stats: Get mempool statistics ($0.001 USDC micropayment)');
+        console.log('  - query_mempool_address: Get address info (paid)');
+        console.log('  - query_mempool_address_txs: Get address transactions (paid)');
+        console.log('  - query_mempool_transaction: Get transaction details (paid)');
+        console.log('  - query_mempool_tx_status: Get transaction status (paid)');
+        console.log('  - query_mempool_block: Get block information (paid)');
+        console.log('  - query_mempool_fees: Get fee estimates (paid)');
+        console.log('  - query_mempool_stats: Get mempool statistics (paid)');
         console.log('  - query_mempool_height: Get current block height (FREE)');
+        console.log('  - list_wallets / select_wallet: Choose the wallet this session pays from');
+        console.log('  - get_wallet_info / get_wallet_balance / list_recent_payments: Inspect the paying wallet (FREE)');
         console.log('');
         console.log('Payment method: x402 protocol via Solana wallet');
     }
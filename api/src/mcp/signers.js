@@ -0,0 +1,246 @@
+// @ts-check
+import http from 'http';
+import https from 'https';
+import nacl from 'tweetnacl';
+import { Keypair, PublicKey, Transaction, VersionedTransaction } from '@solana/web3.js';
+import { createConfigurationError, createSignerRefusedError } from './errors.js';
+import { loadWallet } from './wallet-utils.js';
+
+/**
+ * Payment Signers for the MCP Payment Client
+ * Everything the payment flow signs goes through a signer, so the client
+ * never needs the secret key itself:
+ * - keypair signer: signs in process with a loaded wallet
+ * - daemon signer: asks a local signing daemon, which holds the key and can
+ *   apply its own policy to every payment
+ *
+ * Daemon protocol: JSON over HTTP POST /, on a Unix socket (MCP_SIGNER_SOCKET)
+ * or at a URL (MCP_SIGNER_URL), with an optional bearer token (MCP_SIGNER_TOKEN).
+ * Requests are {method, params}; responses {result} on success or
+ * {error: {message}} on refusal.
+ *
+ * - get_public_key: {} -> {publicKey: base58}
+ * - sign_transaction: {transaction: base64, network, payment: {payTo, asset, amount, resource}}
+ *   -> {transaction: base64 with the payer signature added}
+ * - sign_message: {message: base64, purpose: 'payer-identity'} -> {signature: base64}
+ *
+ * Signed results are checked against the request: the daemon may only add the
+ * payer's signature, never change what is signed.
+ */
+
+/** Default time to wait for the signing daemon, which may ask a human */
+export const DEFAULT_SIGNER_TIMEOUT_MS = 30_000;
+
+/**
+ * @typedef {Object} SigningContext
+ * @property {string} network - x402 network the payment is for
+ * @property {{payTo: string, asset: string, maxAmountRequired: string, resource?: string}} requirements - Payment being signed
+ */
+
+/**
+ * @typedef {Object} PaymentSigner
+ * @property {PublicKey} publicKey - Payer wallet
+ * @property {string} kind - Signer type, for logs
+ * @property {<T extends Transaction | VersionedTransaction>(tx: T, context: SigningContext) => Promise<T>} signTransaction
+ *   Adds the payer signature (other signatures, like a sponsor's, are left to others)
+ * @property {(message: Uint8Array, purpose: string) => Promise<Uint8Array>} signMessage - Detached ed25519 signature
+ */
+
+/**
+ * Sign with a keypair held in this process
+ * @param {Keypair} keypair - Payer wallet
+ * @returns {PaymentSigner}
+ */
+export function createKeypairSigner(keypair) {
+	return {
+		publicKey: keypair.publicKey,
+		kind: 'keypair',
+		async signTransaction(tx) {
+			if (tx instanceof VersionedTransaction) {
+				tx.sign([keypair]);
+			} else {
+				tx.partialSign(keypair);
+			}
+			return tx;
+		},
+		async signMessage(message) {
+			return nacl.sign.detached(message, keypair.secretKey);
+		},
+	};
+}
+
+/**
+ * @typedef {Object} DaemonSignerOptions
+ * @property {string} [socketPath] - Unix socket the daemon listens on
+ * @property {string} [url] - HTTP(S) URL the daemon listens on
+ * @property {string} [token] - Bearer token sent with every request
+ * @property {number} [timeoutMs] - Per-request timeout
+ */
+
+/**
+ * Call the signing daemon
+ * @param {DaemonSignerOptions} options
+ * @param {string} method
+ * @param {Object} params
+ * @returns {Promise<any>} Result
+ */
+function callDaemon(options, method, params) {
+	const body = JSON.stringify({ method, params });
+	const requestOptions = {
+		method: 'POST',
+		headers: {
+			'Content-Type': 'application/json',
+			'Content-Length': Buffer.byteLength(body),
+			...(options.token && { Authorization: `Bearer ${options.token}` }),
+		},
+		timeout: options.timeoutMs ?? DEFAULT_SIGNER_TIMEOUT_MS,
+	};
+
+	return new Promise((resolve, reject) => {
+		/** @param {http.IncomingMessage} response */
+		const onResponse = (response) => {
+			let data = '';
+			response.setEncoding('utf8');
+			response.on('data', (chunk) => {
+				data += chunk;
+			});
+			response.on('end', () => {
+				let reply;
+				try {
+					reply = JSON.parse(data);
+				} catch {
+					reject(new Error(`Signer returned HTTP ${response.statusCode} without a JSON body`));
+					return;
+				}
+				if (reply.error) {
+					reject(createSignerRefusedError(reply.error.message || 'no reason given'));
+				} else if (response.statusCode !== 200 || !reply.result) {
+					reject(new Error(`Signer returned HTTP ${response.statusCode} without a result`));
+				} else {
+					resolve(reply.result);
+				}
+			});
+		};
+
+		let request;
+		if (options.socketPath) {
+			request = http.request({ ...requestOptions, socketPath: options.socketPath, path: '/' }, onResponse);
+		} else {
+			const url = new URL(/** @type {string} */ (options.url));
+			request = (url.protocol === 'https:' ? https : http).request(url, requestOptions, onResponse);
+		}
+		request.on('timeout', () => request.destroy(new Error(`Signer did not answer ${method} in time`)));
+		request.on('error', (error) => reject(new Error(`Signer unreachable: ${error.message}`)));
+		request.end(body);
+	});
+}
+
+/**
+ * Check a transaction signed by the daemon
+ * @template {Transaction | VersionedTransaction} T
+ * @param {T} unsigned - Transaction sent to the daemon
+ * @param {string} signedBase64 - Transaction returned by the daemon
+ * @param {PublicKey} payer
+ * @returns {T} Signed transaction
+ */
+function verifySignedTransaction(unsigned, signedBase64, payer) {
+	const bytes = Buffer.from(signedBase64, 'base64');
+
+	if (unsigned instanceof VersionedTransaction) {
+		const signed = VersionedTransaction.deserialize(bytes);
+		const message = signed.message.serialize();
+		const index = signed.message.staticAccountKeys.findIndex((key) => key.equals(payer));
+		if (!Buffer.from(message).equals(Buffer.from(unsigned.message.serialize()))) {
+			throw new Error('Signer changed the transaction');
+		}
+		if (index < 0 || !nacl.sign.detached.verify(message, signed.signatures[index], payer.toBytes())) {
+			throw new Error('Signer did not sign as the payer');
+		}
+		return /** @type {T} */ (signed);
+	}
+
+	const signed = Transaction.from(bytes);
+	const message = signed.serializeMessage();
+	const signature = signed.signatures.find((entry) => entry.publicKey.equals(payer))?.signature;
+	if (!message.equals(/** @type {Transaction} */ (unsigned).serializeMessage())) {
+		throw new Error('Signer changed the transaction');
+	}
+	if (!signature || !nacl.sign.detached.verify(message, signature, payer.toBytes())) {
+		throw new Error('Signer did not sign as the payer');
+	}
+	return /** @type {T} */ (signed);
+}
+
+/**
+ * Connect to a signing daemon
+ * @param {DaemonSignerOptions} options - Where the daemon listens
+ * @returns {Promise<PaymentSigner>}
+ */
+export async function connectDaemonSigner(options) {
+	const { publicKey: address } = await callDaemon(options, 'get_public_key', {});
+	const publicKey = new PublicKey(address);
+
+	return {
+		publicKey,
+		kind: 'daemon',
+		async signTransaction(tx, { network, requirements }) {
+			const serialized = tx instanceof VersionedTransaction
+				? tx.serialize()
+				: tx.serialize({ requireAllSignatures: false, verifySignatures: false });
+			const result = await callDaemon(options, 'sign_transaction', {
+				transaction: Buffer.from(serialized).toString('base64'),
+				network,
+				payment: {
+					payTo: requirements.payTo,
+					asset: requirements.asset,
+					amount: requirements.maxAmountRequired,
+					...(requirements.resource && { resource: requirements.resource }),
+				},
+			});
+			return verifySignedTransaction(tx, result.transaction, publicKey);
+		},
+		async signMessage(message, purpose) {
+			const result = await callDaemon(options, 'sign_message', {
+				message: Buffer.from(message).toString('base64'),
+				purpose,
+			});
+			const signature = Buffer.from(result.signature, 'base64');
+			if (!nacl.sign.detached.verify(message, signature, publicKey.toBytes())) {
+				throw new Error('Signer returned an invalid message signature');
+			}
+			return signature;
+		},
+	};
+}
+
+/**
+ * Load the signer configured in the environment
+ * - MCP_SIGNER_SOCKET or MCP_SIGNER_URL: use a signing daemon
+ * - MCP_SIGNER_TOKEN, MCP_SIGNER_TIMEOUT_MS: daemon authentication and timeout
+ * - otherwise: sign with the wallet loaded by loadWallet()
+ *
+ * @param {NodeJS.ProcessEnv} [env]
+ * @returns {Promise<PaymentSigner>}
+ */
+export async function loadSigner(env = process.env) {
+	const socketPath = env.MCP_SIGNER_SOCKET?.trim();
+	const url = env.MCP_SIGNER_URL?.trim();
+	if (!socketPath && !url) {
+		return createKeypairSigner(loadWallet(undefined, env));
+	}
+
+	if (socketPath && url) {
+		throw createConfigurationError('Set only one of MCP_SIGNER_SOCKET and MCP_SIGNER_URL');
+	}
+	if (url && !/^https?:\/\//.test(url)) {
+		throw createConfigurationError(`MCP_SIGNER_URL must be an http(s) URL, got "${url}"`);
+	}
+	const timeoutMs = env.MCP_SIGNER_TIMEOUT_MS ? Number(env.MCP_SIGNER_TIMEOUT_MS) : DEFAULT_SIGNER_TIMEOUT_MS;
+	if (!Number.isInteger(timeoutMs) || timeoutMs <= 0) {
+		throw createConfigurationError(`MCP_SIGNER_TIMEOUT_MS must be a positive number of milliseconds, got "${env.MCP_SIGNER_TIMEOUT_MS}"`);
+	}
+
+	const signer = await connectDaemonSigner({ socketPath, url, token: env.MCP_SIGNER_TOKEN, timeoutMs });
+	console.log(`[MCP Signer] Connected to signing daemon at ${socketPath || new URL(/** @type {string} */ (url)).host}`);
+	return signer;
+}
@@ -0,0 +1,304 @@
+// @ts-check
+import fs from 'fs';
+import Decimal from 'decimal.js';
+import { formatTokenAmount, tokenConfig } from '../config/pricing.js';
+import { createConfigurationError, createSpendingLimitError } from './errors.js';
+
+/**
+ * Spending Limits for the MCP Payment Client
+ * Caps what the agent wallet pays, whatever a server asks for. Every payment
+ * is checked before its transaction is built:
+ * - the payee and mint must be allowlisted
+ * - its USD value (from this client's own token rates, never the server's)
+ *   must fit the per-request, per-session and rolling 24-hour budgets
+ *
+ * An authorized payment is counted straight away, so concurrent requests
+ * cannot overspend together; it is released only if it fails before the
+ * payment is sent. The rolling day can be persisted to a file so it
+ * survives restarts.
+ */
+
+/** Length of the rolling spending window */
+export const SPENDING_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * @typedef {Object} SpendingLimitsOptions
+ * @property {string | null} [maxPerRequest] - USD cap per payment (null for none)
+ * @property {string | null} [maxPerSession] - USD cap for this client's lifetime (null for none)
+ * @property {string | null} [maxPerDay] - USD cap over the last 24 hours (null for none)
+ * @property {string[] | null} [allowedPayees] - Payee addresses (null allows any)
+ * @property {string[] | null} [allowedMints] - Token mints (null allows tokens with a configured USD rate)
+ * @property {string | null} [logFile] - JSON file persisting the rolling window (null keeps it in memory)
+ */
+
+/**
+ * @typedef {Object} SpendingRecord
+ * @property {number} at - When the payment was authorized (ms since epoch)
+ * @property {string} usd - USD value
+ * @property {string} amount - Amount in token base units
+ * @property {string} asset - Token mint
+ * @property {string} payTo - Payee address
+ * @property {string} [resource] - Resource paid for
+ */
+
+/**
+ * @typedef {Object} SpendingCharge
+ * @property {SpendingRecord} record
+ * @property {() => void} release - Un-count a payment that was never sent
+ */
+
+/**
+ * @typedef {{symbol: string, decimals: number, mint: string, usdRate: string | null}} ValuedToken
+ */
+
+/**
+ * @typedef {Object} PaymentQuote
+ * @property {Decimal | null} usd - USD value (null if the token has no configured rate)
+ * @property {string} display - Human-readable amount (e.g., "0.01 USDC")
+ */
+
+/**
+ * Value a payment with this client's own token table
+ *
+ * @param {{asset: string, maxAmountRequired: string}} requirements - Payment requirements from a 402 response
+ * @param {Record<string, ValuedToken>} [tokens]
+ * @returns {PaymentQuote}
+ */
+export function quotePayment(requirements, tokens = tokenConfig) {
+	const token = Object.values(tokens).find((t) => t.mint === requirements.asset);
+	if (!token) {
+		return { usd: null, display: `${requirements.maxAmountRequired} base units of ${requirements.asset}` };
+	}
+
+	const display = formatTokenAmount(requirements.maxAmountRequired, /** @type {import('../config/pricing.js').TokenInfo} */ (token));
+	if (!token.usdRate) {
+		return { usd: null, display };
+	}
+
+	const usd = new Decimal(requirements.maxAmountRequired)
+		.dividedBy(new Decimal(10).pow(token.decimals))
+		.times(token.usdRate);
+	return { usd, display };
+}
+
+export class SpendingLimits {
+	/**
+	 * @param {SpendingLimitsOptions} [options]
+	 * @param {Record<string, ValuedToken>} [tokens] - Token table used to value payments
+	 */
+	constructor(options = {}, tokens = tokenConfig) {
+		/** @private */
+		this.maxPerRequest = options.maxPerRequest ? new Decimal(options.maxPerRequest) : null;
+		/** @private */
+		this.maxPerSession = options.maxPerSession ? new Decimal(options.maxPerSession) : null;
+		/** @private */
+		this.maxPerDay = options.maxPerDay ? new Decimal(options.maxPerDay) : null;
+		/** @private */
+		this.allowedPayees = options.allowedPayees ? new Set(options.allowedPayees) : null;
+		/** @private */
+		this.allowedMints = options.allowedMints ? new Set(options.allowedMints) : null;
+		/** @private */
+		this.logFile = options.logFile || null;
+		/** @private */
+		this.tokens = tokens;
+		/** @private */
+		this.sessionSpent = new Decimal(0);
+		/** @private @type {SpendingRecord[]} */
+		this.records = this.loadRecords();
+	}
+
+	/**
+	 * @private
+	 * @returns {SpendingRecord[]}
+	 */
+	loadRecords() {
+		if (!this.logFile || !fs.existsSync(this.logFile)) {
+			return [];
+		}
+
+		try {
+			const records = JSON.parse(fs.readFileSync(this.logFile, 'utf8'));
+			return Array.isArray(records) ? records : [];
+		} catch (error) {
+			// An unreadable log must not reset the budget silently to zero
+			throw new Error(`Failed to read spending log ${this.logFile}: ${error.message}`);
+		}
+	}
+
+	/**
+	 * @private
+	 * @param {number} now
+	 */
+	saveRecords(now) {
+		this.records = this.records.filter((record) => now - record.at < SPENDING_WINDOW_MS);
+		if (!this.logFile) {
+			return;
+		}
+
+		try {
+			fs.writeFileSync(this.logFile, JSON.stringify(this.records, null, 2));
+		} catch (error) {
+			console.error('[Spending Limits] Failed to write spending log:', error.message);
+		}
+	}
+
+	/**
+	 * USD spent in the rolling window
+	 *
+	 * @param {number} [now]
+	 * @returns {Decimal}
+	 */
+	spentToday(now = Date.now()) {
+		return this.records
+			.filter((record) => now - record.at < SPENDING_WINDOW_MS)
+			.reduce((total, record) => total.plus(record.usd), new Decimal(0));
+	}
+
+	/**
+	 * Check a payment against the limits and count it
+	 *
+	 * @param {{payTo: string, asset: string, maxAmountRequired: string, resource?: string}} requirements - Chosen payment requirements
+	 * @param {number} [now]
+	 * @returns {SpendingCharge}
+	 * @throws {import('@modelcontextprotocol/sdk/types.js').McpError} If the payment is not allowed
+	 */
+	authorize(requirements, now = Date.now()) {
+		if (this.allowedPayees && !this.allowedPayees.has(requirements.payTo)) {
+			throw createSpendingLimitError(`payee ${requirements.payTo} is not in the allowlist`);
+		}
+		if (this.allowedMints && !this.allowedMints.has(requirements.asset)) {
+			throw createSpendingLimitError(`payment token ${requirements.asset} is not in the allowlist`);
+		}
+
+		const { usd } = quotePayment(requirements, this.tokens);
+		if (!usd) {
+			throw createSpendingLimitError(`no USD rate is configured for payment token ${requirements.asset}`);
+		}
+
+		if (this.maxPerRequest && usd.greaterThan(this.maxPerRequest)) {
+			throw createSpendingLimitError(`$${usd.toFixed()} exceeds the per-request limit of $${this.maxPerRequest.toFixed()}`);
+		}
+		if (this.maxPerSession && this.sessionSpent.plus(usd).greaterThan(this.maxPerSession)) {
+			throw createSpendingLimitError(
+				`$${usd.toFixed()} would exceed the session limit of $${this.maxPerSession.toFixed()} ` +
+				`($${this.sessionSpent.toFixed()} already spent)`
+			);
+		}
+		const spentToday = this.spentToday(now);
+		if (this.maxPerDay && spentToday.plus(usd).greaterThan(this.maxPerDay)) {
+			throw createSpendingLimitError(
+				`$${usd.toFixed()} would exceed the daily limit of $${this.maxPerDay.toFixed()} ` +
+				`($${spentToday.toFixed()} spent in the last 24 hours)`
+			);
+		}
+
+		/** @type {SpendingRecord} */
+		const record = {
+			at: now,
+			usd: usd.toFixed(),
+			amount: requirements.maxAmountRequired,
+			asset: requirements.asset,
+			payTo: requirements.payTo,
+			...(requirements.resource && { resource: requirements.resource }),
+		};
+		this.sessionSpent = this.sessionSpent.plus(usd);
+		this.records.push(record);
+		this.saveRecords(now);
+
+		let released = false;
+		return {
+			record,
+			release: () => {
+				if (released) {
+					return;
+				}
+				released = true;
+				this.sessionSpent = this.sessionSpent.minus(usd);
+				this.records = this.records.filter((r) => r !== record);
+				this.saveRecords(Date.now());
+			},
+		};
+	}
+
+	/**
+	 * Current spending against the limits
+	 *
+	 * @param {number} [now]
+	 * @returns {{session: string, today: string, limits: {perRequest: string | null, perSession: string | null, perDay: string | null}}} USD amounts
+	 */
+	summary(now = Date.now()) {
+		return {
+			session: this.sessionSpent.toFixed(),
+			today: this.spentToday(now).toFixed(),
+			limits: {
+				perRequest: this.maxPerRequest?.toFixed() ?? null,
+				perSession: this.maxPerSession?.toFixed() ?? null,
+				perDay: this.maxPerDay?.toFixed() ?? null,
+			},
+		};
+	}
+}
+
+/**
+ * Default USD budgets, applied when the corresponding variable is unset
+ * Set a variable to "none" to lift that limit.
+ */
+export const DEFAULT_SPENDING_LIMITS = {
+	maxPerRequest: '1',
+	maxPerSession: '10',
+	maxPerDay: '25',
+};
+
+/**
+ * Read spending limits from the environment
+ * - MCP_MAX_PAYMENT_PER_REQUEST, MCP_MAX_PAYMENT_PER_SESSION, MCP_MAX_PAYMENT_PER_DAY: USD amounts or "none"
+ * - MCP_ALLOWED_PAYEES, MCP_ALLOWED_MINTS: comma-separated addresses (unset allows any)
+ * - MCP_SPENDING_LOG_FILE: file persisting the rolling day (default: mcp_spending.json)
+ *
+ * @param {NodeJS.ProcessEnv} [env]
+ * @param {Record<string, ValuedToken>} [tokens] - Token table used to value payments
+ * @returns {SpendingLimits}
+ * @throws {import('@modelcontextprotocol/sdk/types.js').McpError} If a limit is not a positive amount
+ */
+export function loadSpendingLimits(env = process.env, tokens = tokenConfig) {
+	/**
+	 * @param {string} name
+	 * @param {string} defaultValue
+	 * @returns {string | null}
+	 */
+	const readLimit = (name, defaultValue) => {
+		const value = env[name]?.trim() || defaultValue;
+		if (value.toLowerCase() === 'none') {
+			return null;
+		}
+
+		let amount;
+		try {
+			amount = new Decimal(value);
+		} catch {
+			amount = null;
+		}
+		if (!amount || amount.isNaN() || amount.lessThanOrEqualTo(0)) {
+			throw createConfigurationError(`${name} must be a positive USD amount or "none", got "${value}"`);
+		}
+		return amount.toString();
+	};
+
+	/**
+	 * @param {string | undefined} value
+	 * @returns {string[] | null}
+	 */
+	const readList = (value) => {
+		const items = value?.split(',').map((item) => item.trim()).filter(Boolean);
+		return items?.length ? items : null;
+	};
+
+	return new SpendingLimits({
+		maxPerRequest: readLimit('MCP_MAX_PAYMENT_PER_REQUEST', DEFAULT_SPENDING_LIMITS.maxPerRequest),
+		maxPerSession: readLimit('MCP_MAX_PAYMENT_PER_SESSION', DEFAULT_SPENDING_LIMITS.maxPerSession),
+		maxPerDay: readLimit('MCP_MAX_PAYMENT_PER_DAY', DEFAULT_SPENDING_LIMITS.maxPerDay),
+		allowedPayees: readList(env.MCP_ALLOWED_PAYEES),
+		allowedMints: readList(env.MCP_ALLOWED_MINTS),
+		logFile: env.MCP_SPENDING_LOG_FILE || 'mcp_spending.json',
+	}, tokens);
+}
@@ -0,0 +1,155 @@
+// @ts-check
+import Decimal from 'decimal.js';
+import { LAMPORTS_PER_SOL, PublicKey } from '@solana/web3.js';
+import { TOKEN_2022_PROGRAM_ID, TOKEN_PROGRAM_ID, getAssociatedTokenAddressSync, unpackAccount } from '@solana/spl-token';
+import { formatTokenAmount } from '../config/pricing.js';
+import { quotePayment } from './spending-limits.js';
+import { createConfigurationError } from './errors.js';
+
+/**
+ * Wallet Balances for the MCP Payment Client
+ * Reads the agent wallet's SOL and token balances on its network, and warns
+ * when they run low so the agent can ask for funds before payments fail.
+ *
+ * - MCP_LOW_BALANCE_USD: warn when a payment token is worth less than this (default: 1)
+ * - MCP_LOW_BALANCE_SOL: warn when SOL for fees drops below this (default: 0.01)
+ */
+
+/** Default low-balance thresholds */
+export const DEFAULT_LOW_BALANCE = {
+	usd: '1',
+	sol: '0.01',
+};
+
+/**
+ * @typedef {Object} TokenBalance
+ * @property {string} symbol
+ * @property {string} mint
+ * @property {string} amount - Balance in base units ("0" without a token account)
+ * @property {string} display - Human-readable balance (e.g., "1.25 USDC")
+ * @property {string | null} usd - USD value (null if the token has no configured rate)
+ */
+
+/**
+ * @typedef {Object} WalletBalances
+ * @property {string} address
+ * @property {number} lamports
+ * @property {string} sol - SOL balance
+ * @property {TokenBalance[]} tokens - Balances of the network's payment tokens
+ */
+
+/**
+ * @typedef {Object} LowBalanceThresholds
+ * @property {Decimal} usd - Per-token USD value to warn below
+ * @property {Decimal} sol - SOL balance to warn below
+ */
+
+/**
+ * Read a wallet's SOL and payment token balances
+ *
+ * @param {import('@solana/web3.js').Connection} connection
+ * @param {PublicKey} owner - Wallet address
+ * @param {import('./client-network.js').ClientNetwork} network - Network, with its token table
+ * @returns {Promise<WalletBalances>}
+ */
+export async function getWalletBalances(connection, owner, network) {
+	const tokens = Object.values(network.tokens);
+	const mints = tokens.map((token) => new PublicKey(token.mint));
+
+	// Mint owners tell classic tokens from Token-2022, whose accounts derive differently
+	const mintAccounts = await connection.getMultipleAccountsInfo(mints, network.commitment);
+	const tokenAccounts = mints.map((mint, i) => {
+		const programId = mintAccounts[i]?.owner.equals(TOKEN_2022_PROGRAM_ID) ? TOKEN_2022_PROGRAM_ID : TOKEN_PROGRAM_ID;
+		return { address: getAssociatedTokenAddressSync(mint, owner, false, programId), programId };
+	});
+
+	const [ownerAccount, ...accounts] = await connection.getMultipleAccountsInfo(
+		[owner, ...tokenAccounts.map(({ address }) => address)],
+		network.commitment
+	);
+	const lamports = ownerAccount?.lamports ?? 0;
+
+	return {
+		address: owner.toBase58(),
+		lamports,
+		sol: new Decimal(lamports).dividedBy(LAMPORTS_PER_SOL).toFixed(),
+		tokens: tokens.map((token, i) => {
+			const account = accounts[i];
+			const amount = account ? unpackAccount(tokenAccounts[i].address, account, tokenAccounts[i].programId).amount.toString() : '0';
+			const { usd } = quotePayment({ asset: token.mint, maxAmountRequired: amount }, network.tokens);
+			return {
+				symbol: token.symbol,
+				mint: token.mint,
+				amount,
+				display: formatTokenAmount(amount, token),
+				usd: usd?.toFixed(2) ?? null,
+			};
+		}),
+	};
+}
+
+/**
+ * Warnings for balances below the thresholds
+ *
+ * @param {WalletBalances} balances
+ * @param {LowBalanceThresholds} thresholds
+ * @param {{mints?: string[], needsSol?: boolean}} [scope] - Tokens to check (default: all) and whether SOL pays fees
+ * @returns {string[]} One warning per low balance
+ */
+export function lowBalanceWarnings(balances, thresholds, { mints, needsSol = true } = {}) {
+	const warnings = [];
+
+	for (const token of balances.tokens) {
+		if ((mints && !mints.includes(token.mint)) || token.usd === null) {
+			continue;
+		}
+		if (new Decimal(token.usd).lessThan(thresholds.usd)) {
+			warnings.push(
+				`Low ${token.symbol} balance: ${token.display} ($${token.usd}) left in ${balances.address}, ` +
+				`below $${thresholds.usd.toFixed()}. Fund the wallet before payments start failing`
+			);
+		}
+	}
+
+	if (needsSol && new Decimal(balances.sol).lessThan(thresholds.sol)) {
+		warnings.push(
+			`Low SOL balance: ${balances.sol} SOL left in ${balances.address} for transaction fees, ` +
+			`below ${thresholds.sol.toFixed()} SOL`
+		);
+	}
+
+	return warnings;
+}
+
+/**
+ * Read low-balance thresholds from the environment
+ *
+ * @param {NodeJS.ProcessEnv} [env]
+ * @returns {LowBalanceThresholds}
+ * @throws {import('@modelcontextprotocol/sdk/types.js').McpError} If a threshold is not a non-negative amount
+ */
+export function loadLowBalanceThresholds(env = process.env) {
+	/**
+	 * @param {string} name
+	 * @param {string} defaultValue
+	 * @returns {Decimal}
+	 */
+	const readThreshold = (name, defaultValue) => {
+		const value = env[name]?.trim() || defaultValue;
+		let amount;
+		try {
+			amount = new Decimal(value);
+		} catch {
+			amount = null;
+		}
+		if (!amount || amount.isNaN() || amount.isNegative()) {
+			throw createConfigurationError(`${name} must be an amount of 0 or more, got "${value}"`);
+		}
+		return amount;
+	};
+
+	return {
+		usd: readThreshold('MCP_LOW_BALANCE_USD', DEFAULT_LOW_BALANCE.usd),
+		sol: readThreshold('MCP_LOW_BALANCE_SOL', DEFAULT_LOW_BALANCE.sol),
+	};
+}
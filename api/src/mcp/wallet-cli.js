@@ -0,0 +1,253 @@
+// @ts-check
+import { Keypair } from '@solana/web3.js';
+import fs from 'fs';
+import readline from 'readline';
+import { DEFAULT_DERIVATION_PATH, encodeSecretKey, keypairFromMnemonic, parseSecretKey, solanaDerivationPath } from './key-formats.js';
+import {
+	DEFAULT_WALLET_DIR,
+	DEFAULT_WALLET_FILE,
+	createWallet,
+	listWallets,
+	readWalletAddress,
+	readWalletFile,
+	saveWallet,
+	walletFilePath,
+	walletPassphrase,
+} from './wallet-utils.js';
+
+/**
+ * MCP Wallet Command Line
+ * Manages the encrypted keystore the MCP server pays from:
+ *
+ *   npm run mcp:wallet -- create                     Create a new encrypted wallet
+ *   npm run mcp:wallet -- import [key-file] [--force] Encrypt a Solana CLI or base58 key (file, MCP_WALLET_SECRET_KEY or prompt)
+ *   npm run mcp:wallet -- import --mnemonic [--account <n> | --path <path>] [--force]
+ *                                                    Derive the key from a BIP39 mnemonic (MCP_WALLET_MNEMONIC or prompt)
+ *   npm run mcp:wallet -- export [--format base58]   Print the secret key (Solana CLI JSON array by default)
+ *   npm run mcp:wallet -- rotate                     Replace the key, backing up the old keystore
+ *   npm run mcp:wallet -- change-passphrase          Re-encrypt with a new passphrase
+ *   npm run mcp:wallet -- address                    Print the wallet address
+ *   npm run mcp:wallet -- list                       List the named wallets
+ *
+ * The wallet file is MCP_WALLET_FILE (default: mcp_wallet.json), --file <path>,
+ * or with --name <name> the named wallet MCP_WALLET_DIR/<name>.json.
+ * Passphrases are read from MCP_WALLET_PASSPHRASE (MCP_WALLET_PASSPHRASE_<NAME>
+ * for named wallets, MCP_WALLET_NEW_PASSPHRASE for new ones), or prompted for
+ * on the terminal. A mnemonic's optional BIP39 passphrase is read from
+ * MCP_WALLET_MNEMONIC_PASSPHRASE.
+ */
+
+/** Options followed by a value */
+const VALUE_OPTIONS = ['--file', '--name', '--account', '--path', '--format'];
+
+/**
+ * Prompt for a passphrase without echoing it
+ * @param {string} question
+ * @returns {Promise<string>}
+ */
+function promptHidden(question) {
+	if (!process.stdin.isTTY) {
+		return Promise.reject(new Error(`${question.replace(/:\s*$/, '')} is required (no terminal to prompt on)`));
+	}
+
+	return new Promise((resolve) => {
+		const rl = readline.createInterface({ input: process.stdin, output: process.stderr, terminal: true });
+		let muted = false;
+		// Swallow the echoed keystrokes once the question is printed
+		const writeToOutput = /** @type {any} */ (rl)._writeToOutput.bind(rl);
+		/** @type {any} */ (rl)._writeToOutput = (/** @type {string} */ text) => {
+			if (!muted) {
+				writeToOutput(text);
+			}
+		};
+		rl.question(question, (answer) => {
+			rl.close();
+			process.stderr.write('\n');
+			resolve(answer);
+		});
+		muted = true;
+	});
+}
+
+/**
+ * Passphrase unlocking an existing keystore
+ * @param {string | undefined} fromEnv - Passphrase set in the environment
+ * @returns {Promise<string>}
+ */
+async function readPassphrase(fromEnv) {
+	return fromEnv || promptHidden('Wallet passphrase: ');
+}
+
+/**
+ * Passphrase for a new keystore, confirmed when typed
+ * @param {string | undefined} fromEnv - Passphrase set in the environment
+ * @returns {Promise<string>}
+ */
+async function readNewPassphrase(fromEnv) {
+	if (fromEnv) {
+		return fromEnv;
+	}
+
+	const passphrase = await promptHidden('New wallet passphrase: ');
+	if (!passphrase) {
+		throw new Error('The passphrase cannot be empty');
+	}
+	if (await promptHidden('Repeat passphrase: ') !== passphrase) {
+		throw new Error('Passphrases do not match');
+	}
+	return passphrase;
+}
+
+/**
+ * @param {string} walletPath
+ * @param {string | undefined} passphrase - Passphrase set in the environment
+ * @returns {Promise<Keypair>}
+ */
+async function unlockWallet(walletPath, passphrase) {
+	if (!fs.existsSync(walletPath)) {
+		throw new Error(`No wallet found at ${walletPath}`);
+	}
+	return readWalletFile(walletPath, await readPassphrase(passphrase)).keypair;
+}
+
+/**
+ * Key to import, from a mnemonic, a key file, MCP_WALLET_SECRET_KEY or a prompt
+ * @param {(option: string) => string | undefined} option - Reads an option's value
+ * @param {boolean} fromMnemonic
+ * @param {string | undefined} keyFile
+ * @returns {Promise<Keypair>}
+ */
+async function readImportedKey(option, fromMnemonic, keyFile) {
+	if (fromMnemonic) {
+		const account = option('--account');
+		const path = option('--path') ?? (account !== undefined ? solanaDerivationPath(Number(account)) : DEFAULT_DERIVATION_PATH);
+		const mnemonic = process.env.MCP_WALLET_MNEMONIC || await promptHidden('Mnemonic: ');
+		const keypair = keypairFromMnemonic(mnemonic, path, process.env.MCP_WALLET_MNEMONIC_PASSPHRASE);
+		console.log(`Derived ${keypair.publicKey.toBase58()} at ${path}`);
+		return keypair;
+	}
+
+	if (keyFile) {
+		return parseSecretKey(fs.readFileSync(keyFile, 'utf8'));
+	}
+	return parseSecretKey(process.env.MCP_WALLET_SECRET_KEY || await promptHidden('Secret key (JSON array or base58): '));
+}
+
+/**
+ * @param {string[]} argv - Arguments after the script name
+ */
+async function main(argv) {
+	const [command, ...rest] = argv;
+	/** @param {string} name */
+	const option = (name) => {
+		const index = rest.indexOf(name);
+		return index >= 0 ? rest[index + 1] : undefined;
+	};
+	const force = rest.includes('--force');
+	const positional = rest.filter((arg, i) => !arg.startsWith('--') && !VALUE_OPTIONS.includes(rest[i - 1]));
+
+	const name = option('--name');
+	const walletPath = name ? walletFilePath(name) : option('--file') || process.env.MCP_WALLET_FILE || DEFAULT_WALLET_FILE;
+	const passphrase = name ? walletPassphrase(name) : process.env.MCP_WALLET_PASSPHRASE;
+
+	switch (command) {
+		case 'create': {
+			createWallet(walletPath, await readNewPassphrase(passphrase));
+			break;
+		}
+
+		case 'import': {
+			const [keyFile] = positional;
+			const keypair = await readImportedKey(option, rest.includes('--mnemonic'), keyFile);
+
+			// --force also encrypts a plaintext wallet file in place
+			if (fs.existsSync(walletPath)) {
+				if (!force) {
+					throw new Error(`${walletPath} already exists; pass --force to overwrite it`);
+				}
+				const existingAddress = readWalletAddress(walletPath);
+				if (existingAddress !== keypair.publicKey.toBase58()) {
+					console.error(`⚠️  Overwriting the wallet of ${existingAddress}`);
+				}
+			}
+
+			saveWallet(walletPath, keypair, await readNewPassphrase(passphrase));
+			console.log(`Imported ${keypair.publicKey.toBase58()} into ${walletPath}`);
+			if (keyFile) {
+				console.log(`You can now delete the plaintext key ${keyFile}`);
+			} else if (process.env.MCP_WALLET_SECRET_KEY && !rest.includes('--mnemonic')) {
+				console.log('You can now remove MCP_WALLET_SECRET_KEY from the environment');
+			}
+			break;
+		}
+
+		case 'export': {
+			const format = option('--format') || 'json';
+			if (format !== 'json' && format !== 'base58') {
+				throw new Error(`--format must be json or base58, got "${format}"`);
+			}
+			const keypair = await unlockWallet(walletPath, passphrase);
+			console.error(`⚠️  This is the unencrypted secret key of ${keypair.publicKey.toBase58()}. Anyone holding it controls the wallet.`);
+			console.log(encodeSecretKey(keypair, format));
+			break;
+		}
+
+		case 'rotate': {
+			if (!fs.existsSync(walletPath)) {
+				throw new Error(`No wallet found at ${walletPath}`);
+			}
+			const currentPassphrase = await readPassphrase(passphrase);
+			const previous = readWalletFile(walletPath, currentPassphrase).keypair;
+
+			// Keep the old key until its funds have been moved
+			const backupPath = `${walletPath}.${new Date().toISOString().replace(/[:.]/g, '-')}.backup`;
+			fs.copyFileSync(walletPath, backupPath);
+			fs.chmodSync(backupPath, 0o600);
+
+			const keypair = Keypair.generate();
+			saveWallet(walletPath, keypair, currentPassphrase);
+			console.log(`Rotated ${walletPath}`);
+			console.log(`  Old address: ${previous.publicKey.toBase58()} (backed up to ${backupPath})`);
+			console.log(`  New address: ${keypair.publicKey.toBase58()}`);
+			console.log('Move the remaining funds from the old address to the new one, then delete the backup.');
+			break;
+		}
+
+		case 'change-passphrase': {
+			const keypair = await unlockWallet(walletPath, passphrase);
+			saveWallet(walletPath, keypair, await readNewPassphrase(process.env.MCP_WALLET_NEW_PASSPHRASE));
+			console.log(`Changed the passphrase of ${walletPath}`);
+			break;
+		}
+
+		case 'address': {
+			if (!fs.existsSync(walletPath)) {
+				throw new Error(`No wallet found at ${walletPath}`);
+			}
+			// The address is stored in the clear, so no passphrase is needed
+			console.log(readWalletAddress(walletPath));
+			break;
+		}
+
+		case 'list': {
+			const wallets = listWallets();
+			if (wallets.length === 0) {
+				console.log(`No named wallets in ${process.env.MCP_WALLET_DIR || DEFAULT_WALLET_DIR}`);
+			}
+			for (const wallet of wallets) {
+				console.log(`${wallet.name}\t${wallet.address ?? '(unreadable)'}`);
+			}
+			break;
+		}
+
+		default:
+			throw new Error(
+				'Usage: mcp:wallet <create|import|export|rotate|change-passphrase|address|list> [--file <path> | --name <name>]'
+			);
+	}
+}
+
+main(process.argv.slice(2)).catch((error) => {
+	console.error(`❌ ${error.message}`);
+	process.exit(1);
+});
@@ -2,25 +2,153 @@
 import { Keypair } from '@solana/web3.js';
 import fs from 'fs';
 import path from 'path';
+import { parseSecretKey } from './key-formats.js';
+import { decryptKeypair, encryptKeypair, isKeystore, writeKeystoreFile, DEFAULT_SCRYPT_PARAMS } from './keystore.js';
 
 /**
  * Wallet Utilities for MCP Server
  * Handles Solana wallet loading, creation, and validation
+ *
+ * The wallet is kept in a passphrase-encrypted keystore (see keystore.js),
+ * unlocked at startup with MCP_WALLET_PASSPHRASE. Plaintext secret keys
+ * (MCP_WALLET_SECRET_KEY or a JSON array file) still load, with a warning;
+ * `npm run mcp:wallet -- import` converts them.
+ *
+ * Besides the default wallet, named wallets live in MCP_WALLET_DIR as
+ * <name>.json. MCP_WALLET_NAME picks the one the server starts with; each is
+ * unlocked with MCP_WALLET_PASSPHRASE_<NAME>, or MCP_WALLET_PASSPHRASE.
  */
 
+/** Default wallet file, relative to the working directory */
+export const DEFAULT_WALLET_FILE = 'mcp_wallet.json';
+
+/** Default directory of named wallets, relative to the working directory */
+export const DEFAULT_WALLET_DIR = 'mcp_wallets';
+
+/**
+ * Keystore file of a named wallet
+ * @param {string} name - Wallet name (letters, digits, - and _)
+ * @param {NodeJS.ProcessEnv} [env] - Environment to read MCP_WALLET_DIR from
+ * @returns {string} File path
+ */
+export function walletFilePath(name, env = process.env) {
+	if (!/^[A-Za-z0-9][A-Za-z0-9_-]{0,63}$/.test(name)) {
+		throw new Error(`Invalid wallet name "${name}": use letters, digits, - and _`);
+	}
+	return path.join(env.MCP_WALLET_DIR || DEFAULT_WALLET_DIR, `${name}.json`);
+}
+
+/**
+ * Passphrase of a named wallet
+ * @param {string} name - Wallet name
+ * @param {NodeJS.ProcessEnv} [env] - Environment to read passphrases from
+ * @returns {string | undefined} MCP_WALLET_PASSPHRASE_<NAME>, falling back to MCP_WALLET_PASSPHRASE
+ */
+export function walletPassphrase(name, env = process.env) {
+	return env[`MCP_WALLET_PASSPHRASE_${name.toUpperCase().replace(/-/g, '_')}`] || env.MCP_WALLET_PASSPHRASE;
+}
+
+/**
+ * List the named wallets
+ * Addresses are read without unlocking the keystores.
+ * @param {NodeJS.ProcessEnv} [env] - Environment to read MCP_WALLET_DIR from
+ * @returns {{name: string, address: string | null, file: string}[]} Wallets by name (address null if unreadable)
+ */
+export function listWallets(env = process.env) {
+	const dir = env.MCP_WALLET_DIR || DEFAULT_WALLET_DIR;
+	if (!fs.existsSync(dir)) {
+		return [];
+	}
+
+	return fs.readdirSync(dir)
+		.filter((file) => file.endsWith('.json'))
+		.sort()
+		.map((file) => {
+			const filePath = path.join(dir, file);
+			let address = null;
+			try {
+				address = readWalletAddress(filePath);
+			} catch {
+				// Listed anyway, so a broken file is visible
+			}
+			return { name: path.basename(file, '.json'), address, file: filePath };
+		});
+}
+
+/**
+ * Address of a wallet file, without unlocking it
+ * @param {string} filePath - Wallet file
+ * @returns {string} Base58 encoded address
+ */
+export function readWalletAddress(filePath) {
+	return readKeystore(filePath)?.address ?? parseSecretKey(fs.readFileSync(filePath, 'utf8')).publicKey.toBase58();
+}
+
+/**
+ * Read a wallet file, decrypting it if it is a keystore
+ * @param {string} filePath - Wallet file
+ * @param {string} [passphrase] - Keystore passphrase
+ * @returns {{keypair: Keypair, encrypted: boolean}} Solana keypair and whether the file was encrypted
+ */
+export function readWalletFile(filePath, passphrase) {
+	const keystore = readKeystore(filePath);
+	if (!keystore) {
+		return { keypair: parseSecretKey(fs.readFileSync(filePath, 'utf8')), encrypted: false };
+	}
+	if (!passphrase) {
+		throw new Error(`${filePath} is encrypted: set MCP_WALLET_PASSPHRASE to unlock it`);
+	}
+	return { keypair: decryptKeypair(keystore, passphrase), encrypted: true };
+}
+
+/**
+ * Read a keystore file
+ * @param {string} filePath - Wallet file
+ * @returns {import('./keystore.js').Keystore | null} Keystore, or null for a plaintext secret key
+ */
+function readKeystore(filePath) {
+	const raw = fs.readFileSync(filePath, 'utf8').trim();
+	if (!raw.startsWith('{')) {
+		return null;
+	}
+	const contents = JSON.parse(raw);
+	if (!isKeystore(contents)) {
+		throw new Error(`${filePath} is not a wallet keystore`);
+	}
+	return contents;
+}
+
+/**
+ * Encrypt a keypair and save it as a keystore file
+ * @param {string} filePath - File path to save wallet
+ * @param {Keypair} keypair - Solana keypair
+ * @param {string} passphrase - Keystore passphrase
+ * @param {{n: number, r: number, p: number}} [scryptParams] - Key derivation cost
+ */
+export function saveWallet(filePath, keypair, passphrase, scryptParams = DEFAULT_SCRYPT_PARAMS) {
+	fs.mkdirSync(path.dirname(filePath), { recursive: true });
+	writeKeystoreFile(filePath, encryptKeypair(keypair, passphrase, scryptParams));
+}
+
 /**
  * Load wallet from environment variable or file
+ * A new wallet is only created when MCP_WALLET_CREATE=true; otherwise a
+ * missing wallet is an error, so a misconfigured path never silently swaps
+ * in an empty wallet.
  * @param {string} [filePath] - Optional file path to load wallet from
+ * @param {NodeJS.ProcessEnv} [env] - Environment to read wallet settings from
  * @returns {Keypair} Solana keypair
  */
-export function loadWallet(filePath) {
-	// Priority 1: Environment variable
-	const envSecret = process.env.MCP_WALLET_SECRET_KEY;
+export function loadWallet(filePath, env = process.env) {
+	const name = env.MCP_WALLET_NAME?.trim();
+
+	// Priority 1: Environment variable, unless a named wallet is asked for
+	const envSecret = name ? undefined : env.MCP_WALLET_SECRET_KEY;
 	if (envSecret) {
 		try {
-			const secretKey = Uint8Array.from(JSON.parse(envSecret));
-			const keypair = Keypair.fromSecretKey(secretKey);
+			const keypair = parseSecretKey(envSecret);
 			console.log('[MCP Wallet] Loaded from environment variable');
+			console.warn('[MCP Wallet] ⚠️  MCP_WALLET_SECRET_KEY holds an unencrypted key; import it with `npm run mcp:wallet -- import`');
 			console.log('[MCP Wallet] Address:', keypair.publicKey.toBase58());
 			return keypair;
 		} catch (error) {
@@ -29,14 +157,16 @@ export function loadWallet(filePath) {
 	}
 
 	// Priority 2: File path
-	const walletPath = filePath || process.env.MCP_WALLET_FILE || 'mcp_wallet.json';
+	const walletPath = filePath || (name ? walletFilePath(name, env) : env.MCP_WALLET_FILE || DEFAULT_WALLET_FILE);
+	const passphrase = name ? walletPassphrase(name, env) : env.MCP_WALLET_PASSPHRASE;
 
 	if (fs.existsSync(walletPath)) {
 		try {
-			const raw = fs.readFileSync(walletPath, 'utf8').trim();
-			const secretKey = Uint8Array.from(JSON.parse(raw));
-			const keypair = Keypair.fromSecretKey(secretKey);
-			console.log('[MCP Wallet] Loaded from file:', walletPath);
+			const { keypair, encrypted } = readWalletFile(walletPath, passphrase);
+			console.log(`[MCP Wallet] Loaded from ${encrypted ? 'keystore' : 'file'}:`, walletPath);
+			if (!encrypted) {
+				console.warn(`[MCP Wallet] ⚠️  ${walletPath} holds an unencrypted key; encrypt it with \`npm run mcp:wallet -- import ${walletPath} --force\``);
+			}
 			console.log('[MCP Wallet] Address:', keypair.publicKey.toBase58());
 			return keypair;
 		} catch (error) {
@@ -44,22 +174,48 @@ export function loadWallet(filePath) {
 		}
 	}
 
-	// Priority 3: Create new wallet
+	// Priority 3: Create new wallet, only when asked to
+	if (env.MCP_WALLET_CREATE !== 'true') {
+		throw new Error(
+			`No wallet found at ${walletPath}. Create one with \`npm run mcp:wallet -- create\`, ` +
+			'or set MCP_WALLET_CREATE=true to create it on startup'
+		);
+	}
+	if (!passphrase) {
+		throw new Error('MCP_WALLET_CREATE needs MCP_WALLET_PASSPHRASE to encrypt the new wallet');
+	}
+
 	console.log('[MCP Wallet] No wallet found, creating new one...');
-	return createWallet(walletPath);
+	return createWallet(walletPath, passphrase);
+}
+
+/**
+ * Load a named wallet from MCP_WALLET_DIR
+ * Never creates one: an unknown name is an error.
+ * @param {string} name - Wallet name
+ * @param {NodeJS.ProcessEnv} [env] - Environment to read wallet settings from
+ * @returns {Keypair} Solana keypair
+ */
+export function loadNamedWallet(name, env = process.env) {
+	return loadWallet(undefined, { ...env, MCP_WALLET_NAME: name, MCP_WALLET_CREATE: undefined });
 }
 
 /**
- * Create a new Solana wallet and save it
- * @param {string} [filePath] - File path to save wallet
+ * Create a new Solana wallet and save it encrypted
+ * @param {string} filePath - File path to save wallet
+ * @param {string} passphrase - Keystore passphrase
+ * @param {{n: number, r: number, p: number}} [scryptParams] - Key derivation cost
  * @returns {Keypair} Newly created Solana keypair
  */
-export function createWallet(filePath = 'mcp_wallet.json') {
+export function createWallet(filePath, passphrase, scryptParams) {
+	if (fs.existsSync(filePath)) {
+		throw new Error(`Failed to create wallet: ${filePath} already exists`);
+	}
+
 	const keypair = Keypair.generate();
 
 	try {
-		const secretKeyArray = Array.from(keypair.secretKey);
-		fs.writeFileSync(filePath, JSON.stringify(secretKeyArray));
+		saveWallet(filePath, keypair, passphrase, scryptParams);
 
 		console.log('[MCP Wallet] ✅ Created new wallet');
 		console.log('[MCP Wallet] Address:', keypair.publicKey.toBase58());
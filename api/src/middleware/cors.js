@@ -23,9 +23,12 @@ export const corsMiddleware = (req, res, next) => {
 	// Allow x402 payment headers
 	res.header(
 		'Access-Control-Allow-Headers',
-		'Origin, X-Requested-With, Content-Type, Accept, x402-Signature, x402-PublicKey'
+		'Origin, X-Requested-With, Content-Type, Accept, X-PAYMENT, x402-Signature, x402-PublicKey, x402-Timestamp'
 	);
 
+	// Let browser clients read settlement receipts
+	res.header('Access-Control-Expose-Headers', 'X-PAYMENT-RESPONSE');
+
 	// Allow GET and POST methods
 	res.header('Access-Control-Allow-Methods', 'GET, POST');
 
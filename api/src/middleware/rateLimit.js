@@ -0,0 +1,50 @@
+// @ts-check
+
+/**
+ * Rate Limit Middleware
+ * Caps how many requests each client (by IP address) makes per fixed window.
+ * Counters live in memory, so each server process limits on its own.
+ */
+
+/**
+ * @typedef {import('express').Request} Request
+ * @typedef {import('express').Response} Response
+ * @typedef {import('express').NextFunction} NextFunction
+ */
+
+/**
+ * @param {{requests: number, windowMs: number, skip?: (req: Request) => boolean}} options
+ *   Requests allowed per client per window; skip exempts requests from the limit
+ * @returns {(req: Request, res: Response, next: NextFunction) => void}
+ */
+export function createRateLimit({requests, windowMs, skip = () => false}) {
+	/** @type {Map<string, number>} */
+	const counts = new Map();
+	let windowStart = Date.now();
+
+	return (req, res, next) => {
+		if (skip(req)) {
+			return next();
+		}
+
+		const now = Date.now();
+		if (now - windowStart >= windowMs) {
+			counts.clear();
+			windowStart = now;
+		}
+
+		const client = req.ip || req.socket.remoteAddress || 'unknown';
+		const count = (counts.get(client) || 0) + 1;
+		counts.set(client, count);
+		if (count <= requests) {
+			return next();
+		}
+
+		const retryAfterSeconds = Math.ceil((windowStart + windowMs - now) / 1000);
+		res.set('Retry-After', String(retryAfterSeconds));
+		res.status(429).json({
+			error: 'Too Many Requests',
+			message: `Limit of ${requests} requests per ${windowMs}ms reached, retry in ${retryAfterSeconds}s`,
+		});
+	};
+}
@@ -0,0 +1,153 @@
+// @ts-check
+/**
+ * Facilitator Routes
+ *
+ * Built-in x402 facilitator for this server and other x402 servers on the
+ * network. Available at /facilitator when X402_FACILITATOR_KEYPAIR is set.
+ * Verify and settle are rate limited per client, since anyone can call them.
+ */
+import express from 'express';
+import { config } from '../config/env.js';
+import { createRateLimit } from '../middleware/rateLimit.js';
+import { localFacilitator } from '../services/local-facilitator.js';
+
+const router = express.Router();
+
+/** Addresses a request from this host arrives from */
+const LOOPBACK_ADDRESSES = ['127.0.0.1', '::1', '::ffff:127.0.0.1'];
+
+/**
+ * Limit each client's verify and settle requests
+ * This server reaches its own facilitator through BASE_API_URL; those calls
+ * come from loopback without a proxy's forwarding header and are not limited.
+ */
+const rateLimit = createRateLimit({
+	requests: config.x402.facilitator.rateLimitRequests,
+	windowMs: config.x402.facilitator.rateLimitWindowMs,
+	skip: (req) => !req.headers['x-forwarded-for'] && LOOPBACK_ADDRESSES.includes(req.socket.remoteAddress || ''),
+});
+
+/**
+ * Read a facilitator request body
+ *
+ * @param {import('express').Request} req
+ * @returns {{paymentPayload: any, paymentRequirements: any} | null} Null if either part is missing
+ */
+function readFacilitatorRequest(req) {
+	const { paymentPayload, paymentRequirements } = req.body || {};
+	if (!paymentPayload || typeof paymentPayload !== 'object'
+		|| !paymentRequirements || typeof paymentRequirements !== 'object') {
+		return null;
+	}
+	return { paymentPayload, paymentRequirements };
+}
+
+/**
+ * @swagger
+ * /facilitator/supported:
+ *   get:
+ *     tags:
+ *       - Facilitator
+ *     summary: List supported payment kinds
+ *     description: Schemes and networks this facilitator settles, with the fee payer clients must name in their transactions.
+ *     responses:
+ *       '200':
+ *         description: Supported payment kinds
+ *         content:
+ *           application/json:
+ *             example:
+ *               kinds:
+ *                 - x402Version: 1
+ *                   scheme: exact
+ *                   network: solana-devnet
+ *                   extra: { feePayer: '<fee payer address>' }
+ */
+router.get('/supported', (req, res) => {
+	res.json(localFacilitator.getSupported());
+});
+
+/**
+ * @swagger
+ * /facilitator/verify:
+ *   post:
+ *     tags:
+ *       - Facilitator
+ *     summary: Verify a payment
+ *     description: |
+ *       Checks that the payment transaction pays the requirements, is signed by the payer and would succeed.
+ *       Transactions naming the facilitator as fee payer may only contain compute budget, payee token account
+ *       creation and token transfer instructions.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [paymentPayload, paymentRequirements]
+ *             properties:
+ *               paymentPayload: { type: object }
+ *               paymentRequirements: { type: object }
+ *     responses:
+ *       '200':
+ *         description: Verification result
+ *         content:
+ *           application/json:
+ *             example: { isValid: false, invalidReason: insufficient_payment_amount }
+ *       '400':
+ *         description: Missing paymentPayload or paymentRequirements
+ *       '429':
+ *         description: Too many requests from this client; retry after the Retry-After header's seconds
+ */
+router.post('/verify', rateLimit, async (req, res) => {
+	const request = readFacilitatorRequest(req);
+	if (!request) {
+		return res.status(400).json({ isValid: false, invalidReason: 'invalid_request' });
+	}
+
+	res.json(await localFacilitator.verifyPayment(request.paymentPayload, request.paymentRequirements));
+});
+
+/**
+ * @swagger
+ * /facilitator/settle:
+ *   post:
+ *     tags:
+ *       - Facilitator
+ *     summary: Settle a payment
+ *     description: Verifies the payment, co-signs it as fee payer when named, submits it and waits for confirmation.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [paymentPayload, paymentRequirements]
+ *             properties:
+ *               paymentPayload: { type: object }
+ *               paymentRequirements: { type: object }
+ *     responses:
+ *       '200':
+ *         description: Settlement result
+ *         content:
+ *           application/json:
+ *             example: { success: true, transaction: '<signature>', network: solana-devnet, payer: '<payer address>' }
+ *       '400':
+ *         description: Missing paymentPayload or paymentRequirements
+ *       '429':
+ *         description: Too many requests from this client; retry after the Retry-After header's seconds
+ */
+router.post('/settle', rateLimit, async (req, res) => {
+	const request = readFacilitatorRequest(req);
+	if (!request) {
+		return res.status(400).json({
+			success: false,
+			errorReason: 'invalid_request',
+			transaction: '',
+			network: req.body?.paymentRequirements?.network || 'unknown',
+		});
+	}
+
+	res.json(await localFacilitator.settlePayment(request.paymentPayload, request.paymentRequirements));
+});
+
+export default router;
@@ -1,6 +1,12 @@
 // @ts-check
 import express from 'express';
 import mempoolRoutes from './mempool.routes.js';
+import { createPricingRouter } from './pricing.routes.js';
+import facilitatorRoutes from './facilitator.routes.js';
+import { localFacilitator } from '../services/local-facilitator.js';
+import { facilitatorPool } from '../services/facilitator-pool.js';
+import { settlementQueue } from '../services/settlement-queue.js';
+import { treasury } from '../services/treasury.js';
 
 const router = express.Router();
 
@@ -9,8 +15,18 @@ const router = express.Router();
  *
  * API Structure:
  * - /api/v1/mempool/* - Production-ready mempool endpoints with x402 payments
+ * - /api/v1/pricing - Pricing catalog generated from the paid routes below
+ * - /facilitator/* - Built-in x402 facilitator (when X402_FACILITATOR_KEYPAIR is set)
  */
 
+/**
+ * Paid routers and their mount paths
+ * @type {import('../services/pricing-catalog.js').PaidRouter[]}
+ */
+const paidRouters = [
+	{ prefix: '/api/v1/mempool', router: mempoolRoutes },
+];
+
 /**
  * @swagger
  * /health:
@@ -37,13 +53,23 @@ router.get('/health', (req, res) => {
 			mempoolBridge: true,
 			mcpServer: true,
 			x402Payments: true,
+			x402Facilitator: localFacilitator.enabled,
 		},
 		endpoints: {
 			v1: {
 				mempool: '/api/v1/mempool/*',
+				pricing: '/api/v1/pricing',
 			},
+			...(localFacilitator.enabled && {
+				facilitator: {
+					supported: '/facilitator/supported',
+					verify: '/facilitator/verify',
+					settle: '/facilitator/settle',
+				},
+			}),
 			utility: {
 				health: '/health',
+				metrics: '/metrics',
 				apiDocs: '/api-docs',
 				apiDocsJson: '/api-docs.json',
 			},
@@ -51,7 +77,67 @@ router.get('/health', (req, res) => {
 	});
 });
 
+/**
+ * @swagger
+ * /metrics:
+ *   get:
+ *     tags:
+ *       - Health
+ *     summary: Payment path metrics
+ *     description: |
+ *       Health of each configured facilitator (circuit breaker state, consecutive failures, latency, advertised fee payer)
+ *       and how many quotes, verifications and settlements each path handled: a facilitator URL, `direct` (on-chain,
+ *       used only while every facilitator is down) or `upto` (metered payments, handled in-process), and the treasury
+ *       addresses payments are accepted to (the active one, and those retiring after a rotation).
+ *     responses:
+ *       '200':
+ *         description: Payment metrics
+ *         content:
+ *           application/json:
+ *             example:
+ *               facilitators:
+ *                 - url: https://facilitator.payai.network
+ *                   breaker: closed
+ *                   consecutiveFailures: 0
+ *                   feePayer: '<fee payer address>'
+ *                   latencyMs: { last: 180, average: 210 }
+ *                   lastError: null
+ *                   lastProbeAt: '2025-01-01T00:00:00.000Z'
+ *               paths:
+ *                 quote: { 'https://facilitator.payai.network': 40 }
+ *                 verify: { 'https://facilitator.payai.network': 12, direct: 1 }
+ *                 settle: { 'https://facilitator.payai.network': 12, direct: 1 }
+ *               settlementQueue: { pending: 0, settling: 0, settled: 13, confirmed: 0, dead: 0 }
+ *               treasury:
+ *                 gracePeriodSeconds: 3600
+ *                 addresses:
+ *                   - address: '<previous treasury address>'
+ *                     status: retiring
+ *                     activeFrom: '1970-01-01T00:00:00.000Z'
+ *                     retiredAt: '2025-01-01T00:00:00.000Z'
+ *                     acceptedUntil: '2025-01-01T01:00:00.000Z'
+ *                   - address: '<treasury address>'
+ *                     status: active
+ *                     activeFrom: '2025-01-01T00:00:00.000Z'
+ *                     retiredAt: null
+ *                     acceptedUntil: null
+ */
+router.get('/metrics', (req, res) => {
+	res.json({
+		...facilitatorPool.getMetrics(),
+		settlementQueue: settlementQueue.summary(),
+		treasury: treasury.getStatus(),
+	});
+});
+
 // Mount v1 production routes
-router.use('/api/v1/mempool', mempoolRoutes);
+for (const { prefix, router: paidRouter } of paidRouters) {
+	router.use(prefix, paidRouter);
+}
+router.use('/api/v1/pricing', createPricingRouter(paidRouters));
+
+if (localFacilitator.enabled) {
+	router.use('/facilitator', facilitatorRoutes);
+}
 
 export default router;
@@ -17,7 +17,13 @@
 import express from 'express';
 import { mempoolService } from '../services/mempool.service.js';
 import { x402Service } from '../services/x402.service.js';
+import { settlementQueue } from '../services/settlement-queue.js';
+import { verifyPayerIdentity, walletTiers } from '../services/wallet-tiers.js';
+import { getPaymentPayer } from '../services/direct-verifier.js';
+import { dynamicPricing } from '../services/dynamic-pricing.js';
+import { UPTO_SCHEME, getUptoPaymentPayer, meterPaymentRequirements } from '../services/upto-scheme.js';
 import { getPrice } from '../config/pricing.js';
+import { config } from '../config/env.js';
 
 const router = express.Router();
 
@@ -29,26 +35,86 @@ const router = express.Router();
 /**
  * x402 Payment Middleware
  * Reusable payment verification middleware
+ *
+ * The quote reflects the payer's pricing tier when the request carries a valid
+ * payer identity (x402-PublicKey / x402-Timestamp / x402-Signature); the payment
+ * must then come from that wallet. With dynamic pricing enabled the quote also
+ * carries the current congestion multiplier; payments are checked against the
+ * lowest multiplier quoted within maxTimeoutSeconds so outstanding quotes are honoured.
+ *
+ * The pricing key is attached to the middleware so the pricing catalog can be
+ * generated from the live route table.
+ *
+ * @param {string} category - Pricing category (e.g., 'mempool')
+ * @param {string} endpoint - Pricing endpoint name (e.g., 'addressInfo')
+ * @param {string} description - Resource description
+ * @param {{metered?: {endpoint: string, maxUnits: number}}} [options] - Also offer metered "upto"
+ *   payments, priced per unit by the given pricing endpoint
  */
-const verifyPayment = (price, resourcePath, description) => {
-	return async (req, res, next) => {
+const verifyPayment = (category, endpoint, description, options = {}) => {
+	const middleware = async (req, res, next) => {
 		try {
+			// Quote the mounted route path (e.g. /api/v1/mempool/tx/:txid)
+			const resourcePath = `${req.baseUrl}${req.route.path}`;
+
+			// Identify the payer to apply their pricing tier
+			const identity = verifyPayerIdentity(req.headers, config.pricing.identityMaxAgeSeconds);
+			if (identity.error) {
+				return res.status(401).json({
+					error: 'Invalid payer identity',
+					message: 'x402-Signature does not prove ownership of x402-PublicKey',
+					reason: identity.error,
+				});
+			}
+			const tier = walletTiers.getTier(identity.wallet);
+
 			// Extract payment header
 			const paymentHeader = x402Service.extractPayment(req.headers);
 
-			// Create payment requirements
-			const paymentRequirements = await x402Service.createPaymentRequirements(
+			// Quote the current price; honour any earlier quote when paying
+			const honored = !!paymentHeader;
+			const price = dynamicPricing.apply(getPrice(category, endpoint, tier), { honored });
+			const upto = options.metered && {
+				unitPrice: dynamicPricing.apply(getPrice(category, options.metered.endpoint, tier), { honored }),
+				maxUnits: options.metered.maxUnits,
+			};
+
+			// Create payment requirements (one per accepted token and scheme)
+			const accepts = await x402Service.createPaymentRequirements(
 				price,
 				resourcePath,
-				description
+				description,
+				{ upto }
 			);
 
 			// If no payment, return 402
 			if (!paymentHeader) {
-				const response = x402Service.create402Response(paymentRequirements);
+				const response = x402Service.create402Response(accepts);
 				return res.status(response.status).json(response.body);
 			}
 
+			// Match the token the payer chose
+			const paymentRequirements = x402Service.selectPaymentRequirements(paymentHeader, accepts);
+			if (!paymentRequirements) {
+				return res.status(402).json({
+					error: 'Invalid payment',
+					message: 'Payment does not match any accepted token',
+					reason: 'no_matching_payment_requirements',
+				});
+			}
+
+			// A tier discount is only valid for the wallet that proved it
+			const payer = paymentRequirements.scheme === UPTO_SCHEME
+				? getUptoPaymentPayer(paymentHeader)
+				: getPaymentPayer(paymentHeader);
+			if (identity.wallet && payer !== identity.wallet) {
+				return res.status(402).json({
+					error: 'Invalid payment',
+					message: 'Payment must be made from the identified payer wallet',
+					reason: 'payer_identity_mismatch',
+				});
+			}
+
 			// Verify payment
 			const verified = await x402Service.verifyPayment(
 				paymentHeader,
@@ -77,6 +143,8 @@ const verifyPayment = (price, resourcePath, description) => {
 			});
 		}
 	};
+	middleware.pricing = { category, endpoint, description, metered: options.metered };
+	return middleware;
 };
 
 /**
@@ -104,41 +172,136 @@ const createHandler = (serviceMethod, extractParams, formatResponse) => {
 	};
 };
 
+/**
+ * @typedef {Object} SettlementPolicy
+ * @property {boolean} [chargeNotFound] - Settle 404 responses ("not found" is the paid answer)
+ * @property {'async' | 'sync'} [mode] - Override X402_SETTLEMENT_MODE for this route
+ * @property {(body: any) => number} [meter] - Count the units delivered in a response body,
+ *   for metered ("upto") payments
+ */
+
+/**
+ * Decide whether a response status is chargeable under a route's policy
+ *
+ * @param {number} statusCode
+ * @param {SettlementPolicy} policy
+ * @returns {boolean}
+ */
+const isChargeable = (statusCode, policy) => {
+	if (statusCode >= 200 && statusCode < 300) {
+		return true;
+	}
+	return statusCode === 404 && policy.chargeNotFound === true;
+};
+
 /**
  * Settlement Middleware
- * Settles payment after successful response
+ * Settles payment for chargeable responses; voids it on any failure so agents
+ * are never charged for upstream errors.
+ *
+ * In async mode the body is sent first and the payment is handed to the durable
+ * settlement queue, which retries failures in the background.
+ * In sync mode the body is held until settlement completes and the receipt is
+ * returned in an X-PAYMENT-RESPONSE header; if settlement fails the body is
+ * withheld and a 402 is returned instead.
+ *
+ * @param {SettlementPolicy} [policy] - Per-route settlement policy
  */
-const settlePayment = async (req, res, next) => {
-	// Store original json method
-	const originalJson = res.json.bind(res);
-
-	// Override json method to settle payment after response
-	res.json = function (data) {
-		// Send response first
-		originalJson(data);
-
-		// Settle payment after response (async, don't await)
-		if (req.paymentHeader && req.paymentRequirements) {
-			x402Service.settlePayment(req.paymentHeader, req.paymentRequirements)
-				.then((result) => {
-					if (result.success) {
-						console.log('[MEMPOOL] Payment settled successfully');
-					} else {
-						console.error('[MEMPOOL] Payment settlement failed:', result.errorReason);
-					}
-				})
-				.catch(err => console.error('[MEMPOOL] Payment settlement error:', err));
-		}
+const settlePayment = (policy = {}) => {
+	const mode = policy.mode || config.x402.settlement.mode;
+
+	const middleware = (req, res, next) => {
+		// Store original json method
+		const originalJson = res.json.bind(res);
+		let finalized = false;
+
+		const voidPayment = (reason) => {
+			x402Service.voidPayment(req.paymentHeader)
+				.then(() => console.log(`[MEMPOOL] Payment voided (${reason})`))
+				.catch(err => console.error('[MEMPOOL] Payment void error:', err));
+		};
+
+		// Override json method to settle or void based on the response status
+		res.json = function (data) {
+			if (finalized || !req.paymentHeader || !req.paymentRequirements) {
+				return originalJson(data);
+			}
+			finalized = true;
 
-		return res;
-	};
+			if (!isChargeable(res.statusCode, policy)) {
+				voidPayment(`HTTP ${res.statusCode}`);
+				return originalJson(data);
+			}
+
+			// Metered payments settle only for what the response delivered
+			let paymentRequirements = req.paymentRequirements;
+			if (paymentRequirements.scheme === UPTO_SCHEME) {
+				const units = policy.meter ? policy.meter(data) : Number(paymentRequirements.extra.maxUnits);
+				paymentRequirements = meterPaymentRequirements(paymentRequirements, units);
+				if (paymentRequirements.extra.meteredAmount === '0') {
+					voidPayment('nothing metered');
+					return originalJson(data);
+				}
+			}
+
+			if (mode === 'sync') {
+				settlementQueue.settleNow(req.paymentHeader, paymentRequirements)
+					.then((result) => {
+						if (!result.success) {
+							console.error('[MEMPOOL] Payment settlement failed:', result.errorReason);
+							res.status(402);
+							return originalJson({
+								error: 'Payment settlement failed',
+								message: 'Payment could not be settled, response withheld',
+								reason: result.errorReason,
+							});
+						}
+
+						console.log('[MEMPOOL] Payment settled successfully:', result.transaction);
+						res.setHeader('X-PAYMENT-RESPONSE', x402Service.encodePaymentResponse(result));
+						return originalJson(data);
+					})
+					.catch((err) => {
+						console.error('[MEMPOOL] Payment settlement error:', err);
+						res.status(500);
+						originalJson({
+							error: 'Payment settlement error',
+							message: err.message,
+						});
+					});
+				return res;
+			}
+
+			// Send response first
+			originalJson(data);
+
+			// Hand off to the durable queue, which retries failed settlements
+			try {
+				settlementQueue.submit(req.paymentHeader, paymentRequirements);
+			} catch (err) {
+				console.error('[MEMPOOL] Payment settlement error:', err);
+			}
 
-	next();
+			return res;
+		};
+
+		// Responses that never reach res.json (aborted connections) are voided too
+		res.on('close', () => {
+			if (!finalized && req.paymentHeader) {
+				finalized = true;
+				voidPayment('connection closed before response');
+			}
+		});
+
+		next();
+	};
+	middleware.settlementPolicy = policy;
+	return middleware;
 };
 
 /**
  * @swagger
- * /api/mempool/address/{address}:
+ * /api/v1/mempool/address/{address}:
  *   get:
  *     tags:
  *       - Mempool
@@ -175,13 +338,13 @@ const settlePayment = async (req, res, next) => {
  *               $ref: '#/components/schemas/Error'
  */
 /**
- * GET /api/mempool/address/:address
+ * GET /api/v1/mempool/address/:address
  * Get address information and balance
  * x402 protected - configurable pricing
  */
 router.get('/address/:address',
-	verifyPayment(getPrice('mempool', 'addressInfo'), '/api/mempool/address/:address', 'Bitcoin Address Query'),
-	settlePayment,
+	verifyPayment('mempool', 'addressInfo', 'Bitcoin Address Query'),
+	settlePayment(),
 	createHandler(
 		mempoolService.getAddress.bind(mempoolService),
 		(req) => [req.params.address],
@@ -196,12 +359,12 @@ router.get('/address/:address',
 
 /**
  * @swagger
- * /api/mempool/address/{address}/txs:
+ * /api/v1/mempool/address/{address}/txs:
  *   get:
  *     tags:
  *       - Mempool
  *     summary: Get address transactions
- *     description: "🔐 Retrieve all transactions for a Bitcoin address. **Cost: $0.25 USDC**"
+ *     description: "🔐 Retrieve all transactions for a Bitcoin address (up to 50 per request). **Cost: $0.25 USDC**, or metered with the `upto` scheme: $0.005 per returned transaction, settled after the response"
  *     security:
  *       - x402: []
  *     parameters:
@@ -245,13 +408,15 @@ router.get('/address/:address',
  *               $ref: '#/components/schemas/Error'
  */
 /**
- * GET /api/mempool/address/:address/txs
+ * GET /api/v1/mempool/address/:address/txs
  * Get transactions for an address
  * x402 protected - configurable pricing
  */
 router.get('/address/:address/txs',
-	verifyPayment(getPrice('mempool', 'addressTxs'), '/api/mempool/address/:address/txs', 'Bitcoin Address Transactions'),
-	settlePayment,
+	verifyPayment('mempool', 'addressTxs', 'Bitcoin Address Transactions', {
+		metered: { endpoint: 'addressTxsPerItem', maxUnits: 50 },
+	}),
+	settlePayment({ meter: (body) => body.transactions?.length ?? 0 }),
 	createHandler(
 		mempoolService.getAddressTransactions.bind(mempoolService),
 		(req) => [req.params.address],
@@ -267,7 +432,7 @@ router.get('/address/:address/txs',
 
 /**
  * @swagger
- * /api/mempool/tx/{txid}:
+ * /api/v1/mempool/tx/{txid}:
  *   get:
  *     tags:
  *       - Mempool
@@ -304,13 +469,13 @@ router.get('/address/:address/txs',
  *               $ref: '#/components/schemas/Error'
  */
 /**
- * GET /api/mempool/tx/:txid
+ * GET /api/v1/mempool/tx/:txid
  * Get transaction details
  * x402 protected - configurable pricing
  */
 router.get('/tx/:txid',
-	verifyPayment(getPrice('mempool', 'transaction'), '/api/mempool/tx/:txid', 'Bitcoin Transaction Query'),
-	settlePayment,
+	verifyPayment('mempool', 'transaction', 'Bitcoin Transaction Query'),
+	settlePayment(),
 	createHandler(
 		mempoolService.getTransaction.bind(mempoolService),
 		(req) => [req.params.txid],
@@ -325,12 +490,12 @@ router.get('/tx/:txid',
 
 /**
  * @swagger
- * /api/mempool/tx/{txid}/status:
+ * /api/v1/mempool/tx/{txid}/status:
  *   get:
  *     tags:
  *       - Mempool
  *     summary: Get transaction confirmation status
- *     description: "🔐 Check the confirmation status of a Bitcoin transaction. **Cost: $0.05 USDC**"
+ *     description: "🔐 Check the confirmation status of a Bitcoin transaction. Unknown transactions (404) are still charged. **Cost: $0.05 USDC**"
  *     security:
  *       - x402: []
  *     parameters:
@@ -379,13 +544,14 @@ router.get('/tx/:txid',
  *               $ref: '#/components/schemas/Error'
  */
 /**
- * GET /api/mempool/tx/:txid/status
+ * GET /api/v1/mempool/tx/:txid/status
  * Get transaction confirmation status
  * x402 protected - configurable pricing
  */
 router.get('/tx/:txid/status',
-	verifyPayment(getPrice('mempool', 'txStatus'), '/api/mempool/tx/:txid/status', 'Transaction Status Query'),
-	settlePayment,
+	verifyPayment('mempool', 'txStatus', 'Transaction Status Query'),
+	// An unknown transaction is itself the answer to a status query
+	settlePayment({ chargeNotFound: true }),
 	createHandler(
 		mempoolService.getTransactionStatus.bind(mempoolService),
 		(req) => [req.params.txid],
@@ -400,7 +566,7 @@ router.get('/tx/:txid/status',
 
 /**
  * @swagger
- * /api/mempool/block/{hash}:
+ * /api/v1/mempool/block/{hash}:
  *   get:
  *     tags:
  *       - Mempool
@@ -445,13 +611,13 @@ router.get('/tx/:txid/status',
  *               $ref: '#/components/schemas/Error'
  */
 /**
- * GET /api/mempool/block/:hash
+ * GET /api/v1/mempool/block/:hash
  * Get block by hash
  * x402 protected - configurable pricing
  */
 router.get('/block/:hash',
-	verifyPayment(getPrice('mempool', 'block'), '/api/mempool/block/:hash', 'Bitcoin Block Query'),
-	settlePayment,
+	verifyPayment('mempool', 'block', 'Bitcoin Block Query'),
+	settlePayment(),
 	async (req, res) => {
 		const { hash } = req.params;
 
@@ -475,7 +641,7 @@ router.get('/block/:hash',
 
 /**
  * @swagger
- * /api/mempool/fees:
+ * /api/v1/mempool/fees:
  *   get:
  *     tags:
  *       - Mempool
@@ -504,13 +670,13 @@ router.get('/block/:hash',
  *               $ref: '#/components/schemas/Error'
  */
 /**
- * GET /api/mempool/fees and /api/mempool/fees/:interval
+ * GET /api/v1/mempool/fees and /api/v1/mempool/fees/:interval
  * Get recommended fee rates (interval parameter is accepted but not used by mempool.space API)
  * x402 protected - configurable pricing (micropayment!)
  */
 router.get('/fees',
-	verifyPayment(getPrice('mempool', 'fees'), '/api/mempool/fees', 'Bitcoin Fee Estimation'),
-	settlePayment,
+	verifyPayment('mempool', 'fees', 'Bitcoin Fee Estimation'),
+	settlePayment(),
 	async (req, res) => {
 		const result = await mempoolService.getRecommendedFees();
 
@@ -532,8 +698,8 @@ router.get('/fees',
 
 // Also accept optional interval parameter for API compatibility
 router.get('/fees/:interval',
-	verifyPayment(getPrice('mempool', 'fees'), '/api/mempool/fees/:interval', 'Bitcoin Fee Estimation'),
-	settlePayment,
+	verifyPayment('mempool', 'fees', 'Bitcoin Fee Estimation'),
+	settlePayment(),
 	async (req, res) => {
 		// Note: mempool.space API doesn't use interval param, but we accept it for API compatibility
 		const result = await mempoolService.getRecommendedFees();
@@ -557,7 +723,7 @@ router.get('/fees/:interval',
 
 /**
  * @swagger
- * /api/mempool/stats:
+ * /api/v1/mempool/stats:
  *   get:
  *     tags:
  *       - Mempool
@@ -594,13 +760,13 @@ router.get('/fees/:interval',
  *               $ref: '#/components/schemas/Error'
  */
 /**
- * GET /api/mempool/stats
+ * GET /api/v1/mempool/stats
  * Get current mempool statistics
  * x402 protected - configurable pricing (micropayment!)
  */
 router.get('/stats',
-	verifyPayment(getPrice('mempool', 'stats'), '/api/mempool/stats', 'Mempool Statistics'),
-	settlePayment,
+	verifyPayment('mempool', 'stats', 'Mempool Statistics'),
+	settlePayment(),
 	async (req, res) => {
 		const result = await mempoolService.getMempoolStats();
 
@@ -621,7 +787,7 @@ router.get('/stats',
 
 /**
  * @swagger
- * /api/mempool/height:
+ * /api/v1/mempool/height:
  *   get:
  *     tags:
  *       - Mempool
@@ -650,7 +816,7 @@ router.get('/stats',
  *               $ref: '#/components/schemas/Error'
  */
 /**
- * GET /api/mempool/height
+ * GET /api/v1/mempool/height
  * Get current block height (FREE - no x402)
  */
 router.get('/height', async (req, res) => {
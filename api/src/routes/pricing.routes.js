@@ -0,0 +1,76 @@
+// @ts-check
+/**
+ * Pricing Routes (v1 - Production)
+ *
+ * Public, machine-readable pricing catalog so agents can budget before calling
+ * paid endpoints. Available at /api/v1/pricing.
+ */
+import express from 'express';
+import { config } from '../config/env.js';
+import { buildPricingCatalog } from '../services/pricing-catalog.js';
+
+/**
+ * @swagger
+ * /api/v1/pricing:
+ *   get:
+ *     tags:
+ *       - Pricing
+ *     summary: Get the pricing catalog
+ *     description: |
+ *       Free. Lists every paid endpoint with its price in the reference currency (USD) and in every accepted token,
+ *       both in base units (as quoted in `maxAmountRequired`) and display form. Also returns tier multipliers,
+ *       the current dynamic pricing multiplier and how long the catalog may be cached.
+ *       The 402 response remains the binding quote.
+ *     responses:
+ *       '200':
+ *         description: Pricing catalog
+ *         headers:
+ *           Cache-Control:
+ *             description: public, max-age matching freshness.maxAgeSeconds
+ *             schema:
+ *               type: string
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 network: { type: string, example: 'solana-devnet' }
+ *                 referenceCurrency: { type: string, example: 'USD' }
+ *                 tokens: { type: array, items: { type: object } }
+ *                 tiers: { type: object }
+ *                 dynamicPricing: { type: object }
+ *                 freshness: { type: object }
+ *                 endpoints:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       method: { type: string, example: 'GET' }
+ *                       path: { type: string, example: '/api/v1/mempool/fees' }
+ *                       description: { type: string }
+ *                       price: { type: object, example: { usd: 0.01, display: '$0.01' } }
+ *                       tokens: { type: object, example: { USDC: { amount: '10000', display: '0.01 USDC' } } }
+ *                       chargesNotFound: { type: boolean }
+ */
+
+/**
+ * Create the pricing catalog router
+ *
+ * @param {import('../services/pricing-catalog.js').PaidRouter[]} paidRouters - Paid routers and their mount paths
+ * @returns {import('express').Router}
+ */
+export function createPricingRouter(paidRouters) {
+	const router = express.Router();
+
+	// Dynamic prices move every refresh; fixed prices only change on restart
+	const maxAgeSeconds = config.pricing.dynamic.source === 'off'
+		? config.x402.maxTimeoutSeconds
+		: Math.ceil(config.pricing.dynamic.refreshIntervalMs / 1000);
+
+	router.get('/', (req, res) => {
+		res.setHeader('Cache-Control', `public, max-age=${maxAgeSeconds}`);
+		res.json(buildPricingCatalog(paidRouters, maxAgeSeconds));
+	});
+
+	return router;
+}
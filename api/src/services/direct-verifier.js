@@ -1,23 +1,242 @@
 // @ts-check
-import { Connection, Transaction, PublicKey } from '@solana/web3.js';
+import { PublicKey, TransactionMessage, VersionedTransaction } from '@solana/web3.js';
+import {
+	TOKEN_PROGRAM_ID,
+	TOKEN_2022_PROGRAM_ID,
+	TokenInstruction,
+	decodeTransferInstruction,
+	decodeTransferCheckedInstruction,
+	getAssociatedTokenAddressSync,
+} from '@solana/spl-token';
 import { config } from '../config/env.js';
+import { createConnection } from './solana-connection.js';
 
 /**
  * Direct on-chain payment verification (bypasses facilitator)
  * Implements x402 spec requirements for Solana verification
+ *
+ * Accepts legacy and v0 transactions (including address lookup tables),
+ * paying with either the classic Token Program or Token-2022.
  */
 
+/** Token programs accepted for x402 payments */
+const TOKEN_PROGRAM_IDS = [TOKEN_PROGRAM_ID, TOKEN_2022_PROGRAM_ID];
+
+/**
+ * @typedef {Object} TokenTransfer
+ * @property {PublicKey} programId - Token program that executes the transfer
+ * @property {PublicKey} destination - Destination token account
+ * @property {PublicKey | null} mint - Mint (only present on TransferChecked)
+ * @property {bigint} amount - Amount in token base units
+ */
+
+/**
+ * Decode an SPL Token / Token-2022 Transfer or TransferChecked instruction
+ * Both programs share the same layout for these two instructions.
+ *
+ * @param {import('@solana/web3.js').TransactionInstruction} ix
+ * @returns {TokenTransfer | null} Null if the instruction is not a token transfer
+ * @throws {Error} If the instruction claims to be a transfer but is malformed
+ */
+function decodeTokenTransfer(ix) {
+	const programId = TOKEN_PROGRAM_IDS.find((id) => ix.programId.equals(id));
+	if (!programId) {
+		return null;
+	}
+
+	switch (ix.data[0]) {
+		case TokenInstruction.Transfer: {
+			const { keys, data } = decodeTransferInstruction(ix, programId);
+			return { programId, destination: keys.destination.pubkey, mint: null, amount: data.amount };
+		}
+		case TokenInstruction.TransferChecked: {
+			const { keys, data } = decodeTransferCheckedInstruction(ix, programId);
+			return { programId, destination: keys.destination.pubkey, mint: keys.mint.pubkey, amount: data.amount };
+		}
+		default:
+			return null;
+	}
+}
+
+/**
+ * Validate a transaction's token transfers against payment requirements
+ * Passes when transfers into the treasury's associated token account for the
+ * required asset add up to at least maxAmountRequired. The ATA is derived per
+ * token program, so a Token-2022 mint pays into its Token-2022 ATA.
+ *
+ * @param {import('@solana/web3.js').TransactionInstruction[]} instructions
+ * @param {{payTo: string, asset: string, maxAmountRequired: string}} paymentRequirements
+ * @returns {{isValid: boolean, invalidReason?: string}}
+ */
+export function validateTransferInstructions(instructions, paymentRequirements) {
+	/** @type {TokenTransfer[]} */
+	const transfers = [];
+	for (const ix of instructions) {
+		try {
+			const transfer = decodeTokenTransfer(ix);
+			if (transfer) transfers.push(transfer);
+		} catch (error) {
+			console.error('[Direct Verifier] Malformed transfer instruction:', error.message);
+			return { isValid: false, invalidReason: 'invalid_transfer_instruction' };
+		}
+	}
+
+	if (transfers.length === 0) {
+		return { isValid: false, invalidReason: 'no_transfer_instruction_found' };
+	}
+
+	const asset = new PublicKey(paymentRequirements.asset);
+	const treasury = new PublicKey(paymentRequirements.payTo);
+
+	const toTreasury = transfers.filter((transfer) =>
+		transfer.destination.equals(getAssociatedTokenAddressSync(asset, treasury, true, transfer.programId))
+	);
+	if (toTreasury.length === 0) {
+		return { isValid: false, invalidReason: 'invalid_transfer_destination' };
+	}
+
+	// The ATA address already commits to the mint; TransferChecked must agree with it
+	if (toTreasury.some((transfer) => transfer.mint && !transfer.mint.equals(asset))) {
+		return { isValid: false, invalidReason: 'invalid_transfer_mint' };
+	}
+
+	const totalAmount = toTreasury.reduce((sum, transfer) => sum + transfer.amount, 0n);
+	if (totalAmount < BigInt(paymentRequirements.maxAmountRequired)) {
+		return { isValid: false, invalidReason: 'insufficient_payment_amount' };
+	}
+
+	return { isValid: true };
+}
+
+/**
+ * @typedef {Object} StaticTokenTransfer
+ * @property {PublicKey} programId
+ * @property {PublicKey | undefined} destination - Undefined if loaded from a lookup table
+ * @property {PublicKey | null | undefined} mint - Null for Transfer, undefined if loaded from a lookup table
+ * @property {PublicKey | undefined} authority
+ */
+
+/**
+ * Read token transfers from a payment header using static account keys only
+ * No RPC access is needed; accounts referenced through address lookup tables
+ * are left undefined. Signers (and so transfer authorities) are always static.
+ *
+ * @param {string} paymentHeader - Base64 encoded payment payload
+ * @returns {StaticTokenTransfer[]}
+ */
+function readStaticTokenTransfers(paymentHeader) {
+	try {
+		const paymentPayload = JSON.parse(Buffer.from(paymentHeader, 'base64').toString('utf8'));
+		const tx = VersionedTransaction.deserialize(Buffer.from(paymentPayload.payload, 'base64'));
+		const accountKeys = tx.message.staticAccountKeys;
+
+		/** @type {StaticTokenTransfer[]} */
+		const transfers = [];
+		for (const ix of tx.message.compiledInstructions) {
+			const programId = accountKeys[ix.programIdIndex];
+			if (!TOKEN_PROGRAM_IDS.some((id) => programId.equals(id))) {
+				continue;
+			}
+
+			const account = (position) => accountKeys[ix.accountKeyIndexes[position]];
+
+			// Account order: Transfer [source, destination, authority],
+			// TransferChecked [source, mint, destination, authority]
+			if (ix.data[0] === TokenInstruction.Transfer) {
+				transfers.push({ programId, destination: account(1), mint: null, authority: account(2) });
+			} else if (ix.data[0] === TokenInstruction.TransferChecked) {
+				transfers.push({ programId, destination: account(2), mint: account(1), authority: account(3) });
+			}
+		}
+
+		return transfers;
+	} catch {
+		return [];
+	}
+}
+
+/**
+ * Identify the payer of an x402 payment header
+ * The payer is the authority of the token transfer, which is not necessarily the
+ * fee payer.
+ *
+ * @param {string} paymentHeader - Base64 encoded payment payload
+ * @returns {string | null} Base58 payer address, or null if no transfer is found
+ */
+export function getPaymentPayer(paymentHeader) {
+	const transfer = readStaticTokenTransfers(paymentHeader).find((t) => t.authority);
+	return transfer?.authority?.toBase58() || null;
+}
+
+/**
+ * Pick the payment requirements a payer chose from a multi-token 402 quote
+ * x402 payment payloads do not name the asset, so the choice is recovered from
+ * the transfer: the TransferChecked mint, or the treasury ATA it pays into.
+ * Requirements the transfer pays into are preferred, so the same token offered
+ * to several treasury addresses selects the one actually paid.
+ *
+ * @template {{payTo: string, asset: string}} T
+ * @param {string} paymentHeader - Base64 encoded payment payload
+ * @param {T[]} accepts - Requirements offered in the 402 response
+ * @returns {T | null} Matching requirements, or null if the transfer matches none
+ */
+export function selectPaymentRequirements(paymentHeader, accepts) {
+	const transfers = readStaticTokenTransfers(paymentHeader);
+
+	for (const transfer of transfers) {
+		/** @param {T} requirements */
+		const sameMint = (requirements) => !transfer.mint || transfer.mint.equals(new PublicKey(requirements.asset));
+		/** @param {T} requirements */
+		const paysInto = (requirements) => {
+			const treasuryAta = getAssociatedTokenAddressSync(
+				new PublicKey(requirements.asset),
+				new PublicKey(requirements.payTo),
+				true,
+				transfer.programId
+			);
+			return !!transfer.destination && transfer.destination.equals(treasuryAta);
+		};
+
+		// A TransferChecked into another account still selects its token, and fails verification
+		const match = accepts.find((requirements) => sameMint(requirements) && paysInto(requirements))
+			|| (transfer.mint ? accepts.find(sameMint) : undefined);
+		if (match) {
+			return match;
+		}
+	}
+
+	return null;
+}
+
 class DirectPaymentVerifier {
 	constructor() {
-		const rpcUrl =
-			config.x402.network === 'solana-devnet'
-				? 'https://api.devnet.solana.com'
-				: 'https://api.mainnet-beta.solana.com';
-
-		this.connection = new Connection(rpcUrl, 'confirmed');
+		this.connection = createConnection('confirmed');
 		this.network = config.x402.network;
 	}
 
+	/**
+	 * Decompile a transaction's instructions
+	 * v0 messages may reference accounts through address lookup tables, which
+	 * must be fetched before account keys can be resolved.
+	 *
+	 * @param {VersionedTransaction} tx
+	 * @returns {Promise<import('@solana/web3.js').TransactionInstruction[]>}
+	 * @throws {Error} If a referenced lookup table does not exist
+	 */
+	async resolveInstructions(tx) {
+		const addressLookupTableAccounts = await Promise.all(
+			tx.message.addressTableLookups.map(async (lookup) => {
+				const { value } = await this.connection.getAddressLookupTable(lookup.accountKey);
+				if (!value) {
+					throw new Error(`Address lookup table not found: ${lookup.accountKey.toBase58()}`);
+				}
+				return value;
+			})
+		);
+
+		return TransactionMessage.decompile(tx.message, { addressLookupTableAccounts }).instructions;
+	}
+
 	/**
 	 * Verify payment by deserializing and validating transaction
 	 * @param {string} paymentHeader - Base64 encoded payment payload
@@ -38,18 +257,37 @@ class DirectPaymentVerifier {
 				};
 			}
 
-			// Deserialize transaction
+			// Deserialize transaction (legacy or v0)
 			const txBuffer = Buffer.from(paymentPayload.payload, 'base64');
-			const tx = Transaction.from(txBuffer);
+			const tx = VersionedTransaction.deserialize(txBuffer);
 
 			// Validate transaction is signed
-			if (!tx.signature || tx.signature.every((byte) => byte === 0)) {
+			const signature = tx.signatures[0];
+			if (!signature || signature.every((byte) => byte === 0)) {
 				return {
 					isValid: false,
 					invalidReason: 'transaction_not_signed',
 				};
 			}
 
+			// Resolve instructions, expanding address lookup tables for v0 messages
+			let instructions;
+			try {
+				instructions = await this.resolveInstructions(tx);
+			} catch (lookupError) {
+				console.error('[Direct Verifier] Failed to resolve instructions:', lookupError.message);
+				return {
+					isValid: false,
+					invalidReason: 'address_lookup_table_not_found',
+				};
+			}
+
+			// Validate transfer amount, destination and mint before touching the network
+			const transferCheck = validateTransferInstructions(instructions, paymentRequirements);
+			if (!transferCheck.isValid) {
+				return transferCheck;
+			}
+
 			// Simulate transaction to validate it would succeed
 			try {
 				const simulation = await this.connection.simulateTransaction(tx);
@@ -69,30 +307,6 @@ class DirectPaymentVerifier {
 				};
 			}
 
-			// Validate SPL token transfer instruction (instruction type 3)
-			const hasTransferInstruction = tx.instructions.some((ix) => {
-				// Check if it's a token program instruction
-				if (ix.programId.equals(new PublicKey('TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA'))) {
-					// Instruction type 3 is Transfer (first byte of data)
-					return ix.data[0] === 3;
-				}
-				return false;
-			});
-
-			if (!hasTransferInstruction) {
-				return {
-					isValid: false,
-					invalidReason: 'no_transfer_instruction_found',
-				};
-			}
-
-			// Validate destination matches payment requirements
-			const treasuryPubkey = new PublicKey(paymentRequirements.payTo);
-			const assetPubkey = new PublicKey(paymentRequirements.asset);
-
-			// TODO: More detailed validation of transfer destination and amount
-			// This requires parsing the SPL token transfer instruction data
-
 			console.log('[Direct Verifier] Payment validation passed');
 			return {
 				isValid: true,
@@ -118,9 +332,9 @@ class DirectPaymentVerifier {
 			const decoded = Buffer.from(paymentHeader, 'base64').toString('utf8');
 			const paymentPayload = JSON.parse(decoded);
 
-			// Deserialize transaction
+			// Deserialize transaction (legacy or v0)
 			const txBuffer = Buffer.from(paymentPayload.payload, 'base64');
-			const tx = Transaction.from(txBuffer);
+			const tx = VersionedTransaction.deserialize(txBuffer);
 
 			// Submit transaction to network
 			console.log('[Direct Verifier] Submitting transaction to network...');
@@ -159,6 +373,7 @@ class DirectPaymentVerifier {
 				success: true,
 				transaction: signature,
 				network: this.network,
+				payer: getPaymentPayer(paymentHeader) || undefined,
 			};
 		} catch (error) {
 			console.error('[Direct Verifier] Settlement error:', error.message);
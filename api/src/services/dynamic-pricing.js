@@ -0,0 +1,202 @@
+// @ts-check
+import Decimal from 'decimal.js';
+import {config} from '../config/env.js';
+import {mempoolService} from './mempool.service.js';
+
+/**
+ * Congestion-Based Dynamic Pricing
+ * Scales mempool route prices by a load multiplier, clamped to [floor, ceiling]
+ *
+ * Load sources:
+ * - queue:   upstream Bottleneck queue depth (queued + running) / target depth
+ * - mempool: Bitcoin mempool vsize from mempool.space / target vsize
+ *
+ * A 402 quote carries the current multiplier, and a client may pay it at any
+ * time within maxTimeoutSeconds. Payments are therefore verified against the
+ * lowest multiplier in effect during that window, so no quote issued inside it
+ * is ever rejected because prices moved up in the meantime.
+ */
+
+/**
+ * @typedef {Object} DynamicPricingOptions
+ * @property {'off' | 'queue' | 'mempool'} source - Load source ('off' keeps prices fixed)
+ * @property {number} floor - Lowest multiplier
+ * @property {number} ceiling - Highest multiplier
+ * @property {number} queueTarget - Queue depth at which prices start rising
+ * @property {number} mempoolTargetVsize - Mempool vsize (vB) at which prices start rising
+ * @property {number} refreshIntervalMs - How often load is sampled
+ * @property {number} quoteTtlSeconds - How long a quoted price is honoured (maxTimeoutSeconds)
+ */
+
+/**
+ * @typedef {Object} LoadProbe
+ * @property {() => number} getQueueDepth
+ * @property {() => Promise<{success: boolean, data?: {vsize?: number}}>} getMempoolStats
+ */
+
+export class DynamicPricingEngine {
+	/**
+	 * @param {DynamicPricingOptions} options
+	 * @param {LoadProbe} probe
+	 */
+	constructor(options, probe) {
+		/** @private */
+		this.options = options;
+		/** @private */
+		this.probe = probe;
+		/**
+		 * Multipliers in effect, oldest first; the last entry is current
+		 * @private @type {{since: number, multiplier: number}[]}
+		 */
+		this.history = [{since: 0, multiplier: this.enabled ? this.clamp(1) : 1}];
+		/** @private @type {NodeJS.Timeout | null} */
+		this.timer = null;
+	}
+
+	/** @returns {boolean} */
+	get enabled() {
+		return this.options.source !== 'off';
+	}
+
+	/**
+	 * @private
+	 * @param {number} multiplier
+	 * @returns {number}
+	 */
+	clamp(multiplier) {
+		return Math.min(this.options.ceiling, Math.max(this.options.floor, multiplier));
+	}
+
+	/**
+	 * Measure current load as a ratio of the configured target
+	 * @private
+	 * @returns {Promise<number | null>} Null if the source could not be read
+	 */
+	async measureLoad() {
+		if (this.options.source === 'queue') {
+			return this.probe.getQueueDepth() / this.options.queueTarget;
+		}
+
+		const stats = await this.probe.getMempoolStats();
+		if (!stats.success || typeof stats.data?.vsize !== 'number') {
+			return null;
+		}
+		return stats.data.vsize / this.options.mempoolTargetVsize;
+	}
+
+	/**
+	 * Sample load and record the resulting multiplier
+	 * A failed sample keeps the previous multiplier.
+	 *
+	 * @param {number} [now] - Epoch milliseconds
+	 * @returns {Promise<number>} Current multiplier
+	 */
+	async refresh(now = Date.now()) {
+		if (!this.enabled) {
+			return this.getMultiplier();
+		}
+
+		const load = await this.measureLoad();
+		if (load === null) {
+			console.warn('[DYNAMIC PRICING] Load sample failed, keeping multiplier', this.getMultiplier());
+			return this.getMultiplier();
+		}
+
+		// Two decimals is plenty of resolution and keeps the history short
+		const multiplier = Math.round(this.clamp(load) * 100) / 100;
+		if (multiplier !== this.getMultiplier()) {
+			this.history.push({since: now, multiplier});
+			console.log(`[DYNAMIC PRICING] Multiplier now ${multiplier}x (load ${load.toFixed(2)})`);
+		}
+
+		// Keep only the entries that can still affect an honoured quote
+		const windowStart = now - this.options.quoteTtlSeconds * 1000;
+		while (this.history.length > 1 && this.history[1].since <= windowStart) {
+			this.history.shift();
+		}
+
+		return multiplier;
+	}
+
+	/**
+	 * Multiplier for new quotes
+	 * @returns {number}
+	 */
+	getMultiplier() {
+		return this.history[this.history.length - 1].multiplier;
+	}
+
+	/**
+	 * Lowest multiplier quoted within the last maxTimeoutSeconds
+	 * Payments are checked against this so every outstanding quote is honoured.
+	 *
+	 * @param {number} [now] - Epoch milliseconds
+	 * @returns {number}
+	 */
+	getHonoredMultiplier(now = Date.now()) {
+		const windowStart = now - this.options.quoteTtlSeconds * 1000;
+		let lowest = this.getMultiplier();
+		for (let i = this.history.length - 1; i >= 0; i--) {
+			lowest = Math.min(lowest, this.history[i].multiplier);
+			// Entries before this one stopped applying before the window opened
+			if (this.history[i].since <= windowStart) {
+				break;
+			}
+		}
+		return lowest;
+	}
+
+	/**
+	 * Apply a multiplier to a reference price
+	 * Uses Decimal.js for precise multiplication
+	 *
+	 * @param {number} price - Price in the reference currency (USD)
+	 * @param {{honored?: boolean}} [options] - Use the honoured multiplier (payment verification)
+	 * @returns {number}
+	 */
+	apply(price, {honored = false} = {}) {
+		const multiplier = honored ? this.getHonoredMultiplier() : this.getMultiplier();
+		return new Decimal(price).times(multiplier).toNumber();
+	}
+
+	/**
+	 * Start sampling load
+	 */
+	start() {
+		if (!this.enabled || this.timer) {
+			return;
+		}
+
+		const sample = () => this.refresh().catch((err) => console.error('[DYNAMIC PRICING] Refresh error:', err));
+		sample();
+		this.timer = setInterval(sample, this.options.refreshIntervalMs);
+		this.timer.unref();
+
+		console.log(
+			`[DYNAMIC PRICING] Started: source=${this.options.source}, `
+			+ `range ${this.options.floor}x-${this.options.ceiling}x`
+		);
+	}
+
+	/**
+	 * Stop sampling load
+	 */
+	stop() {
+		if (this.timer) {
+			clearInterval(this.timer);
+			this.timer = null;
+		}
+	}
+}
+
+// Export singleton instance
+export const dynamicPricing = new DynamicPricingEngine(
+	{
+		...config.pricing.dynamic,
+		quoteTtlSeconds: config.x402.maxTimeoutSeconds,
+	},
+	{
+		getQueueDepth: () => mempoolService.getQueueDepth(),
+		getMempoolStats: () => mempoolService.getMempoolStats(),
+	}
+);
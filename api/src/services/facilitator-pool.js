@@ -0,0 +1,368 @@
+// @ts-check
+import {X402PaymentHandler} from 'x402-solana/server';
+import {config} from '../config/env.js';
+import {treasury} from './treasury.js';
+
+/**
+ * Facilitator Pool
+ * Ordered list of x402 facilitators with health probes, a circuit breaker and
+ * latency tracking per facilitator.
+ *
+ * Each operation goes to the first available facilitator; one that errors,
+ * times out or answers unexpected_verify_error / unexpected_settle_error is
+ * counted as failing and the next one is tried. After failureThreshold
+ * consecutive failures its breaker opens and it is skipped for cooldownMs,
+ * after which one trial (a request or a probe) closes or reopens it.
+ * Only when every facilitator is unavailable does the caller's fallback
+ * (direct on-chain verification) handle the payment.
+ *
+ * A sponsored transaction can only be co-signed by the facilitator whose fee
+ * payer it names, so verify and settle go to that facilitator's entries only.
+ *
+ * Counters record which path handled every quote, verification and settlement.
+ */
+
+/** Answers meaning the facilitator could not be reached or failed internally */
+const UNAVAILABLE_REASONS = ['unexpected_verify_error', 'unexpected_settle_error'];
+
+/** Weight of the newest sample in the average latency */
+const LATENCY_SMOOTHING = 0.2;
+
+/**
+ * @typedef {'quote' | 'verify' | 'settle'} PaymentOperation
+ */
+
+/**
+ * @typedef {Object} FacilitatorPoolOptions
+ * @property {string[]} urls - Facilitators in order of preference
+ * @property {string} network - Network whose fee payer is probed
+ * @property {number} failureThreshold - Consecutive failures that open a breaker
+ * @property {number} cooldownMs - How long an open breaker skips its facilitator
+ * @property {number} probeIntervalMs - How often /supported is probed
+ * @property {number} timeoutMs - Per-call timeout
+ */
+
+/**
+ * @typedef {Object} FacilitatorClient
+ * @property {(params: any) => Promise<any>} createPaymentRequirements
+ * @property {(paymentHeader: string, paymentRequirements: any) => Promise<any>} verifyPayment
+ * @property {(paymentHeader: string, paymentRequirements: any) => Promise<any>} settlePayment
+ */
+
+/**
+ * @typedef {Object} FacilitatorState
+ * @property {string} url
+ * @property {FacilitatorClient} client
+ * @property {'closed' | 'open'} breaker
+ * @property {number} consecutiveFailures
+ * @property {number | null} openedAt
+ * @property {string | null} feePayer - Fee payer advertised by /supported (null until probed)
+ * @property {number | null} lastLatencyMs
+ * @property {number | null} averageLatencyMs
+ * @property {string | null} lastError
+ * @property {number | null} lastProbeAt
+ */
+
+/**
+ * Reject a call that takes longer than the timeout
+ *
+ * @template T
+ * @param {Promise<T>} promise
+ * @param {number} timeoutMs
+ * @returns {Promise<T>}
+ */
+function withTimeout(promise, timeoutMs) {
+	/** @type {NodeJS.Timeout | undefined} */
+	let timer;
+	const timeout = new Promise((_, reject) => {
+		timer = setTimeout(() => reject(new Error(`timed out after ${timeoutMs}ms`)), timeoutMs);
+	});
+	return /** @type {Promise<T>} */ (Promise.race([promise, timeout])).finally(() => clearTimeout(timer));
+}
+
+export class FacilitatorPool {
+	/**
+	 * @param {FacilitatorPoolOptions} options
+	 * @param {(url: string) => FacilitatorClient} createClient
+	 * @param {typeof fetch} [fetchImpl] - Used for health probes
+	 */
+	constructor(options, createClient, fetchImpl = fetch) {
+		/** @private */
+		this.options = options;
+		/** @private */
+		this.fetch = fetchImpl;
+		/** @private @type {FacilitatorState[]} */
+		this.facilitators = options.urls.map((url) => ({
+			url,
+			client: createClient(url),
+			breaker: 'closed',
+			consecutiveFailures: 0,
+			openedAt: null,
+			feePayer: null,
+			lastLatencyMs: null,
+			averageLatencyMs: null,
+			lastError: null,
+			lastProbeAt: null,
+		}));
+		/** @private @type {Record<PaymentOperation, Record<string, number>>} */
+		this.paths = {quote: {}, verify: {}, settle: {}};
+		/** @private @type {NodeJS.Timeout | null} */
+		this.timer = null;
+	}
+
+	/**
+	 * Whether a facilitator may be tried: its breaker is closed, or has been
+	 * open for the cooldown (a trial call)
+	 *
+	 * @private
+	 * @param {FacilitatorState} facilitator
+	 * @param {number} now
+	 * @returns {boolean}
+	 */
+	isAvailable(facilitator, now) {
+		return facilitator.breaker === 'closed'
+			|| now - /** @type {number} */ (facilitator.openedAt) >= this.options.cooldownMs;
+	}
+
+	/**
+	 * Facilitators to try, in order
+	 *
+	 * @private
+	 * @param {string} [feePayer] - Fee payer named by the payment requirements
+	 * @param {number} [now]
+	 * @returns {FacilitatorState[]}
+	 */
+	candidates(feePayer, now = Date.now()) {
+		const available = this.facilitators.filter((facilitator) => this.isAvailable(facilitator, now));
+		if (!feePayer) {
+			return available;
+		}
+
+		// Prefer the facilitator that quoted this fee payer; fall back to those not yet probed
+		const quoting = available.filter((facilitator) => facilitator.feePayer === feePayer);
+		return quoting.length > 0 ? quoting : available.filter((facilitator) => facilitator.feePayer === null);
+	}
+
+	/**
+	 * @private
+	 * @param {FacilitatorState} facilitator
+	 * @param {number} latencyMs
+	 */
+	recordSuccess(facilitator, latencyMs) {
+		this.recordLatency(facilitator, latencyMs);
+		if (facilitator.breaker === 'open') {
+			console.log(`[FACILITATOR] ${facilitator.url} recovered, closing breaker`);
+		}
+		facilitator.breaker = 'closed';
+		facilitator.openedAt = null;
+		facilitator.consecutiveFailures = 0;
+		facilitator.lastError = null;
+	}
+
+	/**
+	 * @private
+	 * @param {FacilitatorState} facilitator
+	 * @param {number} latencyMs
+	 * @param {string} error
+	 * @param {number} [now]
+	 */
+	recordFailure(facilitator, latencyMs, error, now = Date.now()) {
+		this.recordLatency(facilitator, latencyMs);
+		facilitator.consecutiveFailures++;
+		facilitator.lastError = error;
+
+		// A failed trial reopens the breaker for another cooldown
+		if (facilitator.breaker === 'open' || facilitator.consecutiveFailures >= this.options.failureThreshold) {
+			if (facilitator.breaker === 'closed') {
+				console.warn(`[FACILITATOR] ${facilitator.url} failed ${facilitator.consecutiveFailures} times, opening breaker`);
+			}
+			facilitator.breaker = 'open';
+			facilitator.openedAt = now;
+		}
+	}
+
+	/**
+	 * @private
+	 * @param {FacilitatorState} facilitator
+	 * @param {number} latencyMs
+	 */
+	recordLatency(facilitator, latencyMs) {
+		facilitator.lastLatencyMs = latencyMs;
+		facilitator.averageLatencyMs = facilitator.averageLatencyMs === null
+			? latencyMs
+			: Math.round(facilitator.averageLatencyMs * (1 - LATENCY_SMOOTHING) + latencyMs * LATENCY_SMOOTHING);
+	}
+
+	/**
+	 * Count the path that handled an operation
+	 *
+	 * @param {PaymentOperation} operation
+	 * @param {string} path - Facilitator URL, 'direct' or a scheme handled in-process (e.g., 'upto')
+	 */
+	recordPath(operation, path) {
+		this.paths[operation][path] = (this.paths[operation][path] || 0) + 1;
+	}
+
+	/**
+	 * Run an operation on the first facilitator that answers, or the fallback
+	 * if none does
+	 *
+	 * @template T
+	 * @param {PaymentOperation} operation
+	 * @param {(client: FacilitatorClient) => Promise<T>} call
+	 * @param {() => Promise<T>} fallback - Direct handling when every facilitator is unavailable
+	 * @param {string} [feePayer] - Fee payer named by the payment requirements
+	 * @returns {Promise<T>}
+	 */
+	async run(operation, call, fallback, feePayer) {
+		for (const facilitator of this.candidates(feePayer)) {
+			const started = Date.now();
+			let error;
+			try {
+				const result = await withTimeout(call(facilitator.client), this.options.timeoutMs);
+				const reason = /** @type {any} */ (result)?.invalidReason || /** @type {any} */ (result)?.errorReason;
+				if (!UNAVAILABLE_REASONS.includes(reason)) {
+					// Quotes carry the fee payer, so a quote also teaches it
+					if (operation === 'quote' && /** @type {any} */ (result)?.extra?.feePayer) {
+						facilitator.feePayer = /** @type {any} */ (result).extra.feePayer;
+					}
+					this.recordSuccess(facilitator, Date.now() - started);
+					this.recordPath(operation, facilitator.url);
+					return result;
+				}
+				error = reason;
+			} catch (err) {
+				error = err.message;
+			}
+
+			this.recordFailure(facilitator, Date.now() - started, error);
+			console.warn(`[FACILITATOR] ${operation} failed on ${facilitator.url} (${error}), trying next`);
+		}
+
+		// Without configured facilitators (sandbox network) direct handling is the normal path
+		if (this.facilitators.length > 0) {
+			console.log(`[FACILITATOR] No facilitator available for ${operation}, handling directly`);
+		}
+		this.recordPath(operation, 'direct');
+		return fallback();
+	}
+
+	/**
+	 * Probe every facilitator's /supported endpoint, learning its fee payer
+	 *
+	 * @param {number} [now]
+	 * @returns {Promise<void>}
+	 */
+	async probe(now = Date.now()) {
+		await Promise.all(this.facilitators.map(async (facilitator) => {
+			// Open breakers are left alone until their cooldown is over
+			if (!this.isAvailable(facilitator, now)) {
+				return;
+			}
+
+			const started = Date.now();
+			facilitator.lastProbeAt = now;
+			try {
+				const response = await this.fetch(`${facilitator.url}/supported`, {
+					signal: AbortSignal.timeout(this.options.timeoutMs),
+				});
+				if (!response.ok) {
+					throw new Error(`/supported returned ${response.status}`);
+				}
+
+				const {kinds = []} = await response.json();
+				const kind = kinds.find((k) => k.network === this.options.network && k.scheme === 'exact');
+				if (!kind?.extra?.feePayer) {
+					throw new Error(`does not support ${this.options.network}`);
+				}
+
+				facilitator.feePayer = kind.extra.feePayer;
+				this.recordSuccess(facilitator, Date.now() - started);
+			} catch (error) {
+				this.recordFailure(facilitator, Date.now() - started, error.message, now);
+			}
+		}));
+	}
+
+	/**
+	 * Facilitator health and the paths that handled payments
+	 *
+	 * @param {number} [now]
+	 * @returns {{facilitators: Object[], paths: Record<PaymentOperation, Record<string, number>>}}
+	 */
+	getMetrics(now = Date.now()) {
+		return {
+			facilitators: this.facilitators.map((facilitator) => ({
+				url: facilitator.url,
+				breaker: facilitator.breaker === 'open' && this.isAvailable(facilitator, now) ? 'half-open' : facilitator.breaker,
+				consecutiveFailures: facilitator.consecutiveFailures,
+				feePayer: facilitator.feePayer,
+				latencyMs: {last: facilitator.lastLatencyMs, average: facilitator.averageLatencyMs},
+				lastError: facilitator.lastError,
+				lastProbeAt: facilitator.lastProbeAt ? new Date(facilitator.lastProbeAt).toISOString() : null,
+			})),
+			paths: structuredClone(this.paths),
+		};
+	}
+
+	/**
+	 * Start probing facilitator health
+	 */
+	start() {
+		if (this.timer) {
+			return;
+		}
+
+		this.timer = setInterval(() => {
+			this.probe().catch((err) => console.error('[FACILITATOR] Probe error:', err.message));
+		}, this.options.probeIntervalMs);
+		this.timer.unref();
+	}
+
+	/**
+	 * Stop probing facilitator health
+	 */
+	stop() {
+		if (this.timer) {
+			clearInterval(this.timer);
+			this.timer = null;
+		}
+	}
+}
+
+/**
+ * Create the client for a facilitator URL
+ * X402PaymentHandler fixes its treasury address when it is constructed, so a
+ * handler is made for each call with the treasury active at that moment: a
+ * treasury rotation applies to the next quote, verification and settlement.
+ *
+ * @param {string} url
+ * @returns {FacilitatorClient}
+ */
+export function createFacilitatorClient(url) {
+	const handler = () => new X402PaymentHandler({
+		network: config.x402.network,
+		treasuryAddress: treasury.getActiveAddress(),
+		facilitatorUrl: url,
+		rpcUrl: config.x402.rpcUrl,
+	});
+
+	return {
+		createPaymentRequirements: (params) => handler().createPaymentRequirements(params),
+		verifyPayment: (paymentHeader, paymentRequirements) => handler().verifyPayment(paymentHeader, paymentRequirements),
+		settlePayment: (paymentHeader, paymentRequirements) => handler().settlePayment(paymentHeader, paymentRequirements),
+	};
+}
+
+// Export singleton instance
+export const facilitatorPool = new FacilitatorPool(
+	{
+		urls: config.x402.facilitators.urls,
+		network: config.x402.network,
+		failureThreshold: config.x402.facilitators.failureThreshold,
+		cooldownMs: config.x402.facilitators.cooldownMs,
+		probeIntervalMs: config.x402.facilitators.probeIntervalMs,
+		timeoutMs: config.x402.facilitators.timeoutMs,
+	},
+	createFacilitatorClient
+);
@@ -0,0 +1,395 @@
+// @ts-check
+import {
+	ComputeBudgetInstruction,
+	ComputeBudgetProgram,
+	Keypair,
+	PublicKey,
+	VersionedTransaction,
+} from '@solana/web3.js';
+import {
+	ASSOCIATED_TOKEN_PROGRAM_ID,
+	TOKEN_PROGRAM_ID,
+	TOKEN_2022_PROGRAM_ID,
+	TokenInstruction,
+	getAssociatedTokenAddressSync,
+} from '@solana/spl-token';
+import bs58 from 'bs58';
+import nacl from 'tweetnacl';
+import { config } from '../config/env.js';
+import { loadKeypairFile } from '../config/keypairs.js';
+import { directPaymentVerifier, getPaymentPayer, validateTransferInstructions } from './direct-verifier.js';
+import { treasury } from './treasury.js';
+
+/**
+ * Local x402 Facilitator
+ * Verifies and settles "exact" Solana payments for this server and for any
+ * other x402 server pointed at it, following the facilitator contract:
+ * - POST /verify  {paymentPayload, paymentRequirements} -> {isValid, invalidReason?, payer?}
+ * - POST /settle  {paymentPayload, paymentRequirements} -> {success, errorReason?, transaction, network, payer?}
+ * - GET /supported -> {kinds: [{x402Version, scheme, network, extra: {feePayer}}]}
+ *
+ * Clients build transactions with the advertised feePayer and sign only as the
+ * transfer authority; the facilitator co-signs as fee payer at settlement.
+ * Because the facilitator's signature would authorise anything its key is
+ * named in, a sponsored transaction may contain only compute budget settings,
+ * creation of the payee's token account and the token transfer itself, and the
+ * fee payer may appear in no instruction except as the account creation funder.
+ * Compute budget settings are capped, so no transaction costs the fee payer
+ * more than MAX_COMPUTE_UNIT_LIMIT at MAX_COMPUTE_UNIT_PRICE_MICROLAMPORTS,
+ * and only payments to this server's treasury (plus any payees opted in with
+ * X402_FACILITATOR_PAYEES) are handled at all.
+ *
+ * Fully signed transactions that pay their own fees are verified and relayed
+ * as they are.
+ */
+
+/** Highest compute unit price the fee payer will sponsor (5 lamports per CU) */
+export const MAX_COMPUTE_UNIT_PRICE_MICROLAMPORTS = 5_000_000n;
+
+/** Highest compute unit limit the fee payer will sponsor (a payment uses well under 100k) */
+export const MAX_COMPUTE_UNIT_LIMIT = 200_000;
+
+/** Token programs accepted for x402 payments */
+const TOKEN_PROGRAM_IDS = [TOKEN_PROGRAM_ID, TOKEN_2022_PROGRAM_ID];
+
+/** Associated token program instructions: Create (empty data or 0) and CreateIdempotent (1) */
+const CREATE_ASSOCIATED_TOKEN_ACCOUNT = [0, 1];
+
+/**
+ * @typedef {import('./x402.service.js').PaymentRequirements} PaymentRequirements
+ * @typedef {import('./x402.service.js').VerifyResponse & {payer?: string}} VerifyResponse
+ * @typedef {import('./x402.service.js').SettleResponse} SettleResponse
+ */
+
+/**
+ * @typedef {Object} PaymentPayload
+ * @property {number} x402Version
+ * @property {string} scheme
+ * @property {string} network
+ * @property {string | {transaction: string}} payload - Base64 transaction, bare or wrapped
+ */
+
+/**
+ * Decode the transaction of a facilitator request's payment payload
+ * Accepts both the x402 payload shape ({transaction}) and the bare base64
+ * transaction the rest of this server works with.
+ *
+ * @param {PaymentPayload} paymentPayload
+ * @returns {{tx: VersionedTransaction, paymentHeader: string} | null} The transaction and the
+ *   equivalent X-PAYMENT header value, or null if the payload carries no transaction
+ */
+export function readPaymentTransaction(paymentPayload) {
+	const transaction = typeof paymentPayload?.payload === 'string'
+		? paymentPayload.payload
+		: paymentPayload?.payload?.transaction;
+	if (typeof transaction !== 'string' || transaction.length === 0) {
+		return null;
+	}
+
+	return {
+		tx: VersionedTransaction.deserialize(Buffer.from(transaction, 'base64')),
+		paymentHeader: Buffer.from(JSON.stringify({ ...paymentPayload, payload: transaction }), 'utf8').toString('base64'),
+	};
+}
+
+/**
+ * Check that a sponsored transaction cannot spend the fee payer's funds
+ * beyond fees and the payee's token account rent
+ *
+ * @param {import('@solana/web3.js').TransactionInstruction[]} instructions
+ * @param {PublicKey} feePayer
+ * @param {{payTo: string, asset: string}} paymentRequirements
+ * @returns {string | null} Invalid reason, or null if the transaction is safe to sponsor
+ */
+export function checkSponsoredInstructions(instructions, feePayer, paymentRequirements) {
+	const asset = new PublicKey(paymentRequirements.asset);
+	const payTo = new PublicKey(paymentRequirements.payTo);
+
+	for (const ix of instructions) {
+		if (ix.programId.equals(ComputeBudgetProgram.programId)) {
+			const type = ComputeBudgetInstruction.decodeInstructionType(ix);
+			if (type === 'SetComputeUnitPrice') {
+				const { microLamports } = ComputeBudgetInstruction.decodeSetComputeUnitPrice(ix);
+				if (BigInt(microLamports) > MAX_COMPUTE_UNIT_PRICE_MICROLAMPORTS) {
+					return 'compute_unit_price_too_high';
+				}
+			} else if (type === 'SetComputeUnitLimit') {
+				const { units } = ComputeBudgetInstruction.decodeSetComputeUnitLimit(ix);
+				if (units > MAX_COMPUTE_UNIT_LIMIT) {
+					return 'compute_unit_limit_too_high';
+				}
+			} else {
+				return 'unsupported_instruction';
+			}
+			continue;
+		}
+
+		if (ix.programId.equals(ASSOCIATED_TOKEN_PROGRAM_ID)) {
+			// Account order: funder, associated account, owner, mint, system program, token program
+			const [, account, owner, mint, , tokenProgram] = ix.keys.map((key) => key.pubkey);
+			const payeeAccount = owner?.equals(payTo) && mint?.equals(asset) && tokenProgram
+				&& account?.equals(getAssociatedTokenAddressSync(asset, payTo, true, tokenProgram));
+			if (!CREATE_ASSOCIATED_TOKEN_ACCOUNT.includes(ix.data[0] ?? 0) || !payeeAccount) {
+				return 'unsupported_instruction';
+			}
+			if (ix.keys.slice(1).some((key) => key.pubkey.equals(feePayer))) {
+				return 'fee_payer_not_isolated';
+			}
+			continue;
+		}
+
+		if (TOKEN_PROGRAM_IDS.some((id) => ix.programId.equals(id))) {
+			if (ix.data[0] !== TokenInstruction.Transfer && ix.data[0] !== TokenInstruction.TransferChecked) {
+				return 'unsupported_instruction';
+			}
+			if (ix.keys.some((key) => key.pubkey.equals(feePayer))) {
+				return 'fee_payer_not_isolated';
+			}
+			// Transfer and TransferChecked both carry the u64 amount right after the instruction type
+			if (ix.data.length < 9 || ix.data.readBigUInt64LE(1) === 0n) {
+				return 'invalid_transfer_amount';
+			}
+			continue;
+		}
+
+		return 'unsupported_instruction';
+	}
+
+	return null;
+}
+
+/**
+ * Check every required signature except the fee payer's
+ *
+ * @param {VersionedTransaction} tx
+ * @param {PublicKey} feePayer
+ * @returns {boolean}
+ */
+function hasPayerSignatures(tx, feePayer) {
+	const message = tx.message.serialize();
+	const signers = tx.message.staticAccountKeys.slice(0, tx.message.header.numRequiredSignatures);
+
+	return signers.every((signer, index) =>
+		signer.equals(feePayer) || nacl.sign.detached.verify(message, tx.signatures[index], signer.toBytes())
+	);
+}
+
+export class LocalFacilitator {
+	/**
+	 * @param {{connection: import('@solana/web3.js').Connection, resolveInstructions: (tx: VersionedTransaction) => Promise<import('@solana/web3.js').TransactionInstruction[]>}} verifier
+	 * @param {Keypair | null} feePayer - Fee payer keypair (null disables the facilitator)
+	 * @param {string} network
+	 * @param {string[] | (() => string[])} payees - Payees whose payments are handled, or a
+	 *   function returning them so the list can follow treasury rotations
+	 */
+	constructor(verifier, feePayer, network, payees) {
+		/** @private */
+		this.verifier = verifier;
+		/** @private */
+		this.feePayer = feePayer;
+		/** @private */
+		this.network = network;
+		/** @private */
+		this.listPayees = typeof payees === 'function' ? payees : () => payees;
+	}
+
+	/** @returns {boolean} */
+	get enabled() {
+		return this.feePayer !== null;
+	}
+
+	/** @returns {string} Fee payer address */
+	get feePayerAddress() {
+		if (!this.feePayer) {
+			throw new Error('Local facilitator is not configured (X402_FACILITATOR_KEYPAIR)');
+		}
+		return this.feePayer.publicKey.toBase58();
+	}
+
+	/**
+	 * Payment kinds this facilitator handles
+	 *
+	 * @returns {{kinds: {x402Version: number, scheme: string, network: string, extra: {feePayer: string}}[]}}
+	 */
+	getSupported() {
+		return {
+			kinds: [
+				{
+					x402Version: 1,
+					scheme: 'exact',
+					network: this.network,
+					extra: { feePayer: this.feePayerAddress },
+				},
+			],
+		};
+	}
+
+	/**
+	 * Whether the facilitator pays the transaction's fees
+	 *
+	 * @private
+	 * @param {VersionedTransaction} tx
+	 * @returns {boolean}
+	 */
+	isSponsored(tx) {
+		return !!this.feePayer && tx.message.staticAccountKeys[0].equals(this.feePayer.publicKey);
+	}
+
+	/**
+	 * Decode and check a payment, returning the transaction ready to submit
+	 * Sponsored transactions come back co-signed by the fee payer.
+	 *
+	 * @private
+	 * @param {PaymentPayload} paymentPayload
+	 * @param {PaymentRequirements} paymentRequirements
+	 * @returns {Promise<{tx?: VersionedTransaction, payer?: string, invalidReason?: string}>}
+	 */
+	async preparePayment(paymentPayload, paymentRequirements) {
+		const feePayer = /** @type {Keypair} */ (this.feePayer);
+
+		if (paymentPayload?.scheme !== 'exact' || paymentRequirements?.scheme !== 'exact') {
+			return { invalidReason: 'unsupported_scheme' };
+		}
+		if (paymentPayload.network !== this.network || paymentRequirements.network !== this.network) {
+			return { invalidReason: 'invalid_network' };
+		}
+		if (!this.listPayees().includes(paymentRequirements.payTo)) {
+			return { invalidReason: 'unsupported_payee' };
+		}
+		if (!/^\d+$/.test(String(paymentRequirements.maxAmountRequired)) || BigInt(paymentRequirements.maxAmountRequired) === 0n) {
+			return { invalidReason: 'invalid_payment_requirements' };
+		}
+
+		const decoded = readPaymentTransaction(paymentPayload);
+		if (!decoded) {
+			return { invalidReason: 'missing_or_invalid_payload' };
+		}
+		const { tx, paymentHeader } = decoded;
+
+		let instructions;
+		try {
+			instructions = await this.verifier.resolveInstructions(tx);
+		} catch (error) {
+			console.error('[Facilitator] Failed to resolve instructions:', error.message);
+			return { invalidReason: 'address_lookup_table_not_found' };
+		}
+
+		const sponsored = this.isSponsored(tx);
+		if (sponsored) {
+			const unsafe = checkSponsoredInstructions(instructions, feePayer.publicKey, paymentRequirements);
+			if (unsafe) {
+				return { invalidReason: unsafe };
+			}
+		}
+
+		if (!hasPayerSignatures(tx, feePayer.publicKey)) {
+			return { invalidReason: 'transaction_not_signed' };
+		}
+
+		const transferCheck = validateTransferInstructions(instructions, paymentRequirements);
+		if (!transferCheck.isValid) {
+			return { invalidReason: transferCheck.invalidReason };
+		}
+
+		if (sponsored) {
+			tx.sign([feePayer]);
+		}
+
+		const simulation = await this.verifier.connection.simulateTransaction(tx, { sigVerify: true });
+		if (simulation.value.err) {
+			console.error('[Facilitator] Simulation failed:', simulation.value.err);
+			return { invalidReason: 'transaction_simulation_failed' };
+		}
+
+		return { tx, payer: getPaymentPayer(paymentHeader) || undefined };
+	}
+
+	/**
+	 * Verify a payment without submitting it
+	 *
+	 * @param {PaymentPayload} paymentPayload
+	 * @param {PaymentRequirements} paymentRequirements
+	 * @returns {Promise<VerifyResponse>}
+	 */
+	async verifyPayment(paymentPayload, paymentRequirements) {
+		try {
+			const { payer, invalidReason } = await this.preparePayment(paymentPayload, paymentRequirements);
+			if (invalidReason) {
+				return { isValid: false, invalidReason, payer };
+			}
+			return { isValid: true, payer };
+		} catch (error) {
+			console.error('[Facilitator] Verification error:', error.message);
+			return { isValid: false, invalidReason: 'verification_exception' };
+		}
+	}
+
+	/**
+	 * Verify, co-sign and submit a payment
+	 * Safe to call repeatedly for the same payment: the fee payer's signature
+	 * is deterministic, so a landed transaction is recognised and not resent.
+	 *
+	 * @param {PaymentPayload} paymentPayload
+	 * @param {PaymentRequirements} paymentRequirements
+	 * @returns {Promise<SettleResponse>}
+	 */
+	async settlePayment(paymentPayload, paymentRequirements) {
+		const failure = (errorReason, transaction = '') => ({
+			success: false,
+			errorReason,
+			transaction,
+			network: this.network,
+		});
+
+		try {
+			// A retry of a settled payment fails simulation (already processed), so check first
+			const decoded = readPaymentTransaction(paymentPayload);
+			if (decoded) {
+				if (this.isSponsored(decoded.tx)) {
+					decoded.tx.sign([/** @type {Keypair} */ (this.feePayer)]);
+				}
+				const signature = bs58.encode(decoded.tx.signatures[0]);
+				const { value: [status] } = await this.verifier.connection.getSignatureStatuses([signature], {
+					searchTransactionHistory: true,
+				});
+				if (status && !status.err && status.confirmationStatus !== 'processed') {
+					return {
+						success: true,
+						transaction: signature,
+						network: this.network,
+						payer: getPaymentPayer(decoded.paymentHeader) || undefined,
+					};
+				}
+			}
+
+			const { tx, payer, invalidReason } = await this.preparePayment(paymentPayload, paymentRequirements);
+			if (!tx) {
+				return failure(invalidReason);
+			}
+
+			const transaction = await this.verifier.connection.sendRawTransaction(tx.serialize(), {
+				skipPreflight: true,
+			});
+			console.log('[Facilitator] Transaction submitted:', transaction);
+
+			const confirmation = await this.verifier.connection.confirmTransaction(transaction, 'confirmed');
+			if (confirmation.value.err) {
+				console.error('[Facilitator] Transaction failed:', confirmation.value.err);
+				return failure('transaction_failed_on_chain', transaction);
+			}
+
+			return { success: true, transaction, network: this.network, payer };
+		} catch (error) {
+			console.error('[Facilitator] Settlement error:', error.message);
+			return failure('settlement_exception');
+		}
+	}
+}
+
+// Export singleton instance
+export const localFacilitator = new LocalFacilitator(
+	directPaymentVerifier,
+	loadKeypairFile(config.x402.facilitator.feePayerKeypairPath, 'facilitator fee payer'),
+	config.x402.network,
+	() => [...treasury.getAcceptedAddresses(), ...config.x402.facilitator.payees]
+);
@@ -73,6 +73,15 @@ class MempoolService {
 		}
 	}
 
+	/**
+	 * Count upstream requests waiting for or holding a rate limiter slot
+	 * @returns {number}
+	 */
+	getQueueDepth() {
+		const counts = this.rateLimiter.counts();
+		return counts.QUEUED + counts.RUNNING + counts.EXECUTING;
+	}
+
 	/**
 	 * Get address information and balance
 	 * @param {string} address - Bitcoin address
@@ -0,0 +1,313 @@
+// @ts-check
+import fs from 'fs';
+import path from 'path';
+import {createRequire} from 'module';
+import {VersionedTransaction} from '@solana/web3.js';
+import bs58 from 'bs58';
+import {config} from '../config/env.js';
+import {getPaymentPayer} from './direct-verifier.js';
+
+/**
+ * Used-Payment Ledger
+ * Replay protection for x402 payment headers, keyed by the payer's transaction signature
+ *
+ * A signed transfer is only spendable once on-chain, but between verification
+ * and settlement the same X-PAYMENT header could be presented to any number of
+ * routes. The ledger claims each signature on first successful verification and
+ * rejects every later presentation until the entry expires.
+ *
+ * Entries expire once the transaction's blockhash can no longer land (~150 slots).
+ * Past that point a replayed header fails simulation and settlement by itself.
+ */
+
+/**
+ * @typedef {Object} LedgerEntry
+ * @property {string} signature - Base58 transaction signature
+ * @property {string} resource - Resource the payment was first presented for
+ * @property {number} claimedAt - Epoch milliseconds
+ * @property {number} expiresAt - Epoch milliseconds
+ */
+
+/**
+ * Storage backend for the ledger.
+ * `claim` must be atomic: it resolves `true` only for the first caller.
+ *
+ * @typedef {Object} LedgerStore
+ * @property {(entry: LedgerEntry) => Promise<boolean>} claim
+ * @property {(signature: string) => Promise<LedgerEntry | null>} get
+ * @property {(signature: string) => Promise<void>} release
+ * @property {(now: number) => Promise<number>} purgeExpired
+ */
+
+/**
+ * In-memory store (single process, lost on restart - development only)
+ * @implements {LedgerStore}
+ */
+export class MemoryLedgerStore {
+	constructor() {
+		/** @private @type {Map<string, LedgerEntry>} */
+		this.entries = new Map();
+	}
+
+	/** @param {LedgerEntry} entry */
+	async claim(entry) {
+		const existing = this.entries.get(entry.signature);
+		if (existing && existing.expiresAt > Date.now()) {
+			return false;
+		}
+		this.entries.set(entry.signature, entry);
+		return true;
+	}
+
+	/** @param {string} signature */
+	async get(signature) {
+		return this.entries.get(signature) || null;
+	}
+
+	/** @param {string} signature */
+	async release(signature) {
+		this.entries.delete(signature);
+	}
+
+	/** @param {number} now */
+	async purgeExpired(now) {
+		let purged = 0;
+		for (const [signature, entry] of this.entries) {
+			if (entry.expiresAt <= now) {
+				this.entries.delete(signature);
+				purged++;
+			}
+		}
+		return purged;
+	}
+}
+
+/**
+ * JSON file store (single node, survives restarts)
+ * Writes go to a temp file and are renamed into place so a crash never leaves
+ * a truncated ledger behind.
+ * @implements {LedgerStore}
+ */
+export class FileLedgerStore extends MemoryLedgerStore {
+	/**
+	 * @param {string} filePath - Path to the ledger JSON file
+	 */
+	constructor(filePath) {
+		super();
+		/** @private */
+		this.filePath = path.resolve(filePath);
+
+		if (fs.existsSync(this.filePath)) {
+			try {
+				/** @type {LedgerEntry[]} */
+				const saved = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+				for (const entry of saved) {
+					this.entries.set(entry.signature, entry);
+				}
+			} catch (error) {
+				throw new Error(`Failed to load payment ledger from ${this.filePath}: ${error.message}`);
+			}
+		}
+	}
+
+	/** @private */
+	persist() {
+		const tmpPath = `${this.filePath}.tmp`;
+		fs.writeFileSync(tmpPath, JSON.stringify([...this.entries.values()]));
+		fs.renameSync(tmpPath, this.filePath);
+	}
+
+	/** @param {LedgerEntry} entry */
+	async claim(entry) {
+		const claimed = await super.claim(entry);
+		if (claimed) this.persist();
+		return claimed;
+	}
+
+	/** @param {string} signature */
+	async release(signature) {
+		await super.release(signature);
+		this.persist();
+	}
+
+	/** @param {number} now */
+	async purgeExpired(now) {
+		const purged = await super.purgeExpired(now);
+		if (purged > 0) this.persist();
+		return purged;
+	}
+}
+
+/**
+ * SQLite store (single node, survives restarts)
+ * Uses the built-in node:sqlite module (Node 22.5+)
+ * @implements {LedgerStore}
+ */
+export class SqliteLedgerStore {
+	/**
+	 * @param {string} filePath - Path to the SQLite database file
+	 */
+	constructor(filePath) {
+		let sqlite;
+		try {
+			sqlite = createRequire(import.meta.url)('node:sqlite');
+		} catch {
+			throw new Error(`SQLite payment ledger requires Node 22.5+ (running ${process.version})`);
+		}
+
+		/** @private */
+		this.db = new sqlite.DatabaseSync(path.resolve(filePath));
+		this.db.exec(`
+			CREATE TABLE IF NOT EXISTS used_payments (
+				signature TEXT PRIMARY KEY,
+				resource TEXT NOT NULL,
+				claimed_at INTEGER NOT NULL,
+				expires_at INTEGER NOT NULL
+			)
+		`);
+	}
+
+	/** @param {LedgerEntry} entry */
+	async claim(entry) {
+		// Drop a stale row first so an expired signature can be claimed again
+		this.db.prepare('DELETE FROM used_payments WHERE signature = ? AND expires_at <= ?')
+			.run(entry.signature, Date.now());
+		const result = this.db
+			.prepare('INSERT OR IGNORE INTO used_payments (signature, resource, claimed_at, expires_at) VALUES (?, ?, ?, ?)')
+			.run(entry.signature, entry.resource, entry.claimedAt, entry.expiresAt);
+		return result.changes === 1;
+	}
+
+	/** @param {string} signature */
+	async get(signature) {
+		const row = this.db.prepare('SELECT * FROM used_payments WHERE signature = ?').get(signature);
+		if (!row) return null;
+		return {
+			signature: row.signature,
+			resource: row.resource,
+			claimedAt: row.claimed_at,
+			expiresAt: row.expires_at,
+		};
+	}
+
+	/** @param {string} signature */
+	async release(signature) {
+		this.db.prepare('DELETE FROM used_payments WHERE signature = ?').run(signature);
+	}
+
+	/** @param {number} now */
+	async purgeExpired(now) {
+		const result = this.db.prepare('DELETE FROM used_payments WHERE expires_at <= ?').run(now);
+		return Number(result.changes);
+	}
+}
+
+/**
+ * Create a ledger store from configuration
+ * @param {{store: string, path: string}} options
+ * @returns {LedgerStore}
+ */
+export function createLedgerStore(options) {
+	switch (options.store) {
+		case 'memory':
+			return new MemoryLedgerStore();
+		case 'file':
+			return new FileLedgerStore(options.path);
+		case 'sqlite':
+			return new SqliteLedgerStore(options.path);
+		default:
+			throw new Error(`Unknown payment ledger store: ${options.store}`);
+	}
+}
+
+/**
+ * Extract the payer's transaction signature from an x402 payment header
+ * The payer is the token transfer authority. A sponsoring facilitator is the
+ * fee payer and only signs at settlement, so the first signature (the on-chain
+ * identifier) is still empty when the payment is presented; the authority's
+ * signature is not, and covers the whole message, so it cannot be varied
+ * without invalidating the payment. Without a token transfer (an "upto"
+ * approval) the fee payer's signature is used.
+ *
+ * When the payer pays its own fees this is the on-chain transaction signature.
+ *
+ * @param {string} paymentHeader - Base64 encoded payment payload
+ * @returns {string | null} Base58 signature, or null if the payer has not signed
+ */
+export function getPaymentSignature(paymentHeader) {
+	try {
+		const paymentPayload = JSON.parse(Buffer.from(paymentHeader, 'base64').toString('utf8'));
+		if (!paymentPayload.payload || typeof paymentPayload.payload !== 'string') {
+			return null;
+		}
+
+		// VersionedTransaction also deserializes the legacy wire format
+		const tx = VersionedTransaction.deserialize(Buffer.from(paymentPayload.payload, 'base64'));
+		const payer = getPaymentPayer(paymentHeader);
+		const signers = tx.message.staticAccountKeys.slice(0, tx.message.header.numRequiredSignatures);
+		const payerIndex = payer ? signers.findIndex((signer) => signer.toBase58() === payer) : -1;
+		const signature = tx.signatures[Math.max(payerIndex, 0)];
+		if (!signature || signature.every((byte) => byte === 0)) {
+			return null;
+		}
+
+		return bs58.encode(signature);
+	} catch {
+		return null;
+	}
+}
+
+export class PaymentLedger {
+	/**
+	 * @param {LedgerStore} store
+	 * @param {number} ttlSeconds - How long a claimed signature stays blocked
+	 */
+	constructor(store, ttlSeconds) {
+		/** @private */
+		this.store = store;
+		/** @private */
+		this.ttlMs = ttlSeconds * 1000;
+	}
+
+	/**
+	 * Check whether a signature is currently claimed
+	 * @param {string} signature
+	 * @returns {Promise<boolean>}
+	 */
+	async isUsed(signature) {
+		const entry = await this.store.get(signature);
+		return !!entry && entry.expiresAt > Date.now();
+	}
+
+	/**
+	 * Atomically claim a signature for a resource
+	 * @param {string} signature
+	 * @param {string} resource
+	 * @returns {Promise<boolean>} False if the signature was already claimed
+	 */
+	async claim(signature, resource) {
+		const now = Date.now();
+		await this.store.purgeExpired(now);
+		return this.store.claim({
+			signature,
+			resource,
+			claimedAt: now,
+			expiresAt: now + this.ttlMs,
+		});
+	}
+
+	/**
+	 * Release a claimed signature so the payment can be presented again
+	 * @param {string} signature
+	 * @returns {Promise<void>}
+	 */
+	async release(signature) {
+		await this.store.release(signature);
+	}
+}
+
+// Export singleton instance
+export const paymentLedger = new PaymentLedger(
+	createLedgerStore(config.x402.ledger),
+	config.x402.ledger.ttlSeconds
+);
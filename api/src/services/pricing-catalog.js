@@ -0,0 +1,163 @@
+// @ts-check
+import {config} from '../config/env.js';
+import {
+	pricingConfig,
+	getPrice,
+	getAcceptedTokens,
+	convertToTokenUnits,
+	formatPrice,
+	formatTokenAmount,
+} from '../config/pricing.js';
+import {dynamicPricing} from './dynamic-pricing.js';
+import {uptoScheme} from './upto-scheme.js';
+
+/**
+ * Pricing Catalog
+ * Machine-readable prices for every paid endpoint, generated from the live
+ * route table so it can never drift from what the 402 responses quote.
+ *
+ * Paid routes are recognised by the pricing key their payment middleware
+ * carries (`handle.pricing`), and their settlement policy (`handle.settlementPolicy`).
+ */
+
+/**
+ * @typedef {Object} PaidRouter
+ * @property {string} prefix - Mount path (e.g., '/api/v1/mempool')
+ * @property {import('express').Router} router
+ */
+
+/**
+ * @typedef {Object} TokenPrice
+ * @property {string} amount - Price in token base units (maxAmountRequired)
+ * @property {string} display - Human-readable amount (e.g., "0.1 USDC")
+ */
+
+/**
+ * @typedef {Object} CatalogEntry
+ * @property {string} method - HTTP method
+ * @property {string} path - Full route path, as quoted in payment requirements
+ * @property {string} description
+ * @property {{usd: number, display: string}} price - Basic tier price at the current multiplier
+ * @property {Record<string, TokenPrice>} tokens - Price in every accepted token, by symbol
+ * @property {boolean} chargesNotFound - Whether a 404 answer is settled
+ * @property {{unitPrice: {usd: number, display: string}, maxUnits: number, tokens: Record<string, TokenPrice>}} [metered]
+ *   Per-unit price when the route also accepts metered "upto" payments
+ */
+
+/**
+ * Price a USD amount in every accepted token
+ *
+ * @param {number} usd
+ * @param {import('../config/pricing.js').TokenInfo[]} tokens
+ * @returns {Record<string, TokenPrice>}
+ */
+function priceInTokens(usd, tokens) {
+	return Object.fromEntries(tokens.map((token) => {
+		const amount = convertToTokenUnits(usd, token);
+		return [token.symbol, {amount, display: formatTokenAmount(amount, token)}];
+	}));
+}
+
+/**
+ * Find the paid routes of each router
+ *
+ * @param {PaidRouter[]} paidRouters
+ * @returns {{method: string, path: string, pricing: {category: string, endpoint: string, description: string, metered?: {endpoint: string, maxUnits: number}}, settlementPolicy: {chargeNotFound?: boolean}}[]}
+ */
+export function collectPaidRoutes(paidRouters) {
+	const routes = [];
+
+	for (const {prefix, router} of paidRouters) {
+		for (const layer of router.stack) {
+			if (!layer.route) continue;
+
+			const handles = layer.route.stack.map((routeLayer) => routeLayer.handle);
+			const pricing = handles.find((handle) => handle.pricing)?.pricing;
+			if (!pricing) continue;
+
+			const settlementPolicy = handles.find((handle) => handle.settlementPolicy)?.settlementPolicy || {};
+			for (const method of Object.keys(layer.route.methods)) {
+				routes.push({
+					method: method.toUpperCase(),
+					path: `${prefix}${layer.route.path}`,
+					pricing,
+					settlementPolicy,
+				});
+			}
+		}
+	}
+
+	return routes;
+}
+
+/**
+ * Build the pricing catalog
+ *
+ * @param {PaidRouter[]} paidRouters
+ * @param {number} maxAgeSeconds - How long the catalog may be cached
+ * @returns {Object}
+ */
+export function buildPricingCatalog(paidRouters, maxAgeSeconds) {
+	const tokens = getAcceptedTokens();
+
+	/** @type {CatalogEntry[]} */
+	const endpoints = collectPaidRoutes(paidRouters).map(({method, path, pricing, settlementPolicy}) => {
+		const usd = dynamicPricing.apply(getPrice(pricing.category, pricing.endpoint));
+
+		/** @type {CatalogEntry} */
+		const entry = {
+			method,
+			path,
+			description: pricing.description,
+			price: {usd, display: formatPrice(usd)},
+			tokens: priceInTokens(usd, tokens),
+			chargesNotFound: settlementPolicy.chargeNotFound === true,
+		};
+
+		if (pricing.metered && uptoScheme.enabled) {
+			const unitUsd = dynamicPricing.apply(getPrice(pricing.category, pricing.metered.endpoint));
+			entry.metered = {
+				unitPrice: {usd: unitUsd, display: formatPrice(unitUsd)},
+				maxUnits: pricing.metered.maxUnits,
+				tokens: priceInTokens(unitUsd, tokens),
+			};
+		}
+
+		return entry;
+	});
+
+	const generatedAt = new Date();
+
+	return {
+		x402Version: 1,
+		network: config.x402.network,
+		referenceCurrency: pricingConfig.referenceCurrency,
+		tokens: tokens.map((token) => ({
+			symbol: token.symbol,
+			name: token.name,
+			mint: token.mint,
+			decimals: token.decimals,
+			usdRate: token.usdRate,
+		})),
+		tiers: {
+			multipliers: pricingConfig.tiers,
+			default: 'basic',
+			note: 'Prices below are basic tier. Allowlisted wallets prove ownership with x402-PublicKey, x402-Timestamp and x402-Signature headers to be quoted their tier.',
+		},
+		dynamicPricing: {
+			enabled: dynamicPricing.enabled,
+			source: config.pricing.dynamic.source,
+			multiplier: dynamicPricing.getMultiplier(),
+			floor: config.pricing.dynamic.floor,
+			ceiling: config.pricing.dynamic.ceiling,
+		},
+		freshness: {
+			generatedAt: generatedAt.toISOString(),
+			expiresAt: new Date(generatedAt.getTime() + maxAgeSeconds * 1000).toISOString(),
+			maxAgeSeconds,
+			quoteTtlSeconds: config.x402.maxTimeoutSeconds,
+			note: 'Catalog prices are indicative. The 402 response is the binding quote and is honoured for quoteTtlSeconds.',
+		},
+		endpoints,
+	};
+}
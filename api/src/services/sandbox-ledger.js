@@ -0,0 +1,621 @@
+// @ts-check
+import {
+	ComputeBudgetProgram,
+	Keypair,
+	PublicKey,
+	SystemInstruction,
+	SystemProgram,
+	Transaction,
+	VersionedTransaction,
+	TransactionMessage,
+} from '@solana/web3.js';
+import {
+	ACCOUNT_SIZE,
+	ASSOCIATED_TOKEN_PROGRAM_ID,
+	AccountLayout,
+	AccountState,
+	MINT_SIZE,
+	MintLayout,
+	TOKEN_PROGRAM_ID,
+	TokenInstruction,
+	decodeApproveCheckedInstruction,
+	decodeApproveInstruction,
+	decodeTransferCheckedInstruction,
+	decodeTransferInstruction,
+	getAssociatedTokenAddressSync,
+} from '@solana/spl-token';
+import bs58 from 'bs58';
+import nacl from 'tweetnacl';
+import { config } from '../config/env.js';
+import { treasury } from './treasury.js';
+
+/**
+ * Sandbox Payment Ledger
+ * In-process stand-in for a Solana RPC connection (X402_NETWORK=sandbox), so the
+ * whole 402 -> pay -> verify -> settle loop runs offline.
+ *
+ * Implements the Connection methods this codebase calls, against an in-memory
+ * ledger of SOL and SPL token balances:
+ * - Signatures are checked with ed25519 on submission (and on simulation when asked)
+ * - Token transfers and approvals follow SPL Token rules: owner or delegate
+ *   authority, balances, delegated allowances, mint and decimals for *Checked
+ * - Compute budget, system transfers and associated token account creation are
+ *   accepted; any other instruction fails with UnsupportedInstruction
+ * - A signature is processed at most once (AlreadyProcessed)
+ *
+ * Wallets are funded on first use: every wallet starts with startingBalance
+ * whole units of SOL and of each sandbox token, in its associated token
+ * accounts, which open when the wallet first appears in a transaction or is
+ * looked up. Blockhashes are not checked for expiry and no fees are charged.
+ */
+
+/**
+ * @typedef {Object} TokenAccount
+ * @property {PublicKey} mint
+ * @property {PublicKey} owner
+ * @property {bigint} amount
+ * @property {PublicKey | null} delegate
+ * @property {bigint} delegatedAmount
+ */
+
+/**
+ * @typedef {Object} ProcessedTransaction
+ * @property {number} slot
+ * @property {Object | null} err
+ * @property {{accountIndex: number, mint: string, owner: string, uiTokenAmount: {amount: string, decimals: number}}[]} postTokenBalances
+ */
+
+/**
+ * Error raised while executing an instruction
+ */
+class InstructionError extends Error {
+	/**
+	 * @param {number} index - Instruction index
+	 * @param {string} reason - Custom error name, as reported by the RPC
+	 */
+	constructor(index, reason) {
+		super(`Instruction ${index} failed: ${reason}`);
+		this.name = 'InstructionError';
+		this.err = { InstructionError: [index, reason] };
+	}
+}
+
+/**
+ * Deserialize a transaction submitted as bytes, a legacy Transaction or a VersionedTransaction
+ *
+ * @param {Uint8Array | Buffer | number[] | Transaction | VersionedTransaction} transaction
+ * @returns {VersionedTransaction}
+ */
+function toVersionedTransaction(transaction) {
+	if (transaction instanceof VersionedTransaction) {
+		return transaction;
+	}
+	if (transaction instanceof Transaction) {
+		return VersionedTransaction.deserialize(
+			transaction.serialize({ requireAllSignatures: false, verifySignatures: false })
+		);
+	}
+	return VersionedTransaction.deserialize(Uint8Array.from(transaction));
+}
+
+export class SandboxLedger {
+	/**
+	 * @param {{tokens: Record<string, {mint: string, decimals: number}>, startingBalance: number, wallets?: string[] | (() => string[])}} options
+	 *   Sandbox tokens, the starting balance in whole units, and wallets (e.g. the treasury) whose
+	 *   token accounts may be paid into before the wallet appears in a transaction or lookup.
+	 *   A function is asked on every lookup, so wallets added later (a treasury rotation) are found too.
+	 */
+	constructor(options) {
+		/** @private */
+		this.options = options;
+		/** @private @type {() => string[]} */
+		this.listWallets = typeof options.wallets === 'function' ? options.wallets : () => /** @type {string[]} */ (options.wallets || []);
+		/** @private @type {PublicKey[]} */
+		this.wallets = [];
+		/** @private @type {Map<string, {decimals: number}>} */
+		this.mints = new Map(Object.values(options.tokens).map((token) => [token.mint, { decimals: token.decimals }]));
+		/** @private @type {Map<string, TokenAccount>} */
+		this.tokenAccounts = new Map();
+		/** @private @type {Map<string, bigint>} */
+		this.lamports = new Map();
+		/** @private @type {Map<string, ProcessedTransaction>} */
+		this.transactions = new Map();
+		/** @private */
+		this.slot = 1;
+	}
+
+	/**
+	 * Starting balance of a wallet, in base units
+	 *
+	 * @private
+	 * @param {number} decimals
+	 * @returns {bigint}
+	 */
+	startingBalance(decimals) {
+		return BigInt(this.options.startingBalance) * 10n ** BigInt(decimals);
+	}
+
+	/**
+	 * @private
+	 * @param {PublicKey} mint
+	 * @returns {number}
+	 */
+	decimalsOf(mint) {
+		return /** @type {{decimals: number}} */ (this.mints.get(mint.toBase58())).decimals;
+	}
+
+	/**
+	 * Remember a wallet that was looked up, so its token accounts can be found
+	 *
+	 * @private
+	 * @param {PublicKey} address
+	 */
+	rememberWallet(address) {
+		if (!this.wallets.some((wallet) => wallet.equals(address))) {
+			this.wallets.push(address);
+		}
+	}
+
+	/**
+	 * Find the mint and owner an address is the associated token account of
+	 * Only the given candidates and the known wallets are checked.
+	 *
+	 * @private
+	 * @param {PublicKey} address
+	 * @param {PublicKey[]} candidateOwners
+	 * @returns {TokenAccount | null} A fresh, funded account, or null if the address is no associated token account
+	 */
+	openAssociatedAccount(address, candidateOwners) {
+		const listed = this.listWallets().map((wallet) => new PublicKey(wallet));
+		for (const owner of [...candidateOwners, ...listed, ...this.wallets]) {
+			for (const [mint, { decimals }] of this.mints) {
+				const mintKey = new PublicKey(mint);
+				if (getAssociatedTokenAddressSync(mintKey, owner, true).equals(address)) {
+					return {
+						mint: mintKey,
+						owner,
+						amount: this.startingBalance(decimals),
+						delegate: null,
+						delegatedAmount: 0n,
+					};
+				}
+			}
+		}
+		return null;
+	}
+
+	/**
+	 * Look up a token account, opening associated accounts on first use
+	 *
+	 * @private
+	 * @param {Map<string, TokenAccount>} accounts - Working copy of the token accounts
+	 * @param {PublicKey} address
+	 * @param {PublicKey[]} candidateOwners - Wallets the account may belong to
+	 * @returns {TokenAccount | null}
+	 */
+	getTokenAccount(accounts, address, candidateOwners) {
+		const existing = accounts.get(address.toBase58());
+		if (existing) {
+			return existing;
+		}
+
+		const opened = this.openAssociatedAccount(address, candidateOwners);
+		if (opened) {
+			accounts.set(address.toBase58(), opened);
+		}
+		return opened;
+	}
+
+	/**
+	 * Mint sandbox tokens to a wallet (a faucet for tests)
+	 *
+	 * @param {PublicKey} owner
+	 * @param {string} mint
+	 * @param {bigint} amount - Base units to add
+	 * @returns {PublicKey} The wallet's associated token account
+	 */
+	mintTo(owner, mint, amount) {
+		const address = getAssociatedTokenAddressSync(new PublicKey(mint), owner, true);
+		const account = this.getTokenAccount(this.tokenAccounts, address, [owner]);
+		if (!account) {
+			throw new Error(`${mint} is not a sandbox token`);
+		}
+		account.amount += amount;
+		return address;
+	}
+
+	/**
+	 * Execute a transaction's instructions against a copy of the ledger
+	 *
+	 * @private
+	 * @param {VersionedTransaction} tx
+	 * @returns {{tokenAccounts: Map<string, TokenAccount>, lamports: Map<string, bigint>}} The ledger after execution
+	 * @throws {InstructionError} If an instruction fails
+	 */
+	execute(tx) {
+		/** @type {Map<string, TokenAccount>} */
+		const tokenAccounts = new Map([...this.tokenAccounts].map(([address, account]) => [address, { ...account }]));
+		const lamports = new Map(this.lamports);
+
+		const { instructions } = TransactionMessage.decompile(tx.message);
+		const wallets = tx.message.staticAccountKeys;
+
+		const lamportsOf = (/** @type {PublicKey} */ key) =>
+			lamports.get(key.toBase58()) ?? this.startingBalance(9);
+
+		instructions.forEach((ix, index) => {
+			const fail = (/** @type {string} */ reason) => {
+				throw new InstructionError(index, reason);
+			};
+			const requireSigner = (/** @type {PublicKey} */ key) => {
+				if (!ix.keys.some((meta) => meta.pubkey.equals(key) && meta.isSigner)) fail('MissingRequiredSignature');
+			};
+
+			if (ix.programId.equals(ComputeBudgetProgram.programId)) {
+				return;
+			}
+
+			if (ix.programId.equals(SystemProgram.programId)) {
+				if (SystemInstruction.decodeInstructionType(ix) !== 'Transfer') fail('UnsupportedInstruction');
+				const { fromPubkey, toPubkey, lamports: amount } = SystemInstruction.decodeTransfer(ix);
+				requireSigner(fromPubkey);
+				if (lamportsOf(fromPubkey) < amount) fail('InsufficientFundsForRent');
+				lamports.set(fromPubkey.toBase58(), lamportsOf(fromPubkey) - amount);
+				lamports.set(toPubkey.toBase58(), lamportsOf(toPubkey) + amount);
+				return;
+			}
+
+			if (ix.programId.equals(ASSOCIATED_TOKEN_PROGRAM_ID)) {
+				// Create and CreateIdempotent: accounts are opened on first use, so both only check the address
+				const [, account, owner] = ix.keys.map((meta) => meta.pubkey);
+				if (!account || !owner || !this.getTokenAccount(tokenAccounts, account, [owner])) fail('InvalidSeeds');
+				return;
+			}
+
+			if (!ix.programId.equals(TOKEN_PROGRAM_ID)) {
+				fail('UnsupportedInstruction');
+			}
+
+			switch (ix.data[0]) {
+				case TokenInstruction.Transfer:
+				case TokenInstruction.TransferChecked: {
+					const { keys, data } = ix.data[0] === TokenInstruction.TransferChecked
+						? decodeTransferCheckedInstruction(ix)
+						: decodeTransferInstruction(ix);
+					const source = this.getTokenAccount(tokenAccounts, keys.source.pubkey, wallets);
+					const destination = this.getTokenAccount(tokenAccounts, keys.destination.pubkey, wallets);
+					if (!source || !destination) fail('InvalidAccountData');
+					if (!source.mint.equals(destination.mint)) fail('MintMismatch');
+					if ('mint' in keys && !keys.mint.pubkey.equals(source.mint)) fail('MintMismatch');
+					if ('decimals' in data && data.decimals !== this.decimalsOf(source.mint)) fail('MintDecimalsMismatch');
+
+					const authority = keys.owner.pubkey;
+					requireSigner(authority);
+					if (source.delegate?.equals(authority) && !source.owner.equals(authority)) {
+						if (source.delegatedAmount < data.amount) fail('InsufficientFunds');
+						source.delegatedAmount -= data.amount;
+						if (source.delegatedAmount === 0n) source.delegate = null;
+					} else if (!source.owner.equals(authority)) {
+						fail('OwnerMismatch');
+					}
+
+					if (source.amount < data.amount) fail('InsufficientFunds');
+					source.amount -= data.amount;
+					destination.amount += data.amount;
+					return;
+				}
+				case TokenInstruction.Approve:
+				case TokenInstruction.ApproveChecked: {
+					const { keys, data } = ix.data[0] === TokenInstruction.ApproveChecked
+						? decodeApproveCheckedInstruction(ix)
+						: decodeApproveInstruction(ix);
+					const account = this.getTokenAccount(tokenAccounts, keys.account.pubkey, wallets);
+					if (!account) fail('InvalidAccountData');
+					if ('mint' in keys && !keys.mint.pubkey.equals(account.mint)) fail('MintMismatch');
+					if ('decimals' in data && data.decimals !== this.decimalsOf(account.mint)) fail('MintDecimalsMismatch');
+
+					requireSigner(keys.owner.pubkey);
+					if (!account.owner.equals(keys.owner.pubkey)) fail('OwnerMismatch');
+					account.delegate = keys.delegate.pubkey;
+					account.delegatedAmount = data.amount;
+					return;
+				}
+				default:
+					fail('UnsupportedInstruction');
+			}
+		});
+
+		return { tokenAccounts, lamports };
+	}
+
+	/**
+	 * Check every required signature
+	 *
+	 * @private
+	 * @param {VersionedTransaction} tx
+	 * @returns {boolean}
+	 */
+	hasValidSignatures(tx) {
+		const message = tx.message.serialize();
+		const signers = tx.message.staticAccountKeys.slice(0, tx.message.header.numRequiredSignatures);
+		return signers.every((signer, index) =>
+			nacl.sign.detached.verify(message, tx.signatures[index], signer.toBytes())
+		);
+	}
+
+	/**
+	 * Token balances after a transaction, for the accounts it references
+	 *
+	 * @private
+	 * @param {VersionedTransaction} tx
+	 * @returns {ProcessedTransaction['postTokenBalances']}
+	 */
+	postTokenBalances(tx) {
+		return tx.message.staticAccountKeys.flatMap((key, accountIndex) => {
+			const account = this.tokenAccounts.get(key.toBase58());
+			if (!account) {
+				return [];
+			}
+			return [{
+				accountIndex,
+				mint: account.mint.toBase58(),
+				owner: account.owner.toBase58(),
+				uiTokenAmount: { amount: account.amount.toString(), decimals: this.decimalsOf(account.mint) },
+			}];
+		});
+	}
+
+	/**
+	 * @private
+	 * @returns {{slot: number}}
+	 */
+	context() {
+		return { slot: this.slot };
+	}
+
+	// Connection methods
+
+	/**
+	 * @param {Transaction | VersionedTransaction} transaction
+	 * @param {{sigVerify?: boolean} | any} [options]
+	 */
+	async simulateTransaction(transaction, options) {
+		const tx = toVersionedTransaction(transaction);
+		const signature = bs58.encode(tx.signatures[0]);
+
+		let err = null;
+		if (options?.sigVerify && !this.hasValidSignatures(tx)) {
+			err = 'SignatureFailure';
+		} else if (this.transactions.has(signature) && tx.signatures[0].some((byte) => byte !== 0)) {
+			err = 'AlreadyProcessed';
+		} else {
+			try {
+				this.execute(tx);
+			} catch (error) {
+				if (!(error instanceof InstructionError)) throw error;
+				err = error.err;
+			}
+		}
+
+		return { context: this.context(), value: { err, logs: [], accounts: null, unitsConsumed: 0 } };
+	}
+
+	/**
+	 * @param {Uint8Array | Buffer | number[]} rawTransaction
+	 * @param {Object} [options]
+	 * @returns {Promise<string>} Transaction signature
+	 */
+	async sendRawTransaction(rawTransaction, options) {
+		const tx = toVersionedTransaction(rawTransaction);
+		if (!this.hasValidSignatures(tx)) {
+			throw new Error('failed to send transaction: Transaction signature verification failure');
+		}
+
+		const signature = bs58.encode(tx.signatures[0]);
+		if (this.transactions.has(signature)) {
+			throw new Error('failed to send transaction: Transaction simulation failed: This transaction has already been processed');
+		}
+
+		let err = null;
+		try {
+			const { tokenAccounts, lamports } = this.execute(tx);
+			this.tokenAccounts = tokenAccounts;
+			this.lamports = lamports;
+		} catch (error) {
+			if (!(error instanceof InstructionError)) throw error;
+			if (!options?.skipPreflight) {
+				throw new Error(`failed to send transaction: Transaction simulation failed: ${error.message}`);
+			}
+			err = error.err;
+		}
+
+		this.slot++;
+		this.transactions.set(signature, { slot: this.slot, err, postTokenBalances: this.postTokenBalances(tx) });
+		return signature;
+	}
+
+	/**
+	 * @param {string | {signature: string}} strategy
+	 */
+	async confirmTransaction(strategy) {
+		const signature = typeof strategy === 'string' ? strategy : strategy.signature;
+		const processed = this.transactions.get(signature);
+		if (!processed) {
+			throw new Error(`Transaction ${signature} was not processed by the sandbox ledger`);
+		}
+		return { context: this.context(), value: { err: processed.err } };
+	}
+
+	/**
+	 * @param {string[]} signatures
+	 */
+	async getSignatureStatuses(signatures) {
+		return {
+			context: this.context(),
+			value: signatures.map((signature) => {
+				const processed = this.transactions.get(signature);
+				return processed
+					? { slot: processed.slot, confirmations: null, err: processed.err, confirmationStatus: 'finalized' }
+					: null;
+			}),
+		};
+	}
+
+	/**
+	 * @param {string} signature
+	 */
+	async getSignatureStatus(signature) {
+		const { context, value: [status] } = await this.getSignatureStatuses([signature]);
+		return { context, value: status };
+	}
+
+	/**
+	 * @param {string} signature
+	 */
+	async getTransaction(signature) {
+		const processed = this.transactions.get(signature);
+		if (!processed) {
+			return null;
+		}
+		return {
+			slot: processed.slot,
+			meta: { err: processed.err, fee: 0, postTokenBalances: processed.postTokenBalances },
+		};
+	}
+
+	async getLatestBlockhash() {
+		return { blockhash: Keypair.generate().publicKey.toBase58(), lastValidBlockHeight: this.slot + 150 };
+	}
+
+	async getSlot() {
+		return this.slot;
+	}
+
+	async getBlockHeight() {
+		return this.slot;
+	}
+
+	/**
+	 * Sandbox blockhashes never expire
+	 */
+	async isBlockhashValid() {
+		return { context: this.context(), value: true };
+	}
+
+	async getAddressLookupTable() {
+		return { context: this.context(), value: null };
+	}
+
+	/**
+	 * Mints, token accounts and wallets (system accounts); null for any other account
+	 *
+	 * @param {PublicKey} address
+	 */
+	async getAccountInfo(address) {
+		const base58 = address.toBase58();
+
+		const mint = this.mints.get(base58);
+		if (mint) {
+			const data = Buffer.alloc(MINT_SIZE);
+			MintLayout.encode({
+				mintAuthorityOption: 0,
+				mintAuthority: PublicKey.default,
+				supply: 0n,
+				decimals: mint.decimals,
+				isInitialized: true,
+				freezeAuthorityOption: 0,
+				freezeAuthority: PublicKey.default,
+			}, data);
+			return { data, executable: false, lamports: 1_461_600, owner: TOKEN_PROGRAM_ID, rentEpoch: 0 };
+		}
+
+		const account = this.getTokenAccount(this.tokenAccounts, address, []);
+		if (account) {
+			const data = Buffer.alloc(ACCOUNT_SIZE);
+			AccountLayout.encode({
+				mint: account.mint,
+				owner: account.owner,
+				amount: account.amount,
+				delegateOption: account.delegate ? 1 : 0,
+				delegate: account.delegate || PublicKey.default,
+				state: AccountState.Initialized,
+				isNativeOption: 0,
+				isNative: 0n,
+				delegatedAmount: account.delegatedAmount,
+				closeAuthorityOption: 0,
+				closeAuthority: PublicKey.default,
+			}, data);
+			return { data, executable: false, lamports: 2_039_280, owner: TOKEN_PROGRAM_ID, rentEpoch: 0 };
+		}
+
+		// Off-curve addresses are program accounts, such as unopened token accounts of unknown wallets
+		if (!PublicKey.isOnCurve(address.toBytes())) {
+			return null;
+		}
+
+		this.rememberWallet(address);
+		return {
+			data: Buffer.alloc(0),
+			executable: false,
+			lamports: Number(this.lamports.get(base58) ?? this.startingBalance(9)),
+			owner: SystemProgram.programId,
+			rentEpoch: 0,
+		};
+	}
+
+	/**
+	 * Accounts are looked up in order, so a wallet listed before its token
+	 * accounts makes them available
+	 *
+	 * @param {PublicKey[]} addresses
+	 */
+	async getMultipleAccountsInfo(addresses) {
+		const accounts = [];
+		for (const address of addresses) {
+			accounts.push(await this.getAccountInfo(address));
+		}
+		return accounts;
+	}
+
+	/**
+	 * Rent exemption as on Solana: two years of rent for the data and account header
+	 *
+	 * @param {number} dataLength
+	 * @returns {Promise<number>} Lamports
+	 */
+	async getMinimumBalanceForRentExemption(dataLength) {
+		return (dataLength + 128) * 3480 * 2;
+	}
+
+	/**
+	 * @param {PublicKey} address
+	 * @returns {Promise<number>} Lamports
+	 */
+	async getBalance(address) {
+		this.rememberWallet(address);
+		return Number(this.lamports.get(address.toBase58()) ?? this.startingBalance(9));
+	}
+
+	/**
+	 * @param {PublicKey} address
+	 */
+	async getTokenAccountBalance(address) {
+		const account = this.tokenAccounts.get(address.toBase58());
+		if (!account) {
+			throw new Error(`failed to get token account balance: could not find account ${address.toBase58()}`);
+		}
+		const decimals = this.decimalsOf(account.mint);
+		const uiAmountString = (Number(account.amount) / 10 ** decimals).toString();
+		return {
+			context: this.context(),
+			value: { amount: account.amount.toString(), decimals, uiAmount: Number(uiAmountString), uiAmountString },
+		};
+	}
+}
+
+// Export singleton instance
+export const sandboxLedger = new SandboxLedger({
+	tokens: config.x402.tokens,
+	startingBalance: config.x402.sandbox.startingBalance,
+	wallets: () => treasury.getStatus().addresses.map(({ address }) => address),
+});
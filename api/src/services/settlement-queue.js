@@ -0,0 +1,489 @@
+// @ts-check
+import fs from 'fs';
+import path from 'path';
+import {VersionedTransaction} from '@solana/web3.js';
+import bs58 from 'bs58';
+import {config} from '../config/env.js';
+import {x402Service} from './x402.service.js';
+import {directPaymentVerifier} from './direct-verifier.js';
+import {getPaymentSignature} from './payment-ledger.js';
+import {UPTO_SCHEME} from './upto-scheme.js';
+
+/**
+ * Durable Settlement Queue
+ * Tracks every verified payment from acceptance to on-chain confirmation
+ *
+ * Lifecycle:
+ *   pending  -> settling -> settled -> confirmed
+ *                  |                      ^
+ *                  v                      |
+ *           pending (retry, backoff)      |
+ *                  |                      |
+ *                  v                      |
+ *                dead ------------------- (reconciler finds it landed anyway)
+ *
+ * Jobs are persisted on every transition, so a restart mid-settlement resumes
+ * instead of dropping the payment. Each transition appends the job to a JSON
+ * lines log; the log is compacted to one line per job on startup and once it
+ * has grown well past the number of jobs. The reconciler checks settled and
+ * dead jobs on-chain by the signature of the transaction that settles them,
+ * until their blockhash can no longer land.
+ */
+
+/**
+ * @typedef {import('./x402.service.js').PaymentRequirements} PaymentRequirements
+ * @typedef {import('./x402.service.js').SettleResponse} SettleResponse
+ */
+
+/**
+ * @typedef {'pending' | 'settling' | 'settled' | 'confirmed' | 'dead'} JobStatus
+ */
+
+/**
+ * @typedef {Object} SettlementJob
+ * @property {string} id - Payer's transaction signature (the on-chain signature unless a facilitator pays the fees)
+ * @property {string} paymentHeader
+ * @property {PaymentRequirements} paymentRequirements
+ * @property {JobStatus} status
+ * @property {number} attempts
+ * @property {number} nextAttemptAt - Epoch milliseconds
+ * @property {string} [lastError]
+ * @property {string} [signature] - On-chain signature of the payment transaction, when the payer's
+ *   transaction is already signed by its fee payer (unknown until settlement if a facilitator pays the fees)
+ * @property {string} [transaction] - Settlement transaction signature, once settlement has submitted one
+ * @property {import('./upto-scheme.js').UptoTransfer} [transfer] - Metered transfer signed for
+ *   an "upto" payment, resent by later attempts rather than signed again
+ * @property {string} [payer]
+ * @property {boolean} reconciled - True once on-chain status is final
+ * @property {number} createdAt - Epoch milliseconds
+ * @property {number} updatedAt - Epoch milliseconds
+ */
+
+/**
+ * @typedef {Object} SettlementQueueOptions
+ * @property {string | null} filePath - JSON lines file to persist jobs to (null for memory only)
+ * @property {number} maxAttempts - Attempts before a job is dead-lettered
+ * @property {number} retryBaseMs - First retry delay, doubled on each attempt
+ * @property {number} pollIntervalMs - How often due jobs and reconciliation run
+ * @property {number} landingWindowMs - How long a transaction can still land after acceptance
+ * @property {number} [retentionMs] - How long reconciled jobs are kept for accounting
+ */
+
+const DEFAULT_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+
+/** Log lines allowed beyond one per job before the log is compacted */
+const COMPACTION_SLACK_LINES = 100;
+
+/**
+ * Signature a payment transaction lands under, if it is already known
+ * A transaction is identified on-chain by its fee payer's signature, which a
+ * sponsoring facilitator only adds at settlement.
+ *
+ * @param {string} paymentHeader - Base64 encoded payment payload
+ * @returns {string | undefined} Base58 signature
+ */
+function getSubmittedSignature(paymentHeader) {
+	try {
+		const paymentPayload = JSON.parse(Buffer.from(paymentHeader, 'base64').toString('utf8'));
+		const tx = VersionedTransaction.deserialize(Buffer.from(paymentPayload.payload, 'base64'));
+		const [signature] = tx.signatures;
+		return signature && signature.some((byte) => byte !== 0) ? bs58.encode(signature) : undefined;
+	} catch {
+		return undefined;
+	}
+}
+
+export class SettlementQueue {
+	/**
+	 * @param {SettlementQueueOptions} options
+	 * @param {{settlePayment: (header: string, requirements: PaymentRequirements, options?: import('./upto-scheme.js').UptoSettleOptions) => Promise<SettleResponse>}} settler
+	 * @param {{getSignatureStatus: import('@solana/web3.js').Connection['getSignatureStatus']}} connection
+	 */
+	constructor(options, settler, connection) {
+		/** @private */
+		this.options = {retentionMs: DEFAULT_RETENTION_MS, ...options};
+		/** @private */
+		this.settler = settler;
+		/** @private */
+		this.connection = connection;
+		/** @private @type {Map<string, SettlementJob>} */
+		this.jobs = new Map();
+		/** @private @type {NodeJS.Timeout | null} */
+		this.timer = null;
+		/** @private */
+		this.running = false;
+		/** @private */
+		this.logLines = 0;
+
+		this.load();
+	}
+
+	/** @private */
+	load() {
+		const {filePath} = this.options;
+		if (!filePath || !fs.existsSync(filePath)) {
+			return;
+		}
+
+		try {
+			const contents = fs.readFileSync(filePath, 'utf8');
+			if (contents.trimStart().startsWith('[')) {
+				// Written as a single JSON array before the log format
+				for (const job of JSON.parse(contents)) {
+					this.jobs.set(job.id, job);
+				}
+			} else {
+				const lines = contents.split('\n').filter(Boolean);
+				lines.forEach((line, index) => {
+					let entry;
+					try {
+						entry = JSON.parse(line);
+					} catch (error) {
+						// Only the last line can be cut short, by a crash while appending
+						if (index === lines.length - 1) return;
+						throw error;
+					}
+					if (entry.deleted) {
+						this.jobs.delete(entry.id);
+					} else {
+						this.jobs.set(entry.id, entry);
+					}
+				});
+			}
+
+			for (const job of this.jobs.values()) {
+				// A job caught mid-settlement by a restart is retried
+				if (job.status === 'settling') {
+					job.status = 'pending';
+					job.nextAttemptAt = Date.now();
+				}
+			}
+			console.log(`[SETTLEMENT] Restored ${this.jobs.size} jobs from ${filePath}`);
+		} catch (error) {
+			throw new Error(`Failed to load settlement queue from ${filePath}: ${error.message}`);
+		}
+
+		this.compact();
+	}
+
+	/**
+	 * Append a job's current state (or its removal) to the log
+	 *
+	 * @private
+	 * @param {SettlementJob | {id: string, deleted: true}} entry
+	 */
+	persist(entry) {
+		const {filePath} = this.options;
+		if (!filePath) {
+			return;
+		}
+
+		fs.appendFileSync(filePath, `${JSON.stringify(entry)}\n`);
+		this.logLines++;
+	}
+
+	/**
+	 * Rewrite the log with one line per job
+	 * @private
+	 */
+	compact() {
+		const {filePath} = this.options;
+		if (!filePath) {
+			return;
+		}
+
+		const tmpPath = `${filePath}.tmp`;
+		fs.writeFileSync(tmpPath, [...this.jobs.values()].map((job) => `${JSON.stringify(job)}\n`).join(''));
+		fs.renameSync(tmpPath, filePath);
+		this.logLines = this.jobs.size;
+	}
+
+	/**
+	 * @private
+	 * @param {SettlementJob} job
+	 * @param {Partial<SettlementJob>} changes
+	 */
+	update(job, changes) {
+		Object.assign(job, changes, {updatedAt: Date.now()});
+		this.persist(job);
+	}
+
+	/**
+	 * Record a verified payment for settlement
+	 *
+	 * @param {string} paymentHeader
+	 * @param {PaymentRequirements} paymentRequirements
+	 * @returns {SettlementJob}
+	 * @throws {Error} If the payment header carries no payer signature
+	 */
+	enqueue(paymentHeader, paymentRequirements) {
+		const id = getPaymentSignature(paymentHeader);
+		if (!id) {
+			throw new Error('Cannot enqueue payment without a payer signature');
+		}
+
+		const existing = this.jobs.get(id);
+		if (existing) {
+			return existing;
+		}
+
+		const now = Date.now();
+		/** @type {SettlementJob} */
+		const job = {
+			id,
+			// An upto payment lands as the delegate's transfer, not the payer's approval
+			signature: paymentRequirements.scheme === UPTO_SCHEME ? undefined : getSubmittedSignature(paymentHeader),
+			paymentHeader,
+			paymentRequirements,
+			status: 'pending',
+			attempts: 0,
+			nextAttemptAt: now,
+			reconciled: false,
+			createdAt: now,
+			updatedAt: now,
+		};
+		this.jobs.set(id, job);
+		this.persist(job);
+		return job;
+	}
+
+	/**
+	 * Enqueue and settle in the background
+	 *
+	 * @param {string} paymentHeader
+	 * @param {PaymentRequirements} paymentRequirements
+	 * @returns {SettlementJob}
+	 */
+	submit(paymentHeader, paymentRequirements) {
+		const job = this.enqueue(paymentHeader, paymentRequirements);
+		this.attempt(job).catch((err) => console.error('[SETTLEMENT] Attempt error:', err));
+		return job;
+	}
+
+	/**
+	 * Enqueue and settle immediately, without retries
+	 * Used when the response is withheld until settlement: retrying later would
+	 * charge for a response the payer never received. A failed job goes straight
+	 * to the dead letter state and is still reconciled on-chain.
+	 *
+	 * @param {string} paymentHeader
+	 * @param {PaymentRequirements} paymentRequirements
+	 * @returns {Promise<SettleResponse>}
+	 */
+	async settleNow(paymentHeader, paymentRequirements) {
+		const job = this.enqueue(paymentHeader, paymentRequirements);
+		return this.attempt(job, {retry: false});
+	}
+
+	/**
+	 * Run one settlement attempt for a job
+	 *
+	 * @private
+	 * @param {SettlementJob} job
+	 * @param {{retry?: boolean}} [options]
+	 * @returns {Promise<SettleResponse>}
+	 */
+	async attempt(job, {retry = true} = {}) {
+		if (job.status !== 'pending') {
+			return {
+				success: job.status === 'settled' || job.status === 'confirmed',
+				errorReason: job.lastError,
+				transaction: job.transaction || '',
+				network: job.paymentRequirements.network,
+				payer: job.payer,
+			};
+		}
+
+		this.update(job, {status: 'settling', attempts: job.attempts + 1});
+
+		/** @type {SettleResponse} */
+		let result;
+		try {
+			result = await this.settler.settlePayment(job.paymentHeader, job.paymentRequirements, {
+				transfer: job.transfer,
+				onTransfer: (transfer) => this.update(job, {transfer, transaction: transfer.signature}),
+			});
+		} catch (error) {
+			result = {
+				success: false,
+				errorReason: error.message,
+				transaction: '',
+				network: job.paymentRequirements.network,
+			};
+		}
+
+		if (result.success) {
+			this.update(job, {
+				status: 'settled',
+				transaction: result.transaction,
+				payer: result.payer,
+				lastError: undefined,
+			});
+			console.log(`[SETTLEMENT] Settled ${job.id} (attempt ${job.attempts}):`, result.transaction);
+			return result;
+		}
+
+		// A submitted transaction may land even though settlement reported a failure
+		const transaction = result.transaction || job.transaction;
+
+		if (!retry || job.attempts >= this.options.maxAttempts) {
+			this.update(job, {status: 'dead', lastError: result.errorReason, transaction});
+			console.error(`[SETTLEMENT] Dead-lettered ${job.id} after ${job.attempts} attempts:`, result.errorReason);
+			return result;
+		}
+
+		const delay = this.options.retryBaseMs * 2 ** (job.attempts - 1);
+		this.update(job, {
+			status: 'pending',
+			lastError: result.errorReason,
+			transaction,
+			nextAttemptAt: Date.now() + delay,
+		});
+		console.warn(`[SETTLEMENT] Attempt ${job.attempts} failed for ${job.id} (${result.errorReason}), retrying in ${delay}ms`);
+		return result;
+	}
+
+	/**
+	 * Attempt every pending job whose backoff has elapsed
+	 * @returns {Promise<void>}
+	 */
+	async processDue() {
+		const now = Date.now();
+		for (const job of this.jobs.values()) {
+			if (job.status === 'pending' && job.nextAttemptAt <= now) {
+				await this.attempt(job);
+			}
+		}
+	}
+
+	/**
+	 * Check settled and dead jobs on-chain until their outcome is final
+	 * @returns {Promise<void>}
+	 */
+	async reconcile() {
+		const now = Date.now();
+
+		for (const job of this.jobs.values()) {
+			if (job.reconciled || (job.status !== 'settled' && job.status !== 'dead')) {
+				continue;
+			}
+
+			// The payer's signature (the job id) is not the on-chain one once a facilitator signs as fee payer
+			const signature = job.transaction || job.signature;
+			if (!signature) {
+				if (now - job.createdAt > this.options.landingWindowMs) {
+					this.update(job, {status: 'dead', reconciled: true});
+					console.error(`[SETTLEMENT] ${job.id} was never submitted on-chain`);
+				}
+				continue;
+			}
+
+			let status;
+			try {
+				({value: status} = await this.connection.getSignatureStatus(signature, {
+					searchTransactionHistory: true,
+				}));
+			} catch (error) {
+				console.error(`[SETTLEMENT] Reconciliation lookup failed for ${signature}:`, error.message);
+				continue;
+			}
+
+			if (status?.err) {
+				this.update(job, {status: 'dead', lastError: 'transaction_failed_on_chain', reconciled: true});
+				console.error(`[SETTLEMENT] ${job.id} failed on-chain`);
+			} else if (status?.confirmationStatus === 'confirmed' || status?.confirmationStatus === 'finalized') {
+				if (job.status === 'dead') {
+					console.warn(`[SETTLEMENT] ${job.id} landed on-chain despite failed settlement`);
+				}
+				this.update(job, {status: 'confirmed', transaction: signature, reconciled: true});
+			} else if (now - job.createdAt > this.options.landingWindowMs) {
+				// The blockhash has expired: the transaction can never land now
+				this.update(job, {
+					status: 'dead',
+					lastError: job.status === 'settled' ? 'transaction_not_found' : job.lastError,
+					reconciled: true,
+				});
+				console.error(`[SETTLEMENT] ${job.id} never landed on-chain`);
+			}
+		}
+
+		// Drop reconciled jobs past the retention window
+		for (const [id, job] of this.jobs) {
+			if (job.reconciled && now - job.updatedAt > /** @type {number} */ (this.options.retentionMs)) {
+				this.jobs.delete(id);
+				this.persist({id, deleted: true});
+			}
+		}
+
+		if (this.logLines > 2 * this.jobs.size + COMPACTION_SLACK_LINES) {
+			this.compact();
+		}
+	}
+
+	/**
+	 * Count jobs by status
+	 * @returns {Record<JobStatus, number>}
+	 */
+	summary() {
+		/** @type {Record<JobStatus, number>} */
+		const counts = {pending: 0, settling: 0, settled: 0, confirmed: 0, dead: 0};
+		for (const job of this.jobs.values()) {
+			counts[job.status]++;
+		}
+		return counts;
+	}
+
+	/**
+	 * List dead-lettered jobs for manual follow-up
+	 * @returns {SettlementJob[]}
+	 */
+	deadLetters() {
+		return [...this.jobs.values()].filter((job) => job.status === 'dead');
+	}
+
+	/**
+	 * Start the retry and reconciliation loop
+	 */
+	start() {
+		if (this.timer) {
+			return;
+		}
+
+		this.timer = setInterval(() => {
+			if (this.running) return;
+			this.running = true;
+			this.processDue()
+				.then(() => this.reconcile())
+				.catch((err) => console.error('[SETTLEMENT] Queue loop error:', err))
+				.finally(() => {
+					this.running = false;
+				});
+		}, this.options.pollIntervalMs);
+		this.timer.unref();
+
+		console.log('[SETTLEMENT] Queue started:', this.summary());
+	}
+
+	/**
+	 * Stop the retry and reconciliation loop
+	 */
+	stop() {
+		if (this.timer) {
+			clearInterval(this.timer);
+			this.timer = null;
+		}
+	}
+}
+
+// Export singleton instance
+export const settlementQueue = new SettlementQueue(
+	{
+		filePath: config.x402.settlement.store === 'file' ? path.resolve(config.x402.settlement.path) : null,
+		maxAttempts: config.x402.settlement.maxAttempts,
+		retryBaseMs: config.x402.settlement.retryBaseMs,
+		pollIntervalMs: config.x402.settlement.pollIntervalMs,
+		landingWindowMs: config.x402.ledger.ttlSeconds * 1000,
+	},
+	x402Service,
+	directPaymentVerifier.connection
+);
@@ -0,0 +1,107 @@
+// @ts-check
+import { Connection } from '@solana/web3.js';
+import { config } from '../config/env.js';
+import { SANDBOX_NETWORK } from '../config/networks.js';
+import { sandboxLedger } from './sandbox-ledger.js';
+
+/**
+ * Solana Connection Factory
+ * Connects to the configured network's RPC endpoint, or to the in-process
+ * sandbox ledger when X402_NETWORK=sandbox.
+ *
+ * Given fallback endpoints, a call that cannot reach an endpoint is retried
+ * on the next one. An answer from the RPC (including an error answer or a
+ * failed preflight) is final, so only transport failures move on: retrying
+ * anything else would resend the same transaction for the same outcome.
+ */
+
+/** HTTP statuses (as reported by the RPC client) of a rate-limited or unavailable endpoint */
+const UNAVAILABLE_STATUS = /^(429|5\d\d) /;
+
+/**
+ * Whether an RPC call failed without reaching an endpoint that could answer it
+ * Network failures, timeouts, and HTTP 429 or 5xx responses.
+ *
+ * @param {unknown} error
+ * @returns {boolean}
+ */
+function isTransportError(error) {
+	if (!(error instanceof Error)) {
+		return false;
+	}
+	if (error instanceof TypeError && error.message === 'fetch failed') {
+		return true;
+	}
+	return ['AbortError', 'TimeoutError', 'FetchError'].includes(error.name) || UNAVAILABLE_STATUS.test(error.message);
+}
+
+/**
+ * @typedef {Object} RpcEndpoints
+ * @property {string} network - x402 network identifier
+ * @property {string[]} rpcUrls - Primary endpoint first, then fallbacks
+ */
+
+/**
+ * Wrap connections so failed calls move on to the next one
+ *
+ * @param {Connection[]} connections - Primary first
+ * @returns {Connection}
+ */
+function createFailoverConnection(connections) {
+	const [primary, ...fallbacks] = connections;
+
+	return new Proxy(primary, {
+		get(target, property) {
+			const value = Reflect.get(target, property);
+			if (typeof value !== 'function') {
+				return value;
+			}
+
+			return (/** @type {any[]} */ ...args) => {
+				const result = value.apply(target, args);
+				// Subscriptions and other synchronous calls stay on the primary
+				if (!(result instanceof Promise)) {
+					return result;
+				}
+
+				return result.catch(async (error) => {
+					let lastError = error;
+					for (const fallback of fallbacks) {
+						if (!isTransportError(lastError)) {
+							break;
+						}
+						console.warn(`[Solana RPC] ${String(property)} failed (${lastError.message}), trying ${new URL(fallback.rpcEndpoint).host}`);
+						try {
+							return await /** @type {any} */ (fallback)[property](...args);
+						} catch (fallbackError) {
+							lastError = fallbackError;
+						}
+					}
+					throw lastError;
+				});
+			};
+		},
+	});
+}
+
+/**
+ * @param {import('@solana/web3.js').Commitment} [commitment]
+ * @param {RpcEndpoints} [endpoints] - Network and RPC endpoints (defaults to X402_NETWORK's)
+ * @returns {Connection}
+ */
+export function createConnection(
+	commitment = 'confirmed',
+	endpoints = { network: config.x402.network, rpcUrls: [config.x402.rpcUrl] }
+) {
+	if (endpoints.network === SANDBOX_NETWORK) {
+		return /** @type {Connection} */ (/** @type {unknown} */ (sandboxLedger));
+	}
+	if (endpoints.rpcUrls.length === 1) {
+		return new Connection(endpoints.rpcUrls[0], commitment);
+	}
+
+	// Rate-limited endpoints fail over instead of backing off
+	return createFailoverConnection(
+		endpoints.rpcUrls.map((url) => new Connection(url, { commitment, disableRetryOnRateLimit: true }))
+	);
+}
@@ -0,0 +1,65 @@
+// @ts-check
+import {config} from '../config/env.js';
+import {pricingConfig} from '../config/pricing.js';
+import {walletTiers} from './wallet-tiers.js';
+
+/**
+ * Wallet Tier Command Line
+ * Edits the pricing tier allowlist (PRICING_TIERS_PATH) that a running server
+ * reloads within a few seconds, so no restart is needed:
+ *
+ *   npm run tiers -- list                      List the wallets on the allowlist and their tier
+ *   npm run tiers -- set <wallet> <tier>       Quote a wallet at a tier's price
+ *   npm run tiers -- remove <wallet>           Return a wallet to basic pricing
+ *
+ * Tiers and their price multipliers are defined in src/config/pricing.js.
+ */
+
+/**
+ * @param {string[]} argv - Arguments after the script name
+ */
+function main(argv) {
+	const [command, wallet, tier] = argv;
+	const tierNames = Object.keys(pricingConfig.tiers).join('|');
+
+	switch (command) {
+		case 'list': {
+			const assignments = Object.entries(walletTiers.list());
+			console.log(`Allowlist: ${config.pricing.tiersPath} (${assignments.length} wallets)`);
+			for (const [address, assigned] of assignments) {
+				console.log(`${assigned.padEnd(10)}\t${address}\t(x${pricingConfig.tiers[assigned]})`);
+			}
+			break;
+		}
+
+		case 'set': {
+			if (!wallet || !tier) {
+				throw new Error(`Usage: tiers set <wallet> <${tierNames}>`);
+			}
+			walletTiers.setTier(wallet, tier);
+			console.log(`✅ ${wallet} is quoted at the ${tier} tier (x${pricingConfig.tiers[tier]})`);
+			break;
+		}
+
+		case 'remove': {
+			if (!wallet) {
+				throw new Error('Usage: tiers remove <wallet>');
+			}
+			if (!walletTiers.removeWallet(wallet)) {
+				throw new Error(`${wallet} is not on the allowlist`);
+			}
+			console.log(`✅ ${wallet} is back on basic pricing`);
+			break;
+		}
+
+		default:
+			throw new Error('Usage: tiers <list|set|remove> [wallet] [tier]');
+	}
+}
+
+try {
+	main(process.argv.slice(2));
+} catch (error) {
+	console.error(`❌ ${error.message}`);
+	process.exit(1);
+}
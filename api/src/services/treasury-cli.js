@@ -0,0 +1,73 @@
+// @ts-check
+import {config} from '../config/env.js';
+import {treasury} from './treasury.js';
+
+/**
+ * Treasury Rotation Command Line
+ * Edits the rotation schedule (TREASURY_ROTATIONS_PATH) that a running server
+ * reloads on its next payment, so no restart is needed:
+ *
+ *   npm run treasury -- status                     List the treasury addresses and their status
+ *   npm run treasury -- rotate <address> [--at <time>]
+ *                                                  Make an address active now, or at an ISO 8601 time
+ *   npm run treasury -- revoke <address>           Stop accepting payments to an address at once
+ *
+ * After a rotation the replaced address keeps being accepted for
+ * TREASURY_GRACE_PERIOD_SECONDS. Revoke a compromised address instead of
+ * waiting for its grace period to end.
+ */
+
+/**
+ * @param {string[]} argv - Arguments after the script name
+ */
+function main(argv) {
+	const [command, address, ...rest] = argv;
+
+	switch (command) {
+		case 'status': {
+			const {gracePeriodSeconds, addresses} = treasury.getStatus();
+			console.log(`Rotations: ${config.treasury.rotationsPath} (grace period ${gracePeriodSeconds}s)`);
+			for (const entry of addresses) {
+				const until = entry.acceptedUntil ? `, accepted until ${entry.acceptedUntil}` : '';
+				console.log(`${entry.status.padEnd(9)}\t${entry.address}\tactive from ${entry.activeFrom}${until}`);
+			}
+			break;
+		}
+
+		case 'rotate': {
+			if (!address) {
+				throw new Error('Usage: treasury rotate <address> [--at <time>]');
+			}
+			const atIndex = rest.indexOf('--at');
+			const activeFrom = atIndex >= 0 ? Date.parse(rest[atIndex + 1]) : Date.now();
+			if (!Number.isFinite(activeFrom)) {
+				throw new Error(`Invalid --at time "${rest[atIndex + 1]}": use ISO 8601, e.g. 2026-11-01T00:00:00Z`);
+			}
+
+			treasury.rotate(address, activeFrom);
+			const when = activeFrom > Date.now() ? `from ${new Date(activeFrom).toISOString()}` : 'now';
+			console.log(`✅ ${address} is the active treasury ${when}`);
+			console.log(`   The address it replaces stays accepted for ${config.treasury.gracePeriodSeconds}s after the switch`);
+			break;
+		}
+
+		case 'revoke': {
+			if (!address) {
+				throw new Error('Usage: treasury revoke <address>');
+			}
+			treasury.revoke(address);
+			console.log(`✅ Payments to ${address} are no longer accepted`);
+			break;
+		}
+
+		default:
+			throw new Error('Usage: treasury <status|rotate|revoke> [address] [--at <time>]');
+	}
+}
+
+try {
+	main(process.argv.slice(2));
+} catch (error) {
+	console.error(`❌ ${error.message}`);
+	process.exit(1);
+}
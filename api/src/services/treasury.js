@@ -0,0 +1,324 @@
+// @ts-check
+import fs from 'fs';
+import path from 'path';
+import {PublicKey} from '@solana/web3.js';
+import {config} from '../config/env.js';
+
+/**
+ * Treasury Set
+ * The addresses x402 payments are made out to. One address is active and
+ * quoted as payTo. Once a newer address takes over, the one it replaced is
+ * retiring: payments to it are still accepted for a grace period, so quotes
+ * issued before the rotation stay payable. Revoked addresses (e.g. a
+ * compromised key) are no longer accepted at all.
+ *
+ * TREASURY_WALLET_ADDRESS is active from the start; rotations are scheduled in
+ * a JSON file, reloaded when it changes so a running server picks them up
+ * within reloadIntervalMs:
+ *   {
+ *     "rotations": [{"address": "<wallet>", "activeFrom": "2026-11-01T00:00:00.000Z"}],
+ *     "revoked": ["<wallet>"]
+ *   }
+ * A rotation whose activeFrom is in the future is scheduled; one from now on
+ * is a manual rotation (npm run treasury -- rotate <wallet>).
+ */
+
+/** Default time between checks of the rotation file for changes */
+const DEFAULT_RELOAD_INTERVAL_MS = 5000;
+
+/**
+ * @typedef {'scheduled' | 'active' | 'retiring' | 'retired' | 'revoked'} TreasuryAddressStatus
+ */
+
+/**
+ * @typedef {Object} TreasuryRotation
+ * @property {string} address
+ * @property {number} activeFrom - Unix milliseconds
+ */
+
+/**
+ * @typedef {Object} TreasuryAddress
+ * @property {string} address
+ * @property {TreasuryAddressStatus} status
+ * @property {string} activeFrom - ISO timestamp
+ * @property {string | null} retiredAt - When the next address took over (ISO timestamp)
+ * @property {string | null} acceptedUntil - End of the grace period (ISO timestamp)
+ */
+
+export class TreasurySet {
+	/**
+	 * @param {string} initialAddress - Address active before any rotation
+	 * @param {string | null} filePath - JSON rotation schedule, reloaded when it changes
+	 * @param {number} gracePeriodSeconds - How long a replaced address stays accepted
+	 * @param {number} [reloadIntervalMs] - How often lookups check the file for changes
+	 */
+	constructor(initialAddress, filePath, gracePeriodSeconds, reloadIntervalMs = DEFAULT_RELOAD_INTERVAL_MS) {
+		/** @private */
+		this.initialAddress = initialAddress;
+		/** @private */
+		this.filePath = filePath ? path.resolve(filePath) : null;
+		/** @private */
+		this.gracePeriodMs = gracePeriodSeconds * 1000;
+		/** @private */
+		this.reloadIntervalMs = reloadIntervalMs;
+		/** @private @type {TreasuryRotation[]} */
+		this.rotations = [];
+		/** @private @type {Set<string>} */
+		this.revoked = new Set();
+		/** @private */
+		this.loadedMtimeMs = 0;
+		/** @private */
+		this.checkedAt = 0;
+		/** @private @type {string | null} */
+		this.lastActive = null;
+
+		this.reload({force: true});
+	}
+
+	/**
+	 * Reload the schedule if the file changed since it was last read
+	 * Unless forced, the file is checked at most once per reloadIntervalMs.
+	 * An invalid edit keeps the previous schedule in place.
+	 * @private
+	 * @param {{force?: boolean}} [options]
+	 */
+	reload({force = false} = {}) {
+		if (!this.filePath) {
+			return;
+		}
+
+		const now = Date.now();
+		if (!force && now - this.checkedAt < this.reloadIntervalMs) {
+			return;
+		}
+		this.checkedAt = now;
+
+		let mtimeMs = 0;
+		try {
+			mtimeMs = fs.statSync(this.filePath).mtimeMs;
+		} catch {
+			// A missing file means no rotations
+		}
+		if (mtimeMs === this.loadedMtimeMs) {
+			return;
+		}
+
+		try {
+			const saved = mtimeMs ? JSON.parse(fs.readFileSync(this.filePath, 'utf8')) : {};
+			const rotations = (saved.rotations || []).map((/** @type {any} */ rotation) => this.validate(rotation));
+			const revoked = new Set((saved.revoked || []).map((/** @type {string} */ address) => normalizeAddress(address)));
+			this.check(rotations, revoked);
+			this.rotations = rotations;
+			this.revoked = revoked;
+			this.loadedMtimeMs = mtimeMs;
+			console.log(`[TREASURY] Loaded ${rotations.length} rotations, ${revoked.size} revoked addresses`);
+		} catch (error) {
+			console.error(`[TREASURY] Failed to load ${this.filePath}, keeping previous schedule:`, error.message);
+		}
+	}
+
+	/** @private */
+	persist() {
+		if (!this.filePath) {
+			return;
+		}
+
+		const saved = {
+			rotations: this.rotations.map(({address, activeFrom}) => ({address, activeFrom: new Date(activeFrom).toISOString()})),
+			revoked: [...this.revoked],
+		};
+		const tmpPath = `${this.filePath}.tmp`;
+		fs.writeFileSync(tmpPath, JSON.stringify(saved, null, 2));
+		fs.renameSync(tmpPath, this.filePath);
+		this.loadedMtimeMs = fs.statSync(this.filePath).mtimeMs;
+	}
+
+	/**
+	 * @private
+	 * @param {{address: string, activeFrom: string}} rotation
+	 * @returns {TreasuryRotation}
+	 * @throws {Error} If the address or start time is invalid
+	 */
+	validate(rotation) {
+		const activeFrom = Date.parse(rotation?.activeFrom);
+		if (!Number.isFinite(activeFrom)) {
+			throw new Error(`Invalid activeFrom "${rotation?.activeFrom}" for ${rotation?.address}`);
+		}
+		return {address: normalizeAddress(rotation.address), activeFrom};
+	}
+
+	/**
+	 * Make sure a schedule leaves an address to quote
+	 * Later rotations only ever replace the active address, so one active now
+	 * stays available for good.
+	 *
+	 * @private
+	 * @param {TreasuryRotation[]} rotations
+	 * @param {Set<string>} revoked
+	 * @param {number} [now]
+	 * @throws {Error} If every address is revoked or scheduled for later
+	 */
+	check(rotations, revoked, now = Date.now()) {
+		const seen = new Set();
+		for (const {address} of rotations) {
+			if (seen.has(address)) {
+				throw new Error(`${address} is scheduled more than once`);
+			}
+			seen.add(address);
+		}
+
+		const addresses = this.describe(rotations, revoked, now);
+		if (!addresses.some(({status}) => status === 'active')) {
+			throw new Error('No treasury address would be active: every address is revoked or scheduled for later');
+		}
+	}
+
+	/**
+	 * Status of every address in a schedule, in activation order
+	 *
+	 * @private
+	 * @param {TreasuryRotation[]} rotations
+	 * @param {Set<string>} revoked
+	 * @param {number} now
+	 * @returns {TreasuryAddress[]}
+	 */
+	describe(rotations, revoked, now) {
+		// The initial address only counts until a rotation names it again
+		const schedule = [
+			...(rotations.some(({address}) => address === this.initialAddress) ? [] : [{address: this.initialAddress, activeFrom: 0}]),
+			...rotations,
+		].sort((a, b) => a.activeFrom - b.activeFrom);
+		const live = schedule.filter(({address}) => !revoked.has(address));
+
+		return schedule.map(({address, activeFrom}) => {
+			if (revoked.has(address)) {
+				return {address, status: 'revoked', activeFrom: new Date(activeFrom).toISOString(), retiredAt: null, acceptedUntil: null};
+			}
+
+			// An address retires when the next live one takes over
+			const next = live[live.findIndex((rotation) => rotation.address === address) + 1];
+			const retiredAt = next && next.activeFrom <= now ? next.activeFrom : null;
+			const acceptedUntil = retiredAt === null ? null : retiredAt + this.gracePeriodMs;
+
+			/** @type {TreasuryAddressStatus} */
+			let status;
+			if (activeFrom > now) {
+				status = 'scheduled';
+			} else if (acceptedUntil === null) {
+				status = 'active';
+			} else {
+				status = now < acceptedUntil ? 'retiring' : 'retired';
+			}
+
+			return {
+				address,
+				status,
+				activeFrom: new Date(activeFrom).toISOString(),
+				retiredAt: retiredAt === null ? null : new Date(retiredAt).toISOString(),
+				acceptedUntil: acceptedUntil === null ? null : new Date(acceptedUntil).toISOString(),
+			};
+		});
+	}
+
+	/**
+	 * Every address and its status
+	 * @param {number} [now]
+	 * @returns {{gracePeriodSeconds: number, addresses: TreasuryAddress[]}}
+	 */
+	getStatus(now = Date.now()) {
+		this.reload();
+		return {
+			gracePeriodSeconds: this.gracePeriodMs / 1000,
+			addresses: this.describe(this.rotations, this.revoked, now),
+		};
+	}
+
+	/**
+	 * Address new quotes are made out to
+	 * @param {number} [now]
+	 * @returns {string}
+	 */
+	getActiveAddress(now = Date.now()) {
+		const {addresses} = this.getStatus(now);
+		const active = /** @type {TreasuryAddress} */ (addresses.find(({status}) => status === 'active')).address;
+		if (active !== this.lastActive) {
+			if (this.lastActive) {
+				console.log(`[TREASURY] Rotated from ${this.lastActive} to ${active}`);
+			}
+			this.lastActive = active;
+		}
+		return active;
+	}
+
+	/**
+	 * Addresses payments are accepted to: the active one first, then those retiring
+	 * @param {number} [now]
+	 * @returns {string[]}
+	 */
+	getAcceptedAddresses(now = Date.now()) {
+		const active = this.getActiveAddress(now);
+		const retiring = this.getStatus(now).addresses
+			.filter(({status}) => status === 'retiring')
+			.map(({address}) => address);
+		return [active, ...retiring];
+	}
+
+	/**
+	 * Schedule an address to take over as the active treasury
+	 * @param {string} address
+	 * @param {number} [activeFrom] - Unix milliseconds (default: now)
+	 * @throws {Error} If no schedule file is configured, or the address is invalid or revoked
+	 */
+	rotate(address, activeFrom = Date.now()) {
+		if (!this.filePath) {
+			throw new Error('No treasury rotation file configured (TREASURY_ROTATIONS_PATH)');
+		}
+		this.reload({force: true});
+
+		const rotation = this.validate({address, activeFrom: new Date(activeFrom).toISOString()});
+		if (this.revoked.has(rotation.address)) {
+			throw new Error(`${rotation.address} is revoked`);
+		}
+		const rotations = [...this.rotations.filter((r) => r.address !== rotation.address), rotation];
+		this.check(rotations, this.revoked);
+		this.rotations = rotations;
+		this.persist();
+	}
+
+	/**
+	 * Stop accepting payments to an address at once, e.g. when its key is compromised
+	 * @param {string} address
+	 * @throws {Error} If no schedule file is configured, or no address would be left active
+	 */
+	revoke(address) {
+		if (!this.filePath) {
+			throw new Error('No treasury rotation file configured (TREASURY_ROTATIONS_PATH)');
+		}
+		this.reload({force: true});
+
+		const revoked = new Set([...this.revoked, normalizeAddress(address)]);
+		this.check(this.rotations, revoked);
+		this.revoked = revoked;
+		this.persist();
+	}
+}
+
+/**
+ * @param {string} address
+ * @returns {string} Base58 address
+ * @throws {Error} If the address is not a Solana address
+ */
+function normalizeAddress(address) {
+	try {
+		return new PublicKey(address).toBase58();
+	} catch {
+		throw new Error(`Invalid treasury address "${address}"`);
+	}
+}
+
+// Export singleton instance
+export const treasury = new TreasurySet(
+	config.treasury.walletAddress,
+	config.treasury.rotationsPath,
+	config.treasury.gracePeriodSeconds
+);
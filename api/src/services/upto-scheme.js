@@ -0,0 +1,481 @@
+// @ts-check
+import { Keypair, PublicKey, Transaction, VersionedTransaction } from '@solana/web3.js';
+import {
+	TOKEN_PROGRAM_ID,
+	TOKEN_2022_PROGRAM_ID,
+	TokenInstruction,
+	createTransferCheckedInstruction,
+	decodeApproveCheckedInstruction,
+	getAssociatedTokenAddressSync,
+} from '@solana/spl-token';
+import bs58 from 'bs58';
+import { config } from '../config/env.js';
+import { loadKeypairFile } from '../config/keypairs.js';
+import { directPaymentVerifier } from './direct-verifier.js';
+
+/**
+ * Metered "upto" Payment Scheme
+ * The payer authorises a maximum, the server charges only what it metered.
+ *
+ * Solana transfers are fixed once signed, so the payer instead signs an SPL
+ * ApproveChecked that delegates exactly maxAmountRequired to the server's
+ * metering delegate. On settlement the server submits that approval, then
+ * transfers the metered amount into the treasury as the delegate.
+ *
+ * The delegate's transfer is signed with a fresh blockhash, so settlement works
+ * however long ago the approval was signed, as long as the approval itself
+ * lands before its own blockhash expires (approval_expired otherwise). The
+ * signed transfer is handed to the caller to keep (the settlement queue stores
+ * it on the job) before it is sent; a retry resends that same transfer while it
+ * can still land and only signs a new one once it provably never will, so a
+ * payment is never charged twice.
+ *
+ * Nothing revokes the approval afterwards: up to maxAmountRequired minus the
+ * metered amount stays delegated until the payer revokes it or approves again
+ * (an approval replaces the previous one). The server transfers from it only
+ * once per payment, and refuses approvals above maxAmountRequired so the
+ * remainder is never more than the payer was quoted.
+ *
+ * Payment requirements (scheme "upto") carry in `extra`:
+ * - delegate: metering delegate to approve
+ * - unitAmount: price per metered unit, in token base units
+ * - maxUnits: units covered by maxAmountRequired
+ * - meteredUnits / meteredAmount: filled in by the server before settlement
+ */
+
+export const UPTO_SCHEME = 'upto';
+
+/** Token programs accepted for x402 payments */
+const TOKEN_PROGRAM_IDS = [TOKEN_PROGRAM_ID, TOKEN_2022_PROGRAM_ID];
+
+/**
+ * @typedef {import('./x402.service.js').PaymentRequirements} PaymentRequirements
+ * @typedef {import('./x402.service.js').VerifyResponse} VerifyResponse
+ * @typedef {import('./x402.service.js').SettleResponse} SettleResponse
+ */
+
+/**
+ * @typedef {Object} UptoTransfer
+ * @property {string} signature - Transfer signature (base58)
+ * @property {string} transaction - Base64 signed transfer of the metered amount
+ * @property {number} lastValidBlockHeight - Last block height the transfer can land at
+ */
+
+/**
+ * @typedef {Object} UptoSettleOptions
+ * @property {UptoTransfer} [transfer] - Transfer signed by an earlier attempt for this payment
+ * @property {(transfer: UptoTransfer) => void} [onTransfer] - Keeps a newly signed transfer;
+ *   called before it is sent, so a retry after a crash resends it instead of signing another
+ */
+
+/**
+ * @typedef {Object} TokenApproval
+ * @property {PublicKey} programId - Token program that executes the approval
+ * @property {PublicKey} account - Payer token account being delegated
+ * @property {PublicKey} mint
+ * @property {PublicKey} delegate
+ * @property {PublicKey} owner - Payer wallet
+ * @property {bigint} amount - Delegated amount in base units
+ * @property {number} decimals
+ */
+
+/**
+ * Decode the token ApproveChecked instructions of a transaction
+ *
+ * @param {import('@solana/web3.js').TransactionInstruction[]} instructions
+ * @returns {TokenApproval[]}
+ * @throws {Error} If an instruction claims to be an ApproveChecked but is malformed
+ */
+export function decodeTokenApprovals(instructions) {
+	/** @type {TokenApproval[]} */
+	const approvals = [];
+	for (const ix of instructions) {
+		const programId = TOKEN_PROGRAM_IDS.find((id) => ix.programId.equals(id));
+		if (!programId || ix.data[0] !== TokenInstruction.ApproveChecked) {
+			continue;
+		}
+
+		const { keys, data } = decodeApproveCheckedInstruction(ix, programId);
+		approvals.push({
+			programId,
+			account: keys.account.pubkey,
+			mint: keys.mint.pubkey,
+			delegate: keys.delegate.pubkey,
+			owner: keys.owner.pubkey,
+			amount: data.amount,
+			decimals: data.decimals,
+		});
+	}
+	return approvals;
+}
+
+/**
+ * Find the approval that satisfies "upto" payment requirements
+ *
+ * @param {TokenApproval[]} approvals
+ * @param {{asset: string, maxAmountRequired: string, extra: Record<string, any>}} paymentRequirements
+ * @returns {{approval?: TokenApproval, invalidReason?: string}}
+ */
+export function findPaymentApproval(approvals, paymentRequirements) {
+	if (approvals.length === 0) {
+		return { invalidReason: 'no_approve_instruction_found' };
+	}
+
+	const delegate = new PublicKey(paymentRequirements.extra.delegate);
+	const toDelegate = approvals.filter((approval) => approval.delegate.equals(delegate));
+	if (toDelegate.length === 0) {
+		return { invalidReason: 'invalid_approval_delegate' };
+	}
+
+	const asset = new PublicKey(paymentRequirements.asset);
+	const approval = toDelegate.find((candidate) => candidate.mint.equals(asset));
+	if (!approval) {
+		return { invalidReason: 'invalid_approval_mint' };
+	}
+
+	if (approval.amount < BigInt(paymentRequirements.maxAmountRequired)) {
+		return { invalidReason: 'insufficient_approval_amount' };
+	}
+	// Whatever is not metered stays delegated, so never let that exceed the quote
+	if (approval.amount > BigInt(paymentRequirements.maxAmountRequired)) {
+		return { invalidReason: 'excessive_approval_amount' };
+	}
+
+	return { approval };
+}
+
+/**
+ * @typedef {Object} StaticTokenApproval
+ * @property {PublicKey | undefined} mint - Undefined if loaded from a lookup table
+ * @property {PublicKey | undefined} owner - Payer wallet
+ */
+
+/**
+ * Read the ApproveChecked instructions of a payment header using static account keys only
+ * Signers (and so approval owners) are always static.
+ *
+ * @param {string} paymentHeader - Base64 encoded payment payload
+ * @returns {StaticTokenApproval[]}
+ */
+function readStaticTokenApprovals(paymentHeader) {
+	try {
+		const paymentPayload = JSON.parse(Buffer.from(paymentHeader, 'base64').toString('utf8'));
+		const tx = VersionedTransaction.deserialize(Buffer.from(paymentPayload.payload, 'base64'));
+		const accountKeys = tx.message.staticAccountKeys;
+
+		return tx.message.compiledInstructions
+			.filter((ix) => {
+				const programId = accountKeys[ix.programIdIndex];
+				return TOKEN_PROGRAM_IDS.some((id) => programId.equals(id)) && ix.data[0] === TokenInstruction.ApproveChecked;
+			})
+			// Account order: ApproveChecked [account, mint, delegate, owner]
+			.map((ix) => ({ mint: accountKeys[ix.accountKeyIndexes[1]], owner: accountKeys[ix.accountKeyIndexes[3]] }));
+	} catch {
+		// Malformed headers approve nothing
+		return [];
+	}
+}
+
+/**
+ * Pick the "upto" requirements matching the mint a payer approved
+ * Reads static account keys only, like exact-scheme selection.
+ *
+ * @template {{scheme: string, asset: string}} T
+ * @param {string} paymentHeader - Base64 encoded payment payload
+ * @param {T[]} accepts - Requirements offered in the 402 response
+ * @returns {T | null}
+ */
+export function selectUptoRequirements(paymentHeader, accepts) {
+	for (const { mint } of readStaticTokenApprovals(paymentHeader)) {
+		const match = mint && accepts.find(
+			(requirements) => requirements.scheme === UPTO_SCHEME && mint.equals(new PublicKey(requirements.asset))
+		);
+		if (match) {
+			return match;
+		}
+	}
+	return null;
+}
+
+/**
+ * Identify the payer of an "upto" payment header
+ * The payer is the owner approving the delegation; the transfer is only signed
+ * by the delegate at settlement.
+ *
+ * @param {string} paymentHeader - Base64 encoded payment payload
+ * @returns {string | null} Base58 payer address, or null if no approval is found
+ */
+export function getUptoPaymentPayer(paymentHeader) {
+	const approval = readStaticTokenApprovals(paymentHeader).find((a) => a.owner);
+	return approval?.owner?.toBase58() || null;
+}
+
+/**
+ * Fill in the metered charge before settlement
+ * The charge is capped at the authorised maximum.
+ *
+ * @param {PaymentRequirements} paymentRequirements - "upto" requirements the payment was verified against
+ * @param {number} units - Units actually delivered
+ * @returns {PaymentRequirements}
+ */
+export function meterPaymentRequirements(paymentRequirements, units) {
+	const maxAmount = BigInt(paymentRequirements.maxAmountRequired);
+	const metered = BigInt(paymentRequirements.extra.unitAmount) * BigInt(Math.max(0, Math.floor(units)));
+	const meteredAmount = metered < maxAmount ? metered : maxAmount;
+
+	return {
+		...paymentRequirements,
+		extra: {
+			...paymentRequirements.extra,
+			meteredUnits: units,
+			meteredAmount: meteredAmount.toString(),
+		},
+	};
+}
+
+export class UptoPaymentScheme {
+	/**
+	 * @param {{connection: import('@solana/web3.js').Connection, resolveInstructions: (tx: VersionedTransaction) => Promise<import('@solana/web3.js').TransactionInstruction[]>}} verifier
+	 * @param {Keypair | null} delegate - Metering delegate (null disables the scheme)
+	 * @param {string} network
+	 */
+	constructor(verifier, delegate, network) {
+		/** @private */
+		this.verifier = verifier;
+		/** @private */
+		this.delegate = delegate;
+		/** @private */
+		this.network = network;
+	}
+
+	/** @returns {boolean} */
+	get enabled() {
+		return this.delegate !== null;
+	}
+
+	/** @returns {string} Metering delegate address */
+	get delegateAddress() {
+		if (!this.delegate) {
+			throw new Error('Upto scheme is not configured (X402_UPTO_DELEGATE_KEYPAIR)');
+		}
+		return this.delegate.publicKey.toBase58();
+	}
+
+	/**
+	 * Decode a payment header into its approval transaction and matching approval
+	 *
+	 * @private
+	 * @param {string} paymentHeader
+	 * @param {PaymentRequirements} paymentRequirements
+	 * @returns {Promise<{tx: VersionedTransaction, approval?: TokenApproval, invalidReason?: string}>}
+	 */
+	async readPayment(paymentHeader, paymentRequirements) {
+		const paymentPayload = JSON.parse(Buffer.from(paymentHeader, 'base64').toString('utf8'));
+		if (!paymentPayload.payload || typeof paymentPayload.payload !== 'string') {
+			throw new Error('Missing or invalid payload');
+		}
+
+		const tx = VersionedTransaction.deserialize(Buffer.from(paymentPayload.payload, 'base64'));
+		const instructions = await this.verifier.resolveInstructions(tx);
+		return { tx, ...findPaymentApproval(decodeTokenApprovals(instructions), paymentRequirements) };
+	}
+
+	/**
+	 * Verify an "upto" payment: a signed approval of at least maxAmountRequired
+	 * to the metering delegate that would succeed on-chain
+	 *
+	 * @param {string} paymentHeader
+	 * @param {PaymentRequirements} paymentRequirements
+	 * @returns {Promise<VerifyResponse>}
+	 */
+	async verifyPayment(paymentHeader, paymentRequirements) {
+		if (!this.enabled) {
+			return { isValid: false, invalidReason: 'unsupported_scheme' };
+		}
+
+		try {
+			const { tx, invalidReason } = await this.readPayment(paymentHeader, paymentRequirements);
+			if (invalidReason) {
+				return { isValid: false, invalidReason };
+			}
+
+			const signature = tx.signatures[0];
+			if (!signature || signature.every((byte) => byte === 0)) {
+				return { isValid: false, invalidReason: 'transaction_not_signed' };
+			}
+
+			const simulation = await this.verifier.connection.simulateTransaction(tx);
+			if (simulation.value.err) {
+				console.error('[Upto] Approval simulation failed:', simulation.value.err);
+				return { isValid: false, invalidReason: 'transaction_simulation_failed' };
+			}
+
+			return { isValid: true };
+		} catch (error) {
+			console.error('[Upto] Verification error:', error.message);
+			return { isValid: false, invalidReason: 'verification_exception' };
+		}
+	}
+
+	/**
+	 * Build the delegate's transfer of the metered amount
+	 *
+	 * @param {TokenApproval} approval
+	 * @param {PaymentRequirements} paymentRequirements
+	 * @param {bigint} amount
+	 * @param {string} recentBlockhash
+	 * @returns {Transaction}
+	 */
+	buildSettlementTransaction(approval, paymentRequirements, amount, recentBlockhash) {
+		const delegate = /** @type {Keypair} */ (this.delegate);
+		const treasuryAta = getAssociatedTokenAddressSync(
+			approval.mint,
+			new PublicKey(paymentRequirements.payTo),
+			true,
+			approval.programId
+		);
+
+		const tx = new Transaction({
+			feePayer: delegate.publicKey,
+			recentBlockhash,
+		}).add(
+			createTransferCheckedInstruction(
+				approval.account,
+				approval.mint,
+				treasuryAta,
+				delegate.publicKey,
+				amount,
+				approval.decimals,
+				[],
+				approval.programId
+			)
+		);
+		tx.sign(delegate);
+		return tx;
+	}
+
+	/**
+	 * Send a signed transfer and wait for it to confirm
+	 *
+	 * @private
+	 * @param {Transaction} transferTx
+	 * @param {number} lastValidBlockHeight
+	 * @returns {Promise<{transaction: string, err: unknown}>}
+	 */
+	async sendTransfer(transferTx, lastValidBlockHeight) {
+		const connection = this.verifier.connection;
+		const transaction = bs58.encode(/** @type {Buffer} */ (transferTx.signature));
+
+		// Resends are already known to the cluster, which preflight would reject
+		await connection.sendRawTransaction(transferTx.serialize(), { skipPreflight: true });
+		const confirmation = await connection.confirmTransaction({
+			signature: transaction,
+			blockhash: /** @type {string} */ (transferTx.recentBlockhash),
+			lastValidBlockHeight,
+		}, 'confirmed');
+		return { transaction, err: confirmation.value.err };
+	}
+
+	/**
+	 * Settle the metered amount
+	 * Safe to call repeatedly for the same payment when given the transfer
+	 * recorded by earlier attempts (see module notes): landed transactions are
+	 * detected by signature and never resubmitted.
+	 *
+	 * @param {string} paymentHeader
+	 * @param {PaymentRequirements} paymentRequirements - Metered requirements (see meterPaymentRequirements)
+	 * @param {UptoSettleOptions} [options]
+	 * @returns {Promise<SettleResponse>}
+	 */
+	async settlePayment(paymentHeader, paymentRequirements, { transfer, onTransfer } = {}) {
+		const failure = (errorReason, transaction = '') => ({
+			success: false,
+			errorReason,
+			transaction,
+			network: this.network,
+		});
+
+		if (!this.enabled) {
+			return failure('unsupported_scheme');
+		}
+
+		try {
+			const { tx: approvalTx, approval, invalidReason } = await this.readPayment(paymentHeader, paymentRequirements);
+			if (!approval) {
+				return failure(invalidReason);
+			}
+
+			const amount = BigInt(paymentRequirements.extra.meteredAmount ?? paymentRequirements.maxAmountRequired);
+			const settled = (transaction) => {
+				console.log(`[Upto] Settled ${amount} of ${paymentRequirements.maxAmountRequired} authorised:`, transaction);
+				return { success: true, transaction, network: this.network, payer: approval.owner.toBase58() };
+			};
+			const connection = this.verifier.connection;
+
+			// A transfer from an earlier attempt is resent, never replaced, while it can still land
+			if (transfer) {
+				const previousTx = Transaction.from(Buffer.from(transfer.transaction, 'base64'));
+				const previous = bs58.encode(/** @type {Buffer} */ (previousTx.signature));
+				const { value: [status] } = await connection.getSignatureStatuses([previous], {
+					searchTransactionHistory: true,
+				});
+				if (status?.err) {
+					return failure('transaction_failed_on_chain', previous);
+				}
+				if (status?.confirmationStatus === 'confirmed' || status?.confirmationStatus === 'finalized') {
+					return settled(previous);
+				}
+
+				if (status || await connection.getBlockHeight('confirmed') <= transfer.lastValidBlockHeight) {
+					const { err } = await this.sendTransfer(previousTx, transfer.lastValidBlockHeight);
+					return err ? failure('transaction_failed_on_chain', previous) : settled(previous);
+				}
+				console.warn(`[Upto] Transfer ${previous} expired without landing, signing a new one`);
+			}
+
+			const approvalSignature = bs58.encode(approvalTx.signatures[0]);
+			const { value: [approvalStatus] } = await connection.getSignatureStatuses([approvalSignature], {
+				searchTransactionHistory: true,
+			});
+			if (approvalStatus?.err) {
+				return failure('approval_failed_on_chain', approvalSignature);
+			}
+			if (!approvalStatus) {
+				// The payer signed the approval against a blockhash that can no longer land
+				const { value: approvalLandable } = await connection.isBlockhashValid(approvalTx.message.recentBlockhash, {
+					commitment: 'confirmed',
+				});
+				if (!approvalLandable) {
+					return failure('approval_expired', approvalSignature);
+				}
+
+				await connection.sendRawTransaction(approvalTx.serialize(), { preflightCommitment: 'confirmed' });
+				const confirmation = await connection.confirmTransaction(approvalSignature, 'confirmed');
+				if (confirmation.value.err) {
+					return failure('approval_failed_on_chain', approvalSignature);
+				}
+			}
+
+			const { blockhash, lastValidBlockHeight } = await connection.getLatestBlockhash('confirmed');
+			const transferTx = this.buildSettlementTransaction(approval, paymentRequirements, amount, blockhash);
+			onTransfer?.({
+				signature: bs58.encode(/** @type {Buffer} */ (transferTx.signature)),
+				transaction: transferTx.serialize().toString('base64'),
+				lastValidBlockHeight,
+			});
+
+			const { transaction, err } = await this.sendTransfer(transferTx, lastValidBlockHeight);
+			return err ? failure('transaction_failed_on_chain', transaction) : settled(transaction);
+		} catch (error) {
+			console.error('[Upto] Settlement error:', error.message);
+			return failure('settlement_exception');
+		}
+	}
+}
+
+// Export singleton instance
+export const uptoScheme = new UptoPaymentScheme(
+	directPaymentVerifier,
+	loadKeypairFile(config.x402.upto.delegateKeypairPath, 'upto delegate'),
+	config.x402.network
+);
@@ -0,0 +1,238 @@
+// @ts-check
+import fs from 'fs';
+import path from 'path';
+import {PublicKey} from '@solana/web3.js';
+import nacl from 'tweetnacl';
+import {config} from '../config/env.js';
+import {pricingConfig} from '../config/pricing.js';
+
+/**
+ * Wallet Pricing Tiers
+ * Maps payer wallets to pricing tiers through a managed allowlist, and proves
+ * wallet ownership before a 402 quote is issued.
+ *
+ * A payer identifies itself with three headers:
+ *   x402-PublicKey: <base58 wallet address>
+ *   x402-Timestamp: <unix seconds>
+ *   x402-Signature: <base64 ed25519 signature of payerIdentityMessage(wallet, timestamp)>
+ *
+ * The quote is discounted for the wallet's tier, and the payment must then be
+ * made from that same wallet, so a replayed identity never lowers anyone else's price.
+ *
+ * The allowlist is managed with `npm run tiers` (see tiers-cli.js); a running
+ * server picks up changes within reloadIntervalMs.
+ */
+
+/** Default time between checks of the allowlist file for changes */
+const DEFAULT_RELOAD_INTERVAL_MS = 5000;
+
+/**
+ * @typedef {import('http').IncomingHttpHeaders} IncomingHttpHeaders
+ */
+
+/**
+ * @typedef {Object} PayerIdentity
+ * @property {string | null} wallet - Proven wallet address, or null if none was presented
+ * @property {string} [error] - Reason the presented identity was rejected
+ */
+
+/**
+ * Build the message a payer signs to prove wallet ownership
+ *
+ * @param {string} wallet - Base58 wallet address
+ * @param {number | string} timestamp - Unix seconds
+ * @returns {string}
+ */
+export function payerIdentityMessage(wallet, timestamp) {
+	return `x402-identity:${wallet}:${timestamp}`;
+}
+
+/**
+ * Verify the payer identity headers of a request
+ *
+ * @param {IncomingHttpHeaders} headers
+ * @param {number} maxAgeSeconds - Accepted clock skew in either direction
+ * @param {number} [now] - Current unix seconds
+ * @returns {PayerIdentity}
+ */
+export function verifyPayerIdentity(headers, maxAgeSeconds, now = Math.floor(Date.now() / 1000)) {
+	const wallet = headers['x402-publickey'];
+	const signature = headers['x402-signature'];
+	const timestamp = headers['x402-timestamp'];
+
+	if (!wallet && !signature) {
+		return {wallet: null};
+	}
+
+	if (typeof wallet !== 'string' || typeof signature !== 'string' || typeof timestamp !== 'string') {
+		return {wallet: null, error: 'incomplete_payer_identity'};
+	}
+
+	const issuedAt = Number.parseInt(timestamp, 10);
+	if (!Number.isSafeInteger(issuedAt) || Math.abs(now - issuedAt) > maxAgeSeconds) {
+		return {wallet: null, error: 'expired_payer_identity'};
+	}
+
+	let publicKey;
+	try {
+		publicKey = new PublicKey(wallet);
+	} catch {
+		return {wallet: null, error: 'invalid_payer_identity'};
+	}
+
+	const valid = nacl.sign.detached.verify(
+		Buffer.from(payerIdentityMessage(wallet, issuedAt)),
+		Buffer.from(signature, 'base64'),
+		publicKey.toBytes()
+	);
+	if (!valid) {
+		return {wallet: null, error: 'invalid_payer_identity'};
+	}
+
+	return {wallet: publicKey.toBase58()};
+}
+
+export class WalletTierRegistry {
+	/**
+	 * @param {string | null} filePath - JSON allowlist ({"<wallet>": "<tier>"}), reloaded when it changes
+	 * @param {Record<string, number>} tiers - Known tiers and their multipliers
+	 * @param {number} [reloadIntervalMs] - How often tier lookups check the file for changes
+	 */
+	constructor(filePath, tiers, reloadIntervalMs = DEFAULT_RELOAD_INTERVAL_MS) {
+		/** @private */
+		this.filePath = filePath ? path.resolve(filePath) : null;
+		/** @private */
+		this.tiers = tiers;
+		/** @private */
+		this.reloadIntervalMs = reloadIntervalMs;
+		/** @private @type {Map<string, string>} */
+		this.wallets = new Map();
+		/** @private */
+		this.loadedMtimeMs = 0;
+		/** @private */
+		this.checkedAt = 0;
+
+		this.reload({force: true});
+	}
+
+	/**
+	 * Reload the allowlist if the file changed since it was last read
+	 * Unless forced, the file is checked at most once per reloadIntervalMs.
+	 * An invalid edit keeps the previous allowlist in place.
+	 * @private
+	 * @param {{force?: boolean}} [options]
+	 */
+	reload({force = false} = {}) {
+		if (!this.filePath) {
+			return;
+		}
+
+		const now = Date.now();
+		if (!force && now - this.checkedAt < this.reloadIntervalMs) {
+			return;
+		}
+		this.checkedAt = now;
+
+		let mtimeMs = 0;
+		try {
+			mtimeMs = fs.statSync(this.filePath).mtimeMs;
+		} catch {
+			// A missing file is an empty allowlist
+		}
+		if (mtimeMs === this.loadedMtimeMs) {
+			return;
+		}
+
+		try {
+			/** @type {Record<string, string>} */
+			const saved = mtimeMs ? JSON.parse(fs.readFileSync(this.filePath, 'utf8')) : {};
+			const wallets = new Map();
+			for (const [wallet, tier] of Object.entries(saved)) {
+				wallets.set(this.validate(wallet, tier), tier);
+			}
+			this.wallets = wallets;
+			this.loadedMtimeMs = mtimeMs;
+			console.log(`[TIERS] Loaded ${wallets.size} wallet tier assignments`);
+		} catch (error) {
+			console.error(`[TIERS] Failed to load ${this.filePath}, keeping previous allowlist:`, error.message);
+		}
+	}
+
+	/** @private */
+	persist() {
+		if (!this.filePath) {
+			return;
+		}
+
+		const tmpPath = `${this.filePath}.tmp`;
+		fs.writeFileSync(tmpPath, JSON.stringify(Object.fromEntries(this.wallets), null, 2));
+		fs.renameSync(tmpPath, this.filePath);
+		this.loadedMtimeMs = fs.statSync(this.filePath).mtimeMs;
+	}
+
+	/**
+	 * @private
+	 * @param {string} wallet
+	 * @param {string} tier
+	 * @returns {string} Normalized wallet address
+	 * @throws {Error} If the wallet or tier is invalid
+	 */
+	validate(wallet, tier) {
+		if (!(tier in this.tiers)) {
+			throw new Error(`Unknown pricing tier "${tier}" for ${wallet}`);
+		}
+		try {
+			return new PublicKey(wallet).toBase58();
+		} catch {
+			throw new Error(`Invalid wallet address "${wallet}"`);
+		}
+	}
+
+	/**
+	 * Get a wallet's pricing tier
+	 * @param {string | null} wallet
+	 * @returns {string} Tier name ('basic' for wallets not on the allowlist)
+	 */
+	getTier(wallet) {
+		this.reload();
+		return (wallet && this.wallets.get(wallet)) || 'basic';
+	}
+
+	/**
+	 * Assign a wallet to a tier
+	 * @param {string} wallet
+	 * @param {string} tier
+	 * @throws {Error} If the wallet or tier is invalid
+	 */
+	setTier(wallet, tier) {
+		this.reload({force: true});
+		this.wallets.set(this.validate(wallet, tier), tier);
+		this.persist();
+	}
+
+	/**
+	 * Remove a wallet from the allowlist
+	 * @param {string} wallet
+	 * @returns {boolean} False if the wallet was not on the allowlist
+	 */
+	removeWallet(wallet) {
+		this.reload({force: true});
+		if (!this.wallets.delete(wallet)) {
+			return false;
+		}
+		this.persist();
+		return true;
+	}
+
+	/**
+	 * List every wallet tier assignment
+	 * @returns {Record<string, string>}
+	 */
+	list() {
+		this.reload({force: true});
+		return Object.fromEntries(this.wallets);
+	}
+}
+
+// Export singleton instance
+export const walletTiers = new WalletTierRegistry(config.pricing.tiersPath, pricingConfig.tiers);
@@ -1,11 +1,21 @@
 // @ts-check
-import {X402PaymentHandler} from 'x402-solana/server';
 import {config} from '../config/env.js';
-import {directPaymentVerifier} from './direct-verifier.js';
+import {facilitatorPool} from './facilitator-pool.js';
+import {directPaymentVerifier, getPaymentPayer, selectPaymentRequirements} from './direct-verifier.js';
+import {getAcceptedTokens, convertToTokenUnits} from '../config/pricing.js';
+import {paymentLedger, getPaymentSignature} from './payment-ledger.js';
+import {UPTO_SCHEME, uptoScheme, selectUptoRequirements} from './upto-scheme.js';
+import {treasury} from './treasury.js';
 
 /**
  * X402 Payment Service
  * Handles payment verification and settlement for x402 micropayments
+ *
+ * Quotes, verification and settlement go through the facilitator pool, which
+ * falls back to direct on-chain handling only when every facilitator is down.
+ *
+ * Quotes are made out to the active treasury address; payments to addresses
+ * retiring after a treasury rotation are accepted until their grace period ends.
  */
 
 /**
@@ -44,21 +54,21 @@ import {directPaymentVerifier} from './direct-verifier.js';
  * @property {string} [errorReason]
  * @property {string} transaction
  * @property {string} network
+ * @property {string} [payer]
  */
 
 /**
  * @typedef {{status: number, body: Record<string, unknown>}} PaymentRequiredResponse
  */
 
+/**
+ * @typedef {Object} MeteredPricing
+ * @property {number} unitPrice - Price per metered unit in the reference currency (USD)
+ * @property {number} maxUnits - Most units a single request can return
+ */
+
 class X402Service {
 	constructor() {
-		/** @private */
-		this.handler = new X402PaymentHandler({
-			network: config.x402.network,
-			treasuryAddress: config.treasury.walletAddress,
-			facilitatorUrl: config.x402.facilitatorUrl,
-		});
-
 		/** @private */
 		this.isDevelopment = config.nodeEnv === 'development';
 	}
@@ -73,19 +83,26 @@ class X402Service {
 		if (!headers || typeof headers !== 'object') {
 			return null;
 		}
-		return this.handler.extractPayment(headers);
+		const xPayment = headers['x-payment'];
+		return (Array.isArray(xPayment) ? xPayment[0] : xPayment) || null;
 	}
 
 	/**
-	 * Create payment requirements for a resource
+	 * Create payment requirements for a resource, one per accepted token
+	 * The primary token comes first; the price is converted from the
+	 * reference currency into each token's base units.
+	 *
+	 * Metered resources additionally offer an "upto" option per token (when the
+	 * scheme is configured), after every flat-price "exact" option.
 	 *
-	 * @param {number} price
+	 * @param {number} price - Price in the reference currency (USD)
 	 * @param {string} resource
 	 * @param {string} [description]
-	 * @returns {Promise<PaymentRequirements>}
+	 * @param {{upto?: MeteredPricing}} [options]
+	 * @returns {Promise<PaymentRequirements[]>}
 	 * @throws {Error} If price is invalid or resource is empty
 	 */
-	async createPaymentRequirements(price, resource, description = 'API Request') {
+	async createPaymentRequirements(price, resource, description = 'API Request', options = {}) {
 		// Input validation
 		if (typeof price !== 'number' || !isFinite(price) || price <= 0) {
 			throw new Error(`Invalid price: ${price}. Price must be a positive number.`);
@@ -98,52 +115,158 @@ class X402Service {
 		// Sanitize description to prevent log injection
 		const sanitizedDescription = description.replace(/[\r\n]/g, ' ').substring(0, 200);
 
+		const [primaryToken, ...otherTokens] = getAcceptedTokens();
+		const payTo = treasury.getActiveAddress();
+
 		const params = {
 			price: {
-				amount: price.toString(),
+				amount: convertToTokenUnits(price, primaryToken),
 				asset: {
-					address: config.x402.usdc.address,
+					address: primaryToken.mint,
 				},
 			},
 			network: config.x402.network,
 			config: {
 				description: sanitizedDescription,
 				resource: `${config.api.baseUrl}${resource}`,
+				maxTimeoutSeconds: config.x402.maxTimeoutSeconds,
 			},
 		};
 
 		if (this.isDevelopment) {
 			console.log('[X402] Creating payment requirements');
-			console.log('[X402] Amount:', price, 'base units');
+			console.log('[X402] Amount:', price, 'USD');
 			console.log('[X402] Resource:', resource);
-			console.log('[X402] Facilitator:', config.x402.facilitatorUrl);
+			console.log('[X402] Facilitators:', config.x402.facilitators.urls.join(', '));
 		}
 
 		try {
-			const result = await this.handler.createPaymentRequirements(params);
+			const primary = await facilitatorPool.run(
+				'quote',
+				(client) => client.createPaymentRequirements(params),
+				async () => this.createDirectRequirements(params)
+			);
+
+			// Other tokens share everything but the asset and amount, which
+			// saves a facilitator round trip per token. Every option names the
+			// same treasury, even if a rotation lands during the quote.
+			const accepts = [primaryToken, ...otherTokens].map((token) => ({
+				...primary,
+				payTo,
+				maxAmountRequired: token === primaryToken ? primary.maxAmountRequired : convertToTokenUnits(price, token),
+				asset: token.mint,
+				extra: {
+					...primary.extra,
+					symbol: token.symbol,
+					decimals: token.decimals,
+				},
+			}));
+
+			if (options.upto && uptoScheme.enabled) {
+				const {unitPrice, maxUnits} = options.upto;
+				for (const token of [primaryToken, ...otherTokens]) {
+					const unitAmount = BigInt(convertToTokenUnits(unitPrice, token));
+					accepts.push({
+						...primary,
+						payTo,
+						scheme: UPTO_SCHEME,
+						maxAmountRequired: (unitAmount * BigInt(maxUnits)).toString(),
+						asset: token.mint,
+						extra: {
+							...primary.extra,
+							symbol: token.symbol,
+							decimals: token.decimals,
+							delegate: uptoScheme.delegateAddress,
+							unitAmount: unitAmount.toString(),
+							maxUnits,
+						},
+					});
+				}
+			}
 
 			if (this.isDevelopment) {
-				console.log('[X402] Payment requirements created successfully');
+				console.log('[X402] Payment requirements created for:', accepts.map((r) => `${r.scheme}:${r.extra.symbol}`).join(', '));
 			}
 
-			return result;
+			return accepts;
 		} catch (error) {
 			console.error('[X402] Error creating payment requirements:', error.message);
 			throw new Error(`Failed to create payment requirements: ${error.message}`);
 		}
 	}
 
+	/**
+	 * Create payment requirements without a facilitator
+	 * Used only while every facilitator is down: no fee payer is offered, so the
+	 * payer pays its own transaction fee and the payment is settled directly.
+	 *
+	 * @private
+	 * @param {{price: {amount: string, asset: {address: string}}, network: string, config: {description: string, resource: string, maxTimeoutSeconds: number}}} params
+	 * @returns {PaymentRequirements}
+	 */
+	createDirectRequirements(params) {
+		return {
+			scheme: 'exact',
+			network: params.network,
+			maxAmountRequired: params.price.amount,
+			resource: params.config.resource,
+			description: params.config.description,
+			mimeType: 'application/json',
+			payTo: treasury.getActiveAddress(),
+			maxTimeoutSeconds: params.config.maxTimeoutSeconds,
+			asset: params.price.asset.address,
+			outputSchema: {},
+			extra: {},
+		};
+	}
+
 	/**
 	 * Create 402 Payment Required response
 	 *
-	 * @param {PaymentRequirements} paymentRequirements
+	 * @param {PaymentRequirements[]} accepts - Requirements for every accepted token
 	 * @returns {PaymentRequiredResponse}
 	 */
-	create402Response(paymentRequirements) {
-		if (!paymentRequirements || typeof paymentRequirements !== 'object') {
+	create402Response(accepts) {
+		if (!Array.isArray(accepts) || accepts.length === 0) {
 			throw new Error('Invalid payment requirements');
 		}
-		return this.handler.create402Response(paymentRequirements);
+		return {
+			status: 402,
+			body: {
+				x402Version: 1,
+				accepts,
+				error: 'Payment required',
+			},
+		};
+	}
+
+	/**
+	 * Select the requirements matching the scheme and token a payer chose
+	 * An exact payment may pay any accepted treasury address: one quoted before
+	 * a rotation pays the address now retiring.
+	 *
+	 * @param {PaymentHeader} paymentHeader
+	 * @param {PaymentRequirements[]} accepts - Requirements offered in the 402 response
+	 * @returns {PaymentRequirements | null} Null if the payment matches no accepted token
+	 */
+	selectPaymentRequirements(paymentHeader, accepts) {
+		let scheme;
+		try {
+			({scheme} = JSON.parse(Buffer.from(paymentHeader, 'base64').toString('utf8')));
+		} catch {
+			return null;
+		}
+
+		if (scheme === UPTO_SCHEME) {
+			return selectUptoRequirements(paymentHeader, accepts);
+		}
+		const payees = treasury.getAcceptedAddresses();
+		return selectPaymentRequirements(
+			paymentHeader,
+			accepts
+				.filter((requirements) => requirements.scheme === 'exact')
+				.flatMap((requirements) => payees.map((payTo) => ({...requirements, payTo})))
+		);
 	}
 
 	/**
@@ -195,32 +318,91 @@ class X402Service {
 			}
 		}
 
-		try {
-			// Try facilitator first
-			const result = await this.handler.verifyPayment(
-				paymentHeader,
-				paymentRequirements
-			);
+		// Replay protection: each signed transfer may be presented only once
+		const signature = getPaymentSignature(paymentHeader);
+		if (!signature) {
+			return {
+				isValid: false,
+				invalidReason: 'missing_transaction_signature',
+			};
+		}
 
-			// If facilitator fails with unexpected error, use direct verification
-			if (!result.isValid && result.invalidReason === 'unexpected_verify_error') {
-				console.log('[X402] Facilitator unavailable, using direct verification...');
-				return await directPaymentVerifier.verifyPayment(paymentHeader, paymentRequirements);
-			}
+		if (await paymentLedger.isUsed(signature)) {
+			console.warn('[X402] Rejected replayed payment:', signature);
+			return {
+				isValid: false,
+				invalidReason: 'payment_already_used',
+			};
+		}
 
-			if (this.isDevelopment) {
-				console.log('[X402] Verification result:', result.isValid ? 'VALID' : 'INVALID');
-				if (!result.isValid) {
-					console.log('[X402] Verification failed reason:', result.invalidReason);
-				}
+		const result = await this.verifyWithFallback(paymentHeader, paymentRequirements);
+		if (!result.isValid) {
+			return result;
+		}
+
+		// Claim atomically - a concurrent request may have verified the same header
+		const claimed = await paymentLedger.claim(signature, paymentRequirements.resource);
+		if (!claimed) {
+			console.warn('[X402] Rejected replayed payment:', signature);
+			return {
+				isValid: false,
+				invalidReason: 'payment_already_used',
+			};
+		}
+
+		return result;
+	}
+
+	/**
+	 * Verify with the facilitators, falling back to direct on-chain verification
+	 *
+	 * @private
+	 * @param {PaymentHeader} paymentHeader
+	 * @param {PaymentRequirements} paymentRequirements
+	 * @returns {Promise<VerifyResponse>}
+	 */
+	async verifyWithFallback(paymentHeader, paymentRequirements) {
+		// Facilitators only support the exact scheme
+		if (paymentRequirements.scheme === UPTO_SCHEME) {
+			facilitatorPool.recordPath('verify', UPTO_SCHEME);
+			return uptoScheme.verifyPayment(paymentHeader, paymentRequirements);
+		}
+
+		const result = await facilitatorPool.run(
+			'verify',
+			(client) => client.verifyPayment(paymentHeader, paymentRequirements),
+			() => directPaymentVerifier.verifyPayment(paymentHeader, paymentRequirements),
+			paymentRequirements.extra?.feePayer
+		);
+
+		if (this.isDevelopment) {
+			console.log('[X402] Verification result:', result.isValid ? 'VALID' : 'INVALID');
+			if (!result.isValid) {
+				console.log('[X402] Verification failed reason:', result.invalidReason);
 			}
+		}
 
-			return result;
-		} catch (error) {
-			console.error('[X402] Payment verification error:', error.message);
-			// Fallback to direct verification on exception
-			console.log('[X402] Falling back to direct verification...');
-			return await directPaymentVerifier.verifyPayment(paymentHeader, paymentRequirements);
+		return result;
+	}
+
+	/**
+	 * Void a verified payment without submitting it
+	 * Releases the payment's replay-ledger claim so the untouched transfer can
+	 * be presented again for another request.
+	 *
+	 * @param {PaymentHeader} paymentHeader
+	 * @returns {Promise<void>}
+	 */
+	async voidPayment(paymentHeader) {
+		const signature = getPaymentSignature(paymentHeader);
+		if (!signature) {
+			return;
+		}
+
+		await paymentLedger.release(signature);
+
+		if (this.isDevelopment) {
+			console.log('[X402] Payment voided:', signature);
 		}
 	}
 
@@ -229,10 +411,12 @@ class X402Service {
 	 *
 	 * @param {PaymentHeader} paymentHeader
 	 * @param {PaymentRequirements} paymentRequirements
+	 * @param {import('./upto-scheme.js').UptoSettleOptions} [options] - Metered transfer kept
+	 *   across attempts, for "upto" payments
 	 * @returns {Promise<SettleResponse>}
 	 * @throws {Error} If payment header is invalid
 	 */
-	async settlePayment(paymentHeader, paymentRequirements) {
+	async settlePayment(paymentHeader, paymentRequirements, options = {}) {
 		// Validate inputs
 		if (!paymentHeader || typeof paymentHeader !== 'string') {
 			return {
@@ -251,33 +435,63 @@ class X402Service {
 			console.log('[X402] Attempting to settle payment');
 		}
 
-		try {
-			// Try facilitator first
-			const result = await this.handler.settlePayment(
-				paymentHeader,
-				paymentRequirements
-			);
+		const result = await this.settleWithFallback(paymentHeader, paymentRequirements, options);
 
-			// If facilitator fails, use direct settlement
-			if (!result.success && result.errorReason === 'unexpected_settle_error') {
-				console.log('[X402] Facilitator unavailable, using direct settlement...');
-				return await directPaymentVerifier.settlePayment(paymentHeader, paymentRequirements);
-			}
+		// Facilitators are not required to echo the payer; derive it from the transfer
+		if (result.success && !result.payer) {
+			result.payer = getPaymentPayer(paymentHeader) || undefined;
+		}
 
-			if (this.isDevelopment) {
-				console.log('[X402] Settlement result:', result.success ? 'SUCCESS' : 'FAILED');
-				if (!result.success) {
-					console.log('[X402] Settlement failed reason:', result.errorReason);
-				}
-			}
+		return result;
+	}
 
-			return result;
-		} catch (error) {
-			console.error('[X402] Payment settlement error:', error.message);
-			// Fallback to direct settlement on exception
-			console.log('[X402] Falling back to direct settlement...');
-			return await directPaymentVerifier.settlePayment(paymentHeader, paymentRequirements);
+	/**
+	 * Settle with the facilitators, falling back to direct on-chain settlement
+	 *
+	 * @private
+	 * @param {PaymentHeader} paymentHeader
+	 * @param {PaymentRequirements} paymentRequirements
+	 * @param {import('./upto-scheme.js').UptoSettleOptions} options
+	 * @returns {Promise<SettleResponse>}
+	 */
+	async settleWithFallback(paymentHeader, paymentRequirements, options) {
+		if (paymentRequirements.scheme === UPTO_SCHEME) {
+			facilitatorPool.recordPath('settle', UPTO_SCHEME);
+			return uptoScheme.settlePayment(paymentHeader, paymentRequirements, options);
 		}
+
+		const result = await facilitatorPool.run(
+			'settle',
+			(client) => client.settlePayment(paymentHeader, paymentRequirements),
+			() => directPaymentVerifier.settlePayment(paymentHeader, paymentRequirements),
+			paymentRequirements.extra?.feePayer
+		);
+
+		if (this.isDevelopment) {
+			console.log('[X402] Settlement result:', result.success ? 'SUCCESS' : 'FAILED');
+			if (!result.success) {
+				console.log('[X402] Settlement failed reason:', result.errorReason);
+			}
+		}
+
+		return result;
+	}
+
+	/**
+	 * Encode a settlement result as an X-PAYMENT-RESPONSE header value
+	 * Per the x402 spec this is base64-encoded JSON of the settle response.
+	 *
+	 * @param {SettleResponse} settleResponse
+	 * @returns {string}
+	 */
+	encodePaymentResponse(settleResponse) {
+		const paymentResponse = {
+			success: settleResponse.success,
+			transaction: settleResponse.transaction,
+			network: settleResponse.network,
+			payer: settleResponse.payer,
+		};
+		return Buffer.from(JSON.stringify(paymentResponse), 'utf8').toString('base64');
 	}
 }
 
@@ -0,0 +1,151 @@
+// @ts-check
+import test from 'ava';
+import http from 'http';
+import { Keypair, SendTransactionError, SystemProgram, Transaction } from '@solana/web3.js';
+import { McpError } from '@modelcontextprotocol/sdk/types.js';
+
+/**
+ * MCP Client Network Tests
+ * Network, RPC endpoint and commitment settings, and RPC failover
+ */
+
+// Config validation runs on import, so provide the required variables first
+process.env.TREASURY_WALLET_ADDRESS ??= Keypair.generate().publicKey.toBase58();
+process.env.PORT ??= '3000';
+process.env.X402_NETWORK = 'solana-devnet';
+
+const { loadClientNetwork } = await import('../src/mcp/client-network.js');
+const { createConnection } = await import('../src/services/solana-connection.js');
+const { networkRegistry } = await import('../src/config/networks.js');
+
+test('defaults to the server network and its public RPC', (t) => {
+	const network = loadClientNetwork({});
+
+	t.is(network.id, 'solana-devnet');
+	t.deepEqual(network.rpcUrls, ['https://api.devnet.solana.com']);
+	t.is(network.commitment, 'confirmed');
+	t.is(network.tokens.USDC.mint, networkRegistry['solana-devnet'].tokens.USDC.mint);
+	t.is(network.tokens.USDC.usdRate, '1');
+});
+
+test('selects another cluster with its own RPC endpoints and tokens', (t) => {
+	const network = loadClientNetwork({
+		MCP_NETWORK: 'solana',
+		MCP_RPC_URL: 'https://rpc.example.com/?api-key=secret',
+		MCP_FALLBACK_RPC_URLS: 'https://a.example.com, https://b.example.com',
+		MCP_COMMITMENT: 'finalized',
+		// The server's override belongs to the server's network
+		SOLANA_RPC_URL: 'https://devnet-rpc.example.com',
+	});
+
+	t.is(network.id, 'solana');
+	t.deepEqual(network.rpcUrls, ['https://rpc.example.com/?api-key=secret', 'https://a.example.com', 'https://b.example.com']);
+	t.is(network.commitment, 'finalized');
+	t.is(network.tokens.USDC.mint, networkRegistry.solana.tokens.USDC.mint);
+
+	t.deepEqual(loadClientNetwork({ MCP_NETWORK: 'solana', SOLANA_RPC_URL: 'https://devnet-rpc.example.com' }).rpcUrls, [networkRegistry.solana.rpcUrl]);
+	t.deepEqual(loadClientNetwork({ SOLANA_RPC_URL: 'https://devnet-rpc.example.com' }).rpcUrls, ['https://devnet-rpc.example.com']);
+});
+
+test('rejects invalid settings', (t) => {
+	t.throws(() => loadClientNetwork({ MCP_NETWORK: 'ethereum' }), { instanceOf: McpError, message: /Unknown MCP_NETWORK "ethereum"/ });
+	t.throws(() => loadClientNetwork({ MCP_COMMITMENT: 'max' }), { message: /MCP_COMMITMENT must be one of processed, confirmed, finalized/ });
+	t.throws(() => loadClientNetwork({ MCP_RPC_URL: 'ftp://rpc.example.com' }), { message: /MCP_RPC_URL must be an http\(s\) URL/ });
+	t.throws(() => loadClientNetwork({ MCP_FALLBACK_RPC_URLS: 'not a url' }), { message: /MCP_FALLBACK_RPC_URLS/ });
+	t.throws(() => loadClientNetwork({ MCP_NETWORK: 'sandbox', MCP_RPC_URL: 'https://rpc.example.com' }), { message: /sandbox/ });
+});
+
+/**
+ * Start a JSON-RPC endpoint
+ * @param {(body: any) => [number, Object]} respond - Status and body for each request
+ * @returns {Promise<{url: string, calls: any[], server: http.Server}>}
+ */
+async function startRpc(respond) {
+	const calls = [];
+	const server = http.createServer((req, res) => {
+		let body = '';
+		req.on('data', (chunk) => body += chunk);
+		req.on('end', () => {
+			const request = JSON.parse(body);
+			calls.push(request);
+			const [status, response] = respond(request);
+			res.writeHead(status, { 'Content-Type': 'application/json' });
+			res.end(JSON.stringify({ jsonrpc: '2.0', id: request.id, ...response }));
+		});
+	});
+	server.listen(0);
+	await new Promise((resolve) => server.once('listening', resolve));
+	return { url: `http://127.0.0.1:${/** @type {import('net').AddressInfo} */ (server.address()).port}`, calls, server };
+}
+
+test('fails over to the next RPC when one is unreachable', async (t) => {
+	const down = await startRpc(() => [503, { error: { code: -32000, message: 'unavailable' } }]);
+	const up = await startRpc(() => [200, { result: 42 }]);
+	t.teardown(() => {
+		down.server.close();
+		up.server.close();
+	});
+
+	const connection = createConnection('confirmed', { network: 'solana-devnet', rpcUrls: [down.url, up.url] });
+
+	t.is(await connection.getSlot(), 42);
+	t.is(down.calls.length, 1);
+	t.is(up.calls.length, 1);
+	t.is(connection.commitment, 'confirmed');
+});
+
+test('does not fail over when the RPC answers with an error', async (t) => {
+	const answering = await startRpc(() => [200, { error: { code: -32602, message: 'Invalid param' } }]);
+	const fallback = await startRpc(() => [200, { result: 42 }]);
+	t.teardown(() => {
+		answering.server.close();
+		fallback.server.close();
+	});
+
+	const connection = createConnection('confirmed', { network: 'solana-devnet', rpcUrls: [answering.url, fallback.url] });
+
+	await t.throwsAsync(connection.getSlot(), { message: /Invalid param/ });
+	t.is(fallback.calls.length, 0);
+});
+
+test('does not resend a transaction that fails preflight', async (t) => {
+	const answering = await startRpc(() => [200, {
+		error: { code: -32002, message: 'Transaction simulation failed: Error processing Instruction 0', data: { logs: [] } },
+	}]);
+	const fallback = await startRpc(() => [200, { result: 'resent' }]);
+	t.teardown(() => {
+		answering.server.close();
+		fallback.server.close();
+	});
+
+	const payer = Keypair.generate();
+	const tx = new Transaction({ feePayer: payer.publicKey, recentBlockhash: Keypair.generate().publicKey.toBase58() }).add(
+		SystemProgram.transfer({ fromPubkey: payer.publicKey, toPubkey: Keypair.generate().publicKey, lamports: 1 })
+	);
+	tx.sign(payer);
+
+	const connection = createConnection('confirmed', { network: 'solana-devnet', rpcUrls: [answering.url, fallback.url] });
+
+	await t.throwsAsync(connection.sendRawTransaction(tx.serialize()), { instanceOf: SendTransactionError });
+	t.is(answering.calls.length, 1);
+	t.is(fallback.calls.length, 0);
+});
+
+test('fails over when an RPC cannot be reached or is rate limited', async (t) => {
+	const limited = await startRpc(() => [429, { error: { code: 429, message: 'Too many requests' } }]);
+	const up = await startRpc(() => [200, { result: 42 }]);
+	t.teardown(() => {
+		limited.server.close();
+		up.server.close();
+	});
+
+	// Nothing listens on a closed server's port any more
+	const closed = await startRpc(() => [200, { result: 0 }]);
+	closed.server.close();
+
+	const connection = createConnection('confirmed', { network: 'solana-devnet', rpcUrls: [closed.url, limited.url, up.url] });
+
+	t.is(await connection.getSlot(), 42);
+	t.is(limited.calls.length, 1);
+	t.is(up.calls.length, 1);
+});
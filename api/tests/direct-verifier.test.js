@@ -0,0 +1,120 @@
+// @ts-check
+import test from 'ava';
+import { Keypair, Transaction } from '@solana/web3.js';
+import {
+	TOKEN_2022_PROGRAM_ID,
+	createTransferInstruction,
+	createTransferCheckedInstruction,
+	getAssociatedTokenAddressSync,
+} from '@solana/spl-token';
+
+/**
+ * Direct Payment Verifier Unit Tests
+ * SPL transfer decoding and validation against payment requirements
+ */
+
+// Config validation runs on import, so provide the required variables first
+process.env.TREASURY_WALLET_ADDRESS ??= Keypair.generate().publicKey.toBase58();
+process.env.PORT ??= '3000';
+
+const { validateTransferInstructions, getPaymentPayer, selectPaymentRequirements } = await import('../src/services/direct-verifier.js');
+
+const payer = Keypair.generate().publicKey;
+const treasury = Keypair.generate().publicKey;
+const mint = Keypair.generate().publicKey;
+const payerAta = getAssociatedTokenAddressSync(mint, payer);
+const treasuryAta = getAssociatedTokenAddressSync(mint, treasury);
+
+const paymentRequirements = {
+	payTo: treasury.toBase58(),
+	asset: mint.toBase58(),
+	maxAmountRequired: '10000',
+};
+
+test('accepts a Transfer of the required amount to the treasury ATA', (t) => {
+	const ix = createTransferInstruction(payerAta, treasuryAta, payer, 10000n);
+	t.deepEqual(validateTransferInstructions([ix], paymentRequirements), { isValid: true });
+});
+
+test('accepts a TransferChecked with the required mint', (t) => {
+	const ix = createTransferCheckedInstruction(payerAta, mint, treasuryAta, payer, 15000n, 6);
+	t.deepEqual(validateTransferInstructions([ix], paymentRequirements), { isValid: true });
+});
+
+test('accepts a Token-2022 TransferChecked to the Token-2022 treasury ATA', (t) => {
+	const source = getAssociatedTokenAddressSync(mint, payer, false, TOKEN_2022_PROGRAM_ID);
+	const destination = getAssociatedTokenAddressSync(mint, treasury, false, TOKEN_2022_PROGRAM_ID);
+	const ix = createTransferCheckedInstruction(source, mint, destination, payer, 10000n, 6, [], TOKEN_2022_PROGRAM_ID);
+	t.deepEqual(validateTransferInstructions([ix], paymentRequirements), { isValid: true });
+});
+
+test('rejects a Token-2022 transfer into the classic treasury ATA', (t) => {
+	const ix = createTransferCheckedInstruction(payerAta, mint, treasuryAta, payer, 10000n, 6, [], TOKEN_2022_PROGRAM_ID);
+	t.is(validateTransferInstructions([ix], paymentRequirements).invalidReason, 'invalid_transfer_destination');
+});
+
+test('rejects an amount below maxAmountRequired', (t) => {
+	const ix = createTransferInstruction(payerAta, treasuryAta, payer, 9999n);
+	t.is(validateTransferInstructions([ix], paymentRequirements).invalidReason, 'insufficient_payment_amount');
+});
+
+test('rejects a transfer to another token account', (t) => {
+	const otherAta = getAssociatedTokenAddressSync(mint, Keypair.generate().publicKey);
+	const ix = createTransferInstruction(payerAta, otherAta, payer, 10000n);
+	t.is(validateTransferInstructions([ix], paymentRequirements).invalidReason, 'invalid_transfer_destination');
+});
+
+test('rejects a TransferChecked naming a different mint', (t) => {
+	const ix = createTransferCheckedInstruction(payerAta, Keypair.generate().publicKey, treasuryAta, payer, 10000n, 6);
+	t.is(validateTransferInstructions([ix], paymentRequirements).invalidReason, 'invalid_transfer_mint');
+});
+
+test('rejects transactions without a token transfer', (t) => {
+	t.is(validateTransferInstructions([], paymentRequirements).invalidReason, 'no_transfer_instruction_found');
+});
+
+test('getPaymentPayer returns the transfer authority, not the fee payer', (t) => {
+	const authority = Keypair.generate();
+	const feePayer = Keypair.generate();
+	const tx = new Transaction().add(
+		createTransferCheckedInstruction(payerAta, mint, treasuryAta, authority.publicKey, 10000n, 6)
+	);
+	tx.recentBlockhash = Keypair.generate().publicKey.toBase58();
+	tx.feePayer = feePayer.publicKey;
+	tx.sign(feePayer, authority);
+
+	const header = Buffer.from(JSON.stringify({ payload: tx.serialize().toString('base64') })).toString('base64');
+	t.is(getPaymentPayer(header), authority.publicKey.toBase58());
+});
+
+test('selectPaymentRequirements matches the token the payer chose', (t) => {
+	const otherMint = Keypair.generate().publicKey;
+	const accepts = [
+		{ payTo: treasury.toBase58(), asset: otherMint.toBase58() },
+		{ payTo: treasury.toBase58(), asset: mint.toBase58() },
+	];
+
+	const signer = Keypair.generate();
+	const header = (ix) => {
+		const tx = new Transaction().add(ix);
+		tx.recentBlockhash = Keypair.generate().publicKey.toBase58();
+		tx.feePayer = signer.publicKey;
+		tx.sign(signer);
+		return Buffer.from(JSON.stringify({ payload: tx.serialize().toString('base64') })).toString('base64');
+	};
+
+	// Transfer: matched through the treasury ATA
+	const transfer = createTransferInstruction(payerAta, treasuryAta, signer.publicKey, 10000n);
+	t.is(selectPaymentRequirements(header(transfer), accepts), accepts[1]);
+
+	// TransferChecked: matched through the mint
+	const checked = createTransferCheckedInstruction(payerAta, mint, treasuryAta, signer.publicKey, 10000n, 6);
+	t.is(selectPaymentRequirements(header(checked), accepts), accepts[1]);
+
+	t.is(selectPaymentRequirements(header(transfer), [accepts[0]]), null);
+
+	// The same token offered to several treasuries: matched through the treasury paid
+	const retiring = { payTo: Keypair.generate().publicKey.toBase58(), asset: mint.toBase58() };
+	t.is(selectPaymentRequirements(header(checked), [retiring, accepts[1]]), accepts[1]);
+	t.is(selectPaymentRequirements(header(transfer), [retiring, accepts[1]]), accepts[1]);
+});
@@ -0,0 +1,80 @@
+// @ts-check
+import test from 'ava';
+import { Keypair } from '@solana/web3.js';
+
+/**
+ * Dynamic Pricing Unit Tests
+ * Load multipliers, floor/ceiling clamping and quote honouring
+ */
+
+// Config validation runs on import, so provide the required variables first
+process.env.TREASURY_WALLET_ADDRESS ??= Keypair.generate().publicKey.toBase58();
+process.env.PORT ??= '3000';
+
+const { DynamicPricingEngine } = await import('../src/services/dynamic-pricing.js');
+
+/** @type {import('../src/services/dynamic-pricing.js').DynamicPricingOptions} */
+const options = {
+	source: 'queue',
+	floor: 1,
+	ceiling: 3,
+	queueTarget: 10,
+	mempoolTargetVsize: 1_000_000,
+	refreshIntervalMs: 1000,
+	quoteTtlSeconds: 60,
+};
+
+/**
+ * @param {{depth?: number, vsize?: number}} load - Mutable load readings
+ */
+function createProbe(load) {
+	return {
+		getQueueDepth: () => load.depth ?? 0,
+		getMempoolStats: async () => ({ success: load.vsize !== undefined, data: { vsize: load.vsize } }),
+	};
+}
+
+test('scales prices by queue depth within the floor and ceiling', async (t) => {
+	const load = { depth: 20 };
+	const engine = new DynamicPricingEngine(options, createProbe(load));
+
+	t.is(await engine.refresh(1000), 2);
+	t.is(engine.apply(0.1), 0.2);
+
+	load.depth = 100;
+	t.is(await engine.refresh(2000), 3);
+
+	load.depth = 0;
+	t.is(await engine.refresh(3000), 1);
+});
+
+test('scales prices by mempool size and keeps the multiplier when sampling fails', async (t) => {
+	const load = { vsize: 1_500_000 };
+	const engine = new DynamicPricingEngine({ ...options, source: 'mempool' }, createProbe(load));
+
+	t.is(await engine.refresh(1000), 1.5);
+
+	delete load.vsize;
+	t.is(await engine.refresh(2000), 1.5);
+});
+
+test('honours the lowest quote issued within maxTimeoutSeconds', async (t) => {
+	const load = { depth: 10 };
+	const engine = new DynamicPricingEngine(options, createProbe(load));
+	await engine.refresh(0);
+
+	// Congestion rises after a 1x quote was issued
+	load.depth = 30;
+	await engine.refresh(30_000);
+	t.is(engine.getMultiplier(), 3);
+	t.is(engine.getHonoredMultiplier(45_000), 1);
+
+	// Once the 1x quote has expired, payments must meet the current price
+	t.is(engine.getHonoredMultiplier(91_000), 3);
+});
+
+test('keeps prices fixed when disabled', async (t) => {
+	const engine = new DynamicPricingEngine({ ...options, source: 'off', floor: 2 }, createProbe({ depth: 100 }));
+	t.is(await engine.refresh(), 1);
+	t.is(engine.apply(0.25, { honored: true }), 0.25);
+});
@@ -0,0 +1,125 @@
+// @ts-check
+import test from 'ava';
+
+/**
+ * Facilitator Pool Unit Tests
+ * Failover order, circuit breakers, probes and path metrics
+ */
+
+// Config validation runs on import, so provide the required variables first
+process.env.TREASURY_WALLET_ADDRESS ??= '11111111111111111111111111111111';
+process.env.PORT ??= '3000';
+
+const { FacilitatorPool } = await import('../src/services/facilitator-pool.js');
+
+const options = {
+	urls: ['https://a.example', 'https://b.example'],
+	network: 'solana-devnet',
+	failureThreshold: 2,
+	cooldownMs: 50,
+	probeIntervalMs: 1000,
+	timeoutMs: 1000,
+};
+
+/**
+ * Fake facilitators whose verify answers are set per URL
+ *
+ * @param {Record<string, () => Promise<any>>} verifyAnswers
+ * @param {typeof fetch} [fetchImpl]
+ */
+function createPool(verifyAnswers, fetchImpl) {
+	/** @type {string[]} */
+	const calls = [];
+	const pool = new FacilitatorPool(options, (url) => ({
+		createPaymentRequirements: async () => ({ extra: { feePayer: `${url}-fee-payer` } }),
+		verifyPayment: async () => {
+			calls.push(url);
+			return verifyAnswers[url]();
+		},
+		settlePayment: async () => ({ success: true }),
+	}), fetchImpl);
+	return { pool, calls };
+}
+
+const down = async () => ({ isValid: false, invalidReason: 'unexpected_verify_error' });
+const valid = async () => ({ isValid: true });
+const direct = async () => ({ isValid: true, direct: true });
+
+test('fails over to the next facilitator and records the path', async (t) => {
+	const { pool, calls } = createPool({ 'https://a.example': down, 'https://b.example': valid });
+
+	t.deepEqual(await pool.run('verify', (client) => client.verifyPayment('', {}), direct), { isValid: true });
+	t.deepEqual(calls, ['https://a.example', 'https://b.example']);
+	t.deepEqual(pool.getMetrics().paths.verify, { 'https://b.example': 1 });
+	t.is(pool.getMetrics().facilitators[0].lastError, 'unexpected_verify_error');
+});
+
+test('returns definitive answers without failing over', async (t) => {
+	const rejected = async () => ({ isValid: false, invalidReason: 'insufficient_payment_amount' });
+	const { pool, calls } = createPool({ 'https://a.example': rejected, 'https://b.example': valid });
+
+	t.is((await pool.run('verify', (client) => client.verifyPayment('', {}), direct)).invalidReason, 'insufficient_payment_amount');
+	t.deepEqual(calls, ['https://a.example']);
+});
+
+test('opens a breaker after repeated failures and retries after the cooldown', async (t) => {
+	const { pool, calls } = createPool({ 'https://a.example': down, 'https://b.example': valid });
+	const verify = () => pool.run('verify', (client) => client.verifyPayment('', {}), direct);
+
+	await verify();
+	await verify();
+	t.is(pool.getMetrics().facilitators[0].breaker, 'open');
+
+	calls.length = 0;
+	await verify();
+	t.deepEqual(calls, ['https://b.example']);
+
+	await new Promise((resolve) => setTimeout(resolve, options.cooldownMs + 10));
+	t.is(pool.getMetrics().facilitators[0].breaker, 'half-open');
+	calls.length = 0;
+	await verify();
+	t.deepEqual(calls, ['https://a.example', 'https://b.example']);
+	t.is(pool.getMetrics().facilitators[0].breaker, 'open');
+});
+
+test('falls back to direct handling only when every facilitator is down', async (t) => {
+	const throws = async () => {
+		throw new Error('ECONNREFUSED');
+	};
+	const { pool } = createPool({ 'https://a.example': down, 'https://b.example': throws });
+
+	t.deepEqual(await pool.run('verify', (client) => client.verifyPayment('', {}), direct), { isValid: true, direct: true });
+	t.deepEqual(pool.getMetrics().paths.verify, { direct: 1 });
+	t.is(pool.getMetrics().facilitators[1].lastError, 'ECONNREFUSED');
+});
+
+test('probes learn fee payers and route payments to the quoting facilitator', async (t) => {
+	const fetchImpl = /** @type {typeof fetch} */ (async (url) => {
+		const facilitator = String(url).replace('/supported', '');
+		return /** @type {any} */ ({
+			ok: true,
+			json: async () => ({
+				kinds: [{ x402Version: 1, scheme: 'exact', network: 'solana-devnet', extra: { feePayer: `${facilitator}-fee-payer` } }],
+			}),
+		});
+	});
+	const { pool, calls } = createPool({ 'https://a.example': valid, 'https://b.example': valid }, fetchImpl);
+
+	await pool.probe();
+	t.is(pool.getMetrics().facilitators[1].feePayer, 'https://b.example-fee-payer');
+	t.not(pool.getMetrics().facilitators[1].latencyMs.last, null);
+
+	await pool.run('verify', (client) => client.verifyPayment('', {}), direct, 'https://b.example-fee-payer');
+	t.deepEqual(calls, ['https://b.example']);
+});
+
+test('failed probes count towards the breaker', async (t) => {
+	const fetchImpl = /** @type {typeof fetch} */ (async () => /** @type {any} */ ({ ok: false, status: 503 }));
+	const { pool } = createPool({ 'https://a.example': valid, 'https://b.example': valid }, fetchImpl);
+
+	await pool.probe();
+	await pool.probe();
+	const [a] = pool.getMetrics().facilitators;
+	t.is(a.breaker, 'open');
+	t.is(a.lastError, '/supported returned 503');
+});
@@ -0,0 +1,198 @@
+// @ts-check
+import test from 'ava';
+import http from 'http';
+import { Keypair, LAMPORTS_PER_SOL, PublicKey, SystemProgram, Transaction } from '@solana/web3.js';
+import {
+	ASSOCIATED_TOKEN_PROGRAM_ID,
+	createAssociatedTokenAccountIdempotentInstruction,
+	getAssociatedTokenAddressSync,
+} from '@solana/spl-token';
+import { McpError } from '@modelcontextprotocol/sdk/types.js';
+
+/**
+ * MCP Payment Client Tests
+ * Token account and balance checks when building payments, against the
+ * sandbox ledger and a stub x402 server
+ */
+
+// Config validation runs on import, so provide the required variables first
+process.env.TREASURY_WALLET_ADDRESS = Keypair.generate().publicKey.toBase58();
+process.env.PORT ??= '3000';
+process.env.X402_NETWORK = 'sandbox';
+
+const { config } = await import('../src/config/env.js');
+const { sandboxLedger } = await import('../src/services/sandbox-ledger.js');
+const { createPaymentEnabledClient } = await import('../src/mcp/http-client.js');
+const { directPaymentVerifier } = await import('../src/services/direct-verifier.js');
+const { LocalFacilitator } = await import('../src/services/local-facilitator.js');
+
+const usdc = config.x402.tokens.USDC;
+
+/** @type {Object} */
+let quote;
+/** @type {any[]} */
+const payments = [];
+
+const server = http.createServer((req, res) => {
+	const header = req.headers['x-payment'];
+	if (!header) {
+		res.writeHead(402, { 'Content-Type': 'application/json' });
+		res.end(JSON.stringify({ x402Version: 1, accepts: [quote] }));
+		return;
+	}
+
+	payments.push(JSON.parse(Buffer.from(String(header), 'base64').toString('utf8')));
+	res.writeHead(200, { 'Content-Type': 'application/json' });
+	res.end(JSON.stringify({ success: true }));
+});
+
+/**
+ * Leave a sandbox wallet with almost no SOL
+ * @param {Keypair} wallet
+ * @param {number} remaining - Lamports to keep
+ */
+async function drainSol(wallet, remaining) {
+	const starting = await sandboxLedger.getBalance(wallet.publicKey);
+	const drain = new Transaction({ feePayer: wallet.publicKey, ...(await sandboxLedger.getLatestBlockhash()) }).add(
+		SystemProgram.transfer({ fromPubkey: wallet.publicKey, toPubkey: Keypair.generate().publicKey, lamports: starting - remaining })
+	);
+	drain.sign(wallet);
+	await sandboxLedger.sendRawTransaction(drain.serialize());
+}
+
+/**
+ * @param {string} payTo
+ * @param {string} maxAmountRequired - USDC base units
+ * @param {Object} [extra]
+ */
+function quoteFor(payTo, maxAmountRequired = '10000', extra = {}) {
+	return {
+		scheme: 'exact',
+		network: 'sandbox',
+		maxAmountRequired,
+		resource: 'http://localhost/paid',
+		description: 'Test',
+		mimeType: 'application/json',
+		payTo,
+		maxTimeoutSeconds: 60,
+		asset: usdc.mint,
+		extra,
+	};
+}
+
+test.before(async (t) => {
+	server.listen(0);
+	await new Promise((resolve) => server.once('listening', resolve));
+	t.context.baseURL = `http://127.0.0.1:${/** @type {import('net').AddressInfo} */ (server.address()).port}`;
+});
+
+test.after.always(() => {
+	server.close();
+});
+
+test.serial('refuses to pay a payee without a token account by default', async (t) => {
+	quote = quoteFor(Keypair.generate().publicKey.toBase58());
+	const client = createPaymentEnabledClient(Keypair.generate(), /** @type {string} */ (t.context.baseURL));
+
+	await t.throwsAsync(client.get('/paid'), { message: /Payee .* has no token account for .*\(the payer pays its rent\)/ });
+	t.is(payments.length, 0);
+
+	// With a sponsoring facilitator the rent would not be the payer's
+	quote = quoteFor(Keypair.generate().publicKey.toBase58(), '10000', { feePayer: Keypair.generate().publicKey.toBase58() });
+	await t.throwsAsync(client.get('/paid'), { message: /\(the sponsoring facilitator pays its rent\)/ });
+	t.is(payments.length, 0);
+});
+
+test.serial('creates a missing payee token account when enabled', async (t) => {
+	const payee = Keypair.generate().publicKey;
+	quote = quoteFor(payee.toBase58());
+	const payer = Keypair.generate();
+	const client = createPaymentEnabledClient(payer, /** @type {string} */ (t.context.baseURL), { createTokenAccounts: true });
+
+	t.true((await client.get('/paid')).success);
+
+	const tx = Transaction.from(Buffer.from(payments.pop().payload, 'base64'));
+	const mint = new PublicKey(usdc.mint);
+	const payeeAta = getAssociatedTokenAddressSync(mint, payee, true);
+	t.deepEqual(
+		tx.instructions[0],
+		createAssociatedTokenAccountIdempotentInstruction(payer.publicKey, payeeAta, payee, mint)
+	);
+	t.is(tx.instructions.filter((ix) => ix.programId.equals(ASSOCIATED_TOKEN_PROGRAM_ID)).length, 1);
+});
+
+test.serial('does not create the token account of a payee that has one', async (t) => {
+	quote = quoteFor(config.treasury.walletAddress);
+	const client = createPaymentEnabledClient(Keypair.generate(), /** @type {string} */ (t.context.baseURL), { createTokenAccounts: true });
+
+	await client.get('/paid');
+
+	const tx = Transaction.from(Buffer.from(payments.pop().payload, 'base64'));
+	t.false(tx.instructions.some((ix) => ix.programId.equals(ASSOCIATED_TOKEN_PROGRAM_ID)));
+});
+
+test.serial('reports an insufficient token balance', async (t) => {
+	quote = quoteFor(config.treasury.walletAddress, (1000n * 10n ** BigInt(usdc.decimals)).toString());
+	const payer = Keypair.generate();
+	const client = createPaymentEnabledClient(payer, /** @type {string} */ (t.context.baseURL));
+
+	const error = await t.throwsAsync(client.get('/paid'), { instanceOf: McpError });
+	t.regex(error.message, new RegExp(`Insufficient funds in wallet ${payer.publicKey.toBase58()}`));
+	t.regex(error.message, /Required: 1000 USDC\. Available: 100 USDC\./);
+	t.is(payments.length, 0);
+});
+
+test.serial('reports an insufficient SOL balance for fees', async (t) => {
+	quote = quoteFor(config.treasury.walletAddress);
+	const payer = Keypair.generate();
+	await drainSol(payer, 1000);
+
+	const client = createPaymentEnabledClient(payer, /** @type {string} */ (t.context.baseURL));
+	await t.throwsAsync(client.get('/paid'), {
+		instanceOf: McpError,
+		message: new RegExp(`Required: ${5000 / LAMPORTS_PER_SOL} SOL for fees\\. Available: ${1000 / LAMPORTS_PER_SOL} SOL\\..*faucet\\.solana\\.com`),
+	});
+	t.is(payments.length, 0);
+});
+
+test.serial('leaves fees to a sponsoring facilitator, so a payer needs no SOL', async (t) => {
+	const facilitatorKeypair = Keypair.generate();
+	const payee = Keypair.generate().publicKey;
+	const facilitator = new LocalFacilitator(directPaymentVerifier, facilitatorKeypair, 'sandbox', [payee.toBase58()]);
+	quote = quoteFor(payee.toBase58(), '10000', { feePayer: facilitator.feePayerAddress });
+
+	const payer = Keypair.generate();
+	await drainSol(payer, 0);
+	const client = createPaymentEnabledClient(payer, /** @type {string} */ (t.context.baseURL), { createTokenAccounts: true });
+	await client.get('/paid');
+
+	const paymentPayload = payments.pop();
+	const tx = Transaction.from(Buffer.from(paymentPayload.payload, 'base64'));
+	t.true(tx.feePayer?.equals(facilitatorKeypair.publicKey));
+	t.false(tx.instructions.some((ix) => ix.programId.equals(SystemProgram.programId)));
+
+	// Only the token authority signed; the payee's token account is funded by the facilitator
+	const signatures = Object.fromEntries(tx.signatures.map(({ publicKey, signature }) => [publicKey.toBase58(), signature]));
+	t.is(signatures[facilitator.feePayerAddress], null);
+	t.truthy(signatures[payer.publicKey.toBase58()]);
+	t.true(tx.instructions[0].keys[0].pubkey.equals(facilitatorKeypair.publicKey));
+
+	t.deepEqual(await facilitator.verifyPayment(paymentPayload, quote), { isValid: true, payer: payer.publicKey.toBase58() });
+	const settlement = await facilitator.settlePayment(paymentPayload, quote);
+	t.true(settlement.success);
+
+	const payeeAta = getAssociatedTokenAddressSync(new PublicKey(usdc.mint), payee, true);
+	t.is((await sandboxLedger.getTokenAccountBalance(payeeAta)).value.amount, (100_000_000n + 10_000n).toString());
+	t.is(await sandboxLedger.getBalance(payer.publicKey), 0);
+});
+
+test.serial('refuses to pay on a network other than its own', async (t) => {
+	quote = { ...quoteFor(config.treasury.walletAddress), network: 'solana' };
+	const client = createPaymentEnabledClient(Keypair.generate(), /** @type {string} */ (t.context.baseURL));
+
+	await t.throwsAsync(client.get('/paid'), {
+		instanceOf: McpError,
+		message: /server asks for payment on solana, but this client pays on sandbox/,
+	});
+	t.is(payments.length, 0);
+});
@@ -0,0 +1,57 @@
+// @ts-check
+import test from 'ava';
+import { Keypair } from '@solana/web3.js';
+import {
+	deriveEd25519Seed,
+	encodeSecretKey,
+	keypairFromMnemonic,
+	parseDerivationPath,
+	parseSecretKey,
+	solanaDerivationPath,
+} from '../src/mcp/key-formats.js';
+
+/**
+ * Secret Key Format Tests
+ * Mnemonic derivation, Solana CLI JSON and base58 secret keys
+ */
+
+const MNEMONIC = 'abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon about';
+
+test('derives ed25519 keys along SLIP-10 test vector paths', (t) => {
+	const seed = Buffer.from('000102030405060708090a0b0c0d0e0f', 'hex');
+
+	t.is(deriveEd25519Seed(seed, 'm').toString('hex'), '2b4be7f19ee27bbf30c667b642d5f4aa69fd169872f8fc3059c08ebae2eb19e7');
+	t.is(deriveEd25519Seed(seed, "m/0'").toString('hex'), '68e0fe46dfb67e368c75379acec591dad19df3cde26e63b93a8e704f1dade7a3');
+	t.is(deriveEd25519Seed(seed, "m/0'/1'").toString('hex'), 'b1d0bad404bf35da785a64ca1ac54b2617211d2777696fbffaf208f746ae84f2');
+});
+
+test('derives the same account 0 address as Solana wallets', (t) => {
+	t.is(keypairFromMnemonic(MNEMONIC).publicKey.toBase58(), 'HAgk14JpMQLgt6rVgv7cBQFJWFto5Dqxi472uT3DKpqk');
+	// Whitespace and case are normalized
+	t.is(keypairFromMnemonic(`  ${MNEMONIC.toUpperCase()}\n`).publicKey.toBase58(), 'HAgk14JpMQLgt6rVgv7cBQFJWFto5Dqxi472uT3DKpqk');
+});
+
+test('derives other accounts and honours the BIP39 passphrase', (t) => {
+	const account0 = keypairFromMnemonic(MNEMONIC);
+	const account1 = keypairFromMnemonic(MNEMONIC, solanaDerivationPath(1));
+
+	t.is(solanaDerivationPath(1), "m/44'/501'/1'/0'");
+	t.false(account1.publicKey.equals(account0.publicKey));
+	t.false(keypairFromMnemonic(MNEMONIC, undefined, 'extra words').publicKey.equals(account0.publicKey));
+});
+
+test('rejects invalid mnemonics and paths', (t) => {
+	t.throws(() => keypairFromMnemonic(MNEMONIC.replace(/about$/, 'abandon')), { message: /Invalid mnemonic/ });
+	t.throws(() => parseDerivationPath("m/44'/501'/0/0'"), { message: /hardened/ });
+	t.throws(() => parseDerivationPath("44'/501'"), { message: /start with m/ });
+	t.throws(() => solanaDerivationPath(-1));
+});
+
+test('parses Solana CLI JSON and base58 secret keys', (t) => {
+	const keypair = Keypair.generate();
+
+	t.true(parseSecretKey(encodeSecretKey(keypair)).publicKey.equals(keypair.publicKey));
+	t.true(parseSecretKey(`${encodeSecretKey(keypair, 'base58')}\n`).publicKey.equals(keypair.publicKey));
+	t.throws(() => parseSecretKey(encodeSecretKey(keypair, 'base58').slice(0, 40)), { message: /64 bytes/ });
+	t.throws(() => parseSecretKey('not-a-key!'), { message: /base58/ });
+});
@@ -0,0 +1,140 @@
+// @ts-check
+import test from 'ava';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Keypair } from '@solana/web3.js';
+import { decryptKeypair, encryptKeypair, isKeystore } from '../src/mcp/keystore.js';
+import { encodeSecretKey } from '../src/mcp/key-formats.js';
+import { createWallet, listWallets, loadNamedWallet, loadWallet, saveWallet, walletFilePath } from '../src/mcp/wallet-utils.js';
+
+/**
+ * Wallet Keystore Tests
+ * Passphrase encryption of the MCP wallet and how it is loaded on startup
+ */
+
+// Cheap key derivation keeps the tests fast; the format is the same
+const FAST_SCRYPT = { n: 2 ** 10, r: 8, p: 1 };
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-keystore-'));
+test.after.always(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+/** @param {string} name */
+const tmpFile = (name) => path.join(tmpDir, name);
+
+test('encrypts and decrypts a keypair', (t) => {
+	const keypair = Keypair.generate();
+	const keystore = encryptKeypair(keypair, 'correct horse', FAST_SCRYPT);
+
+	t.true(isKeystore(keystore));
+	t.is(keystore.address, keypair.publicKey.toBase58());
+	t.is(keystore.crypto.kdf, 'scrypt');
+	t.is(keystore.crypto.cipher, 'aes-256-gcm');
+	t.false(JSON.stringify(keystore).includes(Buffer.from(keypair.secretKey).toString('hex')));
+
+	t.deepEqual(decryptKeypair(keystore, 'correct horse').secretKey, keypair.secretKey);
+});
+
+test('rejects a wrong passphrase', (t) => {
+	const keystore = encryptKeypair(Keypair.generate(), 'correct horse', FAST_SCRYPT);
+
+	t.throws(() => decryptKeypair(keystore, 'battery staple'), { message: /Wrong passphrase/ });
+});
+
+test('detects a tampered ciphertext or address', (t) => {
+	const keystore = encryptKeypair(Keypair.generate(), 'correct horse', FAST_SCRYPT);
+
+	const flipped = (keystore.crypto.ciphertext[0] === '0' ? '1' : '0') + keystore.crypto.ciphertext.slice(1);
+	t.throws(() => decryptKeypair({ ...keystore, crypto: { ...keystore.crypto, ciphertext: flipped } }, 'correct horse'));
+	t.throws(() => decryptKeypair({ ...keystore, address: Keypair.generate().publicKey.toBase58() }, 'correct horse'));
+});
+
+test('loads an encrypted wallet file with the passphrase', (t) => {
+	const file = tmpFile('encrypted_wallet.json');
+	const keypair = Keypair.generate();
+	saveWallet(file, keypair, 'correct horse', FAST_SCRYPT);
+
+	t.is((fs.statSync(file).mode & 0o777), 0o600);
+	t.deepEqual(loadWallet(file, { MCP_WALLET_PASSPHRASE: 'correct horse' }).secretKey, keypair.secretKey);
+	t.throws(() => loadWallet(file, {}), { message: /MCP_WALLET_PASSPHRASE/ });
+	t.throws(() => loadWallet(file, { MCP_WALLET_PASSPHRASE: 'battery staple' }), { message: /Wrong passphrase/ });
+});
+
+test('still loads a plaintext wallet file', (t) => {
+	const file = tmpFile('plaintext_wallet.json');
+	const keypair = Keypair.generate();
+	fs.writeFileSync(file, JSON.stringify(Array.from(keypair.secretKey)));
+
+	t.deepEqual(loadWallet(file, {}).secretKey, keypair.secretKey);
+});
+
+test('does not create a wallet unless MCP_WALLET_CREATE is set', (t) => {
+	const file = tmpFile('missing_wallet.json');
+
+	t.throws(() => loadWallet(file, {}), { message: /No wallet found/ });
+	t.false(fs.existsSync(file));
+	t.throws(() => loadWallet(file, { MCP_WALLET_CREATE: 'true' }), { message: /MCP_WALLET_PASSPHRASE/ });
+	t.false(fs.existsSync(file));
+});
+
+test('creates an encrypted wallet when MCP_WALLET_CREATE is set', (t) => {
+	const file = tmpFile('created_wallet.json');
+	const env = { MCP_WALLET_CREATE: 'true', MCP_WALLET_PASSPHRASE: 'correct horse' };
+
+	const keypair = loadWallet(file, env);
+	const contents = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+	t.true(isKeystore(contents));
+	t.is(contents.address, keypair.publicKey.toBase58());
+	t.deepEqual(loadWallet(file, env).secretKey, keypair.secretKey);
+});
+
+test('refuses to overwrite an existing wallet', (t) => {
+	const file = tmpFile('existing_wallet.json');
+	createWallet(file, 'correct horse', FAST_SCRYPT);
+
+	t.throws(() => createWallet(file, 'correct horse', FAST_SCRYPT), { message: /already exists/ });
+});
+
+test('still loads a plaintext base58 wallet file', (t) => {
+	const file = tmpFile('base58_wallet.json');
+	const keypair = Keypair.generate();
+	fs.writeFileSync(file, encodeSecretKey(keypair, 'base58'));
+
+	t.deepEqual(loadWallet(file, {}).secretKey, keypair.secretKey);
+});
+
+test('loads named wallets with their own passphrases', (t) => {
+	const env = { MCP_WALLET_DIR: tmpFile('named'), MCP_WALLET_PASSPHRASE: 'shared', MCP_WALLET_PASSPHRASE_TRADING_BOT: 'own' };
+	const research = Keypair.generate();
+	const tradingBot = Keypair.generate();
+	saveWallet(walletFilePath('research', env), research, 'shared', FAST_SCRYPT);
+	saveWallet(walletFilePath('trading-bot', env), tradingBot, 'own', FAST_SCRYPT);
+
+	t.deepEqual(listWallets(env), [
+		{ name: 'research', address: research.publicKey.toBase58(), file: walletFilePath('research', env) },
+		{ name: 'trading-bot', address: tradingBot.publicKey.toBase58(), file: walletFilePath('trading-bot', env) },
+	]);
+	t.deepEqual(loadWallet(undefined, { ...env, MCP_WALLET_NAME: 'research' }).secretKey, research.secretKey);
+	t.deepEqual(loadNamedWallet('trading-bot', env).secretKey, tradingBot.secretKey);
+});
+
+test('a named wallet takes precedence over MCP_WALLET_SECRET_KEY and is never created on selection', (t) => {
+	const env = {
+		MCP_WALLET_DIR: tmpFile('precedence'),
+		MCP_WALLET_PASSPHRASE: 'correct horse',
+		MCP_WALLET_SECRET_KEY: encodeSecretKey(Keypair.generate()),
+		MCP_WALLET_CREATE: 'true',
+	};
+	const keypair = Keypair.generate();
+	saveWallet(walletFilePath('main', env), keypair, 'correct horse', FAST_SCRYPT);
+
+	t.deepEqual(loadWallet(undefined, { ...env, MCP_WALLET_NAME: 'main' }).secretKey, keypair.secretKey);
+	t.throws(() => loadNamedWallet('other', env), { message: /No wallet found/ });
+	t.false(fs.existsSync(walletFilePath('other', env)));
+});
+
+test('rejects wallet names that are not plain file names', (t) => {
+	t.throws(() => walletFilePath('../escape'), { message: /Invalid wallet name/ });
+	t.throws(() => walletFilePath(''), { message: /Invalid wallet name/ });
+});
@@ -0,0 +1,219 @@
+// @ts-check
+import test from 'ava';
+import {
+	ComputeBudgetProgram,
+	Keypair,
+	SystemProgram,
+	TransactionMessage,
+	VersionedTransaction,
+} from '@solana/web3.js';
+import {
+	createAssociatedTokenAccountIdempotentInstruction,
+	createTransferCheckedInstruction,
+	getAssociatedTokenAddressSync,
+} from '@solana/spl-token';
+import bs58 from 'bs58';
+
+/**
+ * Local Facilitator Unit Tests
+ * Fee payer isolation, payee and amount checks, verification and idempotent settlement
+ */
+
+// Config validation runs on import, so provide the required variables first
+process.env.TREASURY_WALLET_ADDRESS ??= Keypair.generate().publicKey.toBase58();
+process.env.PORT ??= '3000';
+
+const { LocalFacilitator, MAX_COMPUTE_UNIT_LIMIT, checkSponsoredInstructions } = await import('../src/services/local-facilitator.js');
+
+const feePayer = Keypair.generate();
+const payer = Keypair.generate();
+const treasury = Keypair.generate().publicKey;
+const mint = Keypair.generate().publicKey;
+const payerAta = getAssociatedTokenAddressSync(mint, payer.publicKey);
+const treasuryAta = getAssociatedTokenAddressSync(mint, treasury);
+
+const paymentRequirements = /** @type {any} */ ({
+	scheme: 'exact',
+	network: 'solana-devnet',
+	payTo: treasury.toBase58(),
+	asset: mint.toBase58(),
+	maxAmountRequired: '10000',
+});
+
+/**
+ * Build a payer-signed payment the way x402 clients do
+ *
+ * @param {import('@solana/web3.js').TransactionInstruction[]} [instructions]
+ * @param {Keypair} [transactionFeePayer]
+ * @returns {any} Payment payload in the x402 shape
+ */
+function createPaymentPayload(instructions, transactionFeePayer = feePayer) {
+	const message = new TransactionMessage({
+		payerKey: transactionFeePayer.publicKey,
+		recentBlockhash: Keypair.generate().publicKey.toBase58(),
+		instructions: instructions || [
+			ComputeBudgetProgram.setComputeUnitLimit({ units: 40000 }),
+			ComputeBudgetProgram.setComputeUnitPrice({ microLamports: 1 }),
+			createAssociatedTokenAccountIdempotentInstruction(feePayer.publicKey, treasuryAta, treasury, mint),
+			createTransferCheckedInstruction(payerAta, mint, treasuryAta, payer.publicKey, 10000n, 6),
+		],
+	}).compileToV0Message();
+	const tx = new VersionedTransaction(message);
+	tx.sign(transactionFeePayer === feePayer ? [payer] : [payer, transactionFeePayer]);
+
+	return {
+		x402Version: 1,
+		scheme: 'exact',
+		network: 'solana-devnet',
+		payload: { transaction: Buffer.from(tx.serialize()).toString('base64') },
+	};
+}
+
+/**
+ * @returns {{facilitator: InstanceType<typeof LocalFacilitator>, sent: Uint8Array[]}}
+ */
+function createFacilitator() {
+	/** @type {Map<string, any>} */
+	const landed = new Map();
+	/** @type {Uint8Array[]} */
+	const sent = [];
+	const connection = /** @type {any} */ ({
+		simulateTransaction: async () => ({ value: { err: null } }),
+		getSignatureStatuses: async (signatures) => ({ value: signatures.map((signature) => landed.get(signature) || null) }),
+		sendRawTransaction: async (raw) => {
+			sent.push(raw);
+			const signature = bs58.encode(VersionedTransaction.deserialize(raw).signatures[0]);
+			landed.set(signature, { err: null, confirmationStatus: 'confirmed' });
+			return signature;
+		},
+		confirmTransaction: async () => ({ value: { err: null } }),
+	});
+
+	const facilitator = new LocalFacilitator(
+		{ connection, resolveInstructions: async (tx) => TransactionMessage.decompile(tx.message).instructions },
+		feePayer,
+		'solana-devnet',
+		[treasury.toBase58()]
+	);
+	return { facilitator, sent };
+}
+
+test('advertises its fee payer for the exact scheme', (t) => {
+	const { facilitator } = createFacilitator();
+	t.deepEqual(facilitator.getSupported().kinds, [
+		{ x402Version: 1, scheme: 'exact', network: 'solana-devnet', extra: { feePayer: feePayer.publicKey.toBase58() } },
+	]);
+});
+
+test('verifies a sponsored payment and reports the payer', async (t) => {
+	const { facilitator } = createFacilitator();
+	t.deepEqual(await facilitator.verifyPayment(createPaymentPayload(), paymentRequirements), {
+		isValid: true,
+		payer: payer.publicKey.toBase58(),
+	});
+});
+
+test('refuses to sponsor transactions that use the fee payer beyond fees', (t) => {
+	const drain = [
+		SystemProgram.transfer({ fromPubkey: feePayer.publicKey, toPubkey: payer.publicKey, lamports: 1 }),
+	];
+	t.is(checkSponsoredInstructions(drain, feePayer.publicKey, paymentRequirements), 'unsupported_instruction');
+
+	const feePayerAta = getAssociatedTokenAddressSync(mint, feePayer.publicKey);
+	const spendFeePayerTokens = [
+		createTransferCheckedInstruction(feePayerAta, mint, treasuryAta, feePayer.publicKey, 10000n, 6),
+	];
+	t.is(checkSponsoredInstructions(spendFeePayerTokens, feePayer.publicKey, paymentRequirements), 'fee_payer_not_isolated');
+
+	const expensive = [ComputeBudgetProgram.setComputeUnitPrice({ microLamports: 10_000_000 })];
+	t.is(checkSponsoredInstructions(expensive, feePayer.publicKey, paymentRequirements), 'compute_unit_price_too_high');
+
+	// The price cap alone would still let the fee payer be charged for 1.4M compute units
+	const longRunning = [ComputeBudgetProgram.setComputeUnitLimit({ units: 1_400_000 })];
+	t.is(checkSponsoredInstructions(longRunning, feePayer.publicKey, paymentRequirements), 'compute_unit_limit_too_high');
+	const withinLimit = [ComputeBudgetProgram.setComputeUnitLimit({ units: MAX_COMPUTE_UNIT_LIMIT })];
+	t.is(checkSponsoredInstructions(withinLimit, feePayer.publicKey, paymentRequirements), null);
+
+	const otherAccount = [
+		createAssociatedTokenAccountIdempotentInstruction(feePayer.publicKey, payerAta, payer.publicKey, mint),
+	];
+	t.is(checkSponsoredInstructions(otherAccount, feePayer.publicKey, paymentRequirements), 'unsupported_instruction');
+});
+
+test('rejects underpayments and unsigned payments', async (t) => {
+	const { facilitator } = createFacilitator();
+
+	const underpaid = createPaymentPayload([
+		createTransferCheckedInstruction(payerAta, mint, treasuryAta, payer.publicKey, 9999n, 6),
+	]);
+	t.is((await facilitator.verifyPayment(underpaid, paymentRequirements)).invalidReason, 'insufficient_payment_amount');
+
+	const unsigned = createPaymentPayload();
+	const tx = VersionedTransaction.deserialize(Buffer.from(unsigned.payload.transaction, 'base64'));
+	tx.signatures[1] = new Uint8Array(64);
+	unsigned.payload.transaction = Buffer.from(tx.serialize()).toString('base64');
+	t.is((await facilitator.verifyPayment(unsigned, paymentRequirements)).invalidReason, 'transaction_not_signed');
+});
+
+test('only handles payments of a positive amount to its payees', async (t) => {
+	const { facilitator, sent } = createFacilitator();
+
+	// A payment to an address the facilitator does not serve, even a correct one
+	const foreignPayee = Keypair.generate().publicKey;
+	const foreignAta = getAssociatedTokenAddressSync(mint, foreignPayee);
+	const foreign = createPaymentPayload([
+		createTransferCheckedInstruction(payerAta, mint, foreignAta, payer.publicKey, 10000n, 6),
+	]);
+	const foreignRequirements = { ...paymentRequirements, payTo: foreignPayee.toBase58() };
+	t.is((await facilitator.verifyPayment(foreign, foreignRequirements)).invalidReason, 'unsupported_payee');
+	t.is((await facilitator.settlePayment(foreign, foreignRequirements)).errorReason, 'unsupported_payee');
+
+	// Nothing owed would make any transfer, or none at all, pass as payment
+	const free = createPaymentPayload([
+		createTransferCheckedInstruction(payerAta, mint, treasuryAta, payer.publicKey, 0n, 6),
+	]);
+	for (const maxAmountRequired of ['0', '-1', '']) {
+		const requirements = { ...paymentRequirements, maxAmountRequired };
+		t.is((await facilitator.verifyPayment(free, requirements)).invalidReason, 'invalid_payment_requirements');
+	}
+
+	// A zero transfer alongside the real one only makes the fee payer pay for more work
+	const padded = createPaymentPayload([
+		createTransferCheckedInstruction(payerAta, mint, treasuryAta, payer.publicKey, 0n, 6),
+		createTransferCheckedInstruction(payerAta, mint, treasuryAta, payer.publicKey, 10000n, 6),
+	]);
+	t.is((await facilitator.verifyPayment(padded, paymentRequirements)).invalidReason, 'invalid_transfer_amount');
+
+	const longRunning = createPaymentPayload([
+		ComputeBudgetProgram.setComputeUnitLimit({ units: 1_400_000 }),
+		createTransferCheckedInstruction(payerAta, mint, treasuryAta, payer.publicKey, 10000n, 6),
+	]);
+	t.is((await facilitator.settlePayment(longRunning, paymentRequirements)).errorReason, 'compute_unit_limit_too_high');
+	t.is(sent.length, 0);
+});
+
+test('relays self-funded payments without the sponsorship restrictions', async (t) => {
+	const { facilitator } = createFacilitator();
+	const payload = createPaymentPayload([
+		ComputeBudgetProgram.setComputeUnitPrice({ microLamports: 10_000_000 }),
+		createTransferCheckedInstruction(payerAta, mint, treasuryAta, payer.publicKey, 10000n, 6),
+	], payer);
+	t.true((await facilitator.verifyPayment(payload, paymentRequirements)).isValid);
+});
+
+test('settles once, co-signed by the fee payer, even when retried', async (t) => {
+	const { facilitator, sent } = createFacilitator();
+	const payload = createPaymentPayload();
+
+	const first = await facilitator.settlePayment(payload, paymentRequirements);
+	t.true(first.success);
+	t.is(first.payer, payer.publicKey.toBase58());
+	t.is(sent.length, 1);
+
+	const submitted = VersionedTransaction.deserialize(sent[0]);
+	t.true(submitted.signatures.every((signature) => signature.some((byte) => byte !== 0)));
+
+	const retry = await facilitator.settlePayment(payload, paymentRequirements);
+	t.is(retry.transaction, first.transaction);
+	t.is(sent.length, 1);
+});
@@ -0,0 +1,54 @@
+// @ts-check
+import test from 'ava';
+import { resolveNetwork } from '../src/config/networks.js';
+
+/**
+ * Network Registry Unit Tests
+ * Per-network RPC endpoints, mints and override validation
+ */
+
+const DEVNET_USDC = '4zMMC9srt5Ri5X14GAgXhaHii3GnPAEERYPJgZJDncDU';
+const MAINNET_USDC = 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v';
+
+test('resolves each network to its own RPC endpoint and mints', (t) => {
+	const devnet = resolveNetwork('solana-devnet', {});
+	t.is(devnet.rpcUrl, 'https://api.devnet.solana.com');
+	t.is(devnet.tokens.USDC.mint, DEVNET_USDC);
+	t.falsy(devnet.tokens.USDT);
+
+	const mainnet = resolveNetwork('solana', {});
+	t.is(mainnet.rpcUrl, 'https://api.mainnet-beta.solana.com');
+	t.is(mainnet.tokens.USDC.mint, MAINNET_USDC);
+});
+
+test('rejects unknown networks', (t) => {
+	t.throws(() => resolveNetwork('solana-testnet', {}), { message: /Unknown X402_NETWORK/ });
+});
+
+test('applies RPC and mint overrides', (t) => {
+	const mint = '9zJ7Bqs3BgwUH1k1PjRyA3uNPGQWnYWoQzLy1HP7HGHF';
+	const network = resolveNetwork('solana-devnet', {
+		SOLANA_RPC_URL: 'https://rpc.example.com',
+		USDC_MINT: mint,
+	});
+	t.is(network.rpcUrl, 'https://rpc.example.com');
+	t.deepEqual(network.tokens.USDC, { mint, decimals: 6 });
+});
+
+test('rejects a mint that belongs to another network', (t) => {
+	t.throws(() => resolveNetwork('solana', { USDC_MINT: DEVNET_USDC }), {
+		message: /USDC_MINT is the solana-devnet mint, but X402_NETWORK is solana/,
+	});
+	t.notThrows(() => resolveNetwork('solana-devnet', { USDC_MINT: DEVNET_USDC }));
+});
+
+test('requires decimals for tokens the network does not list', (t) => {
+	const mint = '9zJ7Bqs3BgwUH1k1PjRyA3uNPGQWnYWoQzLy1HP7HGHF';
+	t.throws(() => resolveNetwork('solana-devnet', { USDT_MINT: mint }), { message: /USDT_DECIMALS/ });
+	t.is(resolveNetwork('solana-devnet', { USDT_MINT: mint, USDT_DECIMALS: '6' }).tokens.USDT.decimals, 6);
+});
+
+test('rejects invalid overrides', (t) => {
+	t.throws(() => resolveNetwork('solana', { SOLANA_RPC_URL: 'not a url' }), { message: /SOLANA_RPC_URL/ });
+	t.throws(() => resolveNetwork('solana', { USDC_MINT: 'not-a-mint' }), { message: /Invalid USDC_MINT/ });
+});
@@ -0,0 +1,92 @@
+// @ts-check
+import test from 'ava';
+import Decimal from 'decimal.js';
+import { Keypair } from '@solana/web3.js';
+import { McpError } from '@modelcontextprotocol/sdk/types.js';
+
+/**
+ * MCP Payment Approval Unit Tests
+ * Approval threshold and elicitation requests
+ */
+
+// Config validation runs on import, so provide the required variables first
+process.env.TREASURY_WALLET_ADDRESS ??= Keypair.generate().publicKey.toBase58();
+process.env.PORT ??= '3000';
+
+const { ELICITATION_METHOD, createPaymentApprover, loadApprovalThreshold } = await import('../src/mcp/payment-approval.js');
+
+const requirements = { payTo: Keypair.generate().publicKey.toBase58(), resource: 'http://localhost:3000/api/v1/mempool/fees' };
+
+/**
+ * @param {string | null} usd
+ */
+function quote(usd) {
+	return { usd: usd === null ? null : new Decimal(usd), display: `${usd} USDC` };
+}
+
+/**
+ * Stand-in for the MCP server connected to a host
+ * @param {Object | undefined} capabilities - Client capabilities
+ * @param {Object} [result] - Elicitation result
+ */
+function createServer(capabilities, result) {
+	const requests = [];
+	const server = {
+		requests,
+		getClientCapabilities: () => capabilities,
+		request: async (request) => {
+			requests.push(request);
+			return result;
+		},
+	};
+	return server;
+}
+
+test('approves payments at or below the threshold without asking', async (t) => {
+	const server = createServer({ elicitation: {} });
+	const approve = createPaymentApprover(/** @type {any} */ (server), new Decimal('0.05'));
+
+	t.true(await approve({ requirements, quote: quote('0.05') }));
+	t.true(await createPaymentApprover(/** @type {any} */ (server), null)({ requirements, quote: quote(null) }));
+	t.is(server.requests.length, 0);
+});
+
+test('asks the user through elicitation above the threshold', async (t) => {
+	const accepting = createServer({ elicitation: {} }, { action: 'accept', content: { approve: true } });
+	t.true(await createPaymentApprover(/** @type {any} */ (accepting), new Decimal('0.05'))({ requirements, quote: quote('0.1') }));
+
+	const [request] = accepting.requests;
+	t.is(request.method, ELICITATION_METHOD);
+	t.regex(request.params.message, /0\.1 USDC \(\$0\.1\) to .* for http:\/\/localhost:3000\/api\/v1\/mempool\/fees/);
+	t.deepEqual(request.params.requestedSchema.required, ['approve']);
+
+	const unchecked = createServer({ elicitation: {} }, { action: 'accept', content: { approve: false } });
+	t.false(await createPaymentApprover(/** @type {any} */ (unchecked), new Decimal('0.05'))({ requirements, quote: quote('0.1') }));
+
+	const declining = createServer({ elicitation: {} }, { action: 'decline' });
+	t.false(await createPaymentApprover(/** @type {any} */ (declining), new Decimal('0.05'))({ requirements, quote: quote('0.1') }));
+});
+
+test('asks for payments it cannot value', async (t) => {
+	const server = createServer({ elicitation: {} }, { action: 'cancel' });
+
+	t.false(await createPaymentApprover(/** @type {any} */ (server), new Decimal('0'))({ requirements, quote: quote(null) }));
+	t.is(server.requests.length, 1);
+});
+
+test('refuses above the threshold when the host cannot elicit', async (t) => {
+	const server = createServer({ sampling: {} });
+	const approve = createPaymentApprover(/** @type {any} */ (server), new Decimal('0.05'));
+
+	await t.throwsAsync(approve({ requirements, quote: quote('0.1') }), {
+		instanceOf: McpError,
+		message: /above the approval threshold of \$0\.05 and this MCP host cannot ask for approval/,
+	});
+});
+
+test('reads the approval threshold from the environment', (t) => {
+	t.is(loadApprovalThreshold({}), null);
+	t.is(loadApprovalThreshold({ MCP_APPROVAL_THRESHOLD: '0.25' })?.toFixed(), '0.25');
+	t.is(loadApprovalThreshold({ MCP_APPROVAL_THRESHOLD: '0' })?.toFixed(), '0');
+	t.throws(() => loadApprovalThreshold({ MCP_APPROVAL_THRESHOLD: '-1' }), { message: /MCP_APPROVAL_THRESHOLD/ });
+});
@@ -0,0 +1,159 @@
+// @ts-check
+import test from 'ava';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Keypair, SystemProgram, Transaction, TransactionMessage, VersionedTransaction } from '@solana/web3.js';
+import { createTransferCheckedInstruction, getAssociatedTokenAddressSync } from '@solana/spl-token';
+import bs58 from 'bs58';
+
+/**
+ * Payment Ledger Unit Tests
+ * Replay protection for x402 payment headers (no network required)
+ */
+
+// Config validation runs on import, so provide the required variables first
+process.env.TREASURY_WALLET_ADDRESS ??= Keypair.generate().publicKey.toBase58();
+process.env.PORT ??= '3000';
+
+const { MemoryLedgerStore, FileLedgerStore, PaymentLedger, getPaymentSignature } =
+	await import('../src/services/payment-ledger.js');
+
+/**
+ * Build a signed payment header the way the MCP client does
+ * @returns {string}
+ */
+function createSignedPaymentHeader() {
+	const payer = Keypair.generate();
+	const tx = new Transaction().add(
+		SystemProgram.transfer({
+			fromPubkey: payer.publicKey,
+			toPubkey: Keypair.generate().publicKey,
+			lamports: 1,
+		})
+	);
+	tx.recentBlockhash = Keypair.generate().publicKey.toBase58();
+	tx.feePayer = payer.publicKey;
+	tx.sign(payer);
+
+	const paymentPayload = {
+		x402Version: 1,
+		network: 'solana-devnet',
+		scheme: 'exact',
+		payload: tx.serialize().toString('base64'),
+	};
+	return Buffer.from(JSON.stringify(paymentPayload), 'utf8').toString('base64');
+}
+
+test('getPaymentSignature returns the payer signature of a signed header', (t) => {
+	const signature = getPaymentSignature(createSignedPaymentHeader());
+	t.is(typeof signature, 'string');
+	t.true(/** @type {string} */ (signature).length >= 64);
+});
+
+test('getPaymentSignature reads v0 transactions', (t) => {
+	const payer = Keypair.generate();
+	const message = new TransactionMessage({
+		payerKey: payer.publicKey,
+		recentBlockhash: Keypair.generate().publicKey.toBase58(),
+		instructions: [
+			SystemProgram.transfer({ fromPubkey: payer.publicKey, toPubkey: Keypair.generate().publicKey, lamports: 1 }),
+		],
+	}).compileToV0Message();
+	const tx = new VersionedTransaction(message);
+	tx.sign([payer]);
+
+	const header = Buffer.from(JSON.stringify({ payload: Buffer.from(tx.serialize()).toString('base64') })).toString('base64');
+	t.truthy(getPaymentSignature(header));
+});
+
+/**
+ * Build a token payment header signed by the payer only
+ * @param {Keypair} payer - Transfer authority
+ * @param {Keypair} feePayer
+ * @returns {{header: string, tx: VersionedTransaction}}
+ */
+function createTokenPaymentHeader(payer, feePayer) {
+	const mint = Keypair.generate().publicKey;
+	const message = new TransactionMessage({
+		payerKey: feePayer.publicKey,
+		recentBlockhash: Keypair.generate().publicKey.toBase58(),
+		instructions: [
+			createTransferCheckedInstruction(
+				getAssociatedTokenAddressSync(mint, payer.publicKey),
+				mint,
+				getAssociatedTokenAddressSync(mint, Keypair.generate().publicKey),
+				payer.publicKey,
+				10000n,
+				6
+			),
+		],
+	}).compileToV0Message();
+	const tx = new VersionedTransaction(message);
+	tx.sign([payer]);
+
+	const header = Buffer.from(JSON.stringify({ payload: Buffer.from(tx.serialize()).toString('base64') })).toString('base64');
+	return { header, tx };
+}
+
+test('getPaymentSignature returns the transfer authority signature before the fee payer has signed', (t) => {
+	const payer = Keypair.generate();
+	const { header, tx } = createTokenPaymentHeader(payer, Keypair.generate());
+
+	t.true(tx.signatures[0].every((byte) => byte === 0));
+	t.is(getPaymentSignature(header), bs58.encode(tx.signatures[1]));
+});
+
+test('getPaymentSignature returns the transaction signature when the payer pays its own fees', (t) => {
+	const payer = Keypair.generate();
+	const { header, tx } = createTokenPaymentHeader(payer, payer);
+
+	t.is(getPaymentSignature(header), bs58.encode(tx.signatures[0]));
+});
+
+test('getPaymentSignature returns null for malformed headers', (t) => {
+	t.is(getPaymentSignature('not-base64-json'), null);
+	t.is(getPaymentSignature(Buffer.from('{"payload":42}').toString('base64')), null);
+});
+
+test('PaymentLedger rejects a second claim of the same signature', async (t) => {
+	const ledger = new PaymentLedger(new MemoryLedgerStore(), 60);
+
+	t.true(await ledger.claim('sig-1', '/api/v1/mempool/fees'));
+	t.false(await ledger.claim('sig-1', '/api/v1/mempool/stats'));
+	t.true(await ledger.isUsed('sig-1'));
+});
+
+test('PaymentLedger allows a released signature to be claimed again', async (t) => {
+	const ledger = new PaymentLedger(new MemoryLedgerStore(), 60);
+
+	await ledger.claim('sig-1', '/api/v1/mempool/fees');
+	await ledger.release('sig-1');
+
+	t.false(await ledger.isUsed('sig-1'));
+	t.true(await ledger.claim('sig-1', '/api/v1/mempool/fees'));
+});
+
+test('MemoryLedgerStore purges entries past their expiry', async (t) => {
+	const store = new MemoryLedgerStore();
+	const now = Date.now();
+	await store.claim({ signature: 'old', resource: '/a', claimedAt: now - 2000, expiresAt: now - 1000 });
+	await store.claim({ signature: 'new', resource: '/b', claimedAt: now, expiresAt: now + 60000 });
+
+	t.is(await store.purgeExpired(now), 1);
+	t.is(await store.get('old'), null);
+	t.truthy(await store.get('new'));
+});
+
+test('FileLedgerStore persists claims across instances', async (t) => {
+	const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ledger-'));
+	const filePath = path.join(dir, 'ledger.json');
+	t.teardown(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+	const first = new PaymentLedger(new FileLedgerStore(filePath), 60);
+	t.true(await first.claim('sig-1', '/api/v1/mempool/fees'));
+
+	const second = new PaymentLedger(new FileLedgerStore(filePath), 60);
+	t.true(await second.isUsed('sig-1'));
+	t.false(await second.claim('sig-1', '/api/v1/mempool/fees'));
+});
@@ -0,0 +1,62 @@
+// @ts-check
+import test from 'ava';
+import express from 'express';
+import { Keypair } from '@solana/web3.js';
+
+/**
+ * Pricing Catalog Unit Tests
+ * Catalog generation from a route table
+ */
+
+// Config validation runs on import, so provide the required variables first
+process.env.TREASURY_WALLET_ADDRESS ??= Keypair.generate().publicKey.toBase58();
+process.env.PORT ??= '3000';
+
+const { buildPricingCatalog, collectPaidRoutes } = await import('../src/services/pricing-catalog.js');
+
+/**
+ * @param {{category: string, endpoint: string, description: string}} pricing
+ * @param {{chargeNotFound?: boolean}} [settlementPolicy]
+ */
+function paidMiddleware(pricing, settlementPolicy) {
+	/** @type {any} */
+	const verify = (req, res, next) => next();
+	verify.pricing = pricing;
+	/** @type {any} */
+	const settle = (req, res, next) => next();
+	settle.settlementPolicy = settlementPolicy || {};
+	return [verify, settle];
+}
+
+function createRouter() {
+	const router = express.Router();
+	router.get('/fees', ...paidMiddleware({ category: 'mempool', endpoint: 'fees', description: 'Fees' }), (req, res) => res.end());
+	router.get(
+		'/tx/:txid/status',
+		...paidMiddleware({ category: 'mempool', endpoint: 'txStatus', description: 'Status' }, { chargeNotFound: true }),
+		(req, res) => res.end()
+	);
+	router.get('/height', (req, res) => res.end());
+	return router;
+}
+
+test('collects only paid routes, with their mount prefix', (t) => {
+	const routes = collectPaidRoutes([{ prefix: '/api/v1/mempool', router: createRouter() }]);
+	t.deepEqual(
+		routes.map((route) => `${route.method} ${route.path}`),
+		['GET /api/v1/mempool/fees', 'GET /api/v1/mempool/tx/:txid/status']
+	);
+});
+
+test('prices every paid route in USD and token base units', (t) => {
+	const catalog = /** @type {any} */ (buildPricingCatalog([{ prefix: '/api/v1/mempool', router: createRouter() }], 60));
+
+	const [fees, status] = catalog.endpoints;
+	t.deepEqual(fees.price, { usd: 0.01, display: '$0.01' });
+	t.deepEqual(fees.tokens.USDC, { amount: '10000', display: '0.01 USDC' });
+	t.false(fees.chargesNotFound);
+	t.true(status.chargesNotFound);
+
+	t.is(catalog.tiers.multipliers.premium, 0.75);
+	t.is(catalog.freshness.maxAgeSeconds, 60);
+});
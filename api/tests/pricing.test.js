@@ -0,0 +1,48 @@
+// @ts-check
+import test from 'ava';
+import { Keypair } from '@solana/web3.js';
+
+/**
+ * Pricing Unit Tests
+ * Reference-currency prices and per-token conversion
+ */
+
+// Config validation runs on import, so provide the required variables first
+process.env.TREASURY_WALLET_ADDRESS ??= Keypair.generate().publicKey.toBase58();
+process.env.PORT ??= '3000';
+process.env.X402_NETWORK = 'solana';
+
+const { convertToTokenUnits, formatPrice, formatTokenAmount, getPrice, tokenConfig } = await import(
+	'../src/config/pricing.js'
+);
+
+test('converts USD prices to stablecoin base units', (t) => {
+	t.is(convertToTokenUnits(0.01, tokenConfig.USDC), '10000');
+	t.is(convertToTokenUnits(0.25, tokenConfig.USDT), '250000');
+});
+
+test('converts USD prices using the token rate and rounds up', (t) => {
+	const sol = { ...tokenConfig.SOL, usdRate: '150' };
+	// 0.01 / 150 SOL = 66666.67 lamports -> never undercharge
+	t.is(convertToTokenUnits(0.01, sol), '66667');
+});
+
+test('refuses to convert into a token without a rate', (t) => {
+	t.throws(() => convertToTokenUnits(0.01, { ...tokenConfig.SOL, usdRate: null }), { message: /No USD rate/ });
+});
+
+test('applies tier multipliers to the reference price', (t) => {
+	t.is(getPrice('mempool', 'addressInfo', 'premium'), 0.075);
+	t.is(getPrice('mempool', 'addressInfo', 'enterprise'), 0.05);
+});
+
+test('formats reference prices and token amounts', (t) => {
+	t.is(formatPrice(0.1), '$0.10');
+	t.is(formatPrice(0.0015), '$0.0015');
+	t.is(formatTokenAmount('66667', tokenConfig.SOL), '0.000066667 SOL');
+});
+
+test('takes mints and decimals from the network registry', (t) => {
+	t.is(tokenConfig.USDC.mint, 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v');
+	t.is(tokenConfig.BONK.decimals, 5);
+});
@@ -0,0 +1,418 @@
+// @ts-check
+import test from 'ava';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Keypair, PublicKey, TransactionMessage, VersionedTransaction } from '@solana/web3.js';
+import {
+	createApproveCheckedInstruction,
+	createTransferCheckedInstruction,
+	getAssociatedTokenAddressSync,
+} from '@solana/spl-token';
+import nacl from 'tweetnacl';
+
+/**
+ * Sandbox Network Tests
+ * The full 402 -> pay -> verify -> settle loop against the in-process ledger,
+ * with no RPC, facilitator or funded wallet
+ */
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sandbox-'));
+const delegate = Keypair.generate();
+fs.writeFileSync(path.join(tmpDir, 'upto-delegate.json'), JSON.stringify([...delegate.secretKey]));
+
+// Config validation runs on import, so provide the required variables first
+process.env.TREASURY_WALLET_ADDRESS = Keypair.generate().publicKey.toBase58();
+process.env.PORT ??= '3000';
+process.env.X402_NETWORK = 'sandbox';
+process.env.X402_SETTLEMENT_MODE = 'sync';
+process.env.SETTLEMENT_QUEUE_STORE = 'memory';
+process.env.X402_UPTO_DELEGATE_KEYPAIR = path.join(tmpDir, 'upto-delegate.json');
+process.env.PRICING_TIERS_PATH = path.join(tmpDir, 'pricing-tiers.json');
+
+const { config } = await import('../src/config/env.js');
+const { default: app } = await import('../src/app.js');
+const { SandboxLedger, sandboxLedger } = await import('../src/services/sandbox-ledger.js');
+const { mempoolService } = await import('../src/services/mempool.service.js');
+const { createPaymentEnabledClient } = await import('../src/mcp/http-client.js');
+const { SpendingLimits } = await import('../src/mcp/spending-limits.js');
+const { payerIdentityMessage } = await import('../src/services/wallet-tiers.js');
+
+const usdc = config.x402.tokens.USDC;
+const txid = 'f4184fc596403b9d638783cf57adfe4c75c605f6356fbc91338530e9831e9e16';
+
+// Bitcoin data is not what is under test; keep the paid endpoint offline too
+mempoolService.getRecommendedFees = async () => ({
+	success: true,
+	data: { fastestFee: 12, halfHourFee: 10, hourFee: 8, economyFee: 4, minimumFee: 1 },
+});
+
+/**
+ * @param {string} wallet
+ * @returns {Promise<string>} USDC balance in base units
+ */
+async function usdcBalance(wallet) {
+	const ata = getAssociatedTokenAddressSync(new PublicKey(usdc.mint), new PublicKey(wallet), true);
+	return (await sandboxLedger.getTokenAccountBalance(ata)).value.amount;
+}
+
+/**
+ * @param {Keypair} keypair
+ * @returns {Record<string, string>} Payer identity headers
+ */
+function signIdentity(keypair) {
+	const wallet = keypair.publicKey.toBase58();
+	const timestamp = Math.floor(Date.now() / 1000);
+	const signature = nacl.sign.detached(Buffer.from(payerIdentityMessage(wallet, timestamp)), keypair.secretKey);
+	return {
+		'x402-PublicKey': wallet,
+		'x402-Timestamp': String(timestamp),
+		'x402-Signature': Buffer.from(signature).toString('base64'),
+	};
+}
+
+/**
+ * Approve the metering delegate for the maximum of an "upto" quote
+ *
+ * @param {Keypair} payer
+ * @param {any} requirements - "upto" payment requirements
+ * @returns {Promise<string>} X-PAYMENT header value
+ */
+async function createUptoPaymentHeader(payer, requirements) {
+	const mint = new PublicKey(requirements.asset);
+	const message = new TransactionMessage({
+		payerKey: payer.publicKey,
+		recentBlockhash: (await sandboxLedger.getLatestBlockhash()).blockhash,
+		instructions: [
+			createApproveCheckedInstruction(
+				getAssociatedTokenAddressSync(mint, payer.publicKey),
+				mint,
+				new PublicKey(requirements.extra.delegate),
+				payer.publicKey,
+				BigInt(requirements.maxAmountRequired),
+				usdc.decimals
+			),
+		],
+	}).compileToV0Message();
+	const tx = new VersionedTransaction(message);
+	tx.sign([payer]);
+
+	const paymentPayload = {
+		x402Version: 1,
+		scheme: 'upto',
+		network: requirements.network,
+		payload: Buffer.from(tx.serialize()).toString('base64'),
+	};
+	return Buffer.from(JSON.stringify(paymentPayload), 'utf8').toString('base64');
+}
+
+/**
+ * Pay the full amount of an "exact" quote from the payer's own account
+ *
+ * @param {Keypair} payer
+ * @param {any} requirements - "exact" payment requirements
+ * @returns {Promise<string>} X-PAYMENT header value
+ */
+async function createExactPaymentHeader(payer, requirements) {
+	const mint = new PublicKey(requirements.asset);
+	const message = new TransactionMessage({
+		payerKey: payer.publicKey,
+		recentBlockhash: (await sandboxLedger.getLatestBlockhash()).blockhash,
+		instructions: [
+			createTransferCheckedInstruction(
+				getAssociatedTokenAddressSync(mint, payer.publicKey),
+				mint,
+				getAssociatedTokenAddressSync(mint, new PublicKey(requirements.payTo), true),
+				payer.publicKey,
+				BigInt(requirements.maxAmountRequired),
+				usdc.decimals
+			),
+		],
+	}).compileToV0Message();
+	const tx = new VersionedTransaction(message);
+	tx.sign([payer]);
+
+	const paymentPayload = {
+		x402Version: 1,
+		scheme: 'exact',
+		network: requirements.network,
+		payload: Buffer.from(tx.serialize()).toString('base64'),
+	};
+	return Buffer.from(JSON.stringify(paymentPayload), 'utf8').toString('base64');
+}
+
+/**
+ * Quote a paid endpoint and pay it in full
+ *
+ * @param {string} url
+ * @returns {Promise<{payer: Keypair, requirements: any, paymentHeader: string}>}
+ */
+async function payFor(url) {
+	const quote = await fetch(url);
+	const requirements = (await quote.json()).accepts.find((/** @type {any} */ accepted) => accepted.scheme === 'exact');
+	const payer = Keypair.generate();
+	return { payer, requirements, paymentHeader: await createExactPaymentHeader(payer, requirements) };
+}
+
+/**
+ * Answer upstream Bitcoin queries with a stub for the rest of a test.
+ * Routes hold bound service methods, so the stub goes on the upstream client.
+ *
+ * @param {import('ava').ExecutionContext} t
+ * @param {(path: string) => Promise<any>} get
+ */
+function stubUpstream(t, get) {
+	const { client } = /** @type {any} */ (mempoolService);
+	const original = client.get;
+	client.get = get;
+	t.teardown(() => {
+		client.get = original;
+	});
+}
+
+/**
+ * @param {number} status - Upstream HTTP status
+ * @returns {Error} An error shaped like the HTTP client's
+ */
+function upstreamError(status) {
+	return Object.assign(new Error(`Request failed with status code ${status}`), {
+		response: { status, data: `upstream ${status}` },
+	});
+}
+
+test.before(async (t) => {
+	const server = app.listen(0);
+	await new Promise((resolve) => server.once('listening', resolve));
+	const address = /** @type {import('net').AddressInfo} */ (server.address());
+	t.context.baseURL = `http://127.0.0.1:${address.port}`;
+	t.context.server = server;
+});
+
+test.after.always((t) => {
+	/** @type {import('http').Server} */ (t.context.server).close();
+	fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+test('pays, verifies and settles a paid endpoint offline', async (t) => {
+	const payer = Keypair.generate();
+	const client = createPaymentEnabledClient(payer, /** @type {string} */ (t.context.baseURL));
+
+	const data = await client.get('/api/v1/mempool/fees');
+
+	t.true(data.success);
+	t.is(data.fees.fastestFee, 12);
+	t.true(data.paymentResponse.success);
+	t.is(data.paymentResponse.network, 'sandbox');
+	t.is(data.paymentResponse.payer, payer.publicKey.toBase58());
+	t.deepEqual(data.paymentCharge, { asset: usdc.mint, amount: '10000', display: '0.01 USDC', usd: '0.01' });
+
+	// 0.01 USD at 6 decimals moved from the payer's starting balance to the treasury
+	t.is(await usdcBalance(payer.publicKey.toBase58()), (100_000_000n - 10_000n).toString());
+	t.is(await usdcBalance(config.treasury.walletAddress), (100_000_000n + 10_000n).toString());
+});
+
+test('refuses to pay beyond the client spending limits', async (t) => {
+	const payer = Keypair.generate();
+	const spendingLimits = new SpendingLimits({ maxPerRequest: '0.001' });
+	const client = createPaymentEnabledClient(payer, /** @type {string} */ (t.context.baseURL), { spendingLimits });
+
+	await t.throwsAsync(client.get('/api/v1/mempool/fees'), { message: /per-request limit of \$0\.001/ });
+
+	t.is(spendingLimits.summary().session, '0');
+	// No transaction was built, so the payer's token account was never even opened
+	await t.throwsAsync(usdcBalance(payer.publicKey.toBase58()), { message: /could not find account/ });
+});
+
+test('refuses a quote above the caller max price, and payments that are not approved', async (t) => {
+	const payer = Keypair.generate();
+	const spendingLimits = new SpendingLimits({});
+	const client = createPaymentEnabledClient(payer, /** @type {string} */ (t.context.baseURL), {
+		spendingLimits,
+		approvePayment: async () => false,
+	});
+
+	await t.throwsAsync(client.get('/api/v1/mempool/fees', { maxPrice: 0.005 }), { message: /Quoted price 0\.01 USDC exceeds max_price of \$0\.005/ });
+	await t.throwsAsync(client.get('/api/v1/mempool/fees', { maxPrice: 0.01 }), { message: /Payment not approved/ });
+
+	// The declined payment was never sent, so it does not count against the limits
+	t.is(spendingLimits.summary().session, '0');
+	await t.throwsAsync(usdcBalance(payer.publicKey.toBase58()), { message: /could not find account/ });
+});
+
+test('quotes the sandbox network and tokens', async (t) => {
+	const response = await fetch(`${t.context.baseURL}/api/v1/mempool/fees`);
+	t.is(response.status, 402);
+
+	const [requirements] = (await response.json()).accepts;
+	t.is(requirements.network, 'sandbox');
+	t.is(requirements.asset, usdc.mint);
+	t.is(requirements.extra.feePayer, undefined);
+});
+
+test('enforces balances, signatures and single processing', async (t) => {
+	const ledger = new SandboxLedger({ tokens: config.x402.tokens, startingBalance: 0 });
+	const payer = Keypair.generate();
+	const treasury = Keypair.generate().publicKey;
+	const mint = new PublicKey(usdc.mint);
+
+	const createPayment = async () => {
+		const message = new TransactionMessage({
+			payerKey: payer.publicKey,
+			recentBlockhash: (await ledger.getLatestBlockhash()).blockhash,
+			instructions: [
+				createTransferCheckedInstruction(
+					getAssociatedTokenAddressSync(mint, payer.publicKey),
+					mint,
+					getAssociatedTokenAddressSync(mint, treasury),
+					payer.publicKey,
+					10_000n,
+					usdc.decimals
+				),
+			],
+		}).compileToV0Message();
+		return new VersionedTransaction(message);
+	};
+
+	// Unfunded wallet
+	const unfunded = await createPayment();
+	unfunded.sign([payer]);
+	const simulation = await ledger.simulateTransaction(unfunded);
+	t.deepEqual(simulation.value.err, { InstructionError: [0, 'InvalidAccountData'] });
+
+	ledger.mintTo(payer.publicKey, usdc.mint, 10_000n);
+	ledger.mintTo(treasury, usdc.mint, 0n);
+
+	// Unsigned
+	const unsigned = await createPayment();
+	await t.throwsAsync(ledger.sendRawTransaction(unsigned.serialize()), { message: /signature verification failure/ });
+
+	// Processed once
+	const payment = await createPayment();
+	payment.sign([payer]);
+	const signature = await ledger.sendRawTransaction(payment.serialize());
+	t.is((await ledger.confirmTransaction(signature)).value.err, null);
+	t.is((await ledger.getSignatureStatuses([signature])).value[0]?.confirmationStatus, 'finalized');
+	await t.throwsAsync(ledger.sendRawTransaction(payment.serialize()), { message: /already been processed/ });
+
+	// Balance spent
+	const overdraft = await createPayment();
+	overdraft.sign([payer]);
+	t.deepEqual((await ledger.simulateTransaction(overdraft)).value.err, { InstructionError: [0, 'InsufficientFunds'] });
+});
+
+test('charges an identified payer only the metered amount of an upto payment', async (t) => {
+	stubUpstream(t, async () => ({ data: [{ txid: 'a' }, { txid: 'b' }, { txid: 'c' }] }));
+	const url = `${t.context.baseURL}/api/v1/mempool/address/tb1qw508d6qejxtdg4y5r3zarvary0c5xw7kv8f3t4/txs`;
+	const payer = Keypair.generate();
+
+	const quote = await fetch(url, { headers: signIdentity(payer) });
+	t.is(quote.status, 402);
+	const requirements = (await quote.json()).accepts.find((/** @type {any} */ accepted) => accepted.scheme === 'upto');
+	t.is(requirements.extra.delegate, delegate.publicKey.toBase58());
+	const paymentHeader = await createUptoPaymentHeader(payer, requirements);
+
+	// The approval comes from the payer, but not from a wallet claiming to be them
+	const impostor = await fetch(url, { headers: { ...signIdentity(Keypair.generate()), 'X-PAYMENT': paymentHeader } });
+	t.is(impostor.status, 402);
+	t.is((await impostor.json()).reason, 'payer_identity_mismatch');
+
+	const treasuryBefore = BigInt(await usdcBalance(config.treasury.walletAddress));
+	const paid = await fetch(url, { headers: { ...signIdentity(payer), 'X-PAYMENT': paymentHeader } });
+	t.is(paid.status, 200);
+	t.is((await paid.json()).transactions.length, 3);
+
+	const metered = 3n * BigInt(requirements.extra.unitAmount);
+	t.true(metered < BigInt(requirements.maxAmountRequired));
+	t.is(await usdcBalance(payer.publicKey.toBase58()), (100_000_000n - metered).toString());
+	t.is(BigInt(await usdcBalance(config.treasury.walletAddress)), treasuryBefore + metered);
+});
+
+test('settles a successful query and returns its receipt', async (t) => {
+	stubUpstream(t, async () => ({ data: { txid, fee: 141 } }));
+	const url = `${t.context.baseURL}/api/v1/mempool/tx/${txid}`;
+	const { payer, requirements, paymentHeader } = await payFor(url);
+	const treasuryBefore = BigInt(await usdcBalance(config.treasury.walletAddress));
+
+	const paid = await fetch(url, { headers: { 'X-PAYMENT': paymentHeader } });
+	t.is(paid.status, 200);
+	t.is((await paid.json()).data.fee, 141);
+	t.truthy(paid.headers.get('x-payment-response'));
+
+	const amount = BigInt(requirements.maxAmountRequired);
+	t.is(await usdcBalance(payer.publicKey.toBase58()), (100_000_000n - amount).toString());
+	t.is(BigInt(await usdcBalance(config.treasury.walletAddress)), treasuryBefore + amount);
+});
+
+test('voids the payment for a failed query and never submits it', async (t) => {
+	const url = `${t.context.baseURL}/api/v1/mempool/tx/${txid}`;
+	const { payer, requirements, paymentHeader } = await payFor(url);
+	const treasuryBefore = await usdcBalance(config.treasury.walletAddress);
+
+	// Not found is not chargeable on this route, and neither are upstream errors
+	for (const status of [404, 503]) {
+		stubUpstream(t, async () => {
+			throw upstreamError(status);
+		});
+		const failed = await fetch(url, { headers: { 'X-PAYMENT': paymentHeader } });
+		t.is(failed.status, status);
+		t.is(failed.headers.get('x-payment-response'), null);
+	}
+
+	// Nothing was sent, so the payer's token account was never even opened
+	await t.throwsAsync(usdcBalance(payer.publicKey.toBase58()), { message: /could not find account/ });
+	t.is(await usdcBalance(config.treasury.walletAddress), treasuryBefore);
+
+	// Voided payments are released, so the same payment still buys a working query
+	stubUpstream(t, async () => ({ data: { txid } }));
+	const retried = await fetch(url, { headers: { 'X-PAYMENT': paymentHeader } });
+	t.is(retried.status, 200);
+	t.is(await usdcBalance(payer.publicKey.toBase58()), (100_000_000n - BigInt(requirements.maxAmountRequired)).toString());
+});
+
+test('settles a not found answer on routes that charge for it', async (t) => {
+	stubUpstream(t, async () => {
+		throw upstreamError(404);
+	});
+	const url = `${t.context.baseURL}/api/v1/mempool/tx/${txid}/status`;
+	const { payer, requirements, paymentHeader } = await payFor(url);
+
+	const notFound = await fetch(url, { headers: { 'X-PAYMENT': paymentHeader } });
+	t.is(notFound.status, 404);
+	t.truthy(notFound.headers.get('x-payment-response'));
+	t.is(await usdcBalance(payer.publicKey.toBase58()), (100_000_000n - BigInt(requirements.maxAmountRequired)).toString());
+});
+
+test('voids the payment when the client disconnects before the response', async (t) => {
+	/** @type {(value?: any) => void} */
+	let reached = () => {};
+	/** @type {(value: any) => void} */
+	let answer = () => {};
+	const upstreamReached = new Promise((resolve) => {
+		reached = resolve;
+	});
+	stubUpstream(t, () => {
+		reached();
+		return new Promise((resolve) => {
+			answer = resolve;
+		});
+	});
+	const url = `${t.context.baseURL}/api/v1/mempool/tx/${txid}`;
+	const { payer, paymentHeader } = await payFor(url);
+
+	const controller = new AbortController();
+	const request = fetch(url, { headers: { 'X-PAYMENT': paymentHeader }, signal: controller.signal })
+		.catch((/** @type {Error} */ error) => error);
+	await upstreamReached;
+	controller.abort();
+	t.is((await request).name, 'AbortError');
+
+	// The query finishes after the client is gone, and is not charged
+	await new Promise((resolve) => setTimeout(resolve, 50));
+	answer({ data: { txid } });
+	await new Promise((resolve) => setTimeout(resolve, 50));
+	await t.throwsAsync(usdcBalance(payer.publicKey.toBase58()), { message: /could not find account/ });
+
+	// Voided payments are released, so the same payment can be spent again
+	stubUpstream(t, async () => ({ data: { txid } }));
+	t.is((await fetch(url, { headers: { 'X-PAYMENT': paymentHeader } })).status, 200);
+});
@@ -0,0 +1,258 @@
+// @ts-check
+import test from 'ava';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Keypair, Transaction } from '@solana/web3.js';
+import { createTransferCheckedInstruction, getAssociatedTokenAddressSync } from '@solana/spl-token';
+
+/**
+ * Settlement Queue Unit Tests
+ * Retry, dead-letter, reconciliation and persistence behaviour with a stubbed settler and RPC
+ */
+
+// Config validation runs on import, so provide the required variables first
+process.env.TREASURY_WALLET_ADDRESS ??= Keypair.generate().publicKey.toBase58();
+process.env.PORT ??= '3000';
+
+const { SettlementQueue } = await import('../src/services/settlement-queue.js');
+
+const paymentRequirements = /** @type {any} */ ({ network: 'solana-devnet', resource: '/api/v1/mempool/fees' });
+
+/**
+ * @param {{sponsored?: boolean}} [options] - Leave the fee payer's signature to a facilitator
+ * @returns {string} Signed payment header
+ */
+function createSignedPaymentHeader({ sponsored = false } = {}) {
+	const payer = Keypair.generate();
+	const feePayer = sponsored ? Keypair.generate().publicKey : payer.publicKey;
+	const mint = Keypair.generate().publicKey;
+	const tx = new Transaction().add(createTransferCheckedInstruction(
+		getAssociatedTokenAddressSync(mint, payer.publicKey),
+		mint,
+		getAssociatedTokenAddressSync(mint, Keypair.generate().publicKey),
+		payer.publicKey,
+		10000n,
+		6
+	));
+	tx.recentBlockhash = Keypair.generate().publicKey.toBase58();
+	tx.feePayer = feePayer;
+	tx.partialSign(payer);
+	const serialized = tx.serialize({ requireAllSignatures: false });
+	return Buffer.from(JSON.stringify({ payload: serialized.toString('base64') })).toString('base64');
+}
+
+/**
+ * @param {Array<boolean>} outcomes - Successive settlement outcomes
+ */
+function createSettler(outcomes) {
+	const settler = {
+		calls: 0,
+		async settlePayment() {
+			const success = outcomes[settler.calls++] ?? false;
+			return success
+				? { success, transaction: 'settled-tx', network: 'solana-devnet' }
+				: { success, errorReason: 'unexpected_settle_error', transaction: '', network: 'solana-devnet' };
+		},
+	};
+	return settler;
+}
+
+/**
+ * @param {any} value - Signature status returned by the stub RPC
+ * @param {string[]} [lookups] - Collects the signatures looked up
+ */
+function createConnection(value, lookups = []) {
+	return /** @type {any} */ ({
+		getSignatureStatus: async (signature) => {
+			lookups.push(signature);
+			return { value };
+		},
+	});
+}
+
+const options = { filePath: null, maxAttempts: 3, retryBaseMs: 0, pollIntervalMs: 1000, landingWindowMs: 60000 };
+
+test('retries failed settlements until they succeed', async (t) => {
+	const settler = createSettler([false, true]);
+	const queue = new SettlementQueue(options, settler, createConnection(null));
+
+	queue.enqueue(createSignedPaymentHeader(), paymentRequirements);
+	await queue.processDue();
+	t.is(queue.summary().pending, 1);
+
+	await queue.processDue();
+	t.is(queue.summary().settled, 1);
+	t.is(settler.calls, 2);
+});
+
+test('dead-letters a job after maxAttempts', async (t) => {
+	const queue = new SettlementQueue(options, createSettler([]), createConnection(null));
+
+	queue.enqueue(createSignedPaymentHeader(), paymentRequirements);
+	for (let i = 0; i < options.maxAttempts; i++) {
+		await queue.processDue();
+	}
+
+	t.is(queue.deadLetters().length, 1);
+	t.is(queue.deadLetters()[0].lastError, 'unexpected_settle_error');
+});
+
+test('settleNow does not retry a failed settlement', async (t) => {
+	const settler = createSettler([false, true]);
+	const queue = new SettlementQueue(options, settler, createConnection(null));
+
+	const result = await queue.settleNow(createSignedPaymentHeader(), paymentRequirements);
+	await queue.processDue();
+
+	t.false(result.success);
+	t.is(settler.calls, 1);
+	t.is(queue.summary().dead, 1);
+});
+
+test('reconcile confirms settled jobs found on-chain', async (t) => {
+	const queue = new SettlementQueue(options, createSettler([true]), createConnection({ confirmationStatus: 'finalized', err: null }));
+
+	queue.enqueue(createSignedPaymentHeader(), paymentRequirements);
+	await queue.processDue();
+	await queue.reconcile();
+
+	t.is(queue.summary().confirmed, 1);
+});
+
+test('reconcile recovers dead jobs that landed anyway', async (t) => {
+	const queue = new SettlementQueue(options, createSettler([]), createConnection({ confirmationStatus: 'confirmed', err: null }));
+
+	await queue.settleNow(createSignedPaymentHeader(), paymentRequirements);
+	await queue.reconcile();
+
+	t.is(queue.summary().confirmed, 1);
+	t.is(queue.deadLetters().length, 0);
+});
+
+test('reconciles by the on-chain signature, not the payer signature a facilitator co-signs', async (t) => {
+	/** @type {string[]} */
+	const lookups = [];
+	const settler = {
+		async settlePayment() {
+			// Submitted, but confirmation timed out
+			return { success: false, errorReason: 'settlement_exception', transaction: 'fee-payer-signature', network: 'solana-devnet' };
+		},
+	};
+	const queue = new SettlementQueue(options, settler, createConnection({ confirmationStatus: 'confirmed', err: null }, lookups));
+
+	const submitted = await queue.settleNow(createSignedPaymentHeader({ sponsored: true }), paymentRequirements);
+	t.false(submitted.success);
+	await queue.reconcile();
+	t.deepEqual(lookups, ['fee-payer-signature']);
+	t.is(queue.summary().confirmed, 1);
+
+	// Nothing was submitted and the payer's transaction cannot land without the fee payer's signature
+	const unsubmitted = new SettlementQueue({ ...options, landingWindowMs: 0 }, createSettler([]), createConnection(null, lookups));
+	const job = unsubmitted.enqueue(createSignedPaymentHeader({ sponsored: true }), paymentRequirements);
+	t.is(job.signature, undefined);
+	await unsubmitted.processDue();
+	await unsubmitted.processDue();
+	await unsubmitted.processDue();
+	await new Promise((resolve) => setTimeout(resolve, 5));
+	await unsubmitted.reconcile();
+	t.is(lookups.length, 1);
+	t.like(unsubmitted.deadLetters()[0], { reconciled: true, lastError: 'unexpected_settle_error' });
+});
+
+test('restores persisted jobs and resumes interrupted settlements', async (t) => {
+	const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'settlement-'));
+	const filePath = path.join(dir, 'queue.json');
+	t.teardown(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+	const first = new SettlementQueue({ ...options, filePath }, createSettler([]), createConnection(null));
+	first.enqueue(createSignedPaymentHeader(), paymentRequirements);
+
+	// Simulate a crash while the job was being settled
+	const [saved] = fs.readFileSync(filePath, 'utf8').split('\n').map((line) => line && JSON.parse(line));
+	fs.appendFileSync(filePath, `${JSON.stringify({ ...saved, status: 'settling' })}\n`);
+
+	const settler = createSettler([true]);
+	const second = new SettlementQueue({ ...options, filePath }, settler, createConnection(null));
+	t.is(second.summary().pending, 1);
+
+	await second.processDue();
+	t.is(settler.calls, 1);
+	t.is(second.summary().settled, 1);
+});
+
+test('keeps a metered transfer across attempts and restarts, before it is sent', async (t) => {
+	const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'settlement-'));
+	const filePath = path.join(dir, 'queue.json');
+	t.teardown(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+	const transfer = { signature: 'transfer-signature', transaction: 'signed-transfer', lastValidBlockHeight: 250 };
+	/** @type {any[]} */
+	const received = [];
+	const settler = {
+		async settlePayment(_header, _requirements, { transfer: previous, onTransfer }) {
+			received.push(previous);
+			// Settlement breaks off after signing the transfer, before any result comes back
+			onTransfer(transfer);
+			throw new Error('crashed');
+		},
+	};
+	const first = new SettlementQueue({ ...options, filePath }, settler, createConnection(null));
+	first.enqueue(createSignedPaymentHeader(), { ...paymentRequirements, scheme: 'upto' });
+	await first.processDue();
+	t.deepEqual(received, [undefined]);
+
+	/** @type {string[]} */
+	const lookups = [];
+	const second = new SettlementQueue({ ...options, filePath }, settler, createConnection(null, lookups));
+	await second.processDue();
+	t.deepEqual(received, [undefined, transfer]);
+
+	// Reconciled by the transfer, which is what lands, never by the payer's approval
+	await second.processDue();
+	await second.reconcile();
+	t.deepEqual(lookups, ['transfer-signature']);
+});
+
+test('appends each transition to the log and compacts it', async (t) => {
+	const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'settlement-'));
+	const filePath = path.join(dir, 'queue.json');
+	t.teardown(() => fs.rmSync(dir, { recursive: true, force: true }));
+	const lines = () => fs.readFileSync(filePath, 'utf8').split('\n').filter(Boolean).length;
+
+	const queue = new SettlementQueue({ ...options, filePath, retentionMs: 0 }, createSettler([true, true]), createConnection({
+		confirmationStatus: 'finalized',
+		err: null,
+	}));
+	queue.enqueue(createSignedPaymentHeader(), paymentRequirements);
+	queue.enqueue(createSignedPaymentHeader(), paymentRequirements);
+	t.is(lines(), 2);
+
+	// Only the job that changed is written: settling, then settled
+	await queue.processDue();
+	t.is(lines(), 6);
+
+	// Confirmed, then removed once past retention
+	await queue.reconcile();
+	t.is(lines(), 8);
+	await new Promise((resolve) => setTimeout(resolve, 5));
+	await queue.reconcile();
+	t.is(lines(), 10);
+	t.is(new SettlementQueue({ ...options, filePath }, createSettler([]), createConnection(null)).summary().confirmed, 0);
+	// Loading compacts the log to the jobs left
+	t.is(lines(), 0);
+});
+
+test('loads a queue saved as a JSON array', (t) => {
+	const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'settlement-'));
+	const filePath = path.join(dir, 'queue.json');
+	t.teardown(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+	const first = new SettlementQueue({ ...options, filePath: null }, createSettler([]), createConnection(null));
+	const job = first.enqueue(createSignedPaymentHeader(), paymentRequirements);
+	fs.writeFileSync(filePath, JSON.stringify([job]));
+
+	const queue = new SettlementQueue({ ...options, filePath }, createSettler([]), createConnection(null));
+	t.is(queue.summary().pending, 1);
+	t.is(fs.readFileSync(filePath, 'utf8'), `${JSON.stringify(job)}\n`);
+});
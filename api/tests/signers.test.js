@@ -0,0 +1,215 @@
+// @ts-check
+import test from 'ava';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import nacl from 'tweetnacl';
+import { Keypair, Transaction, VersionedTransaction } from '@solana/web3.js';
+import { McpError } from '@modelcontextprotocol/sdk/types.js';
+
+/**
+ * Payment Signer Tests
+ * Local keypair signing and the signing daemon protocol, against a stub
+ * daemon and a stub x402 server on the sandbox ledger
+ */
+
+// Config validation runs on import, so provide the required variables first
+process.env.TREASURY_WALLET_ADDRESS = Keypair.generate().publicKey.toBase58();
+process.env.PORT ??= '3000';
+process.env.X402_NETWORK = 'sandbox';
+
+const { config } = await import('../src/config/env.js');
+const { connectDaemonSigner, createKeypairSigner, loadSigner } = await import('../src/mcp/signers.js');
+const { createPaymentEnabledClient } = await import('../src/mcp/http-client.js');
+const { payerIdentityMessage } = await import('../src/services/wallet-tiers.js');
+
+const usdc = config.x402.tokens.USDC;
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-signer-'));
+const socketPath = path.join(tmpDir, 'signer.sock');
+
+/** Key held by the stub daemon */
+const daemonKeypair = Keypair.generate();
+/** @type {{method: string, params: any, authorization?: string}[]} */
+const daemonRequests = [];
+/** @type {'sign' | 'refuse' | 'tamper'} */
+let daemonMode = 'sign';
+
+/**
+ * Stub signing daemon: signs with its key unless told otherwise
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ */
+async function handleDaemonRequest(req, res) {
+	let body = '';
+	for await (const chunk of req) {
+		body += chunk;
+	}
+	const { method, params } = JSON.parse(body);
+	daemonRequests.push({ method, params, authorization: req.headers.authorization });
+
+	/** @param {Object} reply */
+	const send = (reply) => {
+		res.writeHead(200, { 'Content-Type': 'application/json' });
+		res.end(JSON.stringify(reply));
+	};
+
+	if (daemonMode === 'refuse' && method !== 'get_public_key') {
+		send({ error: { message: 'amount above daemon policy' } });
+	} else if (method === 'get_public_key') {
+		send({ result: { publicKey: daemonKeypair.publicKey.toBase58() } });
+	} else if (method === 'sign_message') {
+		const signature = nacl.sign.detached(Buffer.from(params.message, 'base64'), daemonKeypair.secretKey);
+		send({ result: { signature: Buffer.from(signature).toString('base64') } });
+	} else {
+		const tx = Transaction.from(Buffer.from(params.transaction, 'base64'));
+		if (daemonMode === 'tamper') {
+			tx.instructions[0].data = Buffer.from(tx.instructions[0].data).fill(0, 1, 9);
+		}
+		tx.partialSign(daemonKeypair);
+		send({ result: { transaction: tx.serialize({ requireAllSignatures: false }).toString('base64') } });
+	}
+}
+
+const daemon = http.createServer(handleDaemonRequest);
+const tcpDaemon = http.createServer(handleDaemonRequest);
+
+/** @type {any[]} */
+const payments = [];
+/** @type {http.IncomingHttpHeaders[]} */
+const apiRequests = [];
+
+const api = http.createServer((req, res) => {
+	apiRequests.push(req.headers);
+	const header = req.headers['x-payment'];
+	if (!header) {
+		res.writeHead(402, { 'Content-Type': 'application/json' });
+		res.end(JSON.stringify({
+			x402Version: 1,
+			accepts: [{
+				scheme: 'exact',
+				network: 'sandbox',
+				maxAmountRequired: '10000',
+				resource: 'http://localhost/paid',
+				payTo: config.treasury.walletAddress,
+				maxTimeoutSeconds: 60,
+				asset: usdc.mint,
+			}],
+		}));
+		return;
+	}
+
+	payments.push(JSON.parse(Buffer.from(String(header), 'base64').toString('utf8')));
+	res.writeHead(200, { 'Content-Type': 'application/json' });
+	res.end(JSON.stringify({ success: true }));
+});
+
+/**
+ * @param {http.Server} server
+ * @param {string | number} address - Socket path or port
+ */
+async function listen(server, address) {
+	server.listen(address);
+	await new Promise((resolve) => server.once('listening', resolve));
+}
+
+test.before(async (t) => {
+	await listen(daemon, socketPath);
+	await listen(tcpDaemon, 0);
+	await listen(api, 0);
+	t.context.daemonUrl = `http://127.0.0.1:${/** @type {import('net').AddressInfo} */ (tcpDaemon.address()).port}`;
+	t.context.baseURL = `http://127.0.0.1:${/** @type {import('net').AddressInfo} */ (api.address()).port}`;
+});
+
+test.after.always(() => {
+	daemon.close();
+	tcpDaemon.close();
+	api.close();
+	fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+test.beforeEach(() => {
+	daemonMode = 'sign';
+	daemonRequests.length = 0;
+	payments.length = 0;
+	apiRequests.length = 0;
+});
+
+test('a keypair signer signs messages and legacy and versioned transactions', async (t) => {
+	const keypair = Keypair.generate();
+	const signer = createKeypairSigner(keypair);
+	const message = Buffer.from('hello');
+
+	t.true(nacl.sign.detached.verify(message, await signer.signMessage(message, 'test'), keypair.publicKey.toBytes()));
+
+	const legacy = new Transaction({ feePayer: keypair.publicKey, blockhash: Keypair.generate().publicKey.toBase58(), lastValidBlockHeight: 1 });
+	legacy.add({ keys: [{ pubkey: keypair.publicKey, isSigner: true, isWritable: true }], programId: Keypair.generate().publicKey, data: Buffer.alloc(0) });
+	t.true((await signer.signTransaction(legacy, /** @type {any} */ ({}))).verifySignatures());
+
+	const versioned = new VersionedTransaction(legacy.compileMessage());
+	const signed = await signer.signTransaction(versioned, /** @type {any} */ ({}));
+	t.true(nacl.sign.detached.verify(signed.message.serialize(), signed.signatures[0], keypair.publicKey.toBytes()));
+});
+
+test.serial('pays through a signing daemon on a Unix socket, without holding the key', async (t) => {
+	const signer = await loadSigner({ MCP_SIGNER_SOCKET: socketPath });
+	t.is(signer.kind, 'daemon');
+	t.true(signer.publicKey.equals(daemonKeypair.publicKey));
+
+	const client = createPaymentEnabledClient(signer, /** @type {string} */ (t.context.baseURL));
+	t.true((await client.get('/paid')).success);
+
+	// The daemon saw what it was paying for
+	const signing = daemonRequests.find((request) => request.method === 'sign_transaction');
+	t.deepEqual(signing?.params.payment, {
+		payTo: config.treasury.walletAddress,
+		asset: usdc.mint,
+		amount: '10000',
+		resource: 'http://localhost/paid',
+	});
+	t.is(signing?.params.network, 'sandbox');
+
+	// Its signatures reached the API: payer identity and the payment itself
+	const [quoteRequest] = apiRequests;
+	t.true(nacl.sign.detached.verify(
+		Buffer.from(payerIdentityMessage(daemonKeypair.publicKey.toBase58(), Number(quoteRequest['x402-timestamp']))),
+		Buffer.from(String(quoteRequest['x402-signature']), 'base64'),
+		daemonKeypair.publicKey.toBytes()
+	));
+	t.true(Transaction.from(Buffer.from(payments[0].payload, 'base64')).verifySignatures());
+});
+
+test.serial('reports a payment the daemon refuses, without paying', async (t) => {
+	const signer = await connectDaemonSigner({ socketPath });
+	const client = createPaymentEnabledClient(signer, /** @type {string} */ (t.context.baseURL));
+	daemonMode = 'refuse';
+
+	await t.throwsAsync(client.get('/paid'), {
+		instanceOf: McpError,
+		message: /Payment refused by the signer: amount above daemon policy/,
+	});
+	t.is(payments.length, 0);
+});
+
+test.serial('rejects a transaction the daemon changed', async (t) => {
+	const signer = await connectDaemonSigner({ socketPath });
+	const client = createPaymentEnabledClient(signer, /** @type {string} */ (t.context.baseURL));
+	daemonMode = 'tamper';
+
+	await t.throwsAsync(client.get('/paid'), { message: /Signer changed the transaction/ });
+	t.is(payments.length, 0);
+});
+
+test.serial('talks to a daemon over HTTP with a bearer token', async (t) => {
+	const signer = await loadSigner({ MCP_SIGNER_URL: /** @type {string} */ (t.context.daemonUrl), MCP_SIGNER_TOKEN: 'secret' });
+
+	t.true(signer.publicKey.equals(daemonKeypair.publicKey));
+	t.is(daemonRequests[0].authorization, 'Bearer secret');
+});
+
+test('reports an unreachable daemon and invalid settings', async (t) => {
+	await t.throwsAsync(loadSigner({ MCP_SIGNER_SOCKET: path.join(tmpDir, 'missing.sock') }), { message: /Signer unreachable/ });
+	await t.throwsAsync(loadSigner({ MCP_SIGNER_SOCKET: socketPath, MCP_SIGNER_URL: 'http://localhost:1' }), { instanceOf: McpError });
+	await t.throwsAsync(loadSigner({ MCP_SIGNER_URL: 'ftp://signer' }), { message: /must be an http\(s\) URL/ });
+	await t.throwsAsync(loadSigner({ MCP_SIGNER_SOCKET: socketPath, MCP_SIGNER_TIMEOUT_MS: 'soon' }), { message: /MCP_SIGNER_TIMEOUT_MS/ });
+});
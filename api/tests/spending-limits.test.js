@@ -0,0 +1,116 @@
+// @ts-check
+import test from 'ava';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Keypair } from '@solana/web3.js';
+import { McpError } from '@modelcontextprotocol/sdk/types.js';
+
+/**
+ * MCP Spending Limits Unit Tests
+ * Allowlists, per-request, per-session and rolling daily budgets
+ */
+
+// Config validation runs on import, so provide the required variables first
+process.env.TREASURY_WALLET_ADDRESS ??= Keypair.generate().publicKey.toBase58();
+process.env.PORT ??= '3000';
+
+const { SpendingLimits, SPENDING_WINDOW_MS, loadSpendingLimits } = await import('../src/mcp/spending-limits.js');
+
+const treasury = Keypair.generate().publicKey.toBase58();
+const usdcMint = Keypair.generate().publicKey.toBase58();
+const solMint = Keypair.generate().publicKey.toBase58();
+
+const tokens = {
+	USDC: { symbol: 'USDC', decimals: 6, mint: usdcMint, usdRate: '1' },
+	SOL: { symbol: 'SOL', decimals: 9, mint: solMint, usdRate: null },
+};
+
+/**
+ * @param {string} maxAmountRequired - USDC base units
+ * @param {Partial<{payTo: string, asset: string}>} [overrides]
+ */
+function requirements(maxAmountRequired, overrides = {}) {
+	return { payTo: treasury, asset: usdcMint, maxAmountRequired, ...overrides };
+}
+
+test('refuses a payment above the per-request limit', (t) => {
+	const limits = new SpendingLimits({ maxPerRequest: '0.05' }, tokens);
+
+	t.notThrows(() => limits.authorize(requirements('50000')));
+	const error = t.throws(() => limits.authorize(requirements('50001')), { instanceOf: McpError });
+	t.regex(error.message, /per-request limit of \$0\.05/);
+});
+
+test('counts payments against the session and rolling day', (t) => {
+	const now = Date.now();
+	const limits = new SpendingLimits({ maxPerSession: '0.03', maxPerDay: '0.02' }, tokens);
+
+	limits.authorize(requirements('10000'), now - SPENDING_WINDOW_MS);
+	limits.authorize(requirements('10000'), now);
+	limits.authorize(requirements('10000'), now);
+	t.deepEqual(limits.summary(now), {
+		session: '0.03',
+		today: '0.02',
+		limits: { perRequest: null, perSession: '0.03', perDay: '0.02' },
+	});
+
+	t.throws(() => limits.authorize(requirements('1'), now), { message: /session limit/ });
+});
+
+test('refuses once the rolling day is spent, until it rolls over', (t) => {
+	const now = Date.now();
+	const limits = new SpendingLimits({ maxPerDay: '0.02' }, tokens);
+
+	limits.authorize(requirements('20000'), now);
+	t.throws(() => limits.authorize(requirements('1'), now + 1000), { message: /daily limit of \$0\.02/ });
+	t.notThrows(() => limits.authorize(requirements('20000'), now + SPENDING_WINDOW_MS));
+});
+
+test('releases a payment that was never sent', (t) => {
+	const limits = new SpendingLimits({ maxPerSession: '0.01' }, tokens);
+
+	const charge = limits.authorize(requirements('10000'));
+	t.throws(() => limits.authorize(requirements('10000')));
+
+	charge.release();
+	charge.release();
+	t.is(limits.summary().session, '0');
+	t.notThrows(() => limits.authorize(requirements('10000')));
+});
+
+test('enforces the payee and mint allowlists', (t) => {
+	const limits = new SpendingLimits({ allowedPayees: [treasury], allowedMints: [usdcMint] }, tokens);
+	const stranger = Keypair.generate().publicKey.toBase58();
+
+	t.throws(() => limits.authorize(requirements('1', { payTo: stranger })), { message: /payee .* is not in the allowlist/ });
+	t.throws(() => limits.authorize(requirements('1', { asset: solMint })), { message: /token .* is not in the allowlist/ });
+	t.notThrows(() => limits.authorize(requirements('1')));
+});
+
+test('refuses tokens it cannot value', (t) => {
+	const limits = new SpendingLimits({}, tokens);
+
+	t.throws(() => limits.authorize(requirements('1', { asset: solMint })), { message: /no USD rate/ });
+	t.throws(() => limits.authorize(requirements('1', { asset: Keypair.generate().publicKey.toBase58() })), { message: /no USD rate/ });
+});
+
+test('persists the rolling day across restarts', (t) => {
+	const logFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'spending-')), 'mcp_spending.json');
+	t.teardown(() => fs.rmSync(path.dirname(logFile), { recursive: true, force: true }));
+
+	new SpendingLimits({ maxPerDay: '0.02', logFile }, tokens).authorize(requirements('15000'));
+
+	const restarted = new SpendingLimits({ maxPerDay: '0.02', logFile }, tokens);
+	t.is(restarted.summary().session, '0');
+	t.is(restarted.summary().today, '0.015');
+	t.throws(() => restarted.authorize(requirements('10000')), { message: /daily limit/ });
+});
+
+test('reads limits from the environment with defaults', (t) => {
+	const limits = loadSpendingLimits({ MCP_MAX_PAYMENT_PER_SESSION: 'none', MCP_MAX_PAYMENT_PER_DAY: '2.5', MCP_SPENDING_LOG_FILE: '' });
+	t.deepEqual(limits.summary().limits, { perRequest: '1', perSession: null, perDay: '2.5' });
+
+	t.throws(() => loadSpendingLimits({ MCP_MAX_PAYMENT_PER_REQUEST: '-1' }), { instanceOf: McpError, message: /MCP_MAX_PAYMENT_PER_REQUEST/ });
+	t.throws(() => loadSpendingLimits({ MCP_MAX_PAYMENT_PER_DAY: 'lots' }), { message: /positive USD amount/ });
+});
@@ -0,0 +1,221 @@
+// @ts-check
+import test from 'ava';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { Keypair, PublicKey, TransactionMessage, VersionedTransaction } from '@solana/web3.js';
+import { createTransferCheckedInstruction, getAssociatedTokenAddressSync } from '@solana/spl-token';
+
+/**
+ * Sponsored Payment Tests
+ * Payments whose fees the built-in facilitator pays, from verification to
+ * settlement, with the facilitator served over HTTP by this app and the
+ * sandbox ledger standing in for the RPC
+ */
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sponsored-'));
+const feePayer = Keypair.generate();
+fs.writeFileSync(path.join(tmpDir, 'fee-payer.json'), JSON.stringify([...feePayer.secretKey]));
+
+// The built-in facilitator is reached through BASE_API_URL, so listen before loading config
+const server = http.createServer();
+await new Promise((resolve) => server.listen(0, '127.0.0.1', () => resolve(undefined)));
+const { port } = /** @type {import('net').AddressInfo} */ (server.address());
+
+// Config validation runs on import, so provide the required variables first
+process.env.TREASURY_WALLET_ADDRESS = Keypair.generate().publicKey.toBase58();
+process.env.PORT = String(port);
+process.env.BASE_API_URL = `http://127.0.0.1:${port}`;
+process.env.X402_NETWORK = 'solana-devnet';
+process.env.X402_FACILITATOR_KEYPAIR = path.join(tmpDir, 'fee-payer.json');
+process.env.SETTLEMENT_QUEUE_STORE = 'memory';
+process.env.TREASURY_ROTATIONS_PATH = path.join(tmpDir, 'treasury-rotations.json');
+
+const { config } = await import('../src/config/env.js');
+const { default: app } = await import('../src/app.js');
+const { x402Service } = await import('../src/services/x402.service.js');
+const { settlementQueue } = await import('../src/services/settlement-queue.js');
+const { getPaymentSignature } = await import('../src/services/payment-ledger.js');
+const { directPaymentVerifier } = await import('../src/services/direct-verifier.js');
+const { sandboxLedger } = await import('../src/services/sandbox-ledger.js');
+const { mempoolService } = await import('../src/services/mempool.service.js');
+const { facilitatorPool } = await import('../src/services/facilitator-pool.js');
+const { treasury } = await import('../src/services/treasury.js');
+
+server.on('request', app);
+
+// The facilitator simulates and submits through the direct verifier's connection
+/** @type {any} */ (directPaymentVerifier).connection = sandboxLedger;
+
+// Bitcoin data is not what is under test; keep the paid endpoint offline too
+mempoolService.getRecommendedFees = async () => ({
+	success: true,
+	data: { fastestFee: 12, halfHourFee: 10, hourFee: 8, economyFee: 4, minimumFee: 1 },
+});
+
+/**
+ * Build a payment signed by the payer only, leaving the fee payer's signature
+ * to the facilitator, the way x402 clients do for a quote naming a fee payer
+ *
+ * @param {Keypair} payer
+ * @param {import('../src/services/x402.service.js').PaymentRequirements & {extra: any}} requirements
+ * @returns {Promise<string>} X-PAYMENT header value
+ */
+async function createSponsoredPaymentHeader(payer, requirements) {
+	const mint = new PublicKey(requirements.asset);
+	const message = new TransactionMessage({
+		payerKey: new PublicKey(requirements.extra.feePayer),
+		recentBlockhash: (await sandboxLedger.getLatestBlockhash()).blockhash,
+		instructions: [
+			createTransferCheckedInstruction(
+				getAssociatedTokenAddressSync(mint, payer.publicKey),
+				mint,
+				getAssociatedTokenAddressSync(mint, new PublicKey(requirements.payTo), true),
+				payer.publicKey,
+				BigInt(requirements.maxAmountRequired),
+				requirements.extra.decimals
+			),
+		],
+	}).compileToV0Message();
+	const tx = new VersionedTransaction(message);
+	tx.sign([payer]);
+
+	const paymentPayload = {
+		x402Version: 1,
+		scheme: 'exact',
+		network: requirements.network,
+		payload: Buffer.from(tx.serialize()).toString('base64'),
+	};
+	return Buffer.from(JSON.stringify(paymentPayload), 'utf8').toString('base64');
+}
+
+/**
+ * @param {string} mint
+ * @param {string} [owner] - Treasury address (default: TREASURY_WALLET_ADDRESS)
+ * @returns {Promise<bigint>} Treasury balance in base units
+ */
+async function treasuryBalance(mint, owner = config.treasury.walletAddress) {
+	const ata = getAssociatedTokenAddressSync(new PublicKey(mint), new PublicKey(owner), true);
+	return BigInt((await sandboxLedger.getTokenAccountBalance(ata)).value.amount);
+}
+
+test.after.always(() => {
+	server.close();
+	fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+test('verifies a sponsored payment once and settles it through the queue', async (t) => {
+	const [requirements] = await x402Service.createPaymentRequirements(0.01, '/api/v1/mempool/fees');
+	t.is(requirements.extra.feePayer, feePayer.publicKey.toBase58());
+
+	const payer = Keypair.generate();
+	const paymentHeader = await createSponsoredPaymentHeader(payer, requirements);
+
+	t.true((await x402Service.verifyPayment(paymentHeader, requirements)).isValid);
+	t.deepEqual(await x402Service.verifyPayment(paymentHeader, requirements), {
+		isValid: false,
+		invalidReason: 'payment_already_used',
+	});
+
+	const job = settlementQueue.submit(paymentHeader, requirements);
+	t.is(job.id, getPaymentSignature(paymentHeader));
+	while (job.status === 'pending' || job.status === 'settling') {
+		await new Promise((resolve) => setTimeout(resolve, 10));
+	}
+
+	t.is(job.status, 'settled');
+	t.is(job.payer, payer.publicKey.toBase58());
+	// The transaction is identified on-chain by the fee payer's signature, added at settlement
+	t.not(job.transaction, job.id);
+	// The treasury's token account opened with the sandbox starting balance
+	const startingBalance = BigInt(config.x402.sandbox.startingBalance) * 10n ** BigInt(requirements.extra.decimals);
+	t.is(await treasuryBalance(requirements.asset), startingBalance + BigInt(requirements.maxAmountRequired));
+});
+
+test('pays a paid route through the built-in facilitator', async (t) => {
+	const url = `${config.api.baseUrl}/api/v1/mempool/fees`;
+	const quote = await fetch(url);
+	t.is(quote.status, 402);
+	const [requirements] = (await quote.json()).accepts;
+	t.is(requirements.extra.feePayer, feePayer.publicKey.toBase58());
+
+	const paymentHeader = await createSponsoredPaymentHeader(Keypair.generate(), requirements);
+	const balanceBefore = await treasuryBalance(requirements.asset);
+
+	const paid = await fetch(url, { headers: { 'X-PAYMENT': paymentHeader } });
+	t.is(paid.status, 200);
+	t.is((await paid.json()).fees.fastestFee, 12);
+
+	const replayed = await fetch(url, { headers: { 'X-PAYMENT': paymentHeader } });
+	t.is(replayed.status, 402);
+	t.is((await replayed.json()).reason, 'payment_already_used');
+
+	// Async settlement runs after the response is sent
+	while (settlementQueue.summary().pending > 0 || settlementQueue.summary().settling > 0) {
+		await new Promise((resolve) => setTimeout(resolve, 10));
+	}
+	t.is(settlementQueue.summary().dead, 0);
+	t.is(await treasuryBalance(requirements.asset), balanceBefore + BigInt(requirements.maxAmountRequired));
+});
+
+test('quotes, verifies and settles through the facilitators after a treasury rotation', async (t) => {
+	const [beforeRotation] = await x402Service.createPaymentRequirements(0.01, '/api/v1/mempool/fees');
+	const retiringPayment = await createSponsoredPaymentHeader(Keypair.generate(), beforeRotation);
+
+	const rotated = Keypair.generate().publicKey.toBase58();
+	treasury.rotate(rotated);
+
+	// The facilitator clients themselves quote the active treasury
+	const quote = await facilitatorPool.run(
+		'quote',
+		(client) => client.createPaymentRequirements({
+			price: { amount: '10000', asset: { address: beforeRotation.asset } },
+			network: config.x402.network,
+			config: { description: 'Fees', resource: beforeRotation.resource },
+		}),
+		async () => t.fail('facilitator unavailable')
+	);
+	t.is(quote.payTo, rotated);
+
+	const [requirements] = await x402Service.createPaymentRequirements(0.01, '/api/v1/mempool/fees');
+	t.is(requirements.payTo, rotated);
+
+	const payment = await createSponsoredPaymentHeader(Keypair.generate(), requirements);
+	t.true((await x402Service.verifyPayment(payment, requirements)).isValid);
+	t.true((await x402Service.settlePayment(payment, requirements)).success);
+
+	const startingBalance = BigInt(config.x402.sandbox.startingBalance) * 10n ** BigInt(requirements.extra.decimals);
+	t.is(await treasuryBalance(requirements.asset, rotated), startingBalance + BigInt(requirements.maxAmountRequired));
+
+	// A payment quoted before the rotation still pays the retiring address
+	const retiringRequirements = x402Service.selectPaymentRequirements(retiringPayment, [requirements]);
+	t.is(retiringRequirements?.payTo, config.treasury.walletAddress);
+	const retiringBalance = await treasuryBalance(requirements.asset);
+	t.true((await x402Service.verifyPayment(retiringPayment, /** @type {any} */ (retiringRequirements))).isValid);
+	t.true((await x402Service.settlePayment(retiringPayment, /** @type {any} */ (retiringRequirements))).success);
+	t.is(await treasuryBalance(requirements.asset), retiringBalance + BigInt(requirements.maxAmountRequired));
+});
+
+test('limits how often a client outside this host calls verify and settle', async (t) => {
+	const { rateLimitRequests } = config.x402.facilitator;
+	const call = (/** @type {string} */ client) => fetch(`${config.api.baseUrl}/facilitator/settle`, {
+		method: 'POST',
+		headers: { 'Content-Type': 'application/json', 'X-Forwarded-For': client },
+		body: JSON.stringify({}),
+	});
+
+	for (let i = 0; i < rateLimitRequests; i++) {
+		t.is((await call('203.0.113.7')).status, 400);
+	}
+	const limited = await call('203.0.113.7');
+	t.is(limited.status, 429);
+	t.truthy(limited.headers.get('retry-after'));
+
+	// This server's own calls arrive over loopback without a forwarding header
+	t.is((await fetch(`${config.api.baseUrl}/facilitator/verify`, {
+		method: 'POST',
+		headers: { 'Content-Type': 'application/json' },
+		body: JSON.stringify({}),
+	})).status, 400);
+});
@@ -0,0 +1,201 @@
+// @ts-check
+import test from 'ava';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Keypair, PublicKey, Transaction } from '@solana/web3.js';
+import { createTransferCheckedInstruction, getAssociatedTokenAddressSync } from '@solana/spl-token';
+
+/**
+ * Treasury Set Unit Tests
+ * Active, retiring and revoked treasury addresses, scheduled and manual
+ * rotations, and payments quoted before a rotation
+ */
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'treasury-'));
+const initial = Keypair.generate().publicKey.toBase58();
+
+// Config validation runs on import, so provide the required variables first
+process.env.TREASURY_WALLET_ADDRESS = initial;
+process.env.TREASURY_ROTATIONS_PATH = path.join(tmpDir, 'treasury-rotations.json');
+process.env.TREASURY_GRACE_PERIOD_SECONDS = '3600';
+process.env.PORT ??= '3000';
+process.env.X402_NETWORK = 'sandbox';
+
+const { TreasurySet, treasury } = await import('../src/services/treasury.js');
+const { x402Service } = await import('../src/services/x402.service.js');
+const { sandboxLedger } = await import('../src/services/sandbox-ledger.js');
+
+const HOUR = 3600 * 1000;
+let files = 0;
+
+/**
+ * @param {Object} [schedule] - Rotation file contents (none if omitted)
+ * @returns {string} Path to a fresh rotation file location
+ */
+function rotationsFile(schedule) {
+	const filePath = path.join(tmpDir, `rotations-${files++}.json`);
+	if (schedule) {
+		fs.writeFileSync(filePath, JSON.stringify(schedule));
+	}
+	return filePath;
+}
+
+/**
+ * @param {TreasurySet} set
+ * @param {number} now
+ * @returns {Record<string, string>} Status by address
+ */
+function statuses(set, now) {
+	return Object.fromEntries(set.getStatus(now).addresses.map(({ address, status }) => [address, status]));
+}
+
+test.after.always(() => {
+	fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+test('quotes the initial address until a rotation is scheduled', (t) => {
+	const set = new TreasurySet(initial, rotationsFile(), 3600);
+	t.is(set.getActiveAddress(), initial);
+	t.deepEqual(set.getAcceptedAddresses(), [initial]);
+});
+
+test('a scheduled rotation takes over at its time, and the old address retires after the grace period', (t) => {
+	const next = Keypair.generate().publicKey.toBase58();
+	const switchAt = Date.now() + HOUR;
+	const set = new TreasurySet(initial, rotationsFile({
+		rotations: [{ address: next, activeFrom: new Date(switchAt).toISOString() }],
+	}), 3600);
+
+	t.deepEqual(statuses(set, switchAt - 1), { [initial]: 'active', [next]: 'scheduled' });
+	t.is(set.getActiveAddress(switchAt - 1), initial);
+
+	t.deepEqual(statuses(set, switchAt), { [initial]: 'retiring', [next]: 'active' });
+	t.deepEqual(set.getAcceptedAddresses(switchAt), [next, initial]);
+	t.like(set.getStatus(switchAt).addresses[0], {
+		retiredAt: new Date(switchAt).toISOString(),
+		acceptedUntil: new Date(switchAt + HOUR).toISOString(),
+	});
+
+	t.deepEqual(statuses(set, switchAt + HOUR), { [initial]: 'retired', [next]: 'active' });
+	t.deepEqual(set.getAcceptedAddresses(switchAt + HOUR), [next]);
+});
+
+test('manual rotations and revocations are saved and picked up by other processes', (t) => {
+	const filePath = rotationsFile();
+	const set = new TreasurySet(initial, filePath, 3600);
+	const next = Keypair.generate().publicKey.toBase58();
+
+	set.rotate(next);
+	t.is(set.getActiveAddress(), next);
+	t.deepEqual(set.getAcceptedAddresses(), [next, initial]);
+
+	// A compromised address is refused at once, without waiting for the grace period
+	set.revoke(initial);
+	t.deepEqual(set.getAcceptedAddresses(), [next]);
+
+	const server = new TreasurySet(initial, filePath, 3600);
+	t.deepEqual(statuses(server, Date.now()), { [initial]: 'revoked', [next]: 'active' });
+});
+
+test('refuses schedules that would leave no active address', (t) => {
+	const set = new TreasurySet(initial, rotationsFile(), 3600);
+	const next = Keypair.generate().publicKey.toBase58();
+
+	t.throws(() => set.revoke(initial), { message: /No treasury address would be active/ });
+	t.throws(() => set.rotate(initial, Date.now() + HOUR), { message: /No treasury address would be active/ });
+	t.throws(() => set.rotate('not-an-address'), { message: /Invalid treasury address/ });
+	t.is(set.getActiveAddress(), initial);
+
+	// A scheduled successor does not replace the active address until its time
+	set.rotate(next, Date.now() + HOUR);
+	t.throws(() => set.revoke(initial));
+	t.is(set.getActiveAddress(), initial);
+
+	t.throws(() => new TreasurySet(initial, null, 3600).rotate(next), { message: /TREASURY_ROTATIONS_PATH/ });
+});
+
+test('an invalid edit keeps the previous schedule', (t) => {
+	const next = Keypair.generate().publicKey.toBase58();
+	const filePath = rotationsFile({ rotations: [{ address: next, activeFrom: new Date(0).toISOString() }] });
+	const set = new TreasurySet(initial, filePath, 3600, 0);
+	t.is(set.getActiveAddress(), next);
+
+	fs.writeFileSync(filePath, JSON.stringify({ rotations: [{ address: next, activeFrom: 'soon' }] }));
+	fs.utimesSync(filePath, new Date(), new Date(Date.now() + 1000));
+	t.is(set.getActiveAddress(), next);
+	t.deepEqual(set.getAcceptedAddresses(), [next]);
+});
+
+test('checks the rotation file for changes at most once per reload interval', async (t) => {
+	const next = Keypair.generate().publicKey.toBase58();
+	const filePath = rotationsFile();
+	const set = new TreasurySet(initial, filePath, 3600, 50);
+	t.is(set.getActiveAddress(), initial);
+
+	// Rotated by another process
+	new TreasurySet(initial, filePath, 3600).rotate(next);
+	t.is(set.getActiveAddress(), initial);
+
+	await new Promise((resolve) => setTimeout(resolve, 60));
+	t.is(set.getActiveAddress(), next);
+});
+
+test.serial('quotes follow a rotation, and payments to the retiring address still match', async (t) => {
+	const next = Keypair.generate().publicKey.toBase58();
+	const before = await x402Service.createPaymentRequirements(0.01, '/api/v1/mempool/fees');
+	t.true(before.every((requirements) => requirements.payTo === initial));
+
+	treasury.rotate(next);
+	const after = await x402Service.createPaymentRequirements(0.01, '/api/v1/mempool/fees');
+	t.true(after.every((requirements) => requirements.payTo === next));
+
+	// Paid against the quote issued before the rotation
+	const payer = Keypair.generate();
+	const mint = new PublicKey(before[0].asset);
+	const tx = new Transaction().add(createTransferCheckedInstruction(
+		getAssociatedTokenAddressSync(mint, payer.publicKey),
+		mint,
+		getAssociatedTokenAddressSync(mint, new PublicKey(initial), true),
+		payer.publicKey,
+		BigInt(before[0].maxAmountRequired),
+		before[0].extra.decimals
+	));
+	tx.recentBlockhash = Keypair.generate().publicKey.toBase58();
+	tx.feePayer = payer.publicKey;
+	tx.sign(payer);
+	const header = Buffer.from(JSON.stringify({ scheme: 'exact', payload: tx.serialize().toString('base64') })).toString('base64');
+
+	t.is(x402Service.selectPaymentRequirements(header, after)?.payTo, initial);
+
+	// Once the retiring address is revoked, only the token matches (and verification fails on the destination)
+	treasury.revoke(initial);
+	t.is(x402Service.selectPaymentRequirements(header, after)?.payTo, next);
+});
+
+test.serial('payments settle to an address rotated in while running', async (t) => {
+	const rotated = Keypair.generate().publicKey.toBase58();
+	treasury.rotate(rotated);
+	const [requirements] = await x402Service.createPaymentRequirements(0.01, '/api/v1/mempool/fees');
+	t.is(requirements.payTo, rotated);
+
+	const payer = Keypair.generate();
+	const mint = new PublicKey(requirements.asset);
+	const treasuryAta = getAssociatedTokenAddressSync(mint, new PublicKey(rotated), true);
+	const tx = new Transaction().add(createTransferCheckedInstruction(
+		getAssociatedTokenAddressSync(mint, payer.publicKey),
+		mint,
+		treasuryAta,
+		payer.publicKey,
+		BigInt(requirements.maxAmountRequired),
+		requirements.extra.decimals
+	));
+	tx.recentBlockhash = (await sandboxLedger.getLatestBlockhash()).blockhash;
+	tx.feePayer = payer.publicKey;
+	tx.sign(payer);
+	const header = Buffer.from(JSON.stringify({ scheme: 'exact', payload: tx.serialize().toString('base64') })).toString('base64');
+
+	t.true((await x402Service.verifyPayment(header, requirements)).isValid);
+	t.true((await x402Service.settlePayment(header, requirements)).success);
+	t.is((await sandboxLedger.getTokenAccountBalance(treasuryAta)).value.amount, (100_000_000n + 10_000n).toString());
+});
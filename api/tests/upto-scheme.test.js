@@ -0,0 +1,212 @@
+// @ts-check
+import test from 'ava';
+import { Keypair, Transaction, TransactionMessage, VersionedTransaction } from '@solana/web3.js';
+import { createApproveCheckedInstruction, getAssociatedTokenAddressSync } from '@solana/spl-token';
+import bs58 from 'bs58';
+
+/**
+ * Metered "upto" Scheme Unit Tests
+ * Approval validation, payer identification, metering and idempotent settlement
+ */
+
+// Config validation runs on import, so provide the required variables first
+process.env.TREASURY_WALLET_ADDRESS ??= Keypair.generate().publicKey.toBase58();
+process.env.PORT ??= '3000';
+
+const {
+	UptoPaymentScheme,
+	decodeTokenApprovals,
+	findPaymentApproval,
+	getUptoPaymentPayer,
+	meterPaymentRequirements,
+	selectUptoRequirements,
+} = await import('../src/services/upto-scheme.js');
+
+const payer = Keypair.generate();
+const delegate = Keypair.generate();
+const treasury = Keypair.generate().publicKey;
+const mint = Keypair.generate().publicKey;
+const payerAta = getAssociatedTokenAddressSync(mint, payer.publicKey);
+
+const paymentRequirements = /** @type {any} */ ({
+	scheme: 'upto',
+	network: 'solana-devnet',
+	payTo: treasury.toBase58(),
+	asset: mint.toBase58(),
+	maxAmountRequired: '250000',
+	extra: { delegate: delegate.publicKey.toBase58(), unitAmount: '5000', maxUnits: 50 },
+});
+
+/**
+ * @param {bigint} amount - Approved amount
+ * @returns {string} Signed upto payment header
+ */
+function createApprovalHeader(amount) {
+	const message = new TransactionMessage({
+		payerKey: payer.publicKey,
+		recentBlockhash: Keypair.generate().publicKey.toBase58(),
+		instructions: [createApproveCheckedInstruction(payerAta, mint, delegate.publicKey, payer.publicKey, amount, 6)],
+	}).compileToV0Message();
+	const tx = new VersionedTransaction(message);
+	tx.sign([payer]);
+
+	const payload = { x402Version: 1, scheme: 'upto', network: 'solana-devnet', payload: Buffer.from(tx.serialize()).toString('base64') };
+	return Buffer.from(JSON.stringify(payload)).toString('base64');
+}
+
+/**
+ * @param {string} header
+ */
+function approvalsOf(header) {
+	const { payload } = JSON.parse(Buffer.from(header, 'base64').toString('utf8'));
+	const tx = VersionedTransaction.deserialize(Buffer.from(payload, 'base64'));
+	return decodeTokenApprovals(TransactionMessage.decompile(tx.message).instructions);
+}
+
+test('accepts an approval of the maximum to the metering delegate', (t) => {
+	const { approval, invalidReason } = findPaymentApproval(approvalsOf(createApprovalHeader(250000n)), paymentRequirements);
+	t.is(invalidReason, undefined);
+	t.true(approval?.owner.equals(payer.publicKey));
+});
+
+test('rejects approvals other than the maximum, to another delegate or mint', (t) => {
+	const approvals = approvalsOf(createApprovalHeader(249999n));
+	t.is(findPaymentApproval(approvals, paymentRequirements).invalidReason, 'insufficient_approval_amount');
+
+	// The unmetered remainder stays delegated, so it may not exceed the quote
+	const excessive = approvalsOf(createApprovalHeader(250001n));
+	t.is(findPaymentApproval(excessive, paymentRequirements).invalidReason, 'excessive_approval_amount');
+
+	const otherDelegate = { ...paymentRequirements, extra: { ...paymentRequirements.extra, delegate: treasury.toBase58() } };
+	t.is(findPaymentApproval(approvals, otherDelegate).invalidReason, 'invalid_approval_delegate');
+
+	const otherMint = { ...paymentRequirements, asset: Keypair.generate().publicKey.toBase58() };
+	t.is(findPaymentApproval(approvals, otherMint).invalidReason, 'invalid_approval_mint');
+
+	t.is(findPaymentApproval([], paymentRequirements).invalidReason, 'no_approve_instruction_found');
+});
+
+test('selects the upto requirements for the approved mint', (t) => {
+	const exact = { ...paymentRequirements, scheme: 'exact' };
+	t.is(selectUptoRequirements(createApprovalHeader(250000n), [exact, paymentRequirements]), paymentRequirements);
+	t.is(selectUptoRequirements(createApprovalHeader(250000n), [exact]), null);
+});
+
+test('identifies the payer as the approval owner', (t) => {
+	t.is(getUptoPaymentPayer(createApprovalHeader(250000n)), payer.publicKey.toBase58());
+	t.is(getUptoPaymentPayer('not a payment'), null);
+});
+
+test('meters per unit and caps the charge at the authorised maximum', (t) => {
+	t.is(meterPaymentRequirements(paymentRequirements, 3).extra.meteredAmount, '15000');
+	t.is(meterPaymentRequirements(paymentRequirements, 0).extra.meteredAmount, '0');
+	t.is(meterPaymentRequirements(paymentRequirements, 80).extra.meteredAmount, '250000');
+});
+
+/**
+ * @returns {{scheme: InstanceType<typeof UptoPaymentScheme>, sent: Buffer[], landed: Map<string, any>, chain: {blockHeight: number, blockhashValid: boolean, dropTransfers: boolean}}}
+ */
+function createScheme() {
+	/** @type {Map<string, any>} */
+	const landed = new Map();
+	/** @type {Buffer[]} */
+	const sent = [];
+	// dropTransfers: delegate transfers are accepted but never land, as when the cluster discards them
+	const chain = { blockHeight: 100, blockhashValid: true, dropTransfers: false };
+	const connection = /** @type {any} */ ({
+		getSignatureStatuses: async (signatures) => ({ value: signatures.map((signature) => landed.get(signature) || null) }),
+		getLatestBlockhash: async () => ({ blockhash: Keypair.generate().publicKey.toBase58(), lastValidBlockHeight: chain.blockHeight + 150 }),
+		getBlockHeight: async () => chain.blockHeight,
+		isBlockhashValid: async () => ({ value: chain.blockhashValid }),
+		sendRawTransaction: async (raw) => {
+			sent.push(raw);
+			const tx = VersionedTransaction.deserialize(raw);
+			const signature = bs58.encode(tx.signatures[0]);
+			// The payer's approval is a versioned transaction, the delegate's transfer a legacy one
+			if (!chain.dropTransfers || tx.version !== 'legacy') {
+				landed.set(signature, { err: null, confirmationStatus: 'confirmed' });
+			}
+			return signature;
+		},
+		confirmTransaction: async (strategy) => {
+			const signature = typeof strategy === 'string' ? strategy : strategy.signature;
+			if (!landed.has(signature)) {
+				throw new Error(`Signature ${signature} has expired: block height exceeded.`);
+			}
+			return { value: { err: null } };
+		},
+	});
+	const scheme = new UptoPaymentScheme(
+		{ connection, resolveInstructions: async (tx) => TransactionMessage.decompile(tx.message).instructions },
+		delegate,
+		'solana-devnet'
+	);
+	return { scheme, sent, landed, chain };
+}
+
+test('settles the metered amount once, even when retried', async (t) => {
+	const header = createApprovalHeader(250000n);
+	const metered = meterPaymentRequirements(paymentRequirements, 3);
+	const { scheme, sent } = createScheme();
+
+	// The settlement queue keeps the transfer on the job between attempts
+	/** @type {any} */
+	const job = {};
+	const options = () => ({ transfer: job.transfer, onTransfer: (transfer) => (job.transfer = transfer) });
+
+	const first = await scheme.settlePayment(header, metered, options());
+	t.true(first.success);
+	t.is(first.payer, payer.publicKey.toBase58());
+	t.is(sent.length, 2);
+
+	// The transfer settles exactly the metered amount, against a blockhash of its own
+	const transfer = Transaction.from(sent[1]);
+	t.is(transfer.instructions[0].data.readBigUInt64LE(1), 15000n);
+	const approval = VersionedTransaction.deserialize(sent[0]);
+	t.not(transfer.recentBlockhash, approval.message.recentBlockhash);
+	t.is(job.transfer.transaction, sent[1].toString('base64'));
+
+	const retry = await scheme.settlePayment(header, metered, options());
+	t.is(retry.transaction, first.transaction);
+	t.is(sent.length, 2);
+});
+
+test('resends an unlanded transfer until its blockhash expires, then signs a new one', async (t) => {
+	const header = createApprovalHeader(250000n);
+	const metered = meterPaymentRequirements(paymentRequirements, 3);
+	const { scheme, sent, chain } = createScheme();
+	/** @type {any} */
+	const job = {};
+	const options = () => ({ transfer: job.transfer, onTransfer: (transfer) => (job.transfer = transfer) });
+
+	// The approval lands; the transfer is accepted but dropped
+	chain.dropTransfers = true;
+	const first = await scheme.settlePayment(header, metered, options());
+	t.is(first.errorReason, 'settlement_exception');
+	const recorded = job.transfer;
+	t.truthy(recorded);
+
+	// While it can still land, a retry only resends the same transfer
+	const resent = await scheme.settlePayment(header, metered, options());
+	t.false(resent.success);
+	t.is(sent.at(-1)?.toString('base64'), recorded.transaction);
+	t.is(job.transfer, recorded);
+	t.is(sent.length, 3);
+
+	// Once its blockhash has expired it can never land, so a new transfer is safe
+	chain.dropTransfers = false;
+	chain.blockHeight = recorded.lastValidBlockHeight + 1;
+	const settled = await scheme.settlePayment(header, metered, options());
+	t.true(settled.success);
+	t.not(job.transfer.transaction, recorded.transaction);
+	t.is(settled.transaction, bs58.encode(/** @type {Buffer} */ (Transaction.from(sent.at(-1)).signature)));
+});
+
+test('reports an approval whose blockhash expired before it landed', async (t) => {
+	const { scheme, sent, chain } = createScheme();
+	chain.blockhashValid = false;
+
+	const result = await scheme.settlePayment(createApprovalHeader(250000n), meterPaymentRequirements(paymentRequirements, 3), {});
+	t.is(result.errorReason, 'approval_expired');
+	t.is(sent.length, 0);
+});
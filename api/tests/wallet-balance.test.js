@@ -0,0 +1,173 @@
+// @ts-check
+import test from 'ava';
+import http from 'http';
+import Decimal from 'decimal.js';
+import { Keypair } from '@solana/web3.js';
+import { McpError } from '@modelcontextprotocol/sdk/types.js';
+
+/**
+ * Wallet Balance Tests
+ * Balances of the agent wallet on the sandbox ledger, low-balance warnings
+ * and the payment history, against a stub x402 server
+ */
+
+// Config validation runs on import, so provide the required variables first
+process.env.TREASURY_WALLET_ADDRESS = Keypair.generate().publicKey.toBase58();
+process.env.PORT ??= '3000';
+process.env.X402_NETWORK = 'sandbox';
+
+const { sandboxLedger } = await import('../src/services/sandbox-ledger.js');
+const { loadClientNetwork } = await import('../src/mcp/client-network.js');
+const { getWalletBalances, loadLowBalanceThresholds, lowBalanceWarnings } = await import('../src/mcp/wallet-balance.js');
+const { PaymentHistory } = await import('../src/mcp/payment-history.js');
+const { createPaymentEnabledClient } = await import('../src/mcp/http-client.js');
+
+const network = loadClientNetwork({});
+const thresholds = { usd: new Decimal(1), sol: new Decimal('0.01') };
+
+const api = http.createServer((req, res) => {
+	if (!req.headers['x-payment']) {
+		res.writeHead(402, { 'Content-Type': 'application/json' });
+		res.end(JSON.stringify({
+			x402Version: 1,
+			accepts: [{
+				scheme: 'exact',
+				network: 'sandbox',
+				maxAmountRequired: '10000',
+				resource: 'http://localhost/paid',
+				payTo: process.env.TREASURY_WALLET_ADDRESS,
+				maxTimeoutSeconds: 60,
+				asset: network.tokens.USDC.mint,
+			}],
+		}));
+		return;
+	}
+
+	res.writeHead(200, { 'Content-Type': 'application/json' });
+	res.end(JSON.stringify({ success: true }));
+});
+
+test.before(async (t) => {
+	api.listen(0);
+	await new Promise((resolve) => api.once('listening', resolve));
+	t.context.baseURL = `http://127.0.0.1:${/** @type {import('net').AddressInfo} */ (api.address()).port}`;
+});
+
+test.after.always(() => {
+	api.close();
+});
+
+test('reads SOL and payment token balances', async (t) => {
+	const owner = Keypair.generate().publicKey;
+	const lamports = await sandboxLedger.getBalance(owner);
+
+	const balances = await getWalletBalances(/** @type {any} */ (sandboxLedger), owner, network);
+
+	t.is(balances.address, owner.toBase58());
+	t.is(balances.lamports, lamports);
+	t.is(balances.sol, new Decimal(lamports).dividedBy(1e9).toFixed());
+	t.is(balances.tokens.length, Object.keys(network.tokens).length);
+	t.deepEqual(balances.tokens.find((token) => token.symbol === 'USDC'), {
+		symbol: 'USDC',
+		mint: network.tokens.USDC.mint,
+		amount: '100000000',
+		display: '100 USDC',
+		usd: '100.00',
+	});
+});
+
+test('reports a wallet without token accounts as empty', async (t) => {
+	const owner = Keypair.generate().publicKey;
+	const balances = await getWalletBalances(/** @type {any} */ ({
+		getMultipleAccountsInfo: async (/** @type {any[]} */ addresses) => addresses.map(() => null),
+	}), owner, network);
+
+	t.is(balances.lamports, 0);
+	t.true(balances.tokens.every((token) => token.amount === '0'));
+	t.is(balances.tokens.find((token) => token.symbol === 'USDC')?.usd, '0.00');
+});
+
+test('warns about low token and SOL balances', (t) => {
+	const balances = {
+		address: 'wallet',
+		lamports: 5_000_000,
+		sol: '0.005',
+		tokens: [{ symbol: 'USDC', mint: 'usdc-mint', amount: '500000', display: '0.5 USDC', usd: '0.50' }],
+	};
+
+	const warnings = lowBalanceWarnings(balances, thresholds);
+	t.is(warnings.length, 2);
+	t.regex(warnings[0], /Low USDC balance: 0\.5 USDC \(\$0\.50\) left in wallet, below \$1/);
+	t.regex(warnings[1], /Low SOL balance: 0\.005 SOL left in wallet/);
+
+	// A sponsored payer needs no SOL, and other tokens are not its concern
+	t.deepEqual(lowBalanceWarnings(balances, thresholds, { mints: ['other-mint'], needsSol: false }), []);
+	t.deepEqual(lowBalanceWarnings(balances, { usd: new Decimal('0.25'), sol: new Decimal(0) }), []);
+});
+
+test('reads low-balance thresholds from the environment', (t) => {
+	const defaults = loadLowBalanceThresholds({});
+	t.is(defaults.usd.toFixed(), '1');
+	t.is(defaults.sol.toFixed(), '0.01');
+
+	const custom = loadLowBalanceThresholds({ MCP_LOW_BALANCE_USD: '5', MCP_LOW_BALANCE_SOL: '0' });
+	t.is(custom.usd.toFixed(), '5');
+	t.is(custom.sol.toFixed(), '0');
+
+	t.throws(() => loadLowBalanceThresholds({ MCP_LOW_BALANCE_USD: '-1' }), { instanceOf: McpError });
+	t.throws(() => loadLowBalanceThresholds({ MCP_LOW_BALANCE_SOL: 'lots' }), { instanceOf: McpError });
+});
+
+test('keeps the most recent payment attempts, newest first', (t) => {
+	const history = new PaymentHistory(3);
+	for (let i = 0; i < 5; i++) {
+		history.record({ status: i % 2 ? 'failed' : 'paid', url: `http://api/${i}` }, i * 1000);
+	}
+
+	t.deepEqual(history.recent().map((attempt) => attempt.url), ['http://api/4', 'http://api/3', 'http://api/2']);
+	t.deepEqual(history.recent(10, 'paid').map((attempt) => attempt.url), ['http://api/4', 'http://api/2']);
+	t.is(history.recent(1)[0].at, new Date(4000).toISOString());
+});
+
+test('records paid and refused payments made by the client', async (t) => {
+	const paymentHistory = new PaymentHistory();
+	let approve = true;
+	const client = createPaymentEnabledClient(Keypair.generate(), /** @type {string} */ (t.context.baseURL), {
+		network,
+		paymentHistory,
+		approvePayment: async () => approve,
+	});
+
+	await client.get('/paid');
+	approve = false;
+	await t.throwsAsync(client.get('/paid'));
+
+	const [refused, paid] = paymentHistory.recent();
+	t.like(paid, {
+		status: 'paid',
+		url: `${t.context.baseURL}/paid`,
+		network: 'sandbox',
+		payTo: process.env.TREASURY_WALLET_ADDRESS,
+		asset: network.tokens.USDC.mint,
+		amount: '10000',
+		display: '0.01 USDC',
+		httpStatus: 200,
+	});
+	t.is(refused.status, 'failed');
+	t.truthy(refused.error);
+});
+
+test('attaches low-balance warnings to paid responses', async (t) => {
+	const client = createPaymentEnabledClient(Keypair.generate(), /** @type {string} */ (t.context.baseURL), {
+		network,
+		lowBalance: { usd: new Decimal(500), sol: new Decimal(0) },
+	});
+
+	const data = await client.get('/paid');
+	t.true(data.success);
+	t.is(data.balanceWarnings.length, 1);
+	t.regex(data.balanceWarnings[0], /^Low USDC balance/);
+
+	const quiet = createPaymentEnabledClient(Keypair.generate(), /** @type {string} */ (t.context.baseURL), { network, lowBalance: thresholds });
+	t.is((await quiet.get('/paid')).balanceWarnings, undefined);
+});
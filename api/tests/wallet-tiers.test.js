@@ -0,0 +1,115 @@
+// @ts-check
+import test from 'ava';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import nacl from 'tweetnacl';
+import { Keypair } from '@solana/web3.js';
+
+/**
+ * Wallet Pricing Tier Unit Tests
+ * Signed payer identities and the managed tier allowlist
+ */
+
+// Config validation runs on import, so provide the required variables first
+process.env.TREASURY_WALLET_ADDRESS ??= Keypair.generate().publicKey.toBase58();
+process.env.PORT ??= '3000';
+
+const { WalletTierRegistry, payerIdentityMessage, verifyPayerIdentity } = await import(
+	'../src/services/wallet-tiers.js'
+);
+
+const tiers = { free: 1, basic: 1, premium: 0.75, enterprise: 0.5 };
+
+/**
+ * @param {Keypair} keypair
+ * @param {number} timestamp
+ * @returns {Record<string, string>} Lower-cased headers, as Node delivers them
+ */
+function signIdentity(keypair, timestamp) {
+	const wallet = keypair.publicKey.toBase58();
+	const signature = nacl.sign.detached(Buffer.from(payerIdentityMessage(wallet, timestamp)), keypair.secretKey);
+	return {
+		'x402-publickey': wallet,
+		'x402-timestamp': timestamp.toString(),
+		'x402-signature': Buffer.from(signature).toString('base64'),
+	};
+}
+
+/**
+ * @returns {string} Path to a fresh allowlist file location
+ */
+function tempAllowlist() {
+	return path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'tiers-')), 'pricing-tiers.json');
+}
+
+test('accepts a fresh identity signed by the wallet', (t) => {
+	const keypair = Keypair.generate();
+	const identity = verifyPayerIdentity(signIdentity(keypair, 1000), 300, 1100);
+	t.deepEqual(identity, { wallet: keypair.publicKey.toBase58() });
+});
+
+test('treats requests without identity headers as anonymous', (t) => {
+	t.deepEqual(verifyPayerIdentity({}, 300), { wallet: null });
+});
+
+test('rejects stale identities and signatures from another key', (t) => {
+	const keypair = Keypair.generate();
+	t.is(verifyPayerIdentity(signIdentity(keypair, 1000), 300, 2000).error, 'expired_payer_identity');
+
+	const forged = { ...signIdentity(Keypair.generate(), 1000), 'x402-publickey': keypair.publicKey.toBase58() };
+	t.is(verifyPayerIdentity(forged, 300, 1000).error, 'invalid_payer_identity');
+
+	const { 'x402-timestamp': _, ...incomplete } = signIdentity(keypair, 1000);
+	t.is(verifyPayerIdentity(incomplete, 300, 1000).error, 'incomplete_payer_identity');
+});
+
+test('maps allowlisted wallets to their tier and everyone else to basic', (t) => {
+	const filePath = tempAllowlist();
+	const premium = Keypair.generate().publicKey.toBase58();
+	fs.writeFileSync(filePath, JSON.stringify({ [premium]: 'premium' }));
+
+	const registry = new WalletTierRegistry(filePath, tiers);
+	t.is(registry.getTier(premium), 'premium');
+	t.is(registry.getTier(Keypair.generate().publicKey.toBase58()), 'basic');
+	t.is(registry.getTier(null), 'basic');
+});
+
+test('persists managed changes and rejects unknown tiers', (t) => {
+	const filePath = tempAllowlist();
+	const wallet = Keypair.generate().publicKey.toBase58();
+
+	const registry = new WalletTierRegistry(filePath, tiers);
+	registry.setTier(wallet, 'enterprise');
+	t.is(new WalletTierRegistry(filePath, tiers).getTier(wallet), 'enterprise');
+
+	t.throws(() => registry.setTier(wallet, 'platinum'), { message: /Unknown pricing tier/ });
+
+	registry.removeWallet(wallet);
+	t.deepEqual(new WalletTierRegistry(filePath, tiers).list(), {});
+});
+
+test('keeps the previous allowlist when an edit is invalid', (t) => {
+	const filePath = tempAllowlist();
+	const wallet = Keypair.generate().publicKey.toBase58();
+	fs.writeFileSync(filePath, JSON.stringify({ [wallet]: 'premium' }));
+	const registry = new WalletTierRegistry(filePath, tiers, 0);
+
+	fs.writeFileSync(filePath, JSON.stringify({ [wallet]: 'platinum' }));
+	fs.utimesSync(filePath, new Date(), new Date(Date.now() + 1000));
+	t.is(registry.getTier(wallet), 'premium');
+});
+
+test('checks the allowlist for changes at most once per reload interval', (t) => {
+	const filePath = tempAllowlist();
+	const registry = new WalletTierRegistry(filePath, tiers, 60_000);
+	const wallet = Keypair.generate().publicKey.toBase58();
+
+	fs.writeFileSync(filePath, JSON.stringify({ [wallet]: 'premium' }));
+	t.is(registry.getTier(wallet), 'basic');
+
+	// Managing the allowlist always reads the latest file
+	t.deepEqual(registry.list(), { [wallet]: 'premium' });
+	t.is(registry.getTier(wallet), 'premium');
+	t.false(registry.removeWallet(Keypair.generate().publicKey.toBase58()));
+});